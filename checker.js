@@ -3,30 +3,31 @@
  * Prevents abuse by tracking IP addresses and wallet addresses
  */
 
-import fs from 'fs';
-import path from 'path';
+import { randomUUID } from 'crypto';
+import { createStore } from './src/storage/index.js';
 
 export class FrequencyChecker {
-    constructor(config) {
+    constructor(config, store = createStore(config), options = {}) {
         this.config = config;
-        this.dbPath = config.db?.path || '.faucet/history.db';
+        this.store = store;
+        // Maps every form of an address (bech32, hex, any casing) to one account identity
+        this.normalizeAddress = options.normalizeAddress || (address => address);
         this.limits = {
             address: config.blockchain?.limit?.address || 1,
             ip: config.blockchain?.limit?.ip || 10
         };
         
-        // In-memory storage with persistence
+        // In-memory view of the store; every change is written through
         this.requests = new Map();
         this.windowHours = 24;
-        
-        // Ensure db directory exists
-        const dbDir = path.dirname(this.dbPath);
-        if (!fs.existsSync(dbDir)) {
-            fs.mkdirSync(dbDir, { recursive: true });
-        }
+        // reservation id -> { id, entries: [{ key, timestamp }] } for requests still in flight
+        this.reservations = new Map();
+        // key -> time (ms) until which an admin blocked it, on top of its counted requests
+        this.blocks = new Map();
         
         // Load existing data
         this.loadData();
+        this.migrateAddressKeys();
         
         // Cleanup old entries periodically
         setInterval(() => this.cleanup(), 60 * 60 * 1000); // Every hour
@@ -37,30 +38,54 @@ export class FrequencyChecker {
      */
     loadData() {
         try {
-            if (fs.existsSync(this.dbPath)) {
-                const data = fs.readFileSync(this.dbPath, 'utf8');
-                const parsed = JSON.parse(data);
-                this.requests = new Map(parsed.requests || []);
-                console.log(` Loaded ${this.requests.size} rate limit entries`);
-            }
+            this.requests = new Map(this.store.entries('requests'));
+            this.blocks = new Map(this.store.entries('rate_limit_blocks'));
+            console.log(` Loaded ${this.requests.size} rate limit entries (${this.store.backend})`);
         } catch (error) {
             console.warn('  Could not load rate limit data:', error.message);
             this.requests = new Map();
+            this.blocks = new Map();
         }
     }
     
     /**
-     * Save rate limiting data to disk
+     * Re-key address entries stored under a non-canonical form, merging the history of
+     * every form of the same account
      */
-    saveData() {
-        try {
-            const data = {
-                requests: Array.from(this.requests.entries()),
-                lastSaved: new Date().toISOString()
-            };
-            fs.writeFileSync(this.dbPath, JSON.stringify(data, null, 2));
-        } catch (error) {
-            console.warn('  Could not save rate limit data:', error.message);
+    migrateAddressKeys() {
+        let migrated = 0;
+        
+        this.store.transaction(() => {
+            for (const [key, timestamps] of Array.from(this.requests.entries())) {
+                const match = key.match(/^addr_(.+)_([^_]+)$/);
+                if (!match) continue;
+                
+                const canonicalKey = `addr_${this.normalizeAddress(match[1])}_${match[2]}`;
+                if (canonicalKey === key) continue;
+                
+                const merged = [...(this.requests.get(canonicalKey) || []), ...timestamps].sort((a, b) => a - b);
+                this.requests.delete(key);
+                this.requests.set(canonicalKey, merged);
+                this.persist(key);
+                this.persist(canonicalKey);
+                migrated++;
+            }
+        });
+        
+        if (migrated > 0) {
+            console.log(` Migrated ${migrated} rate limit entries to canonical addresses`);
+        }
+    }
+    
+    /**
+     * Write one key's timestamps to the store, dropping it once empty
+     */
+    persist(key) {
+        const timestamps = this.requests.get(key);
+        if (timestamps && timestamps.length > 0) {
+            this.store.set('requests', key, timestamps);
+        } else {
+            this.store.delete('requests', key);
         }
     }
     
@@ -68,39 +93,64 @@ export class FrequencyChecker {
      * Clean up old entries outside the time window
      */
     cleanup() {
-        const cutoff = Date.now() - (this.windowHours * 60 * 60 * 1000);
+        const now = Date.now();
+        const cutoff = now - (this.windowHours * 60 * 60 * 1000);
         let cleaned = 0;
         
-        for (const [key, timestamps] of this.requests.entries()) {
-            const validTimestamps = timestamps.filter(ts => ts > cutoff);
-            if (validTimestamps.length === 0) {
-                this.requests.delete(key);
-                cleaned++;
-            } else if (validTimestamps.length !== timestamps.length) {
-                this.requests.set(key, validTimestamps);
+        this.store.transaction(() => {
+            for (const [key, timestamps] of this.requests.entries()) {
+                const validTimestamps = timestamps.filter(ts => ts > cutoff);
+                if (validTimestamps.length === 0) {
+                    this.requests.delete(key);
+                    cleaned++;
+                } else if (validTimestamps.length !== timestamps.length) {
+                    this.requests.set(key, validTimestamps);
+                } else {
+                    continue;
+                }
+                this.persist(key);
             }
-        }
+            for (const [key, blockedUntil] of Array.from(this.blocks.entries())) {
+                if (blockedUntil <= now) {
+                    this.blocks.delete(key);
+                    this.store.delete('rate_limit_blocks', key);
+                }
+            }
+        });
         
         if (cleaned > 0) {
             console.log(` Cleaned ${cleaned} old rate limit entries`);
-            this.saveData();
         }
     }
     
     /**
-     * Check if an address can make a request
+     * Check if an address can make a request; API keys pass their own limit
+     */
+    async checkAddress(address, type, limit = this.limits.address) {
+        const key = this.addressKey(address, type);
+        return this.checkLimit(key, limit, `address ${address}`);
+    }
+    
+    /**
+     * Check if an IP can make a request; API keys pass their own limit
+     */
+    async checkIp(ip, type, limit = this.limits.ip) {
+        const key = this.ipKey(ip, type);
+        return this.checkLimit(key, limit, `IP ${ip}`);
+    }
+    
+    /**
+     * Storage key for an address; every form of an account maps to the same one
      */
-    async checkAddress(address, type) {
-        const key = `addr_${address}_${type}`;
-        return this.checkLimit(key, this.limits.address, `address ${address}`);
+    addressKey(address, type) {
+        return `addr_${this.normalizeAddress(address)}_${type}`;
     }
     
     /**
-     * Check if an IP can make a request  
+     * Storage key for an IP
      */
-    async checkIp(ip, type) {
-        const key = `ip_${ip}_${type}`;
-        return this.checkLimit(key, this.limits.ip, `IP ${ip}`);
+    ipKey(ip, type) {
+        return `ip_${ip}_${type}`;
     }
     
     /**
@@ -118,6 +168,11 @@ export class FrequencyChecker {
         this.requests.set(key, validTimestamps);
         
         const currentCount = validTimestamps.length;
+        const blockedUntil = this.blocks.get(key) || 0;
+        if (blockedUntil > now) {
+            console.log(` Rate limit blocked for ${description} until ${new Date(blockedUntil).toISOString()}`);
+            return false;
+        }
         const allowed = currentCount < limit;
         
         if (!allowed) {
@@ -130,48 +185,158 @@ export class FrequencyChecker {
     }
     
     /**
-     * Update rate limiting data after successful request
+     * Check the address and IP limits and hold a slot in both in one step, so parallel
+     * requests can't all pass before any is recorded. The slot counts (and is persisted)
+     * right away; commit() keeps it, release() gives it back.
+     * limits defaults to the configured { address, ip }, API keys bring their own.
+     * Returns { allowed, addressAllowed, ipAllowed, reservation }
      */
-    update(key) {
+    reserve(address, ip, type, limits = this.limits) {
+        const addressKey = this.addressKey(address, type);
+        const ipKey = this.ipKey(ip, type);
+        const addressAllowed = this.checkLimit(addressKey, limits.address, `address ${address}`);
+        const ipAllowed = this.checkLimit(ipKey, limits.ip, `IP ${ip}`);
+        
+        if (!addressAllowed || !ipAllowed) {
+            return { allowed: false, addressAllowed, ipAllowed, reservation: null };
+        }
+        
         const now = Date.now();
-        const timestamps = this.requests.get(key) || [];
-        timestamps.push(now);
-        this.requests.set(key, timestamps);
+        const reservation = {
+            id: randomUUID(),
+            entries: [addressKey, ipKey].map(key => ({ key, timestamp: now }))
+        };
+        
+        this.store.transaction(() => {
+            for (const { key } of reservation.entries) {
+                this.requests.get(key).push(now);
+                this.persist(key);
+            }
+        });
+        this.reservations.set(reservation.id, reservation);
         
-        // Save periodically (every 10th update to avoid excessive I/O)
-        if (Math.random() < 0.1) {
-            this.saveData();
+        console.log(` Reserved rate limit slot for ${address} / ${ip}`);
+        return { allowed: true, addressAllowed, ipAllowed, reservation };
+    }
+    
+    /**
+     * Keep a reserved slot once the request's transaction was accepted
+     */
+    commit(reservation) {
+        if (reservation) {
+            this.reservations.delete(reservation.id);
+        }
+    }
+    
+    /**
+     * Give a reserved slot back after a failed send; no-op once committed or released
+     */
+    release(reservation) {
+        if (!reservation || !this.reservations.delete(reservation.id)) {
+            return;
         }
         
-        console.log(` Updated rate limit for ${key}`);
+        this.store.transaction(() => {
+            for (const { key, timestamp } of reservation.entries) {
+                const timestamps = this.requests.get(key) || [];
+                const index = timestamps.indexOf(timestamp);
+                if (index === -1) continue;
+                
+                timestamps.splice(index, 1);
+                this.requests.set(key, timestamps);
+                this.persist(key);
+            }
+        });
+        
+        console.log(` Released rate limit slot ${reservation.id}`);
     }
     
     /**
-     * Get remaining time until the rate limit resets for a given address
+     * Time until an address may request again; API keys pass their own limit
      */
-    async getRemainingTime(address, type) {
-        const key = `addr_${address}_${type}`;
-        const timestamps = this.requests.get(key) || [];
+    async getRemainingTime(address, type, limit = this.limits.address) {
+        return this.getKeyRemainingTime(this.addressKey(address, type), limit);
+    }
+    
+    /**
+     * Time until an IP may request again; API keys pass their own limit
+     */
+    async getIpRemainingTime(ip, type, limit = this.limits.ip) {
+        return this.getKeyRemainingTime(this.ipKey(ip, type), limit);
+    }
+    
+    /**
+     * Time until a key is back under limit and any admin block has ended, 0 when it already is
+     */
+    getKeyRemainingTime(key, limit) {
+        const now = Date.now();
+        const windowMs = this.windowHours * 60 * 60 * 1000;
+        const cutoff = now - windowMs;
+        const validTimestamps = (this.requests.get(key) || []).filter(ts => ts > cutoff).sort((a, b) => a - b);
         
-        if (timestamps.length === 0) {
-            return 0; // No previous requests
-        }
+        // Enough of the oldest requests have to leave the window to get back under the limit
+        const excess = validTimestamps.length - limit;
+        const windowWait = excess >= 0 ? validTimestamps[excess] + windowMs - now : 0;
+        const blockWait = (this.blocks.get(key) || 0) - now;
         
-        // Find the oldest timestamp within the window
+        return Math.max(0, windowWait, blockWait);
+    }
+    
+    /**
+     * Keys with requests inside the window or an active block, optionally only those starting
+     * with prefix. Returns [{ key, timestamps, resetAt, blockedUntil }], resetAt being when the
+     * oldest request expires (null without requests) and blockedUntil null without a block
+     */
+    getEntries(prefix = '') {
         const now = Date.now();
-        const cutoff = now - (this.windowHours * 60 * 60 * 1000);
-        const validTimestamps = timestamps.filter(ts => ts > cutoff);
+        const windowMs = this.windowHours * 60 * 60 * 1000;
+        const cutoff = now - windowMs;
+        const entries = [];
+        const keys = new Set([...this.requests.keys(), ...this.blocks.keys()]);
         
-        if (validTimestamps.length === 0) {
-            return 0; // All timestamps are outside the window
+        for (const key of keys) {
+            if (!key.startsWith(prefix)) continue;
+            const valid = (this.requests.get(key) || []).filter(ts => ts > cutoff).sort((a, b) => a - b);
+            const blockedUntil = this.blocks.get(key) > now ? this.blocks.get(key) : null;
+            if (valid.length === 0 && !blockedUntil) continue;
+            entries.push({ key, timestamps: valid, resetAt: valid.length > 0 ? valid[0] + windowMs : null, blockedUntil });
         }
         
-        // Calculate time until the oldest valid timestamp expires
-        const oldestTimestamp = Math.min(...validTimestamps);
-        const expirationTime = oldestTimestamp + (this.windowHours * 60 * 60 * 1000);
-        const remainingTime = Math.max(0, expirationTime - now);
+        return entries;
+    }
+    
+    /**
+     * Forget every request counted under a key and lift its block. Returns how many requests were dropped
+     */
+    clear(key) {
+        const cleared = (this.requests.get(key) || []).length;
+        this.requests.delete(key);
+        this.store.transaction(() => {
+            this.persist(key);
+            this.blocks.delete(key);
+            this.store.delete('rate_limit_blocks', key);
+        });
+        
+        console.log(` Cleared ${cleared} rate limit entries for ${key}`);
+        return cleared;
+    }
+    
+    /**
+     * Block a key for ms past the point it would be let through again: the end of an earlier
+     * block or of its oldest counted request, or now when it has neither. The counted requests
+     * are left alone, so reservations still release cleanly. Returns the new blocked-until time
+     */
+    extend(key, ms) {
+        const now = Date.now();
+        const [entry] = this.getEntries(key).filter(candidate => candidate.key === key);
+        const base = Math.max(now, entry?.blockedUntil || 0, entry?.resetAt || 0);
+        const blockedUntil = base + ms;
+        
+        this.blocks.set(key, blockedUntil);
+        this.store.set('rate_limit_blocks', key, blockedUntil);
         
-        return remainingTime;
+        console.log(` Blocked ${key} until ${new Date(blockedUntil).toISOString()}`);
+        return blockedUntil;
     }
     
     /**
@@ -195,6 +360,7 @@ export class FrequencyChecker {
         return {
             activeEntries,
             totalRequests,
+            pendingReservations: this.reservations.size,
             windowHours: this.windowHours,
             limits: this.limits
         };
@@ -1,5 +1,5 @@
 // Configuration auto-updated on 2025-06-18T05:13:50.402Z
-import { stringToPath } from '@cosmjs/crypto'
+import { stringToPath, pathToString } from '@cosmjs/crypto'
 import fs from 'fs'
 import secureKeyManager from './src/SecureKeyManager.js';
 import TokenConfigLoader from './src/TokenConfigLoader.js';
@@ -8,7 +8,87 @@ const config = {
     port: 8088, 
     // http port
     db: {
-        path: ".faucet/history.db" // save request states
+        // "sqlite" (default) or "json" for the legacy files below
+        backend: process.env.FAUCET_STORAGE || "sqlite",
+        sqlitePath: ".faucet/faucet.sqlite",
+        // legacy JSON files, imported into SQLite on first start
+        path: ".faucet/history.db", // save request states
+        allowancePath: ".faucet/allowances.db",
+        budgetPath: ".faucet/budgets.db", // json backend only
+        apiKeyPath: ".faucet/api-keys.db", // json backend only
+        auditPath: ".faucet/audit.db", // json backend only
+        denylistPath: ".faucet/denylist.db", // json backend only
+        sweepRecipientsPath: ".faucet/sweep-recipients.db", // json backend only
+        rateLimitBlocksPath: ".faucet/rate-limit-blocks.db" // json backend only
+    },
+    // How the client IP for per-IP limits is found
+    clientIp: {
+        // proxy in front of the faucet whose headers are trusted: "fly", "cloudflare" or "none"
+        trustedProxy: process.env.TRUSTED_PROXY || "fly",
+        // extra proxy CIDRs to trust, e.g. a load balancer ("10.1.0.0/16")
+        trustedProxies: (process.env.TRUSTED_PROXY_CIDRS || "").split(",").map(cidr => cidr.trim()).filter(Boolean),
+        // IPv6 clients share one limit per prefix
+        ipv6PrefixLength: 64
+    },
+    // Hashcash-style challenge every anonymous request has to solve (GET /api/v1/challenge).
+    // Off unless POW_ENABLED=true, since legacy GET /send/:address callers don't solve it
+    proofOfWork: {
+        enabled: process.env.POW_ENABLED === "true",
+        // signs challenges; set it so challenges survive a restart
+        secret: process.env.POW_SECRET,
+        baseDifficulty: 16, // leading zero bits of sha256, ~65k hashes on average
+        maxDifficulty: 24,
+        ttlMs: 5 * 60 * 1000, // a challenge has to be used within 5 minutes
+        // one more bit for each doubling of requests in the window beyond targetRequests
+        windowMs: 10 * 60 * 1000,
+        targetRequests: 20
+    },
+    // Optional CAPTCHA in front of faucet requests
+    captcha: {
+        // "none", "hcaptcha", "turnstile" or "stub" (offline, for development and tests)
+        provider: process.env.CAPTCHA_PROVIDER || "none",
+        siteKey: process.env.CAPTCHA_SITE_KEY,
+        secretKey: process.env.CAPTCHA_SECRET_KEY,
+        timeoutMs: 10 * 1000, // siteverify request timeout
+        // the only token the stub provider accepts
+        stubToken: process.env.CAPTCHA_STUB_TOKEN || "stub-pass"
+    },
+    // Admin endpoints under /api/v1/admin, called with "Authorization: Bearer <token>"; off without a token
+    admin: {
+        token: process.env.ADMIN_API_TOKEN,
+        auditRetentionDays: 90 // admin actions are kept in the audit trail this long
+    },
+    // Per-IP limit on GET /api/v1/quote/:address, which queries the chain on every call.
+    // Callers with an API key are not throttled
+    quoteThrottle: {
+        windowMs: 60 * 1000,
+        maxRequests: 30
+    },
+    // API keys for CI and other trusted clients; they skip the proof of work and CAPTCHA
+    apiKeys: {
+        // per 24h, for keys minted without their own limits
+        defaultLimits: {
+            address: 10,
+            ip: 100
+        }
+    },
+    // Background analyzer that denylists recipients sweeping their funds to a common collector.
+    // Off unless SWEEP_DETECTION=true
+    sweepDetection: {
+        enabled: process.env.SWEEP_DETECTION === "true",
+        intervalMs: 5 * 60 * 1000,
+        recipientWindowMs: 24 * 60 * 60 * 1000, // recipients are watched this long after their last funding
+        sweepWindowMs: 6 * 60 * 60 * 1000, // only transfers this soon after funding count as sweeps
+        minSources: 3, // distinct recipients sending to one destination make a cluster
+        denylistTtlMs: 7 * 24 * 60 * 60 * 1000, // denylist entries expire after a week
+        // destinations many recipients legitimately send to, e.g. a DEX router
+        ignoredAddresses: [],
+        // replay recorded transfers from this JSON file instead of reading the chain
+        fixturePath: process.env.SWEEP_FIXTURE,
+        evm: {
+            maxBlockRange: 2000, // blocks per eth_getLogs call
+            lookbackBlocks: 2000 // how far back the first pass after a start looks
+        }
     },
     project: {
         name: "Cosmos-EVM Devnet Faucet",
@@ -42,7 +122,9 @@ const config = {
             // Using eth_secp256k1 derivation path for both environments
             option: {
                 hdPaths: [stringToPath("m/44'/60'/0'/0/0")], // Ethereum derivation path
-                prefix: "cosmos" // Cosmos address prefix - updated to use cosmos prefix
+                prefix: "cosmos", // Cosmos address prefix - updated to use cosmos prefix
+                // added to the last component of hdPaths[0], e.g. 1 derives m/44'/60'/0'/0/1
+                accountIndex: Number(process.env.HD_ACCOUNT_INDEX || 0)
             }
         },
         tx: {
@@ -66,6 +148,49 @@ const config = {
                 }
             },
         },
+        // Collect requests for a short window and settle them in one transaction.
+        // EVM batching needs an AtomicMultiSend deployment with the fixed batchAtomicMultiSend.
+        batching: {
+            evm: {
+                enabled: process.env.EVM_BATCHING === 'true',
+                windowMs: 3000, // flush after 3s
+                maxSize: 20 // or once this many requests are queued
+            },
+            cosmos: {
+                enabled: process.env.COSMOS_BATCHING === 'true',
+                windowMs: 3000,
+                maxSize: 20,
+                gasPerRecipient: 50000 // extra gas (and proportional fee) per MsgMultiSend output
+            }
+        },
+        // Extra accounts derived from the same mnemonic (m/44'/60'/0'/0/1, /2, ...) that send in
+        // parallel with the primary. The primary tops them up and authorizes them on AtomicMultiSend,
+        // which needs a deployment with setOperator.
+        hotWallets: {
+            size: Number(process.env.HOT_WALLET_POOL_SIZE || 1), // 1 = primary account only
+            rebalanceIntervalMs: 5 * 60 * 1000,
+            // top an account up to this many requests' worth of each token...
+            targetRequests: 50,
+            // ...once it holds less than this many
+            minRequests: 10
+        },
+        // erc20 module token pairs, used to send native and IBC denoms to 0x recipients as ERC20s
+        tokenPairs: {
+            path: '/cosmos/evm/erc20/v1/token_pairs',
+            ttlMs: 10 * 60 * 1000 // refresh the cached pairs every 10 minutes
+        },
+        // Global caps on what the faucet gives away, in base units per denom
+        budgets: {
+            // total sent per denom in a rolling 24h, e.g. { uatom: "100000000000" }
+            daily: {},
+            // faucet wallet balance the faucet won't go below, e.g. { uatom: "10000000000" }
+            reserves: {},
+            // near a limit: "degrade" sends smaller amounts, "pause" only sends full amounts that still fit
+            mode: process.env.BUDGET_MODE || "degrade",
+            degradeThreshold: 0.8, // degrade once 80% of a budget is used, or the wallet is within 25% of its reserve
+            degradedFactor: 0.25, // degraded requests get a quarter of the usual amount
+            balanceTtlMs: 60 * 1000 // re-read the faucet wallet balances every minute
+        },
         limit: {
             // how many times each wallet address is allowed in a window(24h)
             address: 1,
@@ -94,7 +219,24 @@ config.blockchain.contracts.atomicMultiSend = faucetConfig.atomicMultiSend;
 
 // Secure key management functions
 export const initializeSecureKeys = async () => {
-    await secureKeyManager.initialize();
+    const senderOption = config.blockchain.sender.option;
+    await secureKeyManager.initialize({
+        hdPath: pathToString(senderOption.hdPaths[0]),
+        accountIndex: senderOption.accountIndex,
+        prefix: senderOption.prefix,
+        poolSize: config.blockchain.hotWallets.size
+    });
+
+    // The key must be the operator that owns the deployed contracts
+    if (faucetConfig.operator) {
+        try {
+            secureKeyManager.validateAddresses({ evm: faucetConfig.operator });
+        } catch (error) {
+            throw new Error(`${error.message}\nThe mnemonic, hdPaths and accountIndex must derive meta.faucet.operator from tokens.json`);
+        }
+    } else {
+        console.warn(' No meta.faucet.operator in tokens.json, skipping address validation');
+    }
     
     // Update config with derived addresses for caching
     const addresses = secureKeyManager.getAddresses();
@@ -108,6 +250,12 @@ export const getPrivateKey = () => secureKeyManager.getPrivateKeyHex();
 export const getPrivateKeyBytes = () => secureKeyManager.getPrivateKeyBytes();
 export const getPublicKeyBytes = () => secureKeyManager.getPublicKeyBytes();
 
+// Hot wallet pool accounts, primary first, and their keys by index
+export const getPoolAccounts = () => secureKeyManager.getAccounts();
+export const getAccountPrivateKey = (index) => secureKeyManager.getAccountPrivateKeyHex(index);
+export const getAccountPrivateKeyBytes = (index) => secureKeyManager.getAccountPrivateKeyBytes(index);
+export const getAccountPublicKeyBytes = (index) => secureKeyManager.getAccountPublicKeyBytes(index);
+
 // Address getters
 export const getEvmAddress = () => secureKeyManager.getEvmAddress();
 export const getCosmosAddress = () => secureKeyManager.getCosmosAddress();
@@ -7,34 +7,27 @@ import { dirname, join } from 'path'
 import path from 'path';
 import fs from 'fs';
 import fetch from 'node-fetch';
-import { Wallet, JsonRpcProvider, Contract, } from 'ethers'
+import { JsonRpcProvider, Contract, } from 'ethers'
 import { bech32 } from 'bech32';
 
-import { DirectSecp256k1Wallet, decodePubkey, makeAuthInfoBytes, makeSignDoc } from "@cosmjs/proto-signing";
-import { accountFromAny, SigningStargateClient } from "@cosmjs/stargate";
-import { pathToString } from '@cosmjs/crypto';
-import { toHex, toBase64, } from '@cosmjs/encoding';
+import { makeAuthInfoBytes, makeSignDoc } from "@cosmjs/proto-signing";
+import { toBase64, } from '@cosmjs/encoding';
 import { TxRaw, SignDoc, TxBody } from "cosmjs-types/cosmos/tx/v1beta1/tx.js";
 import { Any } from "cosmjs-types/google/protobuf/any.js";
-import { MsgSend } from "cosmjs-types/cosmos/bank/v1beta1/tx.js";
 import Long from "long";
 
-// Noble crypto imports for key derivation
+// Noble crypto imports for signing
 import { keccak_256 } from '@noble/hashes/sha3';
 import { secp256k1 } from '@noble/curves/secp256k1';
-import { mnemonicToSeedSync, validateMnemonic } from 'bip39';
-import { BIP32Factory } from 'bip32';
-import * as ecc from 'tiny-secp256k1';
 
 import conf, {
   initializeSecureKeys,
-  getPrivateKey,
-  getPrivateKeyBytes,
-  getPublicKeyBytes,
+  getPoolAccounts,
+  getAccountPrivateKey,
+  getAccountPrivateKeyBytes,
+  getAccountPublicKeyBytes,
   getEvmAddress,
-  getCosmosAddress,
-  getEvmPublicKey,
-  validateDerivedAddresses
+  getCosmosAddress
 } from './config.js'
 import logRotation from './src/logRotation.js'
 
@@ -45,8 +38,123 @@ const chainConf = conf.blockchain
 // Import checker and token allowance tracker
 import { FrequencyChecker } from './checker.js'
 import { TokenAllowanceTracker } from './tokenAllowance.js'
-const checker = new FrequencyChecker(conf)
-const allowanceTracker = new TokenAllowanceTracker(conf)
+import { createStore } from './src/storage/index.js'
+import { FaucetError, FaucetErrorCode } from './src/FaucetError.js'
+import WalletPool from './src/WalletPool.js'
+import CosmosSequenceManager from './src/CosmosSequenceManager.js'
+import RequestBatcher from './src/RequestBatcher.js'
+import EvmBatchSettler from './src/EvmBatchSettler.js'
+import { sumCoins, createBankMessage, scaleFee } from './src/CosmosBankMessages.js'
+import RequestTracker, { RequestState, streamRequestEvents } from './src/RequestTracker.js'
+import Erc20TokenPairResolver from './src/Erc20TokenPairResolver.js'
+import ClientIpResolver from './src/ClientIpResolver.js'
+import EligibilityEngine, { EligibilityReason, isErc20Token } from './src/EligibilityEngine.js'
+import DistributionBudget, { BudgetState } from './src/DistributionBudget.js'
+import ProofOfWork from './src/ProofOfWork.js'
+import RequestThrottle from './src/RequestThrottle.js'
+import { createCaptchaVerifier } from './src/captcha/index.js'
+import ApiKeyManager from './src/ApiKeyManager.js'
+import { createAdminRouter } from './src/AdminRouter.js'
+import AuditLog from './src/AuditLog.js'
+import Denylist, { DenylistType } from './src/Denylist.js'
+import { SweepDetector, createTransferSources, createDestinationClassifier } from './src/sweep/index.js'
+// Client IP behind the configured proxy, IPv6 grouped by prefix
+const clientIpResolver = new ClientIpResolver(conf.clientIp)
+// API keys replaced POW_BYPASS_KEYS; it is ignored, but say so loudly since CI clients relying on it now get challenged
+if (process.env.POW_BYPASS_KEYS) {
+  console.warn('  POW_BYPASS_KEYS is deprecated and ignored. Mint an API key for each CI client with POST /api/v1/admin/api-keys, send it as "Authorization: Bearer fk_...", and unset POW_BYPASS_KEYS')
+}
+// Anti-bot challenge for anonymous requests
+const proofOfWork = new ProofOfWork(conf.proofOfWork)
+// Keeps anonymous quote calls from turning into a flood of chain queries
+const quoteThrottle = new RequestThrottle(conf.quoteThrottle)
+// hCaptcha / Turnstile / stub verifier, null when no CAPTCHA is configured
+const captchaVerifier = createCaptchaVerifier(conf.captcha)
+
+// Rate limits and allowances share one durable store (SQLite unless configured otherwise)
+const limiterStore = createStore(conf)
+const checker = new FrequencyChecker(conf, limiterStore, { normalizeAddress: canonicalAccountAddress })
+const allowanceTracker = new TokenAllowanceTracker(conf, limiterStore, { normalizeAddress: canonicalAccountAddress })
+// Global daily budgets and treasury reserves (blockchain.budgets in config.js)
+const distributionBudget = new DistributionBudget(conf, limiterStore, { fetchBalances: fetchTreasuryBalances })
+// API keys with their own limits for CI and other trusted clients, hashed at rest
+const apiKeyManager = new ApiKeyManager(conf, limiterStore)
+// Trail of everything changed through /api/v1/admin
+const auditLog = new AuditLog(conf, limiterStore)
+// Addresses and IPs refused outright, filled by the sweep detector and by admins
+const denylist = new Denylist(conf, limiterStore, { normalizeAddress: canonicalAccountAddress })
+// Sweep detection, only built when enabled
+const sweepProvider = conf.sweepDetection?.enabled
+  ? new JsonRpcProvider(chainConf.endpoints.evm_endpoint, chainConf.ids.chainId, { staticNetwork: true })
+  : null
+const sweepDetector = sweepProvider ? new SweepDetector(conf, limiterStore, {
+  sources: createTransferSources(conf.sweepDetection, {
+    provider: sweepProvider,
+    restEndpoint: chainConf.endpoints.rest_endpoint
+  }),
+  classifier: createDestinationClassifier(conf.sweepDetection, {
+    provider: sweepProvider,
+    restEndpoint: chainConf.endpoints.rest_endpoint,
+    toCosmosAddress: hexToCosmosAddress
+  }),
+  denylist,
+  normalizeAddress: canonicalAccountAddress,
+  toCosmosAddress: hexToCosmosAddress
+}) : null
+
+// Hot wallets derived from the mnemonic (just the primary unless hotWallets.size > 1).
+// Each account sends EVM transactions through its own queue so nonces never collide
+const hotWalletConf = chainConf.hotWallets || {};
+const walletPool = new WalletPool({
+  rpcUrl: chainConf.endpoints.evm_endpoint,
+  getPrivateKey: getAccountPrivateKey,
+  targetRequests: hotWalletConf.targetRequests,
+  minRequests: hotWalletConf.minRequests,
+  rebalanceIntervalMs: hotWalletConf.rebalanceIntervalMs,
+  getTokens: () => chainConf.tx.amounts,
+  fetchBalances: fetchAccountBalances,
+  topUp: topUpHotWallet,
+  prepareAccount: prepareHotWallet
+})
+
+// Optional time-window batching of EVM recipients into batchAtomicMultiSend calls
+const evmBatchConf = chainConf.batching?.evm || {};
+const evmBatcher = evmBatchConf.enabled ? new RequestBatcher({
+  label: 'EVM BATCH',
+  windowMs: evmBatchConf.windowMs,
+  maxSize: evmBatchConf.maxSize,
+  onFlush: items => evmBatchSettler.settle(items)
+}) : null;
+
+// Optional time-window batching of bech32 recipients into one MsgMultiSend
+const cosmosBatchConf = chainConf.batching?.cosmos || {};
+const cosmosBatcher = cosmosBatchConf.enabled ? new RequestBatcher({
+  label: 'COSMOS BATCH',
+  windowMs: cosmosBatchConf.windowMs,
+  maxSize: cosmosBatchConf.maxSize,
+  onFlush: settleCosmosBatch
+}) : null;
+
+// Lifecycle records behind /api/v1/requests
+const requestTracker = new RequestTracker()
+
+// Account number / sequence cache for the faucet's Cosmos signer
+const cosmosSequenceManager = new CosmosSequenceManager({
+  restEndpoint: chainConf.endpoints.rest_endpoint
+})
+
+// ERC20 addresses of native/IBC denoms, so 0x recipients can receive them
+const tokenPairResolver = new Erc20TokenPairResolver({
+  restEndpoint: chainConf.endpoints.rest_endpoint,
+  path: chainConf.tokenPairs?.path,
+  ttlMs: chainConf.tokenPairs?.ttlMs
+})
+
+// Per-token recipient rules from tokens.json plus what each address type can hold
+const eligibilityEngine = new EligibilityEngine({
+  normalizeAddress: canonicalAccountAddress,
+  getTokenPairContract
+})
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = dirname(__filename)
@@ -156,6 +264,22 @@ const ERC20_APPROVAL_ABI = [
   "event Approval(address indexed owner, address indexed spender, uint256 value)"
 ];
 
+// Gas limit of one atomicMultiSend; a batch reserves this much per recipient
+const ATOMIC_SEND_GAS_LIMIT = 500000;
+
+const evmBatchSettler = new EvmBatchSettler({
+  gasPerRecipient: ATOMIC_SEND_GAS_LIMIT,
+  sendBatch: sendEvmBatch,
+  sendSingle: item => sendSmartEvmTx(item.recipientAddress, item.neededAmounts),
+  isFatal: FaucetError.isUpstreamUnavailable
+});
+
+// AtomicMultiSend operator allowlist, absent from deployments that predate the hot wallet pool
+const ATOMIC_MULTISEND_OPERATOR_ABI = [
+  "function operators(address) view returns (bool)",
+  "function setOperator(address operator, bool allowed)"
+];
+
 // Function to detect address type
 function detectAddressType(address) {
   if (!address) return 'unknown';
@@ -211,21 +335,32 @@ function cosmosAddressToHex(cosmosAddress) {
   }
 }
 
-// Function to check and approve token
-async function approveToken(tokenAddress, spenderAddress, amount) {
-  const ethProvider = new JsonRpcProvider(chainConf.endpoints.evm_endpoint);
-  const privateKey = getPrivateKey();
-  const wallet = new Wallet(privateKey, ethProvider);
+// One identity per account for limits and history: the bech32 and hex forms of the same
+// account bytes (in any casing) all map to the lowercase hex address
+function canonicalAccountAddress(address) {
+  const addressType = detectAddressType(address);
+  if (addressType === 'cosmos') {
+    return cosmosAddressToHex(address)?.toLowerCase() || address;
+  }
+  if (addressType === 'evm') {
+    return address.toLowerCase();
+  }
+  return address;
+}
 
+// Function to check and approve token, from one of the pool accounts
+async function approveToken(account, tokenAddress, spenderAddress, amount) {
   try {
-    const tokenContract = new Contract(tokenAddress, ERC20_APPROVAL_ABI, wallet);
+    const tokenContract = new Contract(tokenAddress, ERC20_APPROVAL_ABI, account.dispatcher.provider);
 
-    console.log(`Approving ${amount} tokens for ${spenderAddress} on token ${tokenAddress}`);
+    console.log(`Approving ${amount} tokens for ${spenderAddress} on token ${tokenAddress} from ${account.evmAddress}`);
 
-    const tx = await tokenContract.approve(spenderAddress, amount);
+    const { tx, wait } = await account.dispatcher.send(
+      await tokenContract.approve.populateTransaction(spenderAddress, amount)
+    );
     console.log(`Approval transaction sent: ${tx.hash}`);
 
-    await tx.wait();
+    await wait();
     console.log(`Approval confirmed!`);
 
     return true;
@@ -280,10 +415,8 @@ async function checkAllTokenApprovals() {
   const evmAddress = getEvmAddress();
   const results = [];
 
-  for (const token of chainConf.tx.amounts) {
-    if (token.erc20_contract &&
-        token.erc20_contract !== "0x0000000000000000000000000000000000000000" &&
-        token.erc20_contract !== "0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE") {
+  for (const token of chainConf.tx.amounts.map(withTokenPairContract)) {
+    if (isErc20Token(token)) {
 
       const allowanceInfo = await checkAllowance(
         token.erc20_contract,
@@ -302,8 +435,13 @@ async function checkAllTokenApprovals() {
   return results;
 }
 
+// Number of transfers an allowance should cover; a batch spends one transfer per recipient
+function approvalTransferCount(transfers, batches) {
+  return BigInt(Math.max(transfers, evmBatcher ? evmBatcher.maxSize * batches : 0));
+}
+
 // Setup token approvals
-async function setupTokenApprovals() {
+async function setupTokenApprovals(account = walletPool.primary) {
   console.log('\n Checking and setting up token approvals...');
 
   const atomicMultiSendAddress = chainConf.contracts.atomicMultiSend;
@@ -312,13 +450,11 @@ async function setupTokenApprovals() {
     return false;
   }
 
-  const evmAddress = getEvmAddress();
+  const evmAddress = account.evmAddress;
   let allApproved = true;
 
-  for (const token of chainConf.tx.amounts) {
-    if (token.erc20_contract &&
-        token.erc20_contract !== "0x0000000000000000000000000000000000000000" &&
-        token.erc20_contract !== "0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE") {
+  for (const token of chainConf.tx.amounts.map(withTokenPairContract)) {
+    if (isErc20Token(token)) {
 
       const allowanceInfo = await checkAllowance(
         token.erc20_contract,
@@ -326,18 +462,18 @@ async function setupTokenApprovals() {
         atomicMultiSendAddress
       );
 
-      // Calculate needed approval for 5 consecutive transfers
+      // Calculate needed approval for 5 consecutive transfers (or two full batches)
       const transferAmount = BigInt(token.amount || "0");
-      const neededApproval = transferAmount * 5n;
+      const neededApproval = transferAmount * approvalTransferCount(5, 2);
       const currentAllowance = BigInt(allowanceInfo.allowance || "0");
 
       if (currentAllowance < neededApproval) {
         console.log(`    Token ${token.denom} (${allowanceInfo.symbol}) needs approval`);
         console.log(`     Current allowance: ${currentAllowance}`);
-        console.log(`     Needed for 5 transfers: ${neededApproval}`);
+        console.log(`     Needed: ${neededApproval}`);
 
-        // Approve for 5 consecutive transfers
         const approved = await approveToken(
+          account,
           token.erc20_contract,
           atomicMultiSendAddress,
           neededApproval.toString()
@@ -390,17 +526,17 @@ async function checkAndReportApprovals() {
   }
 }
 
-async function checkAndTopUpApprovals() {
+// Returns whether every allowance is sufficient afterwards
+async function checkAndTopUpApprovals(account = walletPool.primary) {
   const atomicMultiSendAddress = chainConf.contracts.atomicMultiSend;
-  if (!atomicMultiSendAddress) return;
+  if (!atomicMultiSendAddress) return false;
 
-  const evmAddress = getEvmAddress();
+  const evmAddress = account.evmAddress;
   let needsTopUp = false;
+  let allApproved = true;
 
-  for (const token of chainConf.tx.amounts) {
-    if (token.erc20_contract &&
-        token.erc20_contract !== "0x0000000000000000000000000000000000000000" &&
-        token.erc20_contract !== "0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE") {
+  for (const token of chainConf.tx.amounts.map(withTokenPairContract)) {
+    if (isErc20Token(token)) {
 
       const allowanceInfo = await checkAllowance(
         token.erc20_contract,
@@ -410,8 +546,8 @@ async function checkAndTopUpApprovals() {
 
       // Calculate needed approval for 5 consecutive transfers
       const transferAmount = BigInt(token.amount || "0");
-      const minimumNeeded = transferAmount * 2n; // Top up when below 2 transfers worth
-      const targetApproval = transferAmount * 5n; // Approve for 5 transfers
+      const minimumNeeded = transferAmount * approvalTransferCount(2, 1); // Top up when below 2 transfers (or one batch) worth
+      const targetApproval = transferAmount * approvalTransferCount(5, 2); // Approve for 5 transfers (or two batches)
       const currentAllowance = BigInt(allowanceInfo.allowance || "0");
 
       if (currentAllowance < minimumNeeded) {
@@ -420,6 +556,7 @@ async function checkAndTopUpApprovals() {
         console.log(`     Current: ${currentAllowance}, Minimum: ${minimumNeeded}`);
 
         const approved = await approveToken(
+          account,
           token.erc20_contract,
           atomicMultiSendAddress,
           targetApproval.toString()
@@ -429,14 +566,16 @@ async function checkAndTopUpApprovals() {
           console.log(`   Topped up ${token.denom} approval to ${targetApproval}`);
         } else {
           console.log(`   Failed to top up ${token.denom} approval`);
+          allApproved = false;
         }
       }
     }
   }
 
   if (!needsTopUp) {
-    console.log('  All token approvals sufficient');
+    console.log(`  All token approvals sufficient for ${evmAddress}`);
   }
+  return allApproved;
 }
 
 function stopApprovalMonitoring() {
@@ -446,58 +585,100 @@ function stopApprovalMonitoring() {
   }
 }
 
+// Move topUps ([{ token, amount }]) from the primary to a pool account: bank denoms in one
+// MsgSend, ERC20 contracts with a transfer each
+async function topUpHotWallet(primary, account, topUps) {
+  const coins = toCosmosCoins(topUps
+    .filter(({ token }) => !isErc20Token(token))
+    .map(({ token, amount }) => ({ denom: token.denom, amount: amount.toString() })));
+
+  if (coins.length > 0) {
+    const result = await sendCosmosOutputs([{ address: account.cosmosAddress, coins }], primary);
+    console.log(` Topped up hot wallet ${account.cosmosAddress} with ${coins.map(coin => `${coin.amount}${coin.denom}`).join(', ')}: ${result.hash}`);
+  }
+
+  for (const { token, amount } of topUps.filter(({ token }) => isErc20Token(token))) {
+    const tokenContract = new Contract(token.erc20_contract, ERC20_BASE_ABI, primary.dispatcher.provider);
+    const { tx, wait } = await primary.dispatcher.send(
+      await tokenContract.transfer.populateTransaction(account.evmAddress, amount)
+    );
+    await wait();
+    console.log(` Topped up hot wallet ${account.evmAddress} with ${amount} ${token.denom}: ${tx.hash}`);
+  }
+}
+
+// Authorize a pool account as an AtomicMultiSend operator and keep its allowances topped up.
+// Returns whether it can send through the contract; deployments without setOperator can't
+async function prepareHotWallet(account) {
+  const atomicMultiSendAddress = chainConf.contracts.atomicMultiSend;
+  if (!atomicMultiSendAddress) return false;
+
+  const primary = walletPool.primary;
+  const atomicContract = new Contract(atomicMultiSendAddress, ATOMIC_MULTISEND_OPERATOR_ABI, primary.dispatcher.provider);
+
+  let isOperator;
+  try {
+    isOperator = await atomicContract.operators(account.evmAddress);
+  } catch (error) {
+    if (error.code === 'BAD_DATA' || error.code === 'CALL_EXCEPTION') {
+      console.warn(`  AtomicMultiSend at ${atomicMultiSendAddress} has no operators; redeploy it to send multiple tokens from hot wallets`);
+      return false;
+    }
+    throw error;
+  }
+
+  if (!isOperator) {
+    const { tx, wait } = await primary.dispatcher.send(
+      await atomicContract.setOperator.populateTransaction(account.evmAddress, true)
+    );
+    await wait();
+    console.log(` Authorized hot wallet ${account.evmAddress} on AtomicMultiSend: ${tx.hash}`);
+  }
+
+  return checkAndTopUpApprovals(account);
+}
+
 // Graceful shutdown
 process.on('SIGINT', () => {
   console.log('\n Shutting down faucet...');
   stopApprovalMonitoring();
+  walletPool.stop();
   logRotation.stopAll();
+  limiterStore.close();
   process.exit(0);
 });
 
 process.on('SIGTERM', () => {
   console.log('\n Shutting down faucet...');
   stopApprovalMonitoring();
+  walletPool.stop();
   logRotation.stopAll();
+  limiterStore.close();
   process.exit(0);
 });
 
 // Update how we create Cosmos transactions
-async function createCosmosTransaction(fromAddress, toAddress, amounts, sequence, accountNumber, chainId) {
+// outputs: [{ address, coins }]; a single output is a MsgSend, several become one MsgMultiSend
+async function createCosmosTransaction(account, outputs, sequence, accountNumber, chainId) {
+  const fromAddress = account.cosmosAddress;
   try {
-    const messages = [];
-
-    // Create a single MsgSend with all amounts
-    const msg = {
-      typeUrl: "/cosmos.bank.v1beta1.MsgSend",
-      value: MsgSend.fromPartial({
-        fromAddress: fromAddress,
-        toAddress: toAddress,
-        amount: amounts
-      })
-    };
-    messages.push(msg);
+    const messages = [createBankMessage(fromAddress, outputs)];
 
     // Create the transaction body
     const txBody = TxBody.fromPartial({
-      messages: messages.map(msg => Any.fromPartial({
-        typeUrl: msg.typeUrl,
-        value: MsgSend.encode(msg.value).finish()
-      })),
+      messages: messages.map(msg => Any.fromPartial(msg)),
       memo: ""
     });
 
-    // Get fee configuration
-    const feeAmount = [{
-      denom: chainConf.tx.fee.cosmos.amount[0].denom,
-      amount: chainConf.tx.fee.cosmos.amount[0].amount
-    }];
+    // Get fee configuration, scaled up for every additional batched recipient
+    const { gas, amount: feeAmount } = scaleFee(chainConf.tx.fee.cosmos, outputs.length, cosmosBatchConf.gasPerRecipient || 0);
 
-    const gasLimit = Long.fromString(chainConf.tx.fee.cosmos.gas);
+    const gasLimit = Long.fromString(gas.toString());
 
     // Create auth info
     // For eth_secp256k1, we need to properly encode the pubkey
     // The pubkey value should be the protobuf-encoded PubKey message
-    const pubkeyBytes = getPublicKeyBytes();
+    const pubkeyBytes = getAccountPublicKeyBytes(account.index);
     console.log('Our pubkey (hex):', pubkeyBytes.toString('hex'));
     console.log('Our pubkey (base64):', toBase64(pubkeyBytes));
 
@@ -541,78 +722,6 @@ async function createCosmosTransaction(fromAddress, toAddress, amounts, sequence
   }
 }
 
-async function getAccountInfo(address) {
-  try {
-    const restEndpoint = chainConf.endpoints.rest_endpoint;
-    const response = await fetch(`${restEndpoint}/cosmos/auth/v1beta1/accounts/${address}`);
-
-    if (!response.ok) {
-      if (response.status === 404) {
-        // Account doesn't exist yet, return defaults
-        console.log('Account not found, using default values');
-        return {
-          accountNumber: 0,
-          sequence: 0
-        };
-      }
-      throw new Error(`Failed to get account info: ${response.statusText}`);
-    }
-
-    const data = await response.json();
-
-    // Handle different account types
-    if (data.account && data.account['@type']) {
-      // For eth_secp256k1 accounts, extract the base account info
-      let accountInfo;
-
-      if (data.account['@type'].includes('EthAccount')) {
-        // EthAccount type
-        accountInfo = {
-          accountNumber: parseInt(data.account.base_account?.account_number || '0'),
-          sequence: parseInt(data.account.base_account?.sequence || '0')
-        };
-      } else if (data.account['@type'].includes('BaseAccount')) {
-        // BaseAccount - parse directly
-        accountInfo = {
-          accountNumber: parseInt(data.account.account_number || '0'),
-          sequence: parseInt(data.account.sequence || '0')
-        };
-      } else {
-        // Try standard parsing
-        try {
-          const account = accountFromAny(data.account);
-          accountInfo = {
-            accountNumber: account.accountNumber,
-            sequence: account.sequence
-          };
-        } catch (e) {
-          // Fallback to manual parsing
-          accountInfo = {
-            accountNumber: parseInt(data.account.account_number || data.account.base_account?.account_number || '0'),
-            sequence: parseInt(data.account.sequence || data.account.base_account?.sequence || '0')
-          };
-        }
-      }
-
-      console.log('Account info parsed:', accountInfo);
-      return accountInfo;
-    }
-
-    // Default if no account data
-    return {
-      accountNumber: 0,
-      sequence: 0
-    };
-  } catch (error) {
-    console.error('Error getting account info:', error);
-    // Return default values for new accounts
-    return {
-      accountNumber: 0,
-      sequence: 0
-    };
-  }
-}
-
 // Root route is now handled by static file serving in both dev and production
 
 // Config endpoint for web app
@@ -641,8 +750,11 @@ app.get('/config.json', (req, res) => {
       display_denom: token.display_denom || token.denom,
       description: token.description,
       type: token.type || 'token',
-      contract: token.erc20_contract
+      contract: token.erc20_contract,
+      evm_token_pair: getTokenPairContract(token),
+      address_types: token.eligibility?.address_types || null
     })),
+    captcha: captchaVerifier ? captchaVerifier.getPublicConfig() : { provider: 'none' },
     sample: {
       cosmos: 'cosmos1qqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqnrql8a',
       evm: '0x0000000000000000000000000000000000000001'
@@ -653,6 +765,8 @@ app.get('/config.json', (req, res) => {
         cosmos: getCosmosAddress(),
         evm: getEvmAddress()
       },
+      // Every account the faucet sends from, with its last known balances
+      hotWallets: walletPool.getAccountsInfo(),
       evm: {
         chainId: chainConf.ids.chainId,
         chainIdHex: '0x' + chainConf.ids.chainId.toString(16),
@@ -733,13 +847,13 @@ app.get('/balance/:type', async (req, res) => {
         }
       }
 
-      for (const token of chainConf.tx.amounts) {
+      for (const token of chainConf.tx.amounts.map(withTokenPairContract)) {
         if (token.type === 'native' || token.denom === 'uatom') {
           // Skip native tokens as we already handled WATOM above
           continue;
         }
 
-        if(token.erc20_contract && token.erc20_contract !== "0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE" && token.erc20_contract !== "0x0000000000000000000000000000000000000000") {
+        if(isErc20Token(token)) {
           try {
             const tokenContract = new Contract(token.erc20_contract, erc20ABI, ethProvider);
             const balance = await tokenContract.balanceOf(targetAddress);
@@ -766,7 +880,7 @@ app.get('/balance/:type', async (req, res) => {
     } else if(type === 'cosmos') {
       // Determine which address to check - query parameter or faucet wallet
       let targetAddress;
-      if (address && address.startsWith('cosmos')) {
+      if (address && address.startsWith(chainConf.sender.option.prefix)) {
         targetAddress = address;
       } else {
         targetAddress = getCosmosAddress();
@@ -800,9 +914,7 @@ app.get('/balance/:type', async (req, res) => {
           // Return balances with target amounts for proper status calculation
           for (const token of chainConf.tx.amounts) {
             // Skip ERC20 tokens for Cosmos addresses
-            if (token.erc20_contract &&
-                token.erc20_contract !== "0x0000000000000000000000000000000000000000" &&
-                token.erc20_contract !== "0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE") {
+            if (isErc20Token(token)) {
               continue;
             }
             
@@ -834,414 +946,1241 @@ app.get('/balance/:type', async (req, res) => {
   res.send({ balances, type });
 })
 
-app.get('/send/:address', async (req, res) => {
-  const { address } = req.params;
-  const ip = req.headers['cf-connecting-ip'] || req.headers['x-real-ip'] || req.headers['X-Forwarded-For'] || req.ip
-  console.log(`[FAUCET] Token request - Address: ${address}, IP: ${ip}`)
+// Client IP as seen by the faucet
+function getClientIp(req) {
+  return clientIpResolver.resolve(req)
+}
 
-  if (address) {
-    try {
-      const addressType = detectAddressType(address);
+// Token from "Authorization: Bearer <token>", or null
+function getBearerToken(req) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '');
+  return match ? match[1].trim() : null;
+}
 
-      if (addressType === 'unknown') {
-        res.send({ result: `Address [${address}] is not supported. Must be a valid cosmos address (${conf.blockchain.sender.option.prefix}...) or hex address (0x...)` })
-        return;
-      }
+// API key record for the request, or null when it is anonymous. A key that is sent but
+// unknown, expired or revoked is rejected instead of falling back to anonymous limits.
+function authenticateApiKey(req) {
+  const key = getBearerToken(req);
+  if (!key) {
+    return null;
+  }
 
-      const chainConf = conf.blockchain
+  const apiKey = apiKeyManager.authenticate(key);
+  if (!apiKey) {
+    throw new FaucetError(FaucetErrorCode.UNAUTHORIZED, 'Invalid, expired or revoked API key');
+  }
+  return apiKey;
+}
 
-      if( await checker.checkAddress(address, 'dual') && await checker.checkIp(`dual${ip}`, 'dual') ) {
-        console.log('Processing smart faucet request for', address, 'type:', addressType)
+// Anonymous requests need a solved challenge { token, solution } before they are queued;
+// API key requests skip it
+function requireProofOfWork(apiKey, pow) {
+  if (!proofOfWork.enabled || apiKey) {
+    return;
+  }
 
-        // Check token allowances
-        const requestedTokens = new Map();
-        for (const token of chainConf.tx.amounts) {
-          requestedTokens.set(token.denom, token.amount);
-        }
+  const result = proofOfWork.verify(pow?.token, pow?.solution);
+  if (!result.valid) {
+    throw new FaucetError(FaucetErrorCode.PROOF_OF_WORK_FAILED, result.message, { reason: result.reason });
+  }
+}
 
-        const allowanceCheck = await allowanceTracker.checkAllowance(address, requestedTokens);
-        if (!allowanceCheck.allowed) {
-          console.log(`Token allowance exceeded for ${address}`);
-          const remainingTime = await allowanceTracker.getRemainingResetTime(address);
-          const formattedTime = allowanceTracker.formatRemainingTime(remainingTime);
-
-          // Build available amounts message
-          const availableMsg = [];
-          for (const [denom, amount] of allowanceCheck.available.entries()) {
-            if (amount > 0n) {
-              const token = chainConf.tx.amounts.find(t => t.denom === denom);
-              const decimals = token?.decimals || 0;
-              const formattedAmount = (Number(amount) / Math.pow(10, decimals)).toFixed(decimals);
-              availableMsg.push(`${formattedAmount} ${denom.toUpperCase()}`);
-            }
-          }
+// Check the CAPTCHA widget token with the provider before any balance checks; API key requests skip it
+async function requireCaptcha(req, apiKey, token) {
+  if (!captchaVerifier || apiKey) {
+    return;
+  }
+  if (typeof token !== 'string' || !token) {
+    throw new FaucetError(FaucetErrorCode.CAPTCHA_FAILED, 'CAPTCHA is required', { errors: ['missing-input-response'] });
+  }
 
-          res.send({
-            result: `Daily token allowance exceeded. ${availableMsg.length > 0 ? `Available: ${availableMsg.join(', ')}. ` : ''}Reset in ${formattedTime}.`,
-            error: 'allowance_exceeded',
-            remainingTime,
-            available: Object.fromEntries(allowanceCheck.available)
-          });
-          return;
-        }
+  let result;
+  try {
+    result = await captchaVerifier.verify(token, clientIpResolver.resolveAddress(req));
+  } catch (error) {
+    throw new FaucetError(FaucetErrorCode.UPSTREAM_UNAVAILABLE, `CAPTCHA verification unavailable: ${error.message}`);
+  }
+  if (!result.success) {
+    throw new FaucetError(FaucetErrorCode.CAPTCHA_FAILED, 'CAPTCHA verification failed, please try again', { errors: result.errors });
+  }
+}
 
-        let txResult = null;
-        try {
-          // Step 1: Check current balances
-          const currentBalances = await checkRecipientBalances(address, addressType);
-          console.log('Current balances:', currentBalances);
-
-          // Step 2: Calculate needed amounts
-          let neededAmounts;
-          if (TESTING_MODE) {
-            // In testing mode, always send 1 of each token
-            neededAmounts = getTestingModeAmounts(chainConf.tx.amounts);
-            console.log('Testing mode: sending 1 of each token');
-          } else {
-            // Normal mode: calculate based on target balance
-            neededAmounts = calculateNeededAmounts(currentBalances, chainConf.tx.amounts);
-
-            // For Cosmos addresses, only keep native tokens
-            if (addressType === 'cosmos') {
-              neededAmounts = neededAmounts.filter(token =>
-                token.denom === 'uatom' ||
-                !token.erc20_contract ||
-                token.erc20_contract === '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE'
-              );
-              console.log('Filtered for Cosmos address - only native tokens');
-            }
+// Configured tokens an API key may request; every token for anonymous requests
+function getAllowedTokens(apiKey = null) {
+  const configured = chainConf.tx.amounts;
+  return apiKey?.tokens ? configured.filter(token => apiKey.tokens.includes(token.denom)) : configured;
+}
 
-            // For EVM addresses, add WATOM metadata
-            if (addressType === 'evm') {
-              neededAmounts = neededAmounts.map(token => {
-                if (token.denom === 'uatom' && (token.erc20_contract === '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE')) {
-                  // The amount is already in WATOM (18 decimals) from the balance check
-                  // Just add the WATOM metadata
-                  return {
-                    ...token,
-                    symbol: 'WATOM',
-                    name: 'Wrapped ATOM'
-                  };
-                }
-                return token;
-              });
-            }
+// Resolve an optional list of token symbols/denoms against the configured tokens
+function resolveRequestedTokens(tokens, apiKey = null) {
+  const configured = chainConf.tx.amounts;
+  const allowed = getAllowedTokens(apiKey);
+  if (tokens === undefined || tokens === null) {
+    return allowed;
+  }
 
-            console.log('Needed amounts:', neededAmounts);
+  if (!Array.isArray(tokens) || tokens.length === 0 || tokens.some(t => typeof t !== 'string' || !t)) {
+    throw new FaucetError(FaucetErrorCode.INVALID_REQUEST, 'tokens must be a non-empty array of token symbols or denoms');
+  }
 
-      // Filter out IBC tokens without contracts for EVM addresses
-      if (addressType === 'evm') {
-        neededAmounts = neededAmounts.filter(token => {
-          // Keep tokens that have a valid contract address (including native placeholder)
-          return token.erc20_contract && token.erc20_contract !== null;
-        });
-        console.log('Filtered needed amounts (removed IBC without contracts):', neededAmounts);
-      }
-          }
+  const selected = [];
+  const unknown = [];
+  for (const requested of tokens) {
+    const key = requested.trim().toLowerCase();
+    const token = configured.find(t => t.denom.toLowerCase() === key || t.symbol?.toLowerCase() === key);
+    if (!token) {
+      unknown.push(requested);
+    } else if (!selected.includes(token)) {
+      selected.push(token);
+    }
+  }
 
-          // Step 3: Check if any tokens are needed
-          if (neededAmounts.length === 0) {
-            console.log(`\nNo tokens needed for ${addressType} address`);
-            console.log(`Current balances meet all target amounts for eligible tokens`);
-
-            // Build detailed token status for eligible tokens only
-            const eligibleTokens = chainConf.tx.amounts
-              .filter(token => {
-                // Filter tokens based on address type (same logic as above)
-                if (addressType === 'cosmos') {
-                  return token.denom === 'uatom' ||
-                    !token.erc20_contract ||
-                    token.erc20_contract === '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE';
-                }
-                // For EVM, filter out IBC tokens without contracts
-                if (addressType === 'evm') {
-                  return token.erc20_contract && token.erc20_contract !== null;
-                }
-                return true;
-              });
-
-            const tokenStatus = eligibleTokens
-              .map(token => {
-                const balance = currentBalances.find(b => b.denom === token.denom);
-                const displaySymbol = (addressType === 'evm' && token.denom === 'uatom') ? 'WATOM' : token.symbol;
-                return {
-                  symbol: displaySymbol,
-                  name: token.name,
-                  status: 'already_funded',
-                  current_balance: balance?.current_amount || '0',
-                  target_balance: balance?.target_amount || token.target_balance,
-                  decimals: balance?.decimals || token.decimals
-                };
-              });
-
-            // Count ineligible tokens for the address type
-            const ineligibleTokens = chainConf.tx.amounts.filter(token => {
-              if (addressType === 'cosmos') {
-                // ERC20 tokens are ineligible for Cosmos addresses
-                return token.erc20_contract && 
-                       token.erc20_contract !== '0x0000000000000000000000000000000000000000' &&
-                       token.erc20_contract !== '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE';
-              } else if (addressType === 'evm') {
-                // IBC tokens without contracts are ineligible for EVM addresses
-                return !token.erc20_contract || token.erc20_contract === null;
-              }
-              return false;
-            });
+  if (unknown.length > 0) {
+    throw new FaucetError(FaucetErrorCode.UNKNOWN_TOKEN, `Unknown token(s): ${unknown.join(', ')}`, {
+      unknown_tokens: unknown,
+      available_tokens: configured.map(t => t.symbol || t.denom)
+    });
+  }
 
-            let message = "Wallet already has sufficient balance for all eligible tokens.";
-            if (addressType === 'cosmos' && ineligibleTokens.length > 0) {
-              const erc20Names = ineligibleTokens.map(t => t.symbol).join(', ');
-              message = `Wallet already has sufficient balance for all eligible native tokens. Note: ERC20 tokens (${erc20Names}) are only available to EVM addresses.`;
-            }
+  const notAllowed = selected.filter(token => !allowed.includes(token));
+  if (notAllowed.length > 0) {
+    throw new FaucetError(
+      FaucetErrorCode.FORBIDDEN,
+      `Token(s) not allowed for this API key: ${notAllowed.map(t => t.symbol || t.denom).join(', ')}`,
+      { allowed_tokens: allowed.map(t => t.symbol || t.denom) }
+    );
+  }
 
-            const response = {
-              result: {
-                code: 0,
-                status: 'no_tokens_sent',
-                message: message,
-                address_type: addressType,
-                eligible_token_count: eligibleTokens.length,
-                ineligible_token_count: ineligibleTokens.length,
-                token_status: tokenStatus,
-                current_balances: currentBalances,
-                tokens_sent: [],
-                tokens_not_sent: tokenStatus,
-                ineligible_tokens: ineligibleTokens.map(t => ({
-                  symbol: t.symbol,
-                  name: t.name,
-                  reason: addressType === 'cosmos' ? 'ERC20 tokens require EVM address' : 'IBC token not available on EVM'
-                })),
-                target_balances: eligibleTokens.map(token => ({
-                  denom: token.denom,
-                  symbol: token.symbol,
-                  target: token.target_balance,
-                  decimals: token.decimals
-                }))
-              }
-            };
-
-            res.send(response);
-            return;
-          }
+  return selected;
+}
 
-          // Step 3.5: Ensure token approvals before sending
-          console.log('Checking token approvals...');
+// Whether a token can go to a recipient ({ address, addressType, deliverErc20 }, e.g. a validated
+// target). Without balances only the address rules apply; with them the balance bounds do too.
+function isTokenEligible(token, recipient, currentBalances = null) {
+  return checkTokenEligibility(token, recipient, currentBalances).eligible;
+}
 
-          // Step 4: Send tokens
-          txResult = await sendSmartFaucetTx(address, addressType, neededAmounts);
+function checkTokenEligibility(token, recipient, currentBalances = null) {
+  let balance;
+  if (currentBalances && eligibilityEngine.hasBalanceRules(token)) {
+    const entry = currentBalances.find(b => b.denom === token.denom);
+    balance = { amount: entry?.current_amount || '0', decimals: entry?.decimals ?? token.decimals };
+  }
+  return eligibilityEngine.check(token, recipient, balance);
+}
 
-          // Step 5: Build response
-          // Identify which tokens were not sent (already funded)
-          const eligibleTokens = chainConf.tx.amounts.filter(token => {
-            if (addressType === 'cosmos') {
-              return token.denom === 'uatom' ||
-                !token.erc20_contract ||
-                token.erc20_contract === '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE';
-            }
-            // For EVM, filter out IBC tokens without contracts
-            if (addressType === 'evm') {
-              return token.erc20_contract && token.erc20_contract !== null;
-            }
-            return true;
-          });
+// Requested tokens the recipient can't get, with the engine's machine-readable reason
+function getIneligibleTokens(target, currentBalances = null) {
+  const results = [];
+  for (const token of target.tokenConfigs) {
+    const result = checkTokenEligibility(token, target, currentBalances);
+    if (!result.eligible) {
+      results.push({
+        denom: token.denom,
+        symbol: displaySymbol(token, target.addressType),
+        name: token.name,
+        reason: result.reason,
+        message: result.message
+      });
+    }
+  }
+  return results;
+}
 
-          const tokensSent = neededAmounts.map(amount => {
-            const token = chainConf.tx.amounts.find(t => t.denom === amount.denom);
-            const displaySymbol = (amount.symbol === 'WATOM') ? 'WATOM' : token?.symbol || amount.denom;
-            return {
-              denom: amount.denom,
-              symbol: displaySymbol,
-              name: amount.name || token?.name,
-              amount: amount.amount,
-              decimals: amount.decimals,
-              type: amount.type || (amount.erc20_contract ? 'erc20' : 'native'),
-              status: 'sent'
-            };
-          });
+// EVM recipients see native ATOM as WATOM
+function displaySymbol(token, addressType) {
+  return (addressType === 'evm' && token.denom === 'uatom') ? 'WATOM' : token.symbol;
+}
 
-          const tokensNotSent = eligibleTokens
-            .filter(token => !neededAmounts.find(n => n.denom === token.denom))
-            .map(token => {
-              const balance = currentBalances.find(b => b.denom === token.denom);
-              const displaySymbol = (addressType === 'evm' && token.denom === 'uatom') ? 'WATOM' : token.symbol;
-              return {
-                denom: token.denom,
-                symbol: displaySymbol,
-                name: token.name,
-                status: 'already_funded',
-                current_balance: balance?.current_amount || '0',
-                target_balance: balance?.target_amount || token.target_balance,
-                decimals: balance?.decimals || token.decimals
-              };
-            });
+// ERC20 address the erc20 module registered for a native or IBC denom without its own contract
+function getTokenPairContract(token) {
+  if (token.erc20_contract) {
+    return null;
+  }
+  return tokenPairResolver.get(token.denom);
+}
 
-          const response = {
-            result: {
-              code: 0,
-              status: neededAmounts.length > 0 ? 'partial_success' : 'no_tokens_sent',
-              message: tokensNotSent.length > 0
-                ? `Sent ${tokensSent.length} token(s). ${tokensNotSent.length} token(s) already had sufficient balance.`
-                : "Tokens sent successfully!",
-              ...txResult,
-              current_balances: currentBalances,
-              tokens_sent: tokensSent,
-              tokens_not_sent: tokensNotSent,
-              testing_mode: TESTING_MODE
-            }
-          };
+// The token as the EVM side sees it, with its token pair standing in as erc20_contract
+function withTokenPairContract(token) {
+  const pairContract = getTokenPairContract(token);
+  return pairContract ? { ...token, erc20_contract: pairContract, token_pair: true } : token;
+}
 
-          // Update token allowances for successful transactions
-          if (tokensSent.length > 0) {
-            const distributedTokens = new Map();
-            for (const token of tokensSent) {
-              distributedTokens.set(token.denom, token.amount);
-            }
-            await allowanceTracker.updateAllowance(address, distributedTokens);
-          }
+// Reject unsupported addresses and unknown tokens before any limits are consulted
+function validateFaucetTarget(address, tokens, deliverErc20 = false, apiKey = null) {
+  const addressType = detectAddressType(address);
 
-          res.send(response);
-
-        } catch (error) {
-          console.error('Smart faucet error:', error);
-
-          // Check if txResult contains transaction details even though it failed
-          let failedTxDetails = {};
-          if (txResult && txResult.hash) {
-            failedTxDetails = {
-              transaction_hash: txResult.hash,
-              network_type: txResult.network_type || 'evm',
-              explorer_url: txResult.explorer_url || `${chainConf.endpoints.evm_explorer}/tx/${txResult.hash}`,
-              gas_used: txResult.gas_used || '0',
-              status: 0, // Failed
-              error_details: txResult.error || txResult.revertReason || error.message,
-              current_balances: currentBalances,
-              tokens_attempted: neededAmounts.map(amount => ({
-                denom: amount.denom,
-                amount: amount.amount,
-                decimals: amount.decimals,
-                type: amount.type || (amount.erc20_contract ? 'erc20' : 'native')
-              }))
-            };
-          }
+  if (addressType === 'unknown') {
+    throw new FaucetError(
+      FaucetErrorCode.INVALID_ADDRESS,
+      `Address [${address}] is not supported. Must be a valid cosmos address (${conf.blockchain.sender.option.prefix}...) or hex address (0x...)`
+    );
+  }
 
-          res.send({
-            result: {
-              code: -1,
-              message: error.message || 'Transaction failed',
-              error: error.toString(),
-              ...failedTxDetails
-            }
-          });
-        }
-      } else {
-        const addressLimitMsg = !await checker.checkAddress(address, 'dual', false)
-          ? `Address ${address} has reached the daily limit (${chainConf.limit.address} request per 24h).`
-          : '';
-        const ipLimitMsg = !await checker.checkIp(`dual${ip}`, 'dual', false)
-          ? `IP ${ip} has reached the daily limit (${chainConf.limit.ip} requests per 24h).`
-          : '';
-
-        res.send({
-          result: {
-            code: -2,
-            message: 'Rate limit exceeded',
-            details: [addressLimitMsg, ipLimitMsg].filter(msg => msg).join(' ')
-          }
-        });
-      }
+  // Only meaningful for bech32 recipients; hex recipients get ERC20s anyway
+  deliverErc20 = Boolean(deliverErc20) && addressType === 'cosmos';
+  if (deliverErc20 && bech32.fromWords(bech32.decode(address).words).length !== 20) {
+    throw new FaucetError(
+      FaucetErrorCode.INVALID_REQUEST,
+      `Address [${address}] has no EVM equivalent, ERC20 delivery needs a 20-byte account address`
+    );
+  }
 
-    } catch (ex) {
-      console.error('Transaction error:', ex);
-      res.send({
-        result: {
-          code: -1,
-          message: ex.message || 'Transaction failed',
-          error: ex.toString()
-        }
-      });
-    }
-  } else {
-    res.send({ result: 'Address is required!' })
+  const tokenConfigs = resolveRequestedTokens(tokens, apiKey);
+  const target = { address, addressType, tokenConfigs, deliverErc20, apiKey };
+
+  // An explicit subset has to contain something this address can actually receive
+  if (tokens !== undefined && tokens !== null && !tokenConfigs.some(token => isTokenEligible(token, target))) {
+    throw new FaucetError(
+      FaucetErrorCode.INVALID_REQUEST,
+      `None of the requested tokens can be sent to this ${addressType} address`,
+      { ineligible_tokens: getIneligibleTokens(target) }
+    );
   }
-})
 
-// Test endpoint
-app.get('/test', (req, res) => {
-  res.send({
-    status: 'ok',
-    evmAddress: getEvmAddress(),
-    cosmosAddress: getCosmosAddress()
-  });
-});
+  return target;
+}
 
-// Health check endpoint for monitoring
-app.get('/health', (req, res) => {
-  res.status(200).json({
-    status: 'healthy',
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime()
-  });
-});
+// Eligible tokens the caller left out of an explicit subset
+function getNotRequestedTokens(target) {
+  return getAllowedTokens(target.apiKey)
+    .filter(token => !target.tokenConfigs.includes(token) && isTokenEligible(token, target))
+    .map(token => ({
+      denom: token.denom,
+      symbol: displaySymbol(token, target.addressType),
+      name: token.name,
+      status: 'not_requested'
+    }));
+}
 
-// Add approval check endpoint
-app.get('/api/approvals', async (req, res) => {
-  try {
-    const approvals = await checkAllTokenApprovals();
-    res.json({
-      success: true,
-      faucet_address: getEvmAddress(),
-      spender_address: chainConf.contracts.atomicMultiSend,
-      approvals: approvals
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+// Rate limit and allowance checks; throws RATE_LIMITED, or ALLOWANCE_EXCEEDED when every
+// requested token is still limited. Tokens only some of which are limited come back in
+// tokensOnCooldown and are left out of the request.
+// Read-only by default. With reserve, a rate limit slot and the allowance are held without
+// yielding in between and returned for commitFaucetQuota / releaseFaucetQuota.
+// API key requests use the key's limits, and count per IP in a bucket of their own.
+async function checkFaucetLimits(target, ip, { reserve = false } = {}) {
+  const { address, apiKey } = target;
+  const limits = apiKey ? apiKey.limits : chainConf.limit;
+  const ipKey = apiKey ? `key${apiKey.id}_${ip}` : `dual${ip}`;
+  let addressLimited;
+  let ipLimited;
+  let rateLimitReservation = null;
+  if (reserve) {
+    const held = checker.reserve(address, ipKey, 'dual', limits);
+    addressLimited = !held.addressAllowed;
+    ipLimited = !held.ipAllowed;
+    rateLimitReservation = held.reservation;
+  } else {
+    addressLimited = !await checker.checkAddress(address, 'dual', limits.address);
+    ipLimited = !await checker.checkIp(ipKey, 'dual', limits.ip);
   }
-});
 
-// Helper function for testing mode
-function getTestingModeAmounts(configAmounts) {
-  const testAmounts = [];
+  if (addressLimited || ipLimited) {
+    const addressLimitMsg = addressLimited
+      ? `Address ${address} has reached the daily limit (${limits.address} request per 24h).`
+      : '';
+    const ipLimitMsg = ipLimited
+      ? `IP ${ip} has reached the daily limit (${limits.ip} requests per 24h)${apiKey ? ' for this API key' : ''}.`
+      : '';
+
+    // Both limits have to clear before a retry can succeed
+    const [addressWait, ipWait] = await Promise.all([
+      addressLimited ? checker.getRemainingTime(address, 'dual', limits.address) : 0,
+      ipLimited ? checker.getIpRemainingTime(ipKey, 'dual', limits.ip) : 0
+    ]);
 
-  for (const token of configAmounts) {
-    testAmounts.push({
-      denom: token.denom,
-      amount: "1", // Always send 1 of the smallest unit
-      erc20_contract: token.erc20_contract,
-      decimals: token.decimals
+    throw new FaucetError(FaucetErrorCode.RATE_LIMITED, 'Rate limit exceeded', {
+      reason: [addressLimitMsg, ipLimitMsg].filter(msg => msg).join(' '),
+      address_limited: addressLimited,
+      ip_limited: ipLimited,
+      retry_after_ms: Math.max(addressWait, ipWait)
     });
   }
 
-  return testAmounts;
+  // Check token allowances, only for tokens this address can actually receive
+  const requestedTokens = new Map();
+  for (const token of target.tokenConfigs.filter(t => isTokenEligible(t, target))) {
+    requestedTokens.set(token.denom, token.amount);
+  }
+
+  const allowanceCheck = reserve
+    ? allowanceTracker.reserve(address, requestedTokens)
+    : await allowanceTracker.checkAllowance(address, requestedTokens);
+  const tokensOnCooldown = describeTokensOnCooldown(allowanceCheck.remainingTime);
+
+  if (!allowanceCheck.allowed) {
+    checker.release(rateLimitReservation);
+    console.log(`Token allowance exceeded for ${address}`);
+    // An empty list (no token reported a wait) would make Math.min Infinity
+    const remainingTime = tokensOnCooldown.length > 0
+      ? Math.min(...tokensOnCooldown.map(token => token.remaining_ms))
+      : 0;
+
+    const available = {};
+    for (const [denom, amount] of allowanceCheck.available.entries()) {
+      available[denom] = amount.toString();
+    }
+
+    throw new FaucetError(
+      FaucetErrorCode.ALLOWANCE_EXCEEDED,
+      tokensOnCooldown.length > 0
+        ? `Token request limit reached. ${describeCooldownWaits(tokensOnCooldown)}`
+        : 'Token request limit reached.',
+      { remainingTime, available, tokens_on_cooldown: tokensOnCooldown }
+    );
+  }
+
+  return {
+    rateLimit: rateLimitReservation,
+    allowance: allowanceCheck.reservation || null,
+    tokensOnCooldown
+  };
 }
 
-// Check recipient's current token balances
-async function checkRecipientBalances(address, addressType) {
-  const chainConf = conf.blockchain;
-  const balances = [];
+// Per-token wait times (denom -> ms) as reported to clients
+function describeTokensOnCooldown(remainingTime) {
+  const now = Date.now();
+  return Array.from(remainingTime.entries()).map(([denom, ms]) => {
+    const token = chainConf.tx.amounts.find(t => t.denom === denom);
+    return {
+      denom,
+      symbol: token?.symbol || denom,
+      remaining_ms: ms,
+      remaining_time: allowanceTracker.formatRemainingTime(ms),
+      available_at: new Date(now + ms).toISOString()
+    };
+  });
+}
 
-  try {
-    if (addressType === 'cosmos') {
-      // Check Cosmos balances via REST API
-      console.log(`[BALANCE CHECK] Cosmos address: ${address}`);
+// Keep a request's rate limit slot and the allowance for the denoms that actually went out
+function commitFaucetQuota(quota, sentDenoms) {
+  checker.commit(quota.rateLimit);
+  allowanceTracker.commit(quota.allowance, sentDenoms);
+  distributionBudget.commit(quota.budget, sentDenoms);
+}
 
-      const restEndpoint = chainConf.endpoints.rest_endpoint;
-      const response = await fetch(`${restEndpoint}/cosmos/bank/v1beta1/balances/${address}`);
-      const data = await response.json();
+// Denylisted addresses and IPs are refused before any limit is touched; API keys are trusted
+function requireNotDenylisted(target, ip) {
+  if (target.apiKey) {
+    return;
+  }
 
-      // Map cosmos balances to our token structure
-      // For Cosmos addresses, only check native tokens (not ERC20s)
-      for (const token of chainConf.tx.amounts) {
-        // Skip ERC20 tokens for Cosmos addresses
-        if (token.erc20_contract &&
-            token.erc20_contract !== "0x0000000000000000000000000000000000000000" &&
-            token.erc20_contract !== "0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE") {
-          continue;
-        }
+  const entry = denylist.check({ address: target.address, ip });
+  if (entry) {
+    const subject = entry.type === DenylistType.ADDRESS ? 'This address' : 'Requests from this IP';
+    throw new FaucetError(FaucetErrorCode.DENYLISTED, `${subject} can't use the faucet: ${entry.reason}`, {
+      type: entry.type,
+      reason: entry.reason,
+      expires_at: entry.expires_at
+    });
+  }
+}
 
-        const balance = data.balances?.find(b => b.denom === token.denom);
+// Give back everything a request held; no-op for quota that was already committed
+function releaseFaucetQuota(quota) {
+  checker.release(quota.rateLimit);
+  allowanceTracker.release(quota.allowance);
+  distributionBudget.release(quota.budget);
+}
+
+// Every token that still needed sending is paused by a budget or the treasury reserve
+function budgetExhaustedError(limits) {
+  return new FaucetError(
+    FaucetErrorCode.BUDGET_EXHAUSTED,
+    `Faucet is paused for the requested tokens: ${limits.map(limit => limit.message).join('; ')}`,
+    { budget_limits: limits }
+  );
+}
+
+// Faucet wallet balances for the denoms that have a treasury reserve, summed over the hot wallet pool
+async function fetchTreasuryBalances(denoms) {
+  if (walletPool.accounts.length === 0) {
+    throw new Error('Wallet pool not loaded');
+  }
+
+  const totals = new Map();
+  for (const account of walletPool.accounts) {
+    for (const [denom, amount] of await fetchAccountBalances(account, denoms)) {
+      totals.set(denom, (BigInt(totals.get(denom) || 0) + BigInt(amount)).toString());
+    }
+  }
+  return totals;
+}
+
+// Balances of one pool account for the given denoms
+async function fetchAccountBalances(account, denoms) {
+  const balances = new Map();
+  const tokens = chainConf.tx.amounts.filter(token => denoms.includes(token.denom));
+
+  const bankTokens = tokens.filter(token => !isErc20Token(token));
+  if (bankTokens.length > 0) {
+    const response = await fetch(`${chainConf.endpoints.rest_endpoint}/cosmos/bank/v1beta1/balances/${account.cosmosAddress}?pagination.limit=1000`);
+    if (!response.ok) {
+      throw new Error(`Bank balance query failed: ${response.status} ${response.statusText}`);
+    }
+    const data = await response.json();
+    for (const token of bankTokens) {
+      balances.set(token.denom, data.balances?.find(b => b.denom === token.denom)?.amount || '0');
+    }
+  }
+
+  const erc20Tokens = tokens.filter(isErc20Token);
+  if (erc20Tokens.length > 0) {
+    const ethProvider = new JsonRpcProvider(chainConf.endpoints.evm_endpoint);
+    const erc20ABI = ["function balanceOf(address owner) view returns (uint256)"];
+    for (const token of erc20Tokens) {
+      const tokenContract = new Contract(token.erc20_contract, erc20ABI, ethProvider);
+      balances.set(token.denom, (await tokenContract.balanceOf(account.evmAddress)).toString());
+    }
+  }
+
+  return balances;
+}
+
+// Current balances and the amounts a request would send, without sending anything
+async function planNeededAmounts(target) {
+  const { address, addressType, tokenConfigs, deliverErc20, apiKey } = target;
+  // Step 1: Check current balances
+  let currentBalances = await checkRecipientBalances(address, addressType);
+  if (deliverErc20) {
+    // ERC20 balances live on the same account bytes, read them through the hex form
+    const evmBalances = await checkRecipientBalances(cosmosAddressToHex(address), 'evm');
+    const erc20Denoms = new Set(chainConf.tx.amounts.filter(isErc20Token).map(t => t.denom));
+    currentBalances = [
+      ...currentBalances.filter(balance => !erc20Denoms.has(balance.denom)),
+      ...evmBalances.filter(balance => erc20Denoms.has(balance.denom))
+    ];
+  }
+  // API keys can top up to their own target balances
+  if (apiKey) {
+    currentBalances = currentBalances.map(balance => apiKey.target_balances[balance.denom]
+      ? { ...balance, target_amount: apiKey.target_balances[balance.denom] }
+      : balance);
+  }
+  console.log('Current balances:', currentBalances);
+
+  // Step 2: Calculate needed amounts
+  let neededAmounts = [];
+  if (TESTING_MODE) {
+    // In testing mode, always send 1 of each token
+    neededAmounts = getTestingModeAmounts(tokenConfigs.filter(token => isTokenEligible(token, target, currentBalances)));
+    console.log('Testing mode: sending 1 of each token');
+  } else {
+    // Normal mode: calculate based on target balance
+    neededAmounts = calculateNeededAmounts(currentBalances, tokenConfigs);
+
+    // Only tokens this recipient may get: address type, allow/deny lists and balance bounds
+    const ineligibleDenoms = new Set(getIneligibleTokens(target, currentBalances).map(t => t.denom));
+    neededAmounts = neededAmounts.filter(token => !ineligibleDenoms.has(token.denom));
+
+    // For EVM addresses, add WATOM metadata
+    if (addressType === 'evm') {
+      neededAmounts = neededAmounts.map(token => {
+        if (token.denom === 'uatom' && (token.erc20_contract === '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE')) {
+          // The amount is already in WATOM (18 decimals) from the balance check
+          // Just add the WATOM metadata
+          return {
+            ...token,
+            symbol: 'WATOM',
+            name: 'Wrapped ATOM'
+          };
+        }
+        return token;
+      });
+    }
+
+    console.log('Needed amounts:', neededAmounts);
+  }
+
+  return { currentBalances, neededAmounts };
+}
+
+// "Available again: ATOM in 23h 59m, WBTC in 30m."
+function describeCooldownWaits(tokensOnCooldown) {
+  return `Available again: ${tokensOnCooldown.map(token => `${token.symbol} in ${token.remaining_time}`).join(', ')}.`;
+}
+
+// Drop tokens whose per-token limit is still running from a request
+function withoutTokensOnCooldown(tokens, tokensOnCooldown) {
+  return tokens.filter(token => !tokensOnCooldown.some(t => t.denom === token.denom));
+}
+
+// Dry run of processFaucetRequest: same checks and amounts, but consumes no quota and broadcasts nothing
+async function quoteFaucetRequest({ address, ip, tokens, deliverErc20, apiKey = null }) {
+  await Promise.all([tokenPairResolver.ensureFresh(), distributionBudget.ensureFresh()]);
+  const target = validateFaucetTarget(address, tokens, deliverErc20, apiKey);
+  const { addressType, tokenConfigs } = target;
+
+  let blocked = null;
+  let tokensOnCooldown = [];
+  try {
+    requireNotDenylisted(target, ip);
+    ({ tokensOnCooldown } = await checkFaucetLimits(target, ip));
+  } catch (error) {
+    if (!(error instanceof FaucetError)) throw error;
+    blocked = error.toJSON();
+    tokensOnCooldown = error.details?.tokens_on_cooldown || [];
+  }
+
+  const { currentBalances, neededAmounts: plannedAmounts } = await planNeededAmounts(target);
+  const budget = distributionBudget.evaluate(withoutTokensOnCooldown(plannedAmounts, tokensOnCooldown));
+  const neededAmounts = budget.amounts;
+  if (blocked === null && neededAmounts.length === 0 && budget.limits.length > 0) {
+    blocked = budgetExhaustedError(budget.limits).toJSON();
+  }
+
+  const wouldSend = neededAmounts.map(amount => {
+    const token = chainConf.tx.amounts.find(t => t.denom === amount.denom);
+    const balance = currentBalances.find(b => b.denom === amount.denom);
+    return {
+      denom: amount.denom,
+      symbol: amount.symbol || token?.symbol || amount.denom,
+      name: amount.name || token?.name,
+      amount: amount.amount,
+      decimals: amount.decimals,
+      type: amount.type || (amount.erc20_contract ? 'erc20' : 'native'),
+      current_balance: balance?.current_amount || '0',
+      target_balance: balance?.target_amount || token?.target_balance
+    };
+  });
+
+  const excluded = [];
+  for (const token of chainConf.tx.amounts) {
+    if (neededAmounts.some(amount => amount.denom === token.denom)) continue;
+
+    const excludedToken = {
+      denom: token.denom,
+      symbol: displaySymbol(token, addressType),
+      name: token.name
+    };
+
+    const eligibility = checkTokenEligibility(token, target, currentBalances);
+    const cooldown = tokensOnCooldown.find(t => t.denom === token.denom);
+    if (!eligibility.eligible) {
+      excluded.push({ ...excludedToken, reason: eligibility.reason, message: eligibility.message });
+    } else if (!tokenConfigs.includes(token)) {
+      excluded.push({ ...excludedToken, reason: 'not_requested', message: 'Not in the requested token subset' });
+    } else if (budget.limits.some(limit => limit.denom === token.denom)) {
+      const limit = budget.limits.find(l => l.denom === token.denom);
+      excluded.push({ ...excludedToken, reason: 'budget_paused', message: limit.message, budget_reason: limit.reason });
+    } else if (cooldown) {
+      excluded.push({
+        ...excludedToken,
+        reason: 'cooldown',
+        message: `Request limit reached, available again in ${cooldown.remaining_time}`,
+        remaining_ms: cooldown.remaining_ms,
+        available_at: cooldown.available_at
+      });
+    } else {
+      const balance = currentBalances.find(b => b.denom === token.denom);
+      excluded.push({
+        ...excludedToken,
+        reason: 'already_funded',
+        message: 'Balance is already at the faucet target',
+        current_balance: balance?.current_amount || '0',
+        target_balance: balance?.target_amount || token.target_balance
+      });
+    }
+  }
+
+  return {
+    address,
+    address_type: addressType,
+    deliver_erc20: target.deliverErc20,
+    allowed: blocked === null,
+    blocked,
+    would_send: wouldSend,
+    excluded,
+    tokens_on_cooldown: tokensOnCooldown,
+    budget_limits: budget.limits,
+    testing_mode: TESTING_MODE
+  };
+}
+
+// Shared faucet pipeline behind the /api/v1 endpoints and the legacy GET /send/:address.
+// Resolves with the result payload, throws a FaucetError for every non-success outcome.
+// onBroadcast is called once the checks pass and tokens are about to be sent.
+async function processFaucetRequest({ address, ip, tokens, deliverErc20, apiKey = null, onBroadcast = () => {} }) {
+  await Promise.all([tokenPairResolver.ensureFresh(), distributionBudget.ensureFresh()]);
+  const target = validateFaucetTarget(address, tokens, deliverErc20, apiKey);
+  const { addressType, tokenConfigs } = target;
+  deliverErc20 = target.deliverErc20;
+
+  requireNotDenylisted(target, ip);
+  const quota = await checkFaucetLimits(target, ip, { reserve: true });
+
+  // Everything from here on runs inside the try, whose catch gives the held quota back
+  let txResult = null;
+  let currentBalances = [];
+  let neededAmounts = [];
+  try {
+    console.log('Processing smart faucet request for', address, 'type:', addressType, deliverErc20 ? '(with ERC20 delivery)' : '')
+    const tokensNotRequested = getNotRequestedTokens(target);
+
+    // Steps 1-2: Check current balances and calculate needed amounts
+    ({ currentBalances, neededAmounts } = await planNeededAmounts(target));
+    neededAmounts = withoutTokensOnCooldown(neededAmounts, quota.tokensOnCooldown);
+
+    // Global budgets and the treasury reserve can pause a token or cut its amount
+    const budget = distributionBudget.reserve(neededAmounts);
+    quota.budget = budget.reservation;
+    neededAmounts = budget.amounts;
+    if (neededAmounts.length === 0 && budget.limits.length > 0) {
+      throw budgetExhaustedError(budget.limits);
+    }
+
+    // Requested tokens the engine rules out for this recipient, balance bounds included
+    const ineligibleTokens = getIneligibleTokens(target, currentBalances);
+    const pausedDenoms = new Set(budget.limits.filter(l => l.state === BudgetState.PAUSED).map(l => l.denom));
+    const eligibleTokens = withoutTokensOnCooldown(
+      tokenConfigs.filter(token => !ineligibleTokens.some(t => t.denom === token.denom) && !pausedDenoms.has(token.denom)),
+      quota.tokensOnCooldown
+    );
+
+    // Step 3: Check if any tokens are needed
+    if (neededAmounts.length === 0) {
+      console.log(`\nNo tokens needed for ${addressType} address`);
+      console.log(`Current balances meet all target amounts for eligible tokens`);
+
+      const tokenStatus = eligibleTokens
+        .map(token => {
+          const balance = currentBalances.find(b => b.denom === token.denom);
+          return {
+            symbol: displaySymbol(token, addressType),
+            name: token.name,
+            status: 'already_funded',
+            current_balance: balance?.current_amount || '0',
+            target_balance: balance?.target_amount || token.target_balance,
+            decimals: balance?.decimals || token.decimals
+          };
+        });
+
+      // Nothing went out, so the request doesn't count against any limit
+      releaseFaucetQuota(quota);
+
+      let message = "Wallet already has sufficient balance for all eligible tokens.";
+      const evmOnlyTokens = ineligibleTokens.filter(t => t.reason === EligibilityReason.ERC20_REQUIRES_EVM_ADDRESS);
+      if (evmOnlyTokens.length > 0) {
+        const erc20Names = evmOnlyTokens.map(t => t.symbol).join(', ');
+        message = `Wallet already has sufficient balance for all eligible native tokens. Note: ERC20 tokens (${erc20Names}) are only available to EVM addresses.`;
+      }
+      if (quota.tokensOnCooldown.length > 0) {
+        message += ` ${describeCooldownWaits(quota.tokensOnCooldown)}`;
+      }
+      for (const limit of budget.limits) {
+        message += ` ${limit.message}.`;
+      }
+
+      return {
+        code: 0,
+        status: 'no_tokens_sent',
+        message: message,
+        address_type: addressType,
+        eligible_token_count: eligibleTokens.length,
+        ineligible_token_count: ineligibleTokens.length,
+        token_status: tokenStatus,
+        current_balances: currentBalances,
+        tokens_sent: [],
+        tokens_not_sent: tokenStatus,
+        tokens_not_requested: tokensNotRequested,
+        tokens_on_cooldown: quota.tokensOnCooldown,
+        budget_limits: budget.limits,
+        ineligible_tokens: ineligibleTokens,
+        target_balances: eligibleTokens.map(token => ({
+          denom: token.denom,
+          symbol: token.symbol,
+          target: token.target_balance,
+          decimals: token.decimals
+        }))
+      };
+    }
+
+    // Step 4: Send tokens
+    onBroadcast();
+    txResult = await sendSmartFaucetTx(address, addressType, neededAmounts);
+
+    // A reverted EVM tx still comes back with a hash; surface it as a failed broadcast
+    if (txResult.status === 0) {
+      throw new Error(txResult.evm_tx_data?.error || 'Transaction reverted');
+    }
+
+    // Step 5: Build response
+    // A bech32 request with ERC20 delivery can succeed on the bank send and still fail the ERC20 part
+    const failedDenoms = new Set((txResult.failed_transfers || []).map(t => t.denom));
+    const tokensFailed = neededAmounts
+      .filter(amount => failedDenoms.has(amount.denom))
+      .map(amount => ({
+        denom: amount.denom,
+        symbol: chainConf.tx.amounts.find(t => t.denom === amount.denom)?.symbol || amount.denom,
+        amount: amount.amount,
+        decimals: amount.decimals,
+        status: 'failed',
+        error: txResult.evm_error
+      }));
+
+    const tokensSent = neededAmounts.filter(amount => !failedDenoms.has(amount.denom)).map(amount => {
+      const token = chainConf.tx.amounts.find(t => t.denom === amount.denom);
+      const displaySymbol = (amount.symbol === 'WATOM') ? 'WATOM' : token?.symbol || amount.denom;
+      return {
+        denom: amount.denom,
+        symbol: displaySymbol,
+        name: amount.name || token?.name,
+        amount: amount.amount,
+        decimals: amount.decimals,
+        type: amount.type || (amount.erc20_contract ? 'erc20' : 'native'),
+        status: 'sent'
+      };
+    });
+
+    // Identify which tokens were not sent (already funded)
+    const tokensNotSent = eligibleTokens
+      .filter(token => !neededAmounts.find(n => n.denom === token.denom))
+      .map(token => {
+        const balance = currentBalances.find(b => b.denom === token.denom);
+        return {
+          denom: token.denom,
+          symbol: displaySymbol(token, addressType),
+          name: token.name,
+          status: 'already_funded',
+          current_balance: balance?.current_amount || '0',
+          target_balance: balance?.target_amount || token.target_balance,
+          decimals: balance?.decimals || token.decimals
+        };
+      });
+
+    // The tx was accepted: keep the rate limit slot and the allowance for what was sent
+    if (tokensSent.length > 0) {
+      commitFaucetQuota(quota, tokensSent.map(token => token.denom));
+      if (apiKey) {
+        apiKeyManager.recordUsage(apiKey.id, tokensSent);
+      } else if (sweepDetector) {
+        sweepDetector.recordRecipient(address, ip);
+      }
+    } else {
+      releaseFaucetQuota(quota);
+    }
+
+    return {
+      code: 0,
+      status: neededAmounts.length > 0 ? 'partial_success' : 'no_tokens_sent',
+      message: [
+        tokensNotSent.length > 0
+          ? `Sent ${tokensSent.length} token(s). ${tokensNotSent.length} token(s) already had sufficient balance.`
+          : "Tokens sent successfully!",
+        quota.tokensOnCooldown.length > 0 ? describeCooldownWaits(quota.tokensOnCooldown) : null,
+        budget.limits.length > 0 ? budget.limits.map(limit => `${limit.message}.`).join(' ') : null
+      ].filter(Boolean).join(' '),
+      ...txResult,
+      current_balances: currentBalances,
+      tokens_sent: tokensSent,
+      tokens_not_sent: tokensNotSent,
+      tokens_not_requested: tokensNotRequested,
+      tokens_on_cooldown: quota.tokensOnCooldown,
+      budget_limits: budget.limits,
+      ineligible_tokens: ineligibleTokens,
+      tokens_failed: tokensFailed,
+      testing_mode: TESTING_MODE
+    };
+
+  } catch (error) {
+    console.error('Smart faucet error:', error);
+    releaseFaucetQuota(quota);
+
+    // Keep transaction details around when the tx made it on chain but failed
+    let failedTxDetails = {};
+    if (txResult && txResult.transaction_hash) {
+      failedTxDetails = {
+        transaction_hash: txResult.transaction_hash,
+        network_type: txResult.network_type || 'evm',
+        explorer_url: txResult.explorer_url || `${chainConf.endpoints.evm_explorer}/tx/${txResult.transaction_hash}`,
+        gas_used: txResult.gas_used || '0',
+        status: 0, // Failed
+        error_details: txResult.evm_tx_data?.error || txResult.evm_tx_data?.revertReason || error.message,
+        current_balances: currentBalances,
+        tokens_attempted: neededAmounts.map(amount => ({
+          denom: amount.denom,
+          amount: amount.amount,
+          decimals: amount.decimals,
+          type: amount.type || (amount.erc20_contract ? 'erc20' : 'native')
+        }))
+      };
+    }
+
+    throw FaucetError.fromSendError(error, failedTxDetails);
+  }
+}
+
+// Map pipeline errors back onto the response shapes GET /send/:address has always returned
+function toLegacySendResponse(error) {
+  switch (error.code) {
+    case FaucetErrorCode.INVALID_REQUEST:
+    case FaucetErrorCode.INVALID_ADDRESS:
+    case FaucetErrorCode.UNKNOWN_TOKEN:
+    case FaucetErrorCode.UNAUTHORIZED:
+    case FaucetErrorCode.FORBIDDEN:
+      return { result: error.message };
+    case FaucetErrorCode.ALLOWANCE_EXCEEDED:
+      return {
+        result: error.message,
+        error: 'allowance_exceeded',
+        remainingTime: error.details.remainingTime,
+        available: error.details.available,
+        tokens_on_cooldown: error.details.tokens_on_cooldown
+      };
+    case FaucetErrorCode.PROOF_OF_WORK_FAILED:
+      return {
+        result: error.message,
+        error: 'proof_of_work_failed',
+        reason: error.details.reason
+      };
+    case FaucetErrorCode.DENYLISTED:
+      return {
+        result: error.message,
+        error: 'denylisted',
+        reason: error.details.reason
+      };
+    case FaucetErrorCode.CAPTCHA_FAILED:
+      return {
+        result: error.message,
+        error: 'captcha_failed',
+        errors: error.details.errors
+      };
+    case FaucetErrorCode.BUDGET_EXHAUSTED:
+      return {
+        result: error.message,
+        error: 'budget_exhausted',
+        budget_limits: error.details.budget_limits
+      };
+    case FaucetErrorCode.RATE_LIMITED:
+      return {
+        result: {
+          code: -2,
+          message: 'Rate limit exceeded',
+          details: error.details.reason
+        }
+      };
+    default: {
+      const { error: errorString, ...txDetails } = error.details || {};
+      return {
+        result: {
+          code: -1,
+          message: error.message || 'Transaction failed',
+          error: errorString || error.toString(),
+          ...txDetails
+        }
+      };
+    }
+  }
+}
+
+// Anything that isn't already a FaucetError is an internal error
+function toFaucetError(error) {
+  if (error instanceof FaucetError) {
+    return error;
+  }
+
+  console.error('[API] Unhandled error:', error);
+  return new FaucetError(FaucetErrorCode.INTERNAL_ERROR, error.message || 'Internal server error');
+}
+
+// Send a v1 error envelope with the HTTP status for its code
+function sendApiError(res, error, extra = {}) {
+  const faucetError = toFaucetError(error);
+
+  const retryAfterMs = faucetError.details?.retry_after_ms ?? faucetError.details?.remainingTime;
+  if (faucetError.status === 429 && Number.isFinite(retryAfterMs)) {
+    // Never 0, which would invite an immediate retry into the same limit
+    res.set('Retry-After', String(Math.max(1, Math.ceil(retryAfterMs / 1000))));
+  }
+
+  res.status(faucetError.status).json({ ...extra, error: faucetError.toJSON() });
+}
+
+// Validate the JSON body shared by the v1 request endpoints
+function parseFaucetRequestBody(body) {
+  const {
+    address,
+    tokens,
+    client_reference: clientReference = null,
+    deliver_erc20: deliverErc20 = false,
+    pow = null,
+    captcha_token: captchaToken = null
+  } = body || {};
+
+  if (typeof address !== 'string' || !address.trim()) {
+    throw new FaucetError(FaucetErrorCode.INVALID_REQUEST, 'address is required');
+  }
+  if (clientReference !== null && (typeof clientReference !== 'string' || clientReference.length > 128)) {
+    throw new FaucetError(FaucetErrorCode.INVALID_REQUEST, 'client_reference must be a string of at most 128 characters');
+  }
+  if (typeof deliverErc20 !== 'boolean') {
+    throw new FaucetError(FaucetErrorCode.INVALID_REQUEST, 'deliver_erc20 must be a boolean');
+  }
+  if (pow !== null && (typeof pow !== 'object' || Array.isArray(pow))) {
+    throw new FaucetError(FaucetErrorCode.INVALID_REQUEST, 'pow must be an object { token, solution }');
+  }
+
+  if (captchaToken !== null && typeof captchaToken !== 'string') {
+    throw new FaucetError(FaucetErrorCode.INVALID_REQUEST, 'captcha_token must be a string');
+  }
+
+  return { address: address.trim(), tokens, clientReference, deliverErc20, pow, captchaToken };
+}
+
+// Client reference to echo in an error envelope, even when the body was invalid
+function echoedClientReference(body) {
+  return typeof body?.client_reference === 'string' ? body.client_reference : null;
+}
+
+// Move a record to its final state once its result is on chain. EVM sends already waited for
+// their receipt; a Cosmos send was only checked by CheckTx, so poll for it first
+async function settleTrackedRequest(record, result) {
+  const fields = {
+    result,
+    transaction_hash: result.transaction_hash || null,
+    explorer_url: result.explorer_url || null
+  };
+
+  if (result.status === 'no_tokens_sent') {
+    requestTracker.transition(record.id, RequestState.SKIPPED, fields);
+    return;
+  }
+
+  const cosmosTxHash = result.cosmos_tx_data?.transactionHash;
+  if (cosmosTxHash) {
+    requestTracker.transition(record.id, RequestState.CONFIRMING, fields);
+    try {
+      const txResponse = await waitForCosmosTx(cosmosTxHash);
+      result.height = txResponse.height;
+      result.gas_used = txResponse.gas_used;
+    } catch (error) {
+      const faucetError = FaucetError.fromSendError(error, {
+        transaction_hash: cosmosTxHash,
+        explorer_url: result.explorer_url || null
+      });
+      requestTracker.transition(record.id, RequestState.FAILED, {
+        error: faucetError.toJSON(),
+        transaction_hash: cosmosTxHash,
+        explorer_url: result.explorer_url || null
+      });
+      return;
+    }
+  }
+
+  requestTracker.transition(record.id, RequestState.INCLUDED, fields);
+}
+
+// Run the faucet pipeline against a new lifecycle record.
+// Returns the queued record right away plus a promise for the pipeline outcome; the record
+// itself only becomes final once settleTrackedRequest has seen the tx in a block.
+function startTrackedRequest({ address, ip, tokens, deliverErc20, clientReference, apiKey }) {
+  const record = requestTracker.create({
+    address,
+    addressType: detectAddressType(address),
+    tokens: tokens ?? null,
+    clientReference
+  });
+
+  const done = processFaucetRequest({
+    address,
+    ip,
+    tokens,
+    deliverErc20,
+    apiKey,
+    onBroadcast: () => requestTracker.transition(record.id, RequestState.BROADCASTING)
+  }).then(result => {
+    settleTrackedRequest(record, result).catch(error => {
+      console.error(`Could not settle request ${record.id}:`, error);
+    });
+    return result;
+  }, error => {
+    const faucetError = toFaucetError(error);
+    requestTracker.transition(record.id, RequestState.FAILED, {
+      error: faucetError.toJSON(),
+      transaction_hash: faucetError.details?.transaction_hash || null,
+      explorer_url: faucetError.details?.explorer_url || null
+    });
+    throw faucetError;
+  });
+
+  return { record, done };
+}
+
+// Versioned JSON faucet API; waits for the outcome before answering
+app.post('/api/v1/faucet', async (req, res) => {
+  const ip = getClientIp(req)
+  let requestId = null;
+
+  try {
+    const { address, tokens, clientReference, deliverErc20, pow, captchaToken } = parseFaucetRequestBody(req.body);
+    const apiKey = authenticateApiKey(req);
+    console.log(`[FAUCET] v1 request - Address: ${address}, IP: ${ip}${clientReference ? `, Ref: ${clientReference}` : ''}${apiKey ? `, Key: ${apiKey.id}` : ''}`)
+    requireProofOfWork(apiKey, pow);
+    await requireCaptcha(req, apiKey, captchaToken);
+
+    const { record, done } = startTrackedRequest({ address, ip, tokens, deliverErc20, clientReference, apiKey });
+    requestId = record.id;
+    const result = await done;
+    res.status(200).json({ request_id: requestId, client_reference: clientReference, result });
+  } catch (error) {
+    sendApiError(res, error, { request_id: requestId, client_reference: echoedClientReference(req.body) });
+  }
+})
+
+// Queue a faucet request and answer immediately with its lifecycle record
+app.post('/api/v1/requests', async (req, res) => {
+  const ip = getClientIp(req)
+
+  try {
+    const { address, tokens, clientReference, deliverErc20, pow, captchaToken } = parseFaucetRequestBody(req.body);
+    const apiKey = authenticateApiKey(req);
+    console.log(`[FAUCET] Async request - Address: ${address}, IP: ${ip}${clientReference ? `, Ref: ${clientReference}` : ''}${apiKey ? `, Key: ${apiKey.id}` : ''}`)
+    await tokenPairResolver.ensureFresh();
+    validateFaucetTarget(address, tokens, deliverErc20, apiKey);
+    requireProofOfWork(apiKey, pow);
+    await requireCaptcha(req, apiKey, captchaToken);
+
+    const { record, done } = startTrackedRequest({ address, ip, tokens, deliverErc20, clientReference, apiKey });
+    // The outcome is recorded on the lifecycle record
+    done.catch(() => {});
+
+    res.status(202).location(`/api/v1/requests/${record.id}`).json({ request: record });
+  } catch (error) {
+    sendApiError(res, error, { client_reference: echoedClientReference(req.body) });
+  }
+})
+
+// Current state of a queued request
+app.get('/api/v1/requests/:id', (req, res) => {
+  const record = requestTracker.get(req.params.id);
+  if (!record) {
+    sendApiError(res, new FaucetError(FaucetErrorCode.NOT_FOUND, `Request ${req.params.id} not found`));
+    return;
+  }
+  res.status(200).json({ request: record });
+})
+
+// Server-sent events with the record on every state change; the stream ends once it reaches a final state
+app.get('/api/v1/requests/:id/events', (req, res) => {
+  const record = requestTracker.get(req.params.id);
+  if (!record) {
+    sendApiError(res, new FaucetError(FaucetErrorCode.NOT_FOUND, `Request ${req.params.id} not found`));
+    return;
+  }
+
+  streamRequestEvents(requestTracker, record, req, res);
+})
+
+// Optional ?tokens=USDT,uatom subset on GET routes
+function parseTokensQuery(query) {
+  return typeof query.tokens === 'string'
+    ? query.tokens.split(',').map(t => t.trim()).filter(t => t)
+    : undefined;
+}
+
+// Dry run: what a request for this address would send right now
+app.get('/api/v1/quote/:address', async (req, res) => {
+  try {
+    const ip = getClientIp(req);
+    const apiKey = authenticateApiKey(req);
+    if (!apiKey) {
+      const { allowed, retryAfterMs } = quoteThrottle.take(ip);
+      if (!allowed) {
+        throw new FaucetError(FaucetErrorCode.RATE_LIMITED, 'Too many quote requests, slow down', {
+          retry_after_ms: retryAfterMs
+        });
+      }
+    }
+
+    const quote = await quoteFaucetRequest({
+      address: req.params.address,
+      ip,
+      tokens: parseTokensQuery(req.query),
+      deliverErc20: req.query.deliver_erc20 === 'true',
+      apiKey
+    });
+    res.status(200).json({ quote });
+  } catch (error) {
+    sendApiError(res, error);
+  }
+})
+
+// New proof-of-work challenge to solve before requesting; { required: false } when the
+// gate is off or the caller sends an API key
+app.get('/api/v1/challenge', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  try {
+    if (!proofOfWork.enabled || authenticateApiKey(req)) {
+      res.status(200).json({ challenge: { required: false } });
+      return;
+    }
+    res.status(200).json({ challenge: { required: true, ...proofOfWork.issue() } });
+  } catch (error) {
+    sendApiError(res, error);
+  }
+})
+
+// Global budget and treasury reserve state, for the UI banner
+app.get('/api/v1/budget', async (req, res) => {
+  try {
+    await distributionBudget.ensureFresh();
+    res.status(200).json({ budget: distributionBudget.getStatus() });
+  } catch (error) {
+    sendApiError(res, error);
+  }
+})
+
+// Admin API: API keys, rate limits, the audit trail and the denylist
+app.use('/api/v1/admin', createAdminRouter({
+  token: conf.admin?.token,
+  limits: chainConf.limit,
+  checker,
+  allowanceTracker,
+  distributionBudget,
+  apiKeyManager,
+  requestTracker,
+  auditLog,
+  denylist,
+  sweepDetector,
+  clientIpResolver,
+  resolveAddress: value => detectAddressType(value) !== 'unknown' ? canonicalAccountAddress(value) : null,
+  resolveTokens: tokens => resolveRequestedTokens(tokens).map(token => token.denom),
+  sendError: sendApiError
+}))
+
+// The calling key's own limits and usage
+app.get('/api/v1/api-key', (req, res) => {
+  try {
+    const apiKey = authenticateApiKey(req);
+    if (!apiKey) {
+      throw new FaucetError(FaucetErrorCode.UNAUTHORIZED, 'API key required');
+    }
+    res.status(200).json({ api_key: apiKey });
+  } catch (error) {
+    sendApiError(res, error);
+  }
+})
+
+// Legacy route - always answers HTTP 200, kept for existing clients.
+// Accepts an optional ?tokens=USDT,uatom subset, the solved challenge as ?pow_token=&pow_solution=
+// and the CAPTCHA widget token as ?captcha_token=
+app.get('/send/:address', async (req, res) => {
+  const { address } = req.params;
+  const tokens = parseTokensQuery(req.query);
+  const deliverErc20 = req.query.deliver_erc20 === 'true';
+  const ip = getClientIp(req)
+  console.log(`[FAUCET] Token request - Address: ${address}, IP: ${ip}`)
+
+  if (!address) {
+    res.send({ result: 'Address is required!' })
+    return;
+  }
+
+  try {
+    const apiKey = authenticateApiKey(req);
+    requireProofOfWork(apiKey, { token: req.query.pow_token, solution: req.query.pow_solution });
+    await requireCaptcha(req, apiKey, req.query.captcha_token);
+    const result = await processFaucetRequest({ address, ip, tokens, deliverErc20, apiKey });
+    res.send({ result });
+  } catch (error) {
+    if (!(error instanceof FaucetError)) {
+      console.error('Transaction error:', error);
+    }
+    res.send(toLegacySendResponse(error));
+  }
+})
+
+// Test endpoint
+app.get('/test', (req, res) => {
+  res.send({
+    status: 'ok',
+    evmAddress: getEvmAddress(),
+    cosmosAddress: getCosmosAddress()
+  });
+});
+
+// Health check endpoint for monitoring
+app.get('/health', (req, res) => {
+  res.status(200).json({
+    status: 'healthy',
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime(),
+    evm_dispatcher: walletPool.accounts[0]?.dispatcher.getStats() || null,
+    wallet_pool: walletPool.getStatus(),
+    cosmos_sequence: cosmosSequenceManager.getStats(),
+    requests: requestTracker.getStats(),
+    evm_batcher: evmBatcher ? evmBatcher.getStats() : null,
+    cosmos_batcher: cosmosBatcher ? cosmosBatcher.getStats() : null,
+    token_pairs: tokenPairResolver.getStats(),
+    storage: limiterStore.getInfo(),
+    client_ip: clientIpResolver.getInfo(),
+    proof_of_work: proofOfWork.getStatus(),
+    captcha: captchaVerifier ? captchaVerifier.provider : 'none',
+    api_keys: apiKeyManager.getStats(),
+    denylist: denylist.getStats(),
+    sweep_detection: sweepDetector ? sweepDetector.getStatus() : { enabled: false },
+    budget: distributionBudget.getStatus()
+  });
+});
+
+// Add approval check endpoint
+app.get('/api/approvals', async (req, res) => {
+  try {
+    const approvals = await checkAllTokenApprovals();
+    res.json({
+      success: true,
+      faucet_address: getEvmAddress(),
+      spender_address: chainConf.contracts.atomicMultiSend,
+      approvals: approvals
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Helper function for testing mode
+function getTestingModeAmounts(configAmounts) {
+  const testAmounts = [];
+
+  for (const token of configAmounts) {
+    testAmounts.push({
+      denom: token.denom,
+      amount: "1", // Always send 1 of the smallest unit
+      erc20_contract: token.erc20_contract,
+      decimals: token.decimals
+    });
+  }
+
+  return testAmounts;
+}
+
+// Check recipient's current token balances
+async function checkRecipientBalances(address, addressType) {
+  const chainConf = conf.blockchain;
+  const balances = [];
+
+  try {
+    if (addressType === 'cosmos') {
+      // Check Cosmos balances via REST API
+      console.log(`[BALANCE CHECK] Cosmos address: ${address}`);
+
+      const restEndpoint = chainConf.endpoints.rest_endpoint;
+      const response = await fetch(`${restEndpoint}/cosmos/bank/v1beta1/balances/${address}`);
+      const data = await response.json();
+
+      // Map cosmos balances to our token structure
+      // For Cosmos addresses, only check native tokens (not ERC20s)
+      for (const token of chainConf.tx.amounts) {
+        // Skip ERC20 tokens for Cosmos addresses
+        if (isErc20Token(token)) {
+          continue;
+        }
+
+        const balance = data.balances?.find(b => b.denom === token.denom);
         if (balance) {
           console.log(`[TOKEN] ${token.denom}: current=${balance.amount}, target=${token.target_balance}`);
         }
@@ -1256,7 +2195,12 @@ async function checkRecipientBalances(address, addressType) {
       // Check EVM balances via JSON-RPC
       const ethProvider = new JsonRpcProvider(chainConf.endpoints.evm_endpoint);
 
-      for (const token of chainConf.tx.amounts) {
+      for (const token of chainConf.tx.amounts.map(withTokenPairContract)) {
+        // IBC tokens without a token pair can't be held by an EVM address
+        if (!token.erc20_contract) {
+          continue;
+        }
+
         if (token.erc20_contract === "0x0000000000000000000000000000000000000000") {
           // Native token balance
           const balance = await ethProvider.getBalance(address);
@@ -1340,17 +2284,16 @@ async function sendSmartFaucetTx(recipientAddress, addressType, neededAmounts) {
   console.log(`Recipient address type: ${addressType}`);
   console.log('All needed amounts:', neededAmounts);
 
+  // Native and IBC denoms reach EVM recipients through their erc20 module token pair
+  if (addressType === 'evm') {
+    neededAmounts = neededAmounts.map(withTokenPairContract);
+  }
+
   // Separate ERC20 and native tokens
   // Separate ERC20s from native tokens
   // WATOM (0xEeeee...) is actually native ATOM, not an ERC20
-  const erc20Tokens = neededAmounts.filter(t => t.erc20_contract &&
-    t.erc20_contract !== "0x0000000000000000000000000000000000000000" &&
-    t.erc20_contract !== "0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE"
-  );
-  const nativeTokens = neededAmounts.filter(t => !t.erc20_contract ||
-    t.erc20_contract === "0x0000000000000000000000000000000000000000" ||
-    t.erc20_contract === "0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE"
-  );
+  const erc20Tokens = neededAmounts.filter(isErc20Token);
+  const nativeTokens = neededAmounts.filter(t => !isErc20Token(t));
 
   const results = {
     network_type: addressType,
@@ -1363,7 +2306,7 @@ async function sendSmartFaucetTx(recipientAddress, addressType, neededAmounts) {
       // EVM recipient - send everything via EVM
       if (erc20Tokens.length > 0 || nativeTokens.length > 0) {
         console.log('Sending ALL tokens via EVM (hex recipient)...');
-        const evmResult = await sendSmartEvmTx(recipientAddress, neededAmounts);
+        const evmResult = await sendEvmTokens(recipientAddress, neededAmounts, results);
         results.transaction_hash = evmResult.hash;
         results.block_number = evmResult.blockNumber;
         results.block_hash = evmResult.blockHash;
@@ -1394,14 +2337,21 @@ async function sendSmartFaucetTx(recipientAddress, addressType, neededAmounts) {
         results.evm_tx_data = evmResult;
       }
     } else if (addressType === 'cosmos') {
-      // Cosmos recipient - only send native tokens
-      // Skip ERC20 tokens for Cosmos addresses as they can't easily access them
+      // Cosmos recipient - native tokens go through the bank module; ERC20s are only
+      // present when the caller opted into delivery to the account's hex address
 
       if (nativeTokens.length > 0) {
         // Send native tokens via Cosmos bank module using manual transaction creation
         console.log('Sending native tokens to Cosmos address via manual tx creation...');
         try {
-          const cosmosResult = await sendCosmosTx(recipientAddress, nativeTokens);
+          let cosmosResult;
+          if (cosmosBatcher) {
+            const batched = await cosmosBatcher.submit('multisend', { recipientAddress, nativeTokens });
+            cosmosResult = batched.result;
+            results.batch_size = batched.batchSize;
+          } else {
+            cosmosResult = await sendCosmosTx(recipientAddress, nativeTokens);
+          }
 
           results.network_type = 'cosmos';
           results.transaction_hash = cosmosResult.transactionHash;
@@ -1450,6 +2400,60 @@ async function sendSmartFaucetTx(recipientAddress, addressType, neededAmounts) {
           throw cosmosError;
         }
       }
+
+      // ERC20s only show up here when the caller opted into ERC20 delivery
+      if (erc20Tokens.length > 0) {
+        const hexRecipient = cosmosAddressToHex(recipientAddress);
+        console.log(`Sending ERC20 tokens to ${recipientAddress} via its EVM address ${hexRecipient}...`);
+        try {
+          const evmResult = await sendEvmTokens(hexRecipient, erc20Tokens, results);
+          if (evmResult.status === 0) {
+            throw new Error(evmResult.error || 'Transaction reverted');
+          }
+
+          const evmExplorerUrl = `${chainConf.endpoints.evm_explorer}/tx/${evmResult.hash}`;
+          results.evm_recipient = hexRecipient;
+          results.evm_transaction_hash = evmResult.hash;
+          results.evm_explorer_url = evmExplorerUrl;
+          results.evm_tx_data = evmResult;
+
+          // Without a bank send the EVM tx is the request's main transaction
+          if (!results.transaction_hash) {
+            results.transaction_hash = evmResult.hash;
+            results.explorer_url = evmExplorerUrl;
+            results.truncated_hash = `${evmResult.hash.substring(0, 10)}...${evmResult.hash.substring(evmResult.hash.length - 8)}`;
+            results.gas_used = evmResult.gasUsed ? evmResult.gasUsed.toString() : '0';
+          }
+
+          for (const token of erc20Tokens) {
+            results.transfers.push({
+              token: token.erc20_contract,
+              amount: token.amount,
+              denom: token.denom,
+              hash: evmResult.hash,
+              status: evmResult.status,
+              type: 'erc20'
+            });
+          }
+        } catch (evmError) {
+          // Nothing has gone out yet, so fail the request as a whole
+          if (nativeTokens.length === 0) {
+            throw evmError;
+          }
+
+          // The bank send already went through; report the ERC20 part as failed rather than lose that
+          console.error('ERC20 delivery to bech32 recipient failed:', evmError);
+          results.evm_recipient = hexRecipient;
+          results.evm_error = evmError.message;
+          results.failed_transfers = erc20Tokens.map(token => ({
+            token: token.erc20_contract,
+            amount: token.amount,
+            denom: token.denom,
+            error: evmError.message,
+            type: 'erc20'
+          }));
+        }
+      }
     }
 
     console.log('\nSmart faucet transaction complete!');
@@ -1457,33 +2461,164 @@ async function sendSmartFaucetTx(recipientAddress, addressType, neededAmounts) {
 
   } catch (error) {
     console.error('Smart faucet error:', error);
-    throw new Error(`Smart faucet failed: ${error.message}`);
+    throw new Error(`Smart faucet failed: ${error.message}`, { cause: error });
+  }
+}
+
+// Send EVM tokens through the batcher when it's enabled, noting the batch size on results
+async function sendEvmTokens(recipientAddress, tokens, results) {
+  if (!evmBatcher) {
+    return sendSmartEvmTx(recipientAddress, tokens);
   }
+
+  const batched = await submitEvmBatch(recipientAddress, tokens);
+  results.batch_size = batched.batchSize;
+  return batched.receipt;
 }
 
-// New function for atomic EVM transactions
+// Load the AtomicMultiSend ABI from the deployment artifacts
+function loadAtomicMultiSendAbi() {
+  const abiPath = path.join(process.cwd(), 'deployments', 'AtomicMultiSend.abi.json');
+  console.log(`Loading ABI from: ${abiPath}`);
+  return JSON.parse(fs.readFileSync(abiPath, 'utf8'));
+}
+
+// Build the AtomicMultiSend transfer list (ERC20s first, native as address(0))
+function buildAtomicTransfers(erc20Tokens, nativeTokens) {
+  const transfers = [];
+  const seenTokens = new Set();
+
+  // Add ERC20 transfers (with deduplication)
+  erc20Tokens.forEach(t => {
+    if (!seenTokens.has(t.erc20_contract)) {
+      seenTokens.add(t.erc20_contract);
+      transfers.push({
+        token: t.erc20_contract,
+        amount: t.amount
+      });
+    } else {
+      console.log('WARNING: Skipping duplicate ERC20 token:', t.erc20_contract);
+    }
+  });
+
+  // Add native token transfers (address(0) represents native tokens)
+  let totalNativeAmount = BigInt(0);
+  nativeTokens.forEach(t => {
+    // Only add one native token transfer
+    if (!seenTokens.has('native')) {
+      seenTokens.add('native');
+      transfers.push({
+        token: '0x0000000000000000000000000000000000000000', // address(0) for native
+        amount: t.amount
+      });
+      totalNativeAmount += BigInt(t.amount);
+    } else {
+      // If we already have a native transfer, just add to the total
+      totalNativeAmount += BigInt(t.amount);
+    }
+  });
+
+  // Safety check: ensure no duplicate tokens
+  const tokenAddresses = transfers.map(t => t.token);
+  const uniqueTokens = new Set(tokenAddresses);
+  if (tokenAddresses.length !== uniqueTokens.size) {
+    console.error('ERROR: Duplicate tokens in transfers array!');
+    console.error('Transfers:', transfers);
+    throw new Error('Duplicate tokens detected in transfer array');
+  }
+
+  return { transfers, totalNativeAmount };
+}
+
+// Queue an EVM recipient for the next batch; recipients receiving the same transfer set share a tx
+function submitEvmBatch(recipientAddress, neededAmounts) {
+  const key = neededAmounts
+    .map(t => `${(t.erc20_contract || 'native').toLowerCase()}:${t.amount}`)
+    .sort()
+    .join('|');
+  return evmBatcher.submit(key, { recipientAddress, neededAmounts });
+}
+
+// Keep an EVM batch's gas limit under the block gas limit by lowering the batcher's maxSize
+async function capEvmBatchSize() {
+  if (!evmBatcher) {
+    return;
+  }
+
+  const block = await walletPool.primary.dispatcher.provider.getBlock('latest');
+  const fitting = evmBatchSettler.maxBatchSize(block.gasLimit);
+  if (fitting < evmBatcher.maxSize) {
+    console.warn(`  EVM batches capped at ${fitting} recipients to stay under the block gas limit of ${block.gasLimit}`);
+    evmBatcher.maxSize = fitting;
+  }
+}
+
+// Pay every recipient of a batch group with a single batchAtomicMultiSend call
+async function sendEvmBatch(items) {
+  const atomicMultiSendAddress = chainConf.contracts.atomicMultiSend;
+  if (!atomicMultiSendAddress) {
+    throw new Error('AtomicMultiSend contract not configured');
+  }
+
+  const neededAmounts = items[0].neededAmounts;
+  const erc20Tokens = neededAmounts.filter(isErc20Token);
+  const nativeTokens = neededAmounts.filter(t => !isErc20Token(t));
+  const { transfers, totalNativeAmount } = buildAtomicTransfers(erc20Tokens, nativeTokens);
+  const recipients = items.map(item => item.recipientAddress);
+  const batchAmounts = neededAmounts.map(token => ({
+    denom: token.denom,
+    amount: (BigInt(token.amount) * BigInt(recipients.length)).toString()
+  }));
+
+  return walletPool.withAccount(batchAmounts, async account => {
+    const atomicContract = new Contract(atomicMultiSendAddress, loadAtomicMultiSendAbi(), account.dispatcher.provider);
+    const { tx, wait } = await account.dispatcher.send(await atomicContract.batchAtomicMultiSend.populateTransaction(
+      recipients,
+      transfers,
+      {
+        value: totalNativeAmount * BigInt(recipients.length),
+        gasLimit: evmBatchSettler.gasLimit(recipients.length) // The single-send limit for every recipient
+      }
+    ));
+
+    console.log(`Batch transaction for ${recipients.length} recipients sent from ${account.evmAddress}:`, tx.hash);
+    try {
+      const receipt = await wait();
+      console.log('Batch transaction confirmed!');
+      return receipt;
+    } catch (error) {
+      console.error(`Batch transaction ${tx.hash} failed:`, error.message);
+      throw error;
+    }
+  }, { multiSend: true });
+}
+
+// New function for atomic EVM transactions, sent from the least busy pool account holding the amounts.
+// Several tokens go through AtomicMultiSend, so only accounts authorized on it qualify
 async function sendSmartEvmTx(recipientAddress, neededAmounts) {
+  return walletPool.withAccount(
+    neededAmounts,
+    account => sendEvmTxFrom(account, recipientAddress, neededAmounts),
+    { multiSend: neededAmounts.length > 1 }
+  );
+}
+
+async function sendEvmTxFrom(account, recipientAddress, neededAmounts) {
   console.log('Sending atomic EVM tokens to:', recipientAddress);
+  console.log('From hot wallet:', account.evmAddress);
   console.log('Needed amounts:', neededAmounts);
 
 
   // Separate ERC20 and native tokens
   // Separate ERC20s from native tokens
   // WATOM (0xEeeee...) is actually native ATOM, not an ERC20
-  const erc20Tokens = neededAmounts.filter(t => t.erc20_contract &&
-    t.erc20_contract !== "0x0000000000000000000000000000000000000000" &&
-    t.erc20_contract !== "0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE"
-  );
-  const nativeTokens = neededAmounts.filter(t => !t.erc20_contract ||
-    t.erc20_contract === "0x0000000000000000000000000000000000000000" ||
-    t.erc20_contract === "0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE"
-  );
+  const erc20Tokens = neededAmounts.filter(isErc20Token);
+  const nativeTokens = neededAmounts.filter(t => !isErc20Token(t));
 
-  const ethProvider = new JsonRpcProvider(chainConf.endpoints.evm_endpoint);
-  const privateKey = getPrivateKey();
-  const wallet = new Wallet(privateKey, ethProvider);
+  const ethProvider = account.dispatcher.provider;
 
   let tx = null;
+  let wait = null;
   let receipt = null;
 
   try {
@@ -1496,68 +2631,21 @@ async function sendSmartEvmTx(recipientAddress, neededAmounts) {
         throw new Error('AtomicMultiSend contract not configured');
       }
 
-      // Load AtomicMultiSend ABI
-      const abiPath = path.join(process.cwd(), 'deployments', 'AtomicMultiSend.abi.json');
-      console.log(`Loading ABI from: ${abiPath}`);
-      const atomicMultiSendABI = JSON.parse(fs.readFileSync(abiPath, 'utf8'));
-
-      const atomicContract = new Contract(atomicMultiSendAddress, atomicMultiSendABI, wallet);
-
-      // Prepare transfers array for the contract
-      const transfers = [];
-      const seenTokens = new Set();
-
-      // Add ERC20 transfers (with deduplication)
-      erc20Tokens.forEach(t => {
-        if (!seenTokens.has(t.erc20_contract)) {
-          seenTokens.add(t.erc20_contract);
-          transfers.push({
-            token: t.erc20_contract,
-            amount: t.amount
-          });
-        } else {
-          console.log('WARNING: Skipping duplicate ERC20 token:', t.erc20_contract);
-        }
-      });
-
-      // Add native token transfers (address(0) represents native tokens)
-      let totalNativeAmount = BigInt(0);
-      nativeTokens.forEach(t => {
-        // Only add one native token transfer
-        if (!seenTokens.has('native')) {
-          seenTokens.add('native');
-          transfers.push({
-            token: '0x0000000000000000000000000000000000000000', // address(0) for native
-            amount: t.amount
-          });
-          totalNativeAmount += BigInt(t.amount);
-        } else {
-          // If we already have a native transfer, just add to the total
-          totalNativeAmount += BigInt(t.amount);
-        }
-      });
-
-      // Safety check: ensure no duplicate tokens
-      const tokenAddresses = transfers.map(t => t.token);
-      const uniqueTokens = new Set(tokenAddresses);
-      if (tokenAddresses.length !== uniqueTokens.size) {
-        console.error('ERROR: Duplicate tokens in transfers array!');
-        console.error('Transfers:', transfers);
-        throw new Error('Duplicate tokens detected in transfer array');
-      }
+      const atomicContract = new Contract(atomicMultiSendAddress, loadAtomicMultiSendAbi(), ethProvider);
+      const { transfers, totalNativeAmount } = buildAtomicTransfers(erc20Tokens, nativeTokens);
 
       // Execute atomic transfer with native value if needed
-      tx = await atomicContract.atomicMultiSend(
+      ({ tx, wait } = await account.dispatcher.send(await atomicContract.atomicMultiSend.populateTransaction(
         recipientAddress,
         transfers,
         {
           value: totalNativeAmount,
-          gasLimit: 500000 // Reasonable gas limit for multiple transfers
+          gasLimit: ATOMIC_SEND_GAS_LIMIT // Reasonable gas limit for multiple transfers
         }
-      );
+      )));
 
       console.log('Atomic transaction sent:', tx.hash);
-      receipt = await tx.wait();
+      receipt = await wait();
       console.log('Atomic transaction confirmed!');
 
       return receipt;
@@ -1567,12 +2655,14 @@ async function sendSmartEvmTx(recipientAddress, neededAmounts) {
       if (erc20Tokens.length === 1) {
         console.log('Single ERC20 transfer');
         const token = erc20Tokens[0];
-        const tokenContract = new Contract(token.erc20_contract, ERC20_BASE_ABI, wallet);
+        const tokenContract = new Contract(token.erc20_contract, ERC20_BASE_ABI, ethProvider);
 
-        tx = await tokenContract.transfer(recipientAddress, token.amount);
+        ({ tx, wait } = await account.dispatcher.send(
+          await tokenContract.transfer.populateTransaction(recipientAddress, token.amount)
+        ));
         console.log('Transaction sent:', tx.hash);
 
-        receipt = await tx.wait();
+        receipt = await wait();
         console.log('Transaction confirmed!');
 
         return receipt;
@@ -1583,7 +2673,7 @@ async function sendSmartEvmTx(recipientAddress, neededAmounts) {
         );
 
         // Check faucet balance before sending
-        const faucetBalance = await ethProvider.getBalance(wallet.address);
+        const faucetBalance = await ethProvider.getBalance(account.evmAddress);
         console.log(`Faucet WATOM balance: ${faucetBalance.toString()} wei`);
         console.log(`Required WATOM amount: ${totalNative.toString()} wei`);
 
@@ -1591,13 +2681,13 @@ async function sendSmartEvmTx(recipientAddress, neededAmounts) {
           throw new Error(`Insufficient faucet balance. Has ${faucetBalance.toString()} wei, needs ${totalNative.toString()} wei`);
         }
 
-        tx = await wallet.sendTransaction({
+        ({ tx, wait } = await account.dispatcher.send({
           to: recipientAddress,
           value: totalNative
-        });
+        }));
 
         console.log('Native transaction sent:', tx.hash);
-        receipt = await tx.wait();
+        receipt = await wait();
         console.log('Native transaction confirmed!');
 
         return receipt;
@@ -1640,110 +2730,192 @@ async function sendSmartEvmTx(recipientAddress, neededAmounts) {
     }
 
     // If no transaction was sent, throw the original error
-    throw new Error(`EVM transaction failed: ${error.message}`);
+    throw new Error(`EVM transaction failed: ${error.message}`, { cause: error });
   }
 }
 
-// Cosmos transaction handler
-async function sendCosmosTx(recipientAddress, nativeTokens) {
-  console.log('Sending Cosmos native tokens to:', recipientAddress);
+// Build and sign a bank send from a pool account with eth_secp256k1, returning the encoded TxRaw bytes
+async function signCosmosTransaction(account, outputs, sequence, accountNumber) {
+  // Create the transaction
+  const { txBody, authInfo, signDoc } = await createCosmosTransaction(
+    account,
+    outputs,
+    sequence,
+    accountNumber,
+    chainConf.ids.cosmosChainId
+  );
 
-  try {
-    const fromAddress = getCosmosAddress();
-    console.log('From address:', fromAddress);
-    console.log('To address:', recipientAddress);
+  // Sign the transaction manually using eth_secp256k1
+  const privateKeyBytes = getAccountPrivateKeyBytes(account.index);
+
+  // IMPORTANT: Based on the Go code, eth_secp256k1 uses Keccak256, not SHA256!
+  const signBytes = SignDoc.encode(signDoc).finish();
+  const hashedMessage = Buffer.from(keccak_256(signBytes));
+
+  console.log('Sign bytes length:', signBytes.length);
+  console.log('Hash (Keccak256):', hashedMessage.toString('hex'));
+
+  // Sign with secp256k1
+  const signatureResult = secp256k1.sign(hashedMessage, privateKeyBytes);
+
+  // Based on Go code: The signature for verification should be 64 bytes (R || S) without recovery ID
+  // But we store 65 bytes initially and the verification strips the recovery ID
+  const signatureBytes = Buffer.concat([
+    Buffer.from(signatureResult.r.toString(16).padStart(64, '0'), 'hex'),
+    Buffer.from(signatureResult.s.toString(16).padStart(64, '0'), 'hex')
+  ]);
+
+  console.log('Signature length:', signatureBytes.length);
+  console.log('Signature (hex):', signatureBytes.toString('hex'));
+  console.log('R:', signatureResult.r.toString(16));
+  console.log('S:', signatureResult.s.toString(16));
+  console.log('Recovery ID:', signatureResult.recovery);
+
+  // Construct the transaction
+  const txRaw = TxRaw.fromPartial({
+    bodyBytes: TxBody.encode(txBody).finish(),
+    authInfoBytes: authInfo,
+    signatures: [signatureBytes],
+  });
 
-    // Get account info
-    const accountInfo = await getAccountInfo(fromAddress);
-    console.log('Account info:', accountInfo);
-    console.log('Chain ID:', chainConf.ids.cosmosChainId);
+  // Encode transaction
+  return TxRaw.encode(txRaw).finish();
+}
 
-    // Build amount array for native tokens
-    // Sort by denom alphabetically as required by Cosmos
-    const amounts = nativeTokens.map(token => ({
-      denom: token.denom,
-      amount: token.amount
-    })).sort((a, b) => a.denom.localeCompare(b.denom));
-    console.log('Amounts to send (sorted):', amounts);
-
-    // Create the transaction
-    const { txBody, authInfo, signDoc } = await createCosmosTransaction(
-      fromAddress,
-      recipientAddress,
-      amounts,
-      accountInfo.sequence,
-      accountInfo.accountNumber,
-      chainConf.ids.cosmosChainId
-    );
+// Broadcast signed tx bytes in sync mode; throws if CheckTx rejects the tx
+async function broadcastCosmosTransaction(txBytes) {
+  console.log('Broadcasting transaction...');
+  const broadcastUrl = `${chainConf.endpoints.rest_endpoint}/cosmos/tx/v1beta1/txs`;
+  const broadcastResponse = await fetch(broadcastUrl, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({
+      tx_bytes: toBase64(txBytes),
+      mode: 'BROADCAST_MODE_SYNC'
+    })
+  });
 
-    // Sign the transaction manually using eth_secp256k1
-    const privateKeyBytes = getPrivateKeyBytes();
+  if (!broadcastResponse.ok) {
+    const errorData = await broadcastResponse.json();
+    console.error('Broadcast error:', errorData);
+    throw new Error(`Broadcast failed: ${JSON.stringify(errorData)}`);
+  }
 
-    // IMPORTANT: Based on the Go code, eth_secp256k1 uses Keccak256, not SHA256!
-    const signBytes = SignDoc.encode(signDoc).finish();
-    const hashedMessage = Buffer.from(keccak_256(signBytes));
+  const broadcastResult = await broadcastResponse.json();
+  console.log('Broadcast result:', broadcastResult);
 
-    console.log('Sign bytes length:', signBytes.length);
-    console.log('Hash (Keccak256):', hashedMessage.toString('hex'));
+  if (broadcastResult.tx_response && broadcastResult.tx_response.code !== 0) {
+    const error = new Error(`Transaction failed: ${broadcastResult.tx_response.raw_log || broadcastResult.tx_response.log}`);
+    error.broadcastResult = broadcastResult;
+    error.restApiUrl = `${chainConf.endpoints.rest_endpoint}/cosmos/tx/v1beta1/txs/${broadcastResult.tx_response.txhash || 'unknown'}`;
+    error.raw_log = broadcastResult.tx_response.raw_log;
+    throw error;
+  }
 
-    // Sign with secp256k1
-    const signatureResult = secp256k1.sign(hashedMessage, privateKeyBytes);
+  return broadcastResult;
+}
 
-    // Based on Go code: The signature for verification should be 64 bytes (R || S) without recovery ID
-    // But we store 65 bytes initially and the verification strips the recovery ID
-    const signatureBytes = Buffer.concat([
-      Buffer.from(signatureResult.r.toString(16).padStart(64, '0'), 'hex'),
-      Buffer.from(signatureResult.s.toString(16).padStart(64, '0'), 'hex')
-    ]);
+// Poll for a broadcast tx until it is in a block and resolve with its tx_response.
+// Throws when it failed in DeliverTx or didn't show up within timeoutMs
+async function waitForCosmosTx(txHash, { timeoutMs = 60000, intervalMs = 1000, requestTimeoutMs = 10000 } = {}) {
+  const url = `${chainConf.endpoints.rest_endpoint}/cosmos/tx/v1beta1/txs/${txHash}`;
+  const deadline = Date.now() + timeoutMs;
 
-    console.log('Signature length:', signatureBytes.length);
-    console.log('Signature (hex):', signatureBytes.toString('hex'));
-    console.log('R:', signatureResult.r.toString(16));
-    console.log('S:', signatureResult.s.toString(16));
-    console.log('Recovery ID:', signatureResult.recovery);
-
-    // Construct the transaction
-    const txRaw = TxRaw.fromPartial({
-      bodyBytes: TxBody.encode(txBody).finish(),
-      authInfoBytes: authInfo,
-      signatures: [signatureBytes],
-    });
+  while (Date.now() < deadline) {
+    // The node answers 404 until the tx is indexed; a poll that hangs is dropped and retried,
+    // and none may run past the deadline
+    let response = null;
+    try {
+      response = await fetch(url, {
+        signal: AbortSignal.timeout(Math.max(1, Math.min(requestTimeoutMs, deadline - Date.now())))
+      });
+    } catch (error) {
+      if (error.name !== 'AbortError' && error.name !== 'TimeoutError') {
+        throw error;
+      }
+    }
+    if (response?.ok) {
+      const { tx_response: txResponse } = await response.json();
+      if (txResponse.code !== 0) {
+        throw new Error(`Transaction ${txHash} failed in block ${txResponse.height}: ${txResponse.raw_log}`);
+      }
+      return txResponse;
+    }
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
 
-    // Encode transaction
-    const txBytes = TxRaw.encode(txRaw).finish();
-    const txBase64 = toBase64(txBytes);
-
-    // Broadcast transaction
-    console.log('Broadcasting transaction...');
-    const broadcastUrl = `${chainConf.endpoints.rest_endpoint}/cosmos/tx/v1beta1/txs`;
-    const broadcastResponse = await fetch(broadcastUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        tx_bytes: txBase64,
-        mode: 'BROADCAST_MODE_SYNC'
-      })
-    });
+  throw new Error(`Transaction ${txHash} was not included in a block within ${Math.round(timeoutMs / 1000)}s`);
+}
 
-    if (!broadcastResponse.ok) {
-      const errorData = await broadcastResponse.json();
-      console.error('Broadcast error:', errorData);
-      throw new Error(`Broadcast failed: ${JSON.stringify(errorData)}`);
-    }
+// Cosmos transaction handler
+async function sendCosmosTx(recipientAddress, nativeTokens) {
+  console.log('Sending Cosmos native tokens to:', recipientAddress);
+  return sendCosmosOutputs([{ address: recipientAddress, coins: toCosmosCoins(nativeTokens) }]);
+}
+
+// Build amount array for native tokens
+// Sort by denom alphabetically as required by Cosmos
+function toCosmosCoins(nativeTokens) {
+  return nativeTokens.map(token => ({
+    denom: token.denom,
+    amount: token.amount
+  })).sort((a, b) => a.denom.localeCompare(b.denom));
+}
 
-    const broadcastResult = await broadcastResponse.json();
-    console.log('Broadcast result:', broadcastResult);
+// Settle one batch of bech32 recipients with a single MsgMultiSend
+async function settleCosmosBatch(items) {
+  if (items.length === 1) {
+    const result = await sendCosmosTx(items[0].recipientAddress, items[0].nativeTokens);
+    return [{ result, batchSize: 1 }];
+  }
+
+  const outputs = items.map(item => ({
+    address: item.recipientAddress,
+    coins: toCosmosCoins(item.nativeTokens)
+  }));
 
-    if (broadcastResult.tx_response && broadcastResult.tx_response.code !== 0) {
-      const error = new Error(`Transaction failed: ${broadcastResult.tx_response.raw_log || broadcastResult.tx_response.log}`);
-      error.broadcastResult = broadcastResult;
-      error.restApiUrl = `${chainConf.endpoints.rest_endpoint}/cosmos/tx/v1beta1/txs/${broadcastResult.tx_response.txhash || 'unknown'}`;
-      error.raw_log = broadcastResult.tx_response.raw_log;
+  try {
+    const result = await sendCosmosOutputs(outputs);
+    return items.map(() => ({ result, batchSize: items.length }));
+  } catch (error) {
+    if (FaucetError.isUpstreamUnavailable(error)) {
       throw error;
     }
 
+    // One rejected output fails the whole MsgMultiSend, so settle everyone on their own instead
+    console.error('Batched MsgMultiSend failed, falling back to individual sends:', error.message);
+    const settled = await Promise.allSettled(
+      items.map(item => sendCosmosTx(item.recipientAddress, item.nativeTokens))
+    );
+    return settled.map(outcome => outcome.status === 'fulfilled'
+      ? { result: outcome.value, batchSize: 1 }
+      : outcome.reason);
+  }
+}
+
+// Sign and broadcast a bank transfer to one or more outputs from a pool account: the given
+// one, or else the least busy account holding the coins
+async function sendCosmosOutputs(outputs, account = null) {
+  if (!account) {
+    return walletPool.withAccount(sumCoins(outputs), poolAccount => sendCosmosOutputs(outputs, poolAccount));
+  }
+
+  try {
+    const fromAddress = account.cosmosAddress;
+    console.log('From address:', fromAddress);
+    console.log('To addresses:', outputs.map(output => output.address));
+    console.log('Chain ID:', chainConf.ids.cosmosChainId);
+    console.log('Amounts to send (sorted):', outputs.map(output => output.coins));
+
+    // Sign and broadcast with the managed sequence; mismatches are re-signed automatically
+    const broadcastResult = await cosmosSequenceManager.withSequence(fromAddress, async ({ accountNumber, sequence }) => {
+      console.log(`Signing with account number ${accountNumber}, sequence ${sequence}`);
+      const txBytes = await signCosmosTransaction(account, outputs, sequence, accountNumber);
+      return broadcastCosmosTransaction(txBytes);
+    });
+
     const txHash = broadcastResult.tx_response.txhash;
     const restApiUrl = `${chainConf.endpoints.rest_endpoint}/cosmos/tx/v1beta1/txs/${txHash}`;
 
@@ -1785,7 +2957,7 @@ async function sendCosmosTx(recipientAddress, nativeTokens) {
       raw_log: error.raw_log || null
     };
 
-    const fullError = new Error(`Cosmos transaction failed: ${error.message}`);
+    const fullError = new Error(`Cosmos transaction failed: ${error.message}`, { cause: error });
     fullError.details = errorDetails;
     throw fullError;
   }
@@ -1804,6 +2976,9 @@ async function initializeFaucet() {
 
   console.log('Using addresses derived from mnemonic');
 
+  // Hot wallet pool: the primary plus any extra accounts from hotWallets.size
+  walletPool.load(getPoolAccounts());
+
   // Validate contract addresses
   console.log('\n Validating and verifying contract addresses...');
 
@@ -1830,10 +3005,27 @@ async function initializeFaucet() {
 
   console.log(' All contracts verified successfully!');
 
+  // Load erc20 module token pairs so IBC denoms get approvals too
+  await tokenPairResolver.ensureFresh();
+
   // Setup token approvals
   console.log('\n Checking and setting up token approvals...');
   await setupTokenApprovals();
 
+  // Start EVM nonce gap detection and keep the pool accounts funded
+  walletPool.start();
+  await capEvmBatchSize();
+
+  // Watch recent recipients for sweeps; funds sent back to the faucet don't count
+  if (sweepDetector) {
+    sweepDetector.start({
+      ignoredAddresses: [
+        ...walletPool.accounts.map(account => account.evmAddress),
+        chainConf.contracts.atomicMultiSend
+      ].filter(Boolean)
+    });
+  }
+
   // Start approval monitoring
   startApprovalMonitoring();
 
@@ -1881,6 +3073,13 @@ app.use((err, req, res, next) => {
   console.error('Server error:', err);
   console.error('Error path:', req.path);
   console.error('Error method:', req.method);
+
+  // Versioned API clients always get the JSON error envelope
+  if (req.path.startsWith('/api/v1/')) {
+    const code = err.type === 'entity.parse.failed' ? FaucetErrorCode.INVALID_REQUEST : FaucetErrorCode.INTERNAL_ERROR;
+    const message = err.type === 'entity.parse.failed' ? 'Request body is not valid JSON' : 'Internal server error';
+    return sendApiError(res, new FaucetError(code, message));
+  }
   
   // Don't send JSON for asset requests
   if (req.path.includes('.css') || req.path.includes('.js') || req.path.includes('.png') || req.path.includes('.jpg')) {
@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import { parseArgs } from 'util';
+import { JsonRpcProvider } from 'ethers';
+import { EvmLogSource, CosmosBankSource, FixtureSource, findSweepClusters } from '../src/sweep/index.js';
+
+// Parse command line arguments
+const { values: args } = parseArgs({
+  args: process.argv.slice(2),
+  options: {
+    'fixture': { type: 'string' },
+    'evm-rpc': { type: 'string' },
+    'rest-url': { type: 'string' },
+    'lookback-blocks': { type: 'string', default: '2000' },
+    'min-sources': { type: 'string', default: '3' },
+    'sweep-window': { type: 'string', default: '6' },
+    'help': { type: 'boolean', default: false }
+  }
+});
+
+if (args.help || !args.fixture) {
+  console.log(`
+Usage: node analyze-sweeps.js --fixture <file> [options]
+
+Options:
+  --fixture          JSON file with { recipients: [{ address, ips, funded_at }], transfers: [...] }
+  --evm-rpc          Read ERC20 transfers from this EVM JSON-RPC node instead of the fixture
+  --rest-url         Read bank transfers from this Cosmos REST endpoint instead of the fixture
+  --lookback-blocks  EVM blocks to search (default: 2000)
+  --min-sources      Recipients sending to one destination that make a cluster (default: 3)
+  --sweep-window     Hours after funding a transfer counts as a sweep (default: 6)
+  --help             Show this help message
+
+Runs the faucet's sweep detection once over the fixture's recipients and prints the clusters
+it finds, without touching the faucet's denylist. Pass --evm-rpc and/or --rest-url to check
+the recipients against a (local) devnet node instead of the recorded transfers.
+`);
+  process.exit(args.help ? 0 : 1);
+}
+
+const fixture = JSON.parse(fs.readFileSync(args.fixture, 'utf8'));
+const recipients = (fixture.recipients || []).map(recipient => ({
+  ...recipient,
+  ips: recipient.ips || (recipient.ip ? [recipient.ip] : [])
+}));
+
+const sources = [];
+if (args['evm-rpc']) {
+  sources.push(new EvmLogSource({
+    provider: new JsonRpcProvider(args['evm-rpc']),
+    lookbackBlocks: Number(args['lookback-blocks'])
+  }));
+}
+if (args['rest-url']) {
+  sources.push(new CosmosBankSource({ restEndpoint: args['rest-url'] }));
+}
+if (sources.length === 0) {
+  sources.push(new FixtureSource({ path: args.fixture }));
+}
+
+async function main() {
+  const transfers = [];
+  for (const source of sources) {
+    const found = await source.fetchTransfers(recipients);
+    console.log(`${source.name}: ${found.length} transfers`);
+    transfers.push(...found);
+  }
+
+  const clusters = findSweepClusters(recipients, transfers, {
+    minSources: Number(args['min-sources']),
+    sweepWindowMs: Number(args['sweep-window']) * 60 * 60 * 1000
+  });
+
+  if (clusters.length === 0) {
+    console.log('No sweep clusters found');
+    return;
+  }
+  for (const cluster of clusters) {
+    console.log(`\nCluster sweeping to ${cluster.destination}:`);
+    for (const recipient of cluster.recipients) {
+      console.log(`  ${recipient.address} (IPs: ${recipient.ips.join(', ') || 'unknown'})`);
+    }
+    console.log(`  ${cluster.transfers.length} transfers`);
+  }
+}
+
+main().catch(error => {
+  console.error('Sweep analysis failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import { parseArgs } from 'util';
+import {
+  KeystoreFormat,
+  readPassphrase,
+  encryptMnemonic,
+  encryptPrivateKey,
+  loadKeystore,
+  reencryptKeystore
+} from '../src/Keystore.js';
+
+// Parse command line arguments
+const { values: args, positionals } = parseArgs({
+  args: process.argv.slice(2),
+  allowPositionals: true,
+  options: {
+    'format': { type: 'string', default: KeystoreFormat.MNEMONIC },
+    'in': { type: 'string' },
+    'out': { type: 'string' },
+    'force': { type: 'boolean', default: false },
+    'help': { type: 'boolean', default: false }
+  }
+});
+
+const command = positionals[0];
+
+if (args.help || !['create', 'reencrypt'].includes(command)) {
+  console.log(`
+Usage: node keystore.js <create|reencrypt> [options]
+
+Commands:
+  create      Encrypt MNEMONIC (or PRIVATE_KEY with --format v3) with KEYSTORE_PASSPHRASE
+  reencrypt   Decrypt --in with KEYSTORE_PASSPHRASE and encrypt it with NEW_KEYSTORE_PASSPHRASE
+
+Options:
+  --format    mnemonic (encrypted mnemonic file, default) or v3 (Ethereum V3 JSON keystore)
+  --in        Keystore to re-encrypt
+  --out       File to write (required for create, defaults to --in for reencrypt)
+  --force     Overwrite an existing --out file on create
+  --help      Show this help message
+
+Passphrases are read from the variable or from a secret file named by <VAR>_FILE,
+e.g. KEYSTORE_PASSPHRASE_FILE=/run/secrets/faucet-passphrase. Start the faucet with
+KEYSTORE_PATH pointing at the file and the same passphrase variable. Only a mnemonic
+keystore can derive the hot wallet pool.
+`);
+  process.exit(args.help ? 0 : 1);
+}
+
+function requirePassphrase(name) {
+  const passphrase = readPassphrase(name);
+  if (!passphrase) {
+    console.error(`Error: set ${name} or ${name}_FILE`);
+    process.exit(1);
+  }
+  return passphrase;
+}
+
+// Write through a temporary file so an interrupted write never leaves a broken keystore
+function writeKeystore(path, keystore) {
+  const tmpPath = `${path}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(keystore, null, 2) + '\n', { mode: 0o600 });
+  fs.renameSync(tmpPath, path);
+}
+
+async function create() {
+  if (!args.out) {
+    console.error('Error: --out is required');
+    process.exit(1);
+  }
+  if (fs.existsSync(args.out) && !args.force) {
+    console.error(`Error: ${args.out} exists, pass --force to overwrite it`);
+    process.exit(1);
+  }
+
+  const passphrase = requirePassphrase('KEYSTORE_PASSPHRASE');
+  let keystore;
+  if (args.format === KeystoreFormat.MNEMONIC) {
+    if (!process.env.MNEMONIC) {
+      console.error('Error: set MNEMONIC to the phrase to encrypt');
+      process.exit(1);
+    }
+    keystore = await encryptMnemonic(process.env.MNEMONIC, passphrase);
+  } else if (args.format === KeystoreFormat.V3) {
+    if (!process.env.PRIVATE_KEY) {
+      console.error('Error: set PRIVATE_KEY to the hex private key to encrypt');
+      process.exit(1);
+    }
+    keystore = await encryptPrivateKey(process.env.PRIVATE_KEY, passphrase);
+  } else {
+    console.error(`Error: unknown --format ${args.format}, expected mnemonic or v3`);
+    process.exit(1);
+  }
+
+  writeKeystore(args.out, keystore);
+  console.log(`Wrote ${args.format} keystore to ${args.out}`);
+  console.log('Remove MNEMONIC / PRIVATE_KEY from the environment and start the faucet with KEYSTORE_PATH');
+}
+
+async function reencrypt() {
+  if (!args.in) {
+    console.error('Error: --in is required');
+    process.exit(1);
+  }
+
+  const decrypted = await loadKeystore(args.in, requirePassphrase('KEYSTORE_PASSPHRASE'));
+  const keystore = await reencryptKeystore(decrypted, requirePassphrase('NEW_KEYSTORE_PASSPHRASE'));
+
+  const out = args.out || args.in;
+  writeKeystore(out, keystore);
+  console.log(`Re-encrypted ${decrypted.format} keystore ${args.in} to ${out}`);
+}
+
+(command === 'create' ? create() : reencrypt()).catch(error => {
+  console.error('Error:', error.message);
+  process.exit(1);
+});
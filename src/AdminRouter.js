@@ -0,0 +1,378 @@
+/**
+ * AdminRouter - The admin API under /api/v1/admin
+ * API keys, rate limit inspection and adjustment, the audit trail and the denylist. Every route
+ * needs the configured admin token, and every change is written to the audit trail.
+ */
+
+import express from 'express';
+import { createHash, timingSafeEqual } from 'crypto';
+import { isIP } from 'net';
+import { FaucetError, FaucetErrorCode } from './FaucetError.js';
+import { DenylistType } from './Denylist.js';
+import { parseDuration } from './TokenConfigLoader.js';
+
+/**
+ * Router for the admin endpoints. options:
+ * - token: admin bearer token; without one every route answers FORBIDDEN
+ * - limits: the anonymous { address, ip } rate limits
+ * - checker, allowanceTracker, distributionBudget, apiKeyManager, requestTracker, auditLog,
+ *   denylist, clientIpResolver: the faucet's instances
+ * - sweepDetector: the faucet's SweepDetector, or null when sweep detection is disabled
+ * - resolveAddress(value): canonical form of an address, or null when value isn't one
+ * - resolveTokens(tokens): denoms for a list of token symbols or denoms, throwing on unknown ones
+ * - sendError(res, error): writes the v1 error envelope
+ */
+export function createAdminRouter(options) {
+    const {
+        token: adminToken,
+        limits,
+        checker,
+        allowanceTracker,
+        distributionBudget,
+        apiKeyManager,
+        requestTracker,
+        auditLog,
+        denylist,
+        sweepDetector,
+        clientIpResolver,
+        resolveAddress,
+        resolveTokens,
+        sendError
+    } = options;
+    const router = express.Router();
+
+    // Admin endpoints need the configured admin token; without one they are disabled
+    function requireAdmin(req) {
+        if (!adminToken) {
+            throw new FaucetError(FaucetErrorCode.FORBIDDEN, 'Admin API is disabled, set ADMIN_API_TOKEN to enable it');
+        }
+
+        const digest = value => createHash('sha256').update(value).digest();
+        const match = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '');
+        const token = match ? match[1].trim() : null;
+        if (!token || !timingSafeEqual(digest(token), digest(adminToken))) {
+            throw new FaucetError(FaucetErrorCode.UNAUTHORIZED, 'Admin token required');
+        }
+    }
+
+    // Express handler for an admin endpoint. handler(req) returns { status?, body, target?, details? };
+    // with an action the call is written to the audit trail once it succeeds.
+    function adminRoute(action, handler) {
+        return async (req, res) => {
+            try {
+                requireAdmin(req);
+                const { status = 200, body, target = null, details = {} } = await handler(req);
+                if (action) {
+                    auditLog.record({ action, actor: clientIpResolver.resolveAddress(req), target, details });
+                }
+                res.status(status).json(body);
+            } catch (error) {
+                sendError(res, error);
+            }
+        };
+    }
+
+    // Validate the body of POST /api-keys
+    function parseApiKeyBody(body) {
+        const {
+            name,
+            limits: keyLimitsBody = {},
+            tokens = null,
+            target_balances: targetBalances = {},
+            expires_at: expiresAt = null
+        } = body || {};
+
+        if (typeof name !== 'string' || !name.trim() || name.length > 128) {
+            throw new FaucetError(FaucetErrorCode.INVALID_REQUEST, 'name is required, at most 128 characters');
+        }
+        if (typeof keyLimitsBody !== 'object' || keyLimitsBody === null || Array.isArray(keyLimitsBody)) {
+            throw new FaucetError(FaucetErrorCode.INVALID_REQUEST, 'limits must be an object { address, ip }');
+        }
+        const keyLimits = {};
+        for (const field of ['address', 'ip']) {
+            if (keyLimitsBody[field] === undefined) continue;
+            if (!Number.isInteger(keyLimitsBody[field]) || keyLimitsBody[field] < 1) {
+                throw new FaucetError(FaucetErrorCode.INVALID_REQUEST, `limits.${field} must be a positive integer`);
+            }
+            keyLimits[field] = keyLimitsBody[field];
+        }
+
+        if (typeof targetBalances !== 'object' || targetBalances === null || Array.isArray(targetBalances)) {
+            throw new FaucetError(FaucetErrorCode.INVALID_REQUEST, 'target_balances must be an object { token: amount }');
+        }
+        const balances = {};
+        for (const [token, amount] of Object.entries(targetBalances)) {
+            if (typeof amount !== 'string' || !/^\d+$/.test(amount)) {
+                throw new FaucetError(FaucetErrorCode.INVALID_REQUEST, `target_balances.${token} must be an amount in base units, e.g. "1000000"`);
+            }
+            balances[resolveTokens([token])[0]] = amount;
+        }
+
+        if (expiresAt !== null && (typeof expiresAt !== 'string' || Number.isNaN(Date.parse(expiresAt)))) {
+            throw new FaucetError(FaucetErrorCode.INVALID_REQUEST, 'expires_at must be an ISO 8601 date');
+        }
+
+        return {
+            name: name.trim(),
+            limits: keyLimits,
+            tokens: tokens === null ? null : resolveTokens(tokens),
+            target_balances: balances,
+            expires_at: expiresAt === null ? null : new Date(expiresAt).toISOString()
+        };
+    }
+
+    // Rate limit entry for an admin listing. Keys are addr_<address>_dual, or ip_<bucket>_dual
+    // where the bucket is dual<ip> for anonymous requests and key<id>_<ip> for an API key.
+    function describeRateLimitEntry({ key, timestamps, resetAt, blockedUntil }) {
+        const addressMatch = /^addr_(.+)_dual$/.exec(key);
+        const keyMatch = /^ip_key([0-9a-f]{16})_(.+)_dual$/.exec(key);
+        const ipMatch = /^ip_dual(.+)_dual$/.exec(key);
+
+        let entry;
+        if (addressMatch) {
+            entry = { type: 'address', subject: addressMatch[1], api_key_id: null, limit: limits.address };
+        } else if (keyMatch) {
+            const apiKey = apiKeyManager.get(keyMatch[1]);
+            entry = { type: 'ip', subject: keyMatch[2], api_key_id: keyMatch[1], limit: apiKey ? apiKey.limits.ip : null };
+        } else if (ipMatch) {
+            entry = { type: 'ip', subject: ipMatch[1], api_key_id: null, limit: limits.ip };
+        } else {
+            entry = { type: 'unknown', subject: key, api_key_id: null, limit: null };
+        }
+
+        return {
+            key,
+            ...entry,
+            requests: timestamps.length,
+            limited: Boolean(blockedUntil) || (entry.limit !== null && timestamps.length >= entry.limit),
+            reset_at: resetAt ? new Date(resetAt).toISOString() : null,
+            blocked_until: blockedUntil ? new Date(blockedUntil).toISOString() : null
+        };
+    }
+
+    // Resolve the :subject of /limits: an address (any form of the account), an IP, or an IPv6
+    // prefix as rate limited (e.g. 2001:db8:1:2::/64).
+    // Returns { type, subject, keys } with every rate limit key that counts against it.
+    function resolveLimitSubject(value) {
+        const subject = String(value || '').trim();
+
+        const address = resolveAddress(subject);
+        if (address) {
+            return { type: 'address', subject: address, keys: [checker.addressKey(address, 'dual')] };
+        }
+
+        const [ip, prefixLength] = subject.split('/');
+        if (isIP(ip) && (prefixLength === undefined || isIP(ip) === 6)) {
+            const grouped = prefixLength === undefined ? clientIpResolver.group(ip) : subject;
+            // the anonymous bucket, plus the bucket of every API key used from there
+            const apiKeyBuckets = checker.getEntries('ip_key')
+                .map(entry => entry.key)
+                .filter(key => /^ip_key[0-9a-f]{16}_/.test(key) && key.endsWith(`_${grouped}_dual`));
+            return { type: 'ip', subject: grouped, keys: [checker.ipKey(`dual${grouped}`, 'dual'), ...apiKeyBuckets] };
+        }
+
+        throw new FaucetError(FaucetErrorCode.INVALID_REQUEST, `${subject} is neither an address nor an IP`);
+    }
+
+    // Current limits of a resolved subject
+    function describeLimitSubject({ type, subject, keys }) {
+        const entries = checker.getEntries()
+            .filter(entry => keys.includes(entry.key))
+            .map(describeRateLimitEntry);
+        return {
+            type,
+            subject,
+            rate_limits: entries,
+            allowance: type === 'address' ? allowanceTracker.getEntry(subject) : null
+        };
+    }
+
+    // Denoms from an optional { tokens } body, for clearing or extending part of an allowance
+    function parseAdminTokens(body) {
+        if (body?.tokens === undefined || body.tokens === null) {
+            return null;
+        }
+        return resolveTokens(body.tokens);
+    }
+
+    // A positive duration such as "6h" or a number of milliseconds
+    function parsePositiveDuration(value, field, example) {
+        let ms;
+        try {
+            ms = parseDuration(value);
+        } catch (error) {
+            throw new FaucetError(FaucetErrorCode.INVALID_REQUEST, error.message);
+        }
+        if (!Number.isFinite(ms) || ms <= 0) {
+            throw new FaucetError(FaucetErrorCode.INVALID_REQUEST, `${field} must be a positive duration, e.g. "${example}" or a number of milliseconds`);
+        }
+        return ms;
+    }
+
+    // Validate an admin denylist { type, value } pair; IPs are grouped the way they are rate limited
+    function parseDenylistSubject(type, value) {
+        if (!Object.values(DenylistType).includes(type)) {
+            throw new FaucetError(FaucetErrorCode.INVALID_REQUEST, 'type must be "address" or "ip"');
+        }
+        const resolved = resolveLimitSubject(value);
+        if (resolved.type !== type) {
+            throw new FaucetError(FaucetErrorCode.INVALID_REQUEST, `${value} is not an ${type === DenylistType.IP ? 'IP' : 'address'}`);
+        }
+        return resolved.subject;
+    }
+
+    // Mint an API key; the plaintext key is only ever returned here
+    router.post('/api-keys', adminRoute('api_key.create', (req) => {
+        const { key, record } = apiKeyManager.create(parseApiKeyBody(req.body));
+        return {
+            status: 201,
+            body: { key, api_key: record },
+            target: record.prefix,
+            details: { name: record.name, limits: record.limits, tokens: record.tokens, expires_at: record.expires_at }
+        };
+    }));
+
+    // Every API key with its limits and usage, without the hashes
+    router.get('/api-keys', adminRoute(null, () => ({ body: { api_keys: apiKeyManager.list() } })));
+
+    router.get('/api-keys/:id', adminRoute(null, (req) => {
+        const apiKey = apiKeyManager.get(req.params.id);
+        if (!apiKey) {
+            throw new FaucetError(FaucetErrorCode.NOT_FOUND, `API key ${req.params.id} not found`);
+        }
+        return { body: { api_key: apiKey } };
+    }));
+
+    // Revoke a key; it is rejected from the next request on, and its record and usage are kept
+    router.post('/api-keys/:id/revoke', adminRoute('api_key.revoke', (req) => {
+        const apiKey = apiKeyManager.revoke(req.params.id);
+        if (!apiKey) {
+            throw new FaucetError(FaucetErrorCode.NOT_FOUND, `API key ${req.params.id} not found`);
+        }
+        return { body: { api_key: apiKey }, target: apiKey.prefix, details: { name: apiKey.name } };
+    }));
+
+    // Aggregate limiter, allowance, budget, API key and request statistics
+    router.get('/stats', adminRoute(null, () => ({
+        body: {
+            rate_limits: checker.getStats(),
+            allowances: allowanceTracker.getStats(),
+            budget: distributionBudget.getStatus(),
+            api_keys: apiKeyManager.getStats(),
+            requests: requestTracker.getStats()
+        }
+    })));
+
+    // Every active rate limit and allowance entry; ?type=address or ?type=ip narrows the rate limits
+    router.get('/limits', adminRoute(null, (req) => {
+        const { type } = req.query;
+        if (type !== undefined && !['address', 'ip'].includes(type)) {
+            throw new FaucetError(FaucetErrorCode.INVALID_REQUEST, 'type must be "address" or "ip"');
+        }
+
+        const rateLimits = checker.getEntries()
+            .map(describeRateLimitEntry)
+            .filter(entry => !type || entry.type === type);
+        return {
+            body: {
+                rate_limits: rateLimits,
+                allowances: type === 'ip' ? [] : allowanceTracker.getEntries()
+            }
+        };
+    }));
+
+    router.get('/limits/:subject', adminRoute(null, (req) => ({
+        body: describeLimitSubject(resolveLimitSubject(req.params.subject))
+    })));
+
+    // Lift the limits of an address or IP. With { tokens } only those allowances are cleared
+    // and the rate limits are left alone.
+    router.post('/limits/:subject/clear', adminRoute('limits.clear', (req) => {
+        const resolved = resolveLimitSubject(req.params.subject);
+        const denoms = parseAdminTokens(req.body);
+
+        const clearedRequests = denoms ? 0 : resolved.keys.reduce((total, key) => total + checker.clear(key), 0);
+        const clearedTokens = resolved.type === 'address' ? allowanceTracker.clear(resolved.subject, denoms) : [];
+
+        return {
+            body: describeLimitSubject(resolved),
+            target: resolved.subject,
+            details: { rate_limit_requests: clearedRequests, allowance_tokens: clearedTokens }
+        };
+    }));
+
+    // Keep an address or IP limited for longer: { duration: "6h" or milliseconds, tokens? } blocks
+    // it until that long after its current limit would lift (from now when it isn't limited).
+    // With tokens only those allowances are extended.
+    router.post('/limits/:subject/extend', adminRoute('limits.extend', (req) => {
+        const resolved = resolveLimitSubject(req.params.subject);
+        const denoms = parseAdminTokens(req.body);
+        const durationMs = parsePositiveDuration(req.body?.duration, 'duration', '6h');
+
+        const rateLimitBlocks = denoms ? [] : resolved.keys.map(key => ({
+            key,
+            blocked_until: new Date(checker.extend(key, durationMs)).toISOString()
+        }));
+        const extendedTokens = resolved.type === 'address' ? allowanceTracker.extend(resolved.subject, durationMs, denoms) : [];
+
+        return {
+            body: describeLimitSubject(resolved),
+            target: resolved.subject,
+            details: { duration_ms: durationMs, rate_limit_blocks: rateLimitBlocks, allowance_tokens: extendedTokens }
+        };
+    }));
+
+    // Audit trail, newest first; ?action=, ?target= and ?limit= (default 100, at most 1000)
+    router.get('/audit', adminRoute(null, (req) => {
+        const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+            throw new FaucetError(FaucetErrorCode.INVALID_REQUEST, 'limit must be an integer from 1 to 1000');
+        }
+        return {
+            body: { entries: auditLog.list({ limit, action: req.query.action, target: req.query.target }) }
+        };
+    }));
+
+    // Active denylist entries, ?type=address or ?type=ip, with the sweep detector's last pass
+    router.get('/denylist', adminRoute(null, (req) => ({
+        body: {
+            entries: denylist.list(req.query.type || null),
+            sweep_detection: sweepDetector ? sweepDetector.getStatus() : { enabled: false }
+        }
+    })));
+
+    // Deny an address or IP by hand: { type, value, reason?, ttl? } where ttl is e.g. "30d"; without one it never expires
+    router.post('/denylist', adminRoute('denylist.add', (req) => {
+        const { type, value, reason = 'denied by admin', ttl = null } = req.body || {};
+        const subject = parseDenylistSubject(type, value);
+        if (typeof reason !== 'string' || !reason.trim() || reason.length > 256) {
+            throw new FaucetError(FaucetErrorCode.INVALID_REQUEST, 'reason must be a string of at most 256 characters');
+        }
+        const ttlMs = ttl === null ? null : parsePositiveDuration(ttl, 'ttl', '30d');
+
+        const entry = denylist.add(type, subject, { reason: reason.trim(), ttlMs });
+        return { status: 201, body: { entry }, target: entry.value, details: { type, reason: entry.reason, expires_at: entry.expires_at } };
+    }));
+
+    router.post('/denylist/:type/:value/remove', adminRoute('denylist.remove', (req) => {
+        const entry = denylist.remove(req.params.type, parseDenylistSubject(req.params.type, req.params.value));
+        if (!entry) {
+            throw new FaucetError(FaucetErrorCode.NOT_FOUND, `${req.params.value} is not denylisted`);
+        }
+        return { body: { entry }, target: entry.value, details: { type: entry.type, reason: entry.reason } };
+    }));
+
+    // Run a sweep detection pass now instead of waiting for the interval
+    router.post('/sweeps/analyze', adminRoute('sweeps.analyze', async () => {
+        if (!sweepDetector) {
+            throw new FaucetError(FaucetErrorCode.FORBIDDEN, 'Sweep detection is disabled, set SWEEP_DETECTION=true to enable it');
+        }
+        const run = await sweepDetector.analyze();
+        return {
+            body: { sweep_detection: run },
+            details: { clusters: run.clusters.map(cluster => cluster.destination), denylisted: run.denylisted }
+        };
+    }));
+
+    return router;
+}
@@ -0,0 +1,161 @@
+/**
+ * ApiKeyManager - API keys for trusted clients such as CI pipelines
+ * Each key carries its own address/IP limits, token subset and target balances, and tracks
+ * its usage. Only a SHA-256 hash of the key is stored; the plaintext is shown once on creation.
+ */
+
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+
+const NAMESPACE = 'api_keys';
+// fk_<16 hex id>_<secret>; the id locates the record, the whole string is hashed
+const KEY_PATTERN = /^fk_([0-9a-f]{16})_([A-Za-z0-9_-]{43})$/;
+
+class ApiKeyManager {
+    constructor(config, store) {
+        this.store = store;
+        // Limits for keys created without their own
+        this.defaultLimits = {
+            address: config.apiKeys?.defaultLimits?.address ?? 10,
+            ip: config.apiKeys?.defaultLimits?.ip ?? 100
+        };
+
+        // id -> record, written through to the store on every change
+        this.keys = new Map();
+        this.loadData();
+    }
+
+    /**
+     * Load stored keys
+     */
+    loadData() {
+        this.keys = new Map(this.store.entries(NAMESPACE));
+        console.log(` Loaded ${this.keys.size} API keys (${this.store.backend})`);
+    }
+
+    /**
+     * Mint a key. spec: { name, limits?: { address, ip }, tokens?: [denom], target_balances?: { denom: amount },
+     * expires_at? }. Returns { key, record }; the plaintext key is not kept anywhere.
+     */
+    create(spec) {
+        const id = randomBytes(8).toString('hex');
+        const key = `fk_${id}_${randomBytes(32).toString('base64url')}`;
+        const record = {
+            id,
+            name: spec.name,
+            hash: hashKey(key),
+            limits: { ...this.defaultLimits, ...(spec.limits || {}) },
+            tokens: spec.tokens || null,
+            target_balances: spec.target_balances || {},
+            created_at: new Date().toISOString(),
+            expires_at: spec.expires_at || null,
+            revoked_at: null,
+            usage: { requests: 0, tokens_sent: {}, last_used_at: null }
+        };
+
+        this._save(record);
+        console.log(` Created API key ${id} (${record.name})`);
+        return { key, record: toPublic(record) };
+    }
+
+    /**
+     * Record for a plaintext key, or null when it is unknown, revoked or expired
+     */
+    authenticate(key) {
+        const match = KEY_PATTERN.exec(key || '');
+        const record = match && this.keys.get(match[1]);
+        if (!record) {
+            return null;
+        }
+
+        const expected = Buffer.from(record.hash, 'hex');
+        const given = Buffer.from(hashKey(key), 'hex');
+        if (!timingSafeEqual(expected, given) || !isActive(record)) {
+            return null;
+        }
+        return toPublic(record);
+    }
+
+    /**
+     * Revoke a key at runtime; it stops authenticating immediately. Returns the record, or null if unknown
+     */
+    revoke(id) {
+        const record = this.keys.get(id);
+        if (!record) {
+            return null;
+        }
+        if (!record.revoked_at) {
+            record.revoked_at = new Date().toISOString();
+            this._save(record);
+            console.log(` Revoked API key ${id} (${record.name})`);
+        }
+        return toPublic(record);
+    }
+
+    /**
+     * One key without its hash, or null
+     */
+    get(id) {
+        const record = this.keys.get(id);
+        return record ? toPublic(record) : null;
+    }
+
+    /**
+     * Every key without its hash, newest first
+     */
+    list() {
+        return Array.from(this.keys.values())
+            .sort((a, b) => b.created_at.localeCompare(a.created_at))
+            .map(toPublic);
+    }
+
+    /**
+     * Count a request that sent tokens: [{ denom, amount }]
+     */
+    recordUsage(id, tokensSent) {
+        const record = this.keys.get(id);
+        if (!record) {
+            return;
+        }
+
+        record.usage.requests += 1;
+        record.usage.last_used_at = new Date().toISOString();
+        for (const { denom, amount } of tokensSent) {
+            const total = BigInt(record.usage.tokens_sent[denom] || '0') + BigInt(amount);
+            record.usage.tokens_sent[denom] = total.toString();
+        }
+        this._save(record);
+    }
+
+    /**
+     * Key counts for health reporting
+     */
+    getStats() {
+        const records = Array.from(this.keys.values());
+        return {
+            total: records.length,
+            active: records.filter(isActive).length,
+            revoked: records.filter(record => record.revoked_at).length
+        };
+    }
+
+    _save(record) {
+        this.keys.set(record.id, record);
+        this.store.set(NAMESPACE, record.id, record);
+    }
+}
+
+function hashKey(key) {
+    return createHash('sha256').update(key).digest('hex');
+}
+
+function isActive(record) {
+    return !record.revoked_at && (!record.expires_at || Date.parse(record.expires_at) > Date.now());
+}
+
+// Everything but the hash, plus whether the key still works
+function toPublic(record) {
+    const { hash, ...rest } = record;
+    return { ...structuredClone(rest), prefix: `fk_${record.id}`, active: isActive(record) };
+}
+
+export default ApiKeyManager;
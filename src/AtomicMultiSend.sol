@@ -26,12 +26,29 @@ contract AtomicMultiSend is Ownable, ReentrancyGuard {
     
     event TokensDeposited(address indexed token, uint256 amount, address indexed depositor);
     event TokensWithdrawn(address indexed token, uint256 amount, address indexed recipient);
+    event OperatorUpdated(address indexed operator, bool allowed);
     
     // Track total deposits for accounting
     mapping(address => uint256) public totalDeposits;
     
+    // Hot wallets besides the owner that may send; each sends from its own balance and allowance
+    mapping(address => bool) public operators;
+    
     constructor() Ownable() {}
     
+    modifier onlyOperator() {
+        require(msg.sender == owner() || operators[msg.sender], "AtomicMultiSend: caller is not an operator");
+        _;
+    }
+    
+    /**
+     * @dev Allow or disallow a hot wallet to send through this contract
+     */
+    function setOperator(address operator, bool allowed) external onlyOwner {
+        operators[operator] = allowed;
+        emit OperatorUpdated(operator, allowed);
+    }
+    
     /**
      * @dev Atomically send multiple tokens to a single recipient
      * @param recipient Address to receive the tokens
@@ -42,12 +59,50 @@ contract AtomicMultiSend is Ownable, ReentrancyGuard {
     function atomicMultiSend(
         address payable recipient, 
         TokenTransfer[] calldata transfers
-    ) external payable onlyOwner nonReentrant {
+    ) external payable onlyOperator nonReentrant {
+        uint256 nativeAmount = _nativeTotal(transfers);
+        require(msg.value >= nativeAmount, "AtomicMultiSend: insufficient native tokens sent");
+        
+        _atomicMultiSend(recipient, transfers);
+        _refundExcess(msg.value - nativeAmount);
+    }
+    
+    /**
+     * @dev Batch atomic send to multiple recipients (same tokens for each)
+     * @param recipients Array of recipient addresses
+     * @param transfersPerRecipient Array of transfers to send to each recipient
+     *
+     * msg.value must cover the native amount for every recipient; any excess is refunded
+     */
+    function batchAtomicMultiSend(
+        address payable[] calldata recipients,
+        TokenTransfer[] calldata transfersPerRecipient
+    ) external payable onlyOperator nonReentrant {
+        require(recipients.length > 0, "AtomicMultiSend: no recipients specified");
+        require(transfersPerRecipient.length > 0, "AtomicMultiSend: no transfers specified");
+        
+        uint256 totalNative = _nativeTotal(transfersPerRecipient) * recipients.length;
+        require(msg.value >= totalNative, "AtomicMultiSend: insufficient native tokens sent");
+        
+        // Internal call: an external this.atomicMultiSend() would fail onlyOperator and nonReentrant
+        for (uint256 i = 0; i < recipients.length; i++) {
+            _atomicMultiSend(recipients[i], transfersPerRecipient);
+        }
+        
+        _refundExcess(msg.value - totalNative);
+    }
+    
+    /**
+     * @dev Validate and execute one recipient's transfers from the caller; native value must already be held
+     * @return nativeAmount Native tokens sent to the recipient
+     */
+    function _atomicMultiSend(
+        address payable recipient,
+        TokenTransfer[] calldata transfers
+    ) internal returns (uint256 nativeAmount) {
         require(recipient != address(0), "AtomicMultiSend: recipient cannot be zero address");
         require(transfers.length > 0, "AtomicMultiSend: no transfers specified");
         
-        uint256 nativeAmount = 0;
-        
         // STEP 1: Validate all transfers BEFORE executing any
         for (uint256 i = 0; i < transfers.length; i++) {
             TokenTransfer calldata transfer = transfers[i];
@@ -61,7 +116,7 @@ contract AtomicMultiSend is Ownable, ReentrancyGuard {
                 
                 IERC20 token = IERC20(transfer.token);
                 // Check allowance instead of contract balance
-                uint256 allowance = token.allowance(owner(), address(this));
+                uint256 allowance = token.allowance(msg.sender, address(this));
                 require(
                     allowance >= transfer.amount,
                     string(abi.encodePacked(
@@ -70,12 +125,12 @@ contract AtomicMultiSend is Ownable, ReentrancyGuard {
                     ))
                 );
                 
-                // Also check owner's balance
-                uint256 ownerBalance = token.balanceOf(owner());
+                // Also check the sender's balance
+                uint256 senderBalance = token.balanceOf(msg.sender);
                 require(
-                    ownerBalance >= transfer.amount,
+                    senderBalance >= transfer.amount,
                     string(abi.encodePacked(
-                        "AtomicMultiSend: insufficient owner balance for token ",
+                        "AtomicMultiSend: insufficient sender balance for token ",
                         addressToString(transfer.token)
                     ))
                 );
@@ -85,8 +140,8 @@ contract AtomicMultiSend is Ownable, ReentrancyGuard {
         // Validate native token amount
         if (nativeAmount > 0) {
             require(
-                owner().balance >= nativeAmount,
-                "AtomicMultiSend: insufficient native token balance in owner account"
+                msg.sender.balance >= nativeAmount,
+                "AtomicMultiSend: insufficient native token balance in sender account"
             );
         }
         
@@ -100,26 +155,15 @@ contract AtomicMultiSend is Ownable, ReentrancyGuard {
             } else {
                 // ERC20 token transfer using transferFrom
                 IERC20 token = IERC20(transfer.token);
-                bool success = token.transferFrom(owner(), recipient, transfer.amount);
+                bool success = token.transferFrom(msg.sender, recipient, transfer.amount);
                 require(success, "AtomicMultiSend: ERC20 transferFrom failed");
             }
         }
         
         // STEP 3: Send native tokens if any (must be last to prevent reentrancy)
         if (nativeAmount > 0) {
-            require(msg.value >= nativeAmount, "AtomicMultiSend: insufficient native tokens sent");
             (bool success, ) = recipient.call{value: nativeAmount}("");
             require(success, "AtomicMultiSend: native token transfer failed");
-            
-            // Return excess native tokens to owner if any
-            if (msg.value > nativeAmount) {
-                (bool refundSuccess, ) = payable(owner()).call{value: msg.value - nativeAmount}("");
-                require(refundSuccess, "AtomicMultiSend: refund failed");
-            }
-        } else if (msg.value > 0) {
-            // Return all sent native tokens if none needed
-            (bool refundSuccess, ) = payable(owner()).call{value: msg.value}("");
-            require(refundSuccess, "AtomicMultiSend: refund failed");
         }
         
         // STEP 4: Emit event for successful atomic transfer
@@ -127,32 +171,23 @@ contract AtomicMultiSend is Ownable, ReentrancyGuard {
     }
     
     /**
-     * @dev Batch atomic send to multiple recipients (same tokens for each)
-     * @param recipients Array of recipient addresses
-     * @param transfersPerRecipient Array of transfers to send to each recipient
+     * @dev Sum of native (address(0)) transfers in a transfer list
      */
-    function batchAtomicMultiSend(
-        address payable[] calldata recipients,
-        TokenTransfer[] calldata transfersPerRecipient
-    ) external payable onlyOwner nonReentrant {
-        require(recipients.length > 0, "AtomicMultiSend: no recipients specified");
-        require(transfersPerRecipient.length > 0, "AtomicMultiSend: no transfers specified");
-        
-        // Execute atomic multi-send for each recipient
-        for (uint256 i = 0; i < recipients.length; i++) {
-            // Calculate native amount needed for this recipient
-            uint256 nativeAmountForRecipient = 0;
-            for (uint256 j = 0; j < transfersPerRecipient.length; j++) {
-                if (transfersPerRecipient[j].token == address(0)) {
-                    nativeAmountForRecipient += transfersPerRecipient[j].amount;
-                }
+    function _nativeTotal(TokenTransfer[] calldata transfers) internal pure returns (uint256 total) {
+        for (uint256 i = 0; i < transfers.length; i++) {
+            if (transfers[i].token == address(0)) {
+                total += transfers[i].amount;
             }
-            
-            // Call internal function with appropriate native amount
-            this.atomicMultiSend{value: nativeAmountForRecipient}(
-                recipients[i], 
-                transfersPerRecipient
-            );
+        }
+    }
+    
+    /**
+     * @dev Return unused msg.value to the caller
+     */
+    function _refundExcess(uint256 amount) internal {
+        if (amount > 0) {
+            (bool refundSuccess, ) = payable(msg.sender).call{value: amount}("");
+            require(refundSuccess, "AtomicMultiSend: refund failed");
         }
     }
     
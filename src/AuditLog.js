@@ -0,0 +1,83 @@
+/**
+ * AuditLog - Trail of admin actions
+ * Every change made through the admin API is recorded with who made it, what it touched and
+ * the details needed to tell what happened afterwards. Entries older than the retention are dropped.
+ */
+
+import { randomUUID } from 'crypto';
+
+const NAMESPACE = 'audit';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class AuditLog {
+    constructor(config, store) {
+        this.store = store;
+        this.retentionMs = (config.admin?.auditRetentionDays ?? 90) * DAY_MS;
+
+        // Oldest first, mirrored in the store
+        this.entries = [];
+        this.loadData();
+        setInterval(() => this.cleanup(), 60 * 60 * 1000); // Every hour
+    }
+
+    /**
+     * Load stored entries
+     */
+    loadData() {
+        this.entries = this.store.entries(NAMESPACE)
+            .map(([, entry]) => entry)
+            .sort((a, b) => a.at.localeCompare(b.at));
+        this.cleanup();
+        console.log(` Loaded ${this.entries.length} audit entries (${this.store.backend})`);
+    }
+
+    /**
+     * Record an action: { action, actor, target?, details? }. Returns the stored entry
+     */
+    record({ action, actor, target = null, details = {} }) {
+        const entry = {
+            id: randomUUID(),
+            at: new Date().toISOString(),
+            action,
+            actor,
+            target,
+            details
+        };
+
+        this.entries.push(entry);
+        this.store.set(NAMESPACE, entry.id, entry);
+        console.log(`[AUDIT] ${entry.action} by ${entry.actor}${target ? ` on ${target}` : ''}`);
+        return entry;
+    }
+
+    /**
+     * Newest entries first, optionally only one action or target
+     */
+    list({ limit = 100, action = null, target = null } = {}) {
+        return this.entries
+            .filter(entry => (!action || entry.action === action) && (!target || entry.target === target))
+            .slice(-limit)
+            .reverse();
+    }
+
+    /**
+     * Drop entries past the retention
+     */
+    cleanup() {
+        const cutoff = new Date(Date.now() - this.retentionMs).toISOString();
+        const expired = this.entries.filter(entry => entry.at < cutoff);
+        if (expired.length === 0) {
+            return;
+        }
+
+        this.store.transaction(() => {
+            for (const entry of expired) {
+                this.store.delete(NAMESPACE, entry.id);
+            }
+        });
+        this.entries = this.entries.filter(entry => entry.at >= cutoff);
+        console.log(` Cleaned ${expired.length} old audit entries`);
+    }
+}
+
+export default AuditLog;
@@ -0,0 +1,183 @@
+/**
+ * ClientIpResolver - Client IP for rate limiting, from headers only when a trusted proxy set them
+ * Walks X-Forwarded-For from the right past trusted hops, and groups IPv6 clients by
+ * prefix so one machine can't rotate through its /64 to dodge the per-IP limit
+ */
+
+import { BlockList, isIP } from 'net';
+
+const LOOPBACK = ['127.0.0.0/8', '::1/128'];
+const PRIVATE = ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', 'fc00::/7'];
+
+// https://www.cloudflare.com/ips/
+const CLOUDFLARE = [
+    '173.245.48.0/20', '103.21.244.0/22', '103.22.200.0/22', '103.31.4.0/22',
+    '141.101.64.0/18', '108.162.192.0/18', '190.93.240.0/20', '188.114.96.0/20',
+    '197.234.240.0/22', '198.41.128.0/17', '162.158.0.0/15', '104.16.0.0/13',
+    '104.24.0.0/14', '172.64.0.0/13', '131.0.72.0/22',
+    '2400:cb00::/32', '2606:4700::/32', '2803:f800::/32', '2405:b500::/32',
+    '2405:8100::/32', '2a06:98c0::/29', '2c0f:f248::/32'
+];
+
+// Which peers count as our own proxy, and the header that proxy sets to the real client
+const PRESETS = {
+    none: { ranges: [], header: null },
+    // Fly's edge proxy reaches the app over its private network and sets Fly-Client-IP
+    fly: { ranges: [...LOOPBACK, ...PRIVATE], header: 'fly-client-ip' },
+    cloudflare: { ranges: [...LOOPBACK, ...CLOUDFLARE], header: 'cf-connecting-ip' }
+};
+
+class ClientIpResolver {
+    constructor(options = {}) {
+        this.mode = options.trustedProxy || 'none';
+        const preset = PRESETS[this.mode];
+        if (!preset) {
+            throw new Error(`Unknown trusted proxy "${this.mode}", expected one of: ${Object.keys(PRESETS).join(', ')}`);
+        }
+
+        this.clientHeader = preset.header;
+        this.ipv6PrefixLength = options.ipv6PrefixLength ?? 64;
+        this.trustedRanges = [...preset.ranges, ...(options.trustedProxies || [])];
+
+        this.trusted = new BlockList();
+        for (const range of this.trustedRanges) {
+            const [network, prefix] = range.split('/');
+            const family = isIP(network) === 6 ? 'ipv6' : 'ipv4';
+            this.trusted.addSubnet(network, Number(prefix ?? (family === 'ipv6' ? 128 : 32)), family);
+        }
+    }
+
+    /**
+     * Rate limiting key for a request: the client IP, or its IPv6 prefix
+     */
+    resolve(req) {
+        return this.group(this.resolveAddress(req));
+    }
+
+    /**
+     * The client's own address. Headers are only believed when the direct peer is a trusted proxy.
+     */
+    resolveAddress(req) {
+        const peer = normalizeIp(req.socket?.remoteAddress || req.ip || '');
+        if (!this.isTrusted(peer)) {
+            return peer;
+        }
+
+        if (this.clientHeader) {
+            const headerIp = normalizeIp(firstHeaderValue(req.headers[this.clientHeader]));
+            if (isIP(headerIp)) {
+                return headerIp;
+            }
+        }
+
+        // Right to left: every hop we trust appended the address it saw, so the first
+        // untrusted one is the client; anything further left is client-supplied
+        const hops = (firstHeaderValue(req.headers['x-forwarded-for']) || '')
+            .split(',')
+            .map(hop => normalizeIp(hop.trim()))
+            .filter(hop => isIP(hop));
+        for (let i = hops.length - 1; i >= 0; i--) {
+            if (!this.isTrusted(hops[i])) {
+                return hops[i];
+            }
+        }
+
+        return hops[0] || peer;
+    }
+
+    /**
+     * Whether an address belongs to one of our proxies
+     */
+    isTrusted(ip) {
+        const family = isIP(ip);
+        return family !== 0 && this.trusted.check(ip, family === 6 ? 'ipv6' : 'ipv4');
+    }
+
+    /**
+     * Collapse an IPv6 address to its configured prefix, e.g. 2001:db8:1:2::/64
+     */
+    group(ip) {
+        if (isIP(ip) !== 6 || this.ipv6PrefixLength >= 128) {
+            return ip;
+        }
+
+        const groups = expandIpv6(ip);
+        let remaining = this.ipv6PrefixLength;
+        const masked = groups.map(group => {
+            const bits = Math.max(0, Math.min(16, remaining));
+            remaining -= 16;
+            return bits === 0 ? 0 : group & (0xffff << (16 - bits)) & 0xffff;
+        });
+
+        return `${compressIpv6(masked)}/${this.ipv6PrefixLength}`;
+    }
+
+    /**
+     * Resolver settings for health reporting
+     */
+    getInfo() {
+        return {
+            trustedProxy: this.mode,
+            clientHeader: this.clientHeader,
+            ipv6PrefixLength: this.ipv6PrefixLength,
+            customTrustedProxies: this.trustedRanges.length - PRESETS[this.mode].ranges.length
+        };
+    }
+}
+
+function firstHeaderValue(value) {
+    return Array.isArray(value) ? value[0] : value;
+}
+
+// "::ffff:1.2.3.4" -> "1.2.3.4", and strip IPv6 zone ids
+function normalizeIp(ip) {
+    if (!ip) return '';
+    const withoutZone = ip.split('%')[0];
+    const mapped = withoutZone.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    return mapped ? mapped[1] : withoutZone.toLowerCase();
+}
+
+// "2001:db8::1" -> [0x2001, 0xdb8, 0, 0, 0, 0, 0, 1]
+function expandIpv6(ip) {
+    let address = ip;
+    // Embedded IPv4 tail, e.g. 64:ff9b::192.0.2.1
+    const ipv4Tail = address.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+    if (ipv4Tail) {
+        const [a, b, c, d] = ipv4Tail.slice(1).map(Number);
+        address = address.slice(0, -ipv4Tail[0].length) + `${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+    }
+
+    const [head, tail] = address.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const zeros = new Array(8 - headGroups.length - tailGroups.length).fill('0');
+    const groups = address.includes('::') ? [...headGroups, ...zeros, ...tailGroups] : headGroups;
+
+    return groups.map(group => parseInt(group, 16));
+}
+
+// Shortest form with the longest run of zero groups written as "::"
+function compressIpv6(groups) {
+    let bestStart = -1;
+    let bestLength = 0;
+    for (let i = 0; i < groups.length; i++) {
+        if (groups[i] !== 0) continue;
+        let j = i;
+        while (j < groups.length && groups[j] === 0) j++;
+        if (j - i > bestLength && j - i > 1) {
+            bestStart = i;
+            bestLength = j - i;
+        }
+        i = j;
+    }
+
+    const hex = groups.map(group => group.toString(16));
+    if (bestStart === -1) {
+        return hex.join(':');
+    }
+    const head = hex.slice(0, bestStart).join(':');
+    const tail = hex.slice(bestStart + bestLength).join(':');
+    return `${head}::${tail}`;
+}
+
+export default ClientIpResolver;
@@ -0,0 +1,56 @@
+/**
+ * CosmosBankMessages - Bank send messages and fees for one or more outputs
+ * A single output is a MsgSend; several become one MsgMultiSend whose single input funds them all
+ */
+
+import { MsgSend, MsgMultiSend } from "cosmjs-types/cosmos/bank/v1beta1/tx.js";
+
+// Total coins across MsgMultiSend outputs, sorted by denom as the bank module requires
+export function sumCoins(outputs) {
+    const totals = new Map();
+    for (const output of outputs) {
+        for (const coin of output.coins) {
+            totals.set(coin.denom, (totals.get(coin.denom) || 0n) + BigInt(coin.amount));
+        }
+    }
+    return Array.from(totals.entries())
+        .map(([denom, amount]) => ({ denom, amount: amount.toString() }))
+        .sort((a, b) => a.denom.localeCompare(b.denom));
+}
+
+// Encoded message paying outputs ([{ address, coins }]) from fromAddress
+export function createBankMessage(fromAddress, outputs) {
+    if (outputs.length === 1) {
+        return {
+            typeUrl: "/cosmos.bank.v1beta1.MsgSend",
+            value: MsgSend.encode(MsgSend.fromPartial({
+                fromAddress: fromAddress,
+                toAddress: outputs[0].address,
+                amount: outputs[0].coins
+            })).finish()
+        };
+    }
+
+    // The bank module only accepts a single input, funding every output
+    return {
+        typeUrl: "/cosmos.bank.v1beta1.MsgMultiSend",
+        value: MsgMultiSend.encode(MsgMultiSend.fromPartial({
+            inputs: [{ address: fromAddress, coins: sumCoins(outputs) }],
+            outputs: outputs
+        })).finish()
+    };
+}
+
+// Gas and fee of a send to outputCount outputs: the configured single-send fee ({ gas, amount: [coin] }),
+// with gasPerRecipient more gas for every extra output and the fee amount scaled at the same price
+export function scaleFee(fee, outputCount, gasPerRecipient = 0) {
+    const baseGas = BigInt(fee.gas);
+    const gas = baseGas + BigInt(gasPerRecipient) * BigInt(outputCount - 1);
+    return {
+        gas,
+        amount: [{
+            denom: fee.amount[0].denom,
+            amount: (BigInt(fee.amount[0].amount) * gas / baseGas).toString()
+        }]
+    };
+}
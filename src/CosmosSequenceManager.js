@@ -0,0 +1,166 @@
+/**
+ * CosmosSequenceManager - Account number / sequence tracking for the faucet's Cosmos signer
+ * Serializes signing per address, increments the sequence optimistically after each
+ * accepted broadcast and recovers from "account sequence mismatch" rejections
+ */
+
+import fetch from 'node-fetch';
+
+// e.g. "account sequence mismatch, expected 12, got 11: incorrect account sequence"
+const SEQUENCE_MISMATCH_PATTERN = /account sequence mismatch,?\s*expected\s*(\d+),?\s*got\s*(\d+)/i;
+// sdkerrors.ErrWrongSequence
+const WRONG_SEQUENCE_CODE = 32;
+
+class CosmosSequenceManager {
+    constructor(options = {}) {
+        this.restEndpoint = options.restEndpoint;
+        this.maxRetries = options.maxRetries ?? 3;
+        this.label = options.label || 'COSMOS';
+
+        // address -> { accountNumber, sequence }
+        this.accounts = new Map();
+        // address -> promise tail so signing for one address never interleaves
+        this._tails = new Map();
+        this._stats = { broadcasts: 0, mismatches: 0, refreshes: 0 };
+    }
+
+    /**
+     * Run signAndBroadcast({ accountNumber, sequence }) with the next sequence for an address.
+     * signAndBroadcast must throw when the chain rejects the tx; sequence mismatches are retried.
+     */
+    withSequence(address, signAndBroadcast) {
+        const tail = this._tails.get(address) || Promise.resolve();
+        const run = tail.then(() => this._run(address, signAndBroadcast));
+        this._tails.set(address, run.catch(() => {}));
+        return run;
+    }
+
+    /**
+     * Drop cached state so the next sign refetches it from the chain
+     */
+    invalidate(address) {
+        this.accounts.delete(address);
+    }
+
+    /**
+     * Fetch account number and sequence over REST, refusing to guess on any failure
+     */
+    async fetchAccount(address) {
+        const response = await fetch(`${this.restEndpoint}/cosmos/auth/v1beta1/accounts/${address}`);
+
+        if (response.status === 404) {
+            throw new Error(`Account ${address} not found on chain; fund it before signing`);
+        }
+        if (!response.ok) {
+            throw new Error(`Failed to get account info: ${response.status} ${response.statusText}`);
+        }
+
+        const data = await response.json();
+        if (!data.account || !data.account['@type']) {
+            throw new Error(`Account query for ${address} returned no account data`);
+        }
+
+        const accountInfo = this._parseAccount(data.account);
+        this._stats.refreshes++;
+        console.log(`[${this.label}] Account info for ${address}:`, accountInfo);
+        return accountInfo;
+    }
+
+    /**
+     * Extract the expected sequence from a mismatch error or broadcast result
+     */
+    parseExpectedSequence(error) {
+        const candidates = [
+            error?.raw_log,
+            error?.broadcastResult?.tx_response?.raw_log,
+            error?.details?.raw_log,
+            error?.message
+        ];
+
+        for (const text of candidates) {
+            const match = typeof text === 'string' && text.match(SEQUENCE_MISMATCH_PATTERN);
+            if (match) {
+                return Number(match[1]);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Current cached state for health reporting
+     */
+    getStats() {
+        return {
+            accounts: Object.fromEntries(this.accounts),
+            ...this._stats
+        };
+    }
+
+    async _run(address, signAndBroadcast) {
+        for (let attempt = 0; ; attempt++) {
+            let account = this.accounts.get(address);
+            if (!account) {
+                account = await this.fetchAccount(address);
+                this.accounts.set(address, account);
+            }
+
+            try {
+                const result = await signAndBroadcast({ ...account });
+                // CheckTx accepted it, so the sequence is consumed even if DeliverTx fails later
+                account.sequence++;
+                this._stats.broadcasts++;
+                return result;
+            } catch (error) {
+                const expected = this.parseExpectedSequence(error);
+                const isMismatch = expected !== null ||
+                    error?.broadcastResult?.tx_response?.code === WRONG_SEQUENCE_CODE;
+
+                if (!isMismatch) {
+                    this.invalidate(address);
+                    throw error;
+                }
+
+                this._stats.mismatches++;
+                if (attempt >= this.maxRetries) {
+                    this.invalidate(address);
+                    throw error;
+                }
+
+                if (expected !== null) {
+                    console.warn(`[${this.label}] Sequence mismatch for ${address}: used ${account.sequence}, chain expects ${expected}. Re-signing`);
+                    account.sequence = expected;
+                } else {
+                    console.warn(`[${this.label}] Sequence mismatch for ${address} without expected value, refetching`);
+                    this.invalidate(address);
+                }
+            }
+        }
+    }
+
+    // REST JSON of an account: BaseAccount fields at the top, or nested under base_account
+    // (EthAccount, ModuleAccount) or base_vesting_account.base_account (vesting accounts)
+    _parseAccount(account) {
+        const type = account['@type'];
+        const base = account.base_vesting_account?.base_account ?? account.base_account ?? account;
+        const accountNumber = base.account_number;
+        const sequence = base.sequence;
+
+        // The chain may legitimately report 0, but a missing field must never become 0
+        const info = {
+            accountNumber: Number.parseInt(accountNumber ?? '', 10),
+            sequence: Number.parseInt(sequence ?? '', 10)
+        };
+
+        if (!Number.isFinite(info.accountNumber)) {
+            throw new Error(`Could not determine account number from ${type} response`);
+        }
+        if (!Number.isFinite(info.sequence)) {
+            throw new Error(`Could not determine sequence from ${type} response`);
+        }
+
+        return info;
+    }
+}
+
+export default CosmosSequenceManager;
@@ -0,0 +1,144 @@
+/**
+ * Denylist - Addresses and IPs the faucet refuses
+ * Filled by the sweep detector when recipients forward their funds to a common collector, and
+ * managed by admins. Entries expire on their own so a shared IP isn't blocked forever.
+ */
+
+const NAMESPACE = 'denylist';
+
+export const DenylistType = Object.freeze({
+    ADDRESS: 'address',
+    IP: 'ip'
+});
+
+class Denylist {
+    constructor(config, store, options = {}) {
+        this.store = store;
+        this.ttlMs = config.sweepDetection?.denylistTtlMs ?? 7 * 24 * 60 * 60 * 1000;
+        // Maps every form of an address (bech32, hex, any casing) to one account identity
+        this.normalizeAddress = options.normalizeAddress || (address => address);
+
+        // "<type>:<value>" -> entry, mirrored in the store
+        this.entries = new Map();
+        this.loadData();
+        setInterval(() => this.cleanup(), 60 * 60 * 1000); // Every hour
+    }
+
+    /**
+     * Load stored entries
+     */
+    loadData() {
+        this.entries = new Map(this.store.entries(NAMESPACE));
+        this.cleanup();
+        console.log(` Loaded ${this.entries.size} denylist entries (${this.store.backend})`);
+    }
+
+    /**
+     * Deny an address or IP: { reason, source?, cluster?, ttlMs? } where ttlMs null never expires.
+     * Adding an entry that already exists extends it. Returns the entry
+     */
+    add(type, value, { reason, source = 'admin', cluster = null, ttlMs = this.ttlMs } = {}) {
+        const normalized = this._normalize(type, value);
+        const key = `${type}:${normalized}`;
+        const existing = this.entries.get(key);
+        const now = Date.now();
+        const entry = {
+            type,
+            value: normalized,
+            reason,
+            source,
+            cluster,
+            added_at: existing?.added_at || new Date(now).toISOString(),
+            expires_at: ttlMs === null ? null : new Date(now + ttlMs).toISOString()
+        };
+
+        this.entries.set(key, entry);
+        this.store.set(NAMESPACE, key, entry);
+        if (!existing) {
+            console.log(` Denylisted ${type} ${normalized} (${reason})`);
+        }
+        return entry;
+    }
+
+    /**
+     * Remove an entry. Returns it, or null if it wasn't listed
+     */
+    remove(type, value) {
+        const key = `${type}:${this._normalize(type, value)}`;
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return null;
+        }
+
+        this.entries.delete(key);
+        this.store.delete(NAMESPACE, key);
+        console.log(` Removed ${type} ${entry.value} from the denylist`);
+        return entry;
+    }
+
+    /**
+     * Entry blocking a request from address and ip, address first, or null
+     */
+    check({ address = null, ip = null }) {
+        const candidates = [
+            address && `${DenylistType.ADDRESS}:${this._normalize(DenylistType.ADDRESS, address)}`,
+            ip && `${DenylistType.IP}:${ip}`
+        ].filter(Boolean);
+
+        for (const key of candidates) {
+            const entry = this.entries.get(key);
+            if (entry && isActive(entry)) {
+                return entry;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Active entries, newest first, optionally of one type
+     */
+    list(type = null) {
+        return Array.from(this.entries.values())
+            .filter(entry => isActive(entry) && (!type || entry.type === type))
+            .sort((a, b) => b.added_at.localeCompare(a.added_at));
+    }
+
+    /**
+     * Drop expired entries
+     */
+    cleanup() {
+        const expired = Array.from(this.entries.entries()).filter(([, entry]) => !isActive(entry));
+        if (expired.length === 0) {
+            return;
+        }
+
+        this.store.transaction(() => {
+            for (const [key] of expired) {
+                this.entries.delete(key);
+                this.store.delete(NAMESPACE, key);
+            }
+        });
+        console.log(` Cleaned ${expired.length} expired denylist entries`);
+    }
+
+    /**
+     * Entry counts for health reporting
+     */
+    getStats() {
+        const active = this.list();
+        return {
+            addresses: active.filter(entry => entry.type === DenylistType.ADDRESS).length,
+            ips: active.filter(entry => entry.type === DenylistType.IP).length
+        };
+    }
+
+    _normalize(type, value) {
+        return type === DenylistType.ADDRESS ? this.normalizeAddress(value) : value;
+    }
+}
+
+function isActive(entry) {
+    return !entry.expires_at || Date.parse(entry.expires_at) > Date.now();
+}
+
+export default Denylist;
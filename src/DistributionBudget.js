@@ -0,0 +1,353 @@
+/**
+ * DistributionBudget - Global daily budgets and treasury reserves per denom
+ * Caps what the faucet gives away in a rolling 24 hours and keeps a floor under the faucet
+ * wallet's balance. Close to either limit a token is degraded to smaller amounts (or paused,
+ * depending on mode); past it the token is paused until the window or the treasury recovers.
+ */
+
+import { randomUUID } from 'crypto';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NAMESPACE = 'budgets';
+
+export const BudgetState = Object.freeze({
+    OK: 'ok',
+    DEGRADED: 'degraded',
+    PAUSED: 'paused'
+});
+
+// Machine-readable causes reported with a degraded or paused token
+export const BudgetReason = Object.freeze({
+    DAILY_BUDGET_LOW: 'daily_budget_low',
+    DAILY_BUDGET_EXHAUSTED: 'daily_budget_exhausted',
+    TREASURY_RESERVE_LOW: 'treasury_reserve_low',
+    TREASURY_RESERVE_REACHED: 'treasury_reserve_reached'
+});
+
+class DistributionBudget {
+    constructor(config, store, options = {}) {
+        const budgets = config.blockchain?.budgets || {};
+        this.tokens = config.blockchain?.tx?.amounts || [];
+        this.store = store;
+
+        // denom -> BigInt, base units
+        this.daily = toAmountMap(budgets.daily);
+        this.reserves = toAmountMap(budgets.reserves);
+        // "degrade" sends smaller amounts near a limit, "pause" only sends full amounts that still fit
+        this.mode = budgets.mode || 'degrade';
+        if (!['degrade', 'pause'].includes(this.mode)) {
+            throw new Error(`Unknown budget mode "${this.mode}", expected "degrade" or "pause"`);
+        }
+        this.degradeThreshold = budgets.degradeThreshold ?? 0.8;
+        this.degradedFactor = budgets.degradedFactor ?? 0.25;
+        this.balanceTtlMs = budgets.balanceTtlMs ?? 60 * 1000;
+
+        // async () => Map(denom -> amount) of the faucet wallet, for denoms with a reserve
+        this.fetchBalances = options.fetchBalances || (async () => new Map());
+
+        // denom -> [{ id, at, amount }] spent (or held) in the last 24 hours
+        this.spent = new Map();
+        // reservation id -> { id, denoms }
+        this.reservations = new Map();
+        // denom -> BigInt, as of balancesFetchedAt
+        this.balances = new Map();
+        this.balancesFetchedAt = 0;
+        this._nextBalanceFetchAt = 0;
+        this._inflight = null;
+        this._lastBalanceError = null;
+
+        this.loadData();
+        setInterval(() => this.cleanup(), 60 * 60 * 1000); // Every hour
+    }
+
+    /**
+     * Whether any budget or reserve is configured at all
+     */
+    isEnabled() {
+        return this.daily.size > 0 || this.reserves.size > 0;
+    }
+
+    /**
+     * Load spending history from the store
+     */
+    loadData() {
+        for (const [denom, entries] of this.store.entries(NAMESPACE)) {
+            this.spent.set(denom, entries.map(entry => ({ ...entry, amount: BigInt(entry.amount) })));
+        }
+        this.cleanup();
+    }
+
+    /**
+     * Write one denom's spending to the store, dropping it once empty
+     */
+    persist(denom) {
+        const entries = this.spent.get(denom);
+        if (!entries || entries.length === 0) {
+            this.spent.delete(denom);
+            this.store.delete(NAMESPACE, denom);
+            return;
+        }
+        this.store.set(NAMESPACE, denom, entries.map(entry => ({ ...entry, amount: entry.amount.toString() })));
+    }
+
+    /**
+     * Drop spending older than the 24-hour window
+     */
+    cleanup() {
+        const cutoff = Date.now() - DAY_MS;
+        this.store.transaction(() => {
+            for (const [denom, entries] of this.spent.entries()) {
+                const valid = entries.filter(entry => entry.at > cutoff);
+                if (valid.length !== entries.length) {
+                    this.spent.set(denom, valid);
+                    this.persist(denom);
+                }
+            }
+        });
+    }
+
+    /**
+     * Refresh the treasury balances once they are older than balanceTtlMs. Failures keep the last reading.
+     */
+    async ensureFresh() {
+        if (this.reserves.size === 0 || Date.now() < this._nextBalanceFetchAt) {
+            return;
+        }
+
+        if (!this._inflight) {
+            this._inflight = this.fetchBalances(Array.from(this.reserves.keys()))
+                .then(balances => {
+                    this.balances = toAmountMap(Object.fromEntries(balances));
+                    this.balancesFetchedAt = Date.now();
+                    this._lastBalanceError = null;
+                })
+                .catch(error => {
+                    this._lastBalanceError = error.message;
+                    console.warn(`[BUDGET] Keeping last treasury balances, refresh failed: ${error.message}`);
+                })
+                .finally(() => {
+                    this._nextBalanceFetchAt = Date.now() + this.balanceTtlMs;
+                    this._inflight = null;
+                });
+        }
+        await this._inflight;
+    }
+
+    /**
+     * Amounts the budgets allow for [{ denom, amount, ... }], without holding anything.
+     * Returns { amounts, limits }: amounts keeps sendable tokens (degraded ones with a smaller
+     * amount), limits lists every degraded or paused token with its reason.
+     */
+    evaluate(neededAmounts) {
+        const amounts = [];
+        const limits = [];
+
+        for (const needed of neededAmounts) {
+            const decision = this._decide(needed.denom, BigInt(needed.amount));
+            if (decision.state !== BudgetState.OK) {
+                limits.push({
+                    denom: needed.denom,
+                    symbol: needed.symbol || this._symbol(needed.denom),
+                    state: decision.state,
+                    reason: decision.reason,
+                    message: decision.message,
+                    requested_amount: needed.amount,
+                    amount: decision.amount.toString()
+                });
+            }
+            if (decision.state !== BudgetState.PAUSED) {
+                amounts.push({ ...needed, amount: decision.amount.toString() });
+            }
+        }
+
+        return { amounts, limits };
+    }
+
+    /**
+     * evaluate() and hold the resulting amounts in one step, so parallel requests can't
+     * overrun a budget. Returns { amounts, limits, reservation }
+     */
+    reserve(neededAmounts) {
+        const result = this.evaluate(neededAmounts);
+        if (!this.isEnabled() || result.amounts.length === 0) {
+            return { ...result, reservation: null };
+        }
+
+        const reservation = { id: randomUUID(), denoms: result.amounts.map(amount => amount.denom) };
+        const at = Date.now();
+        this.store.transaction(() => {
+            for (const amount of result.amounts) {
+                if (!this.spent.has(amount.denom)) {
+                    this.spent.set(amount.denom, []);
+                }
+                this.spent.get(amount.denom).push({ id: reservation.id, at, amount: BigInt(amount.amount) });
+                this.persist(amount.denom);
+            }
+        });
+        this.reservations.set(reservation.id, reservation);
+
+        return { ...result, reservation };
+    }
+
+    /**
+     * Keep the hold for the denoms that went out and give back the rest
+     */
+    commit(reservation, sentDenoms = []) {
+        if (!reservation || !this.reservations.delete(reservation.id)) {
+            return;
+        }
+        const sent = new Set(sentDenoms);
+        this._remove(reservation, reservation.denoms.filter(denom => !sent.has(denom)));
+    }
+
+    /**
+     * Give a hold back after a failed send; no-op once committed or released
+     */
+    release(reservation) {
+        if (!reservation || !this.reservations.delete(reservation.id)) {
+            return;
+        }
+        this._remove(reservation, reservation.denoms);
+    }
+
+    /**
+     * Per-denom budget state for health reporting and the UI banner
+     */
+    getStatus() {
+        const tokens = [];
+        for (const token of this.tokens) {
+            if (!this.daily.has(token.denom) && !this.reserves.has(token.denom)) continue;
+
+            const decision = this._decide(token.denom, BigInt(token.amount || '0'));
+            const budget = this.daily.get(token.denom);
+            const reserve = this.reserves.get(token.denom);
+            const balance = this._effectiveBalance(token.denom);
+            tokens.push({
+                denom: token.denom,
+                symbol: token.symbol,
+                state: decision.state,
+                reason: decision.reason,
+                message: decision.message,
+                daily_budget: budget?.toString() ?? null,
+                spent_24h: this._spent(token.denom).toString(),
+                reserve: reserve?.toString() ?? null,
+                treasury_balance: balance?.toString() ?? null
+            });
+        }
+
+        const states = tokens.map(token => token.state);
+        return {
+            enabled: this.isEnabled(),
+            status: states.includes(BudgetState.PAUSED)
+                ? BudgetState.PAUSED
+                : states.includes(BudgetState.DEGRADED) ? BudgetState.DEGRADED : BudgetState.OK,
+            mode: this.mode,
+            tokens,
+            balances_fetched_at: this.balancesFetchedAt ? new Date(this.balancesFetchedAt).toISOString() : null,
+            balance_error: this._lastBalanceError
+        };
+    }
+
+    // Worst of the daily budget and treasury reserve verdicts for sending amount of denom
+    _decide(denom, amount) {
+        let state = BudgetState.OK;
+        let reason = null;
+        let message = null;
+        let allowed = amount;
+
+        const budget = this.daily.get(denom);
+        if (budget !== undefined) {
+            const spent = this._spent(denom);
+            const remaining = budget - spent;
+            if (remaining <= 0n) {
+                return this._paused(BudgetReason.DAILY_BUDGET_EXHAUSTED, `Daily budget for ${this._symbol(denom)} is used up`);
+            }
+            if (remaining < amount || spent * 100n >= budget * BigInt(Math.round(this.degradeThreshold * 100))) {
+                state = BudgetState.DEGRADED;
+                reason = BudgetReason.DAILY_BUDGET_LOW;
+                message = `Daily budget for ${this._symbol(denom)} is running low`;
+                allowed = min(allowed, remaining);
+            }
+        }
+
+        const reserve = this.reserves.get(denom);
+        const balance = this._effectiveBalance(denom);
+        if (reserve !== undefined && balance !== null) {
+            const headroom = balance - reserve;
+            if (headroom <= 0n) {
+                return this._paused(BudgetReason.TREASURY_RESERVE_REACHED, `Faucet treasury for ${this._symbol(denom)} is at its reserve`);
+            }
+            if (headroom < amount || balance * BigInt(Math.round(this.degradeThreshold * 100)) < reserve * 100n) {
+                state = BudgetState.DEGRADED;
+                reason = BudgetReason.TREASURY_RESERVE_LOW;
+                message = `Faucet treasury for ${this._symbol(denom)} is close to its reserve`;
+                allowed = min(allowed, headroom);
+            }
+        }
+
+        if (state === BudgetState.OK) {
+            return { state, reason, message, amount };
+        }
+
+        if (this.mode === 'pause') {
+            // Full amounts only: send as usual while it still fits, stop once it doesn't
+            return allowed < amount ? this._paused(reason, message) : { state, reason, message, amount };
+        }
+
+        const degraded = min(allowed, scale(amount, this.degradedFactor));
+        return degraded > 0n ? { state, reason, message, amount: degraded } : this._paused(reason, message);
+    }
+
+    _paused(reason, message) {
+        return { state: BudgetState.PAUSED, reason, message, amount: 0n };
+    }
+
+    _spent(denom) {
+        const cutoff = Date.now() - DAY_MS;
+        return (this.spent.get(denom) || [])
+            .filter(entry => entry.at > cutoff)
+            .reduce((sum, entry) => sum + entry.amount, 0n);
+    }
+
+    // Last treasury reading minus everything held since, null before the first reading
+    _effectiveBalance(denom) {
+        if (!this.balances.has(denom)) {
+            return null;
+        }
+        const sinceFetch = (this.spent.get(denom) || [])
+            .filter(entry => entry.at >= this.balancesFetchedAt)
+            .reduce((sum, entry) => sum + entry.amount, 0n);
+        return this.balances.get(denom) - sinceFetch;
+    }
+
+    _remove(reservation, denoms) {
+        this.store.transaction(() => {
+            for (const denom of denoms) {
+                const entries = this.spent.get(denom);
+                if (!entries) continue;
+                this.spent.set(denom, entries.filter(entry => entry.id !== reservation.id));
+                this.persist(denom);
+            }
+        });
+    }
+
+    _symbol(denom) {
+        return this.tokens.find(token => token.denom === denom)?.symbol || denom;
+    }
+}
+
+function toAmountMap(amounts = {}) {
+    return new Map(Object.entries(amounts || {}).map(([denom, amount]) => [denom, BigInt(amount)]));
+}
+
+function min(a, b) {
+    return a < b ? a : b;
+}
+
+// amount * factor in integer math, never rounding a non-zero amount down to nothing
+function scale(amount, factor) {
+    const scaled = amount * BigInt(Math.round(factor * 10000)) / 10000n;
+    return scaled > 0n || amount === 0n ? scaled : 1n;
+}
+
+export default DistributionBudget;
@@ -0,0 +1,147 @@
+/**
+ * EligibilityEngine - Decides per token and recipient whether the faucet may send it
+ * Combines what the chain can deliver (ERC20s need a 0x account, IBC denoms need a token pair
+ * on EVM) with each token's faucet.configuration.eligibility rules from tokens.json
+ */
+
+const NATIVE_PLACEHOLDERS = [
+    '0x0000000000000000000000000000000000000000',
+    '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE'
+];
+
+// Machine-readable reasons a token is not sent; stable values clients can switch on
+export const EligibilityReason = Object.freeze({
+    ADDRESS_TYPE_NOT_ALLOWED: 'address_type_not_allowed',
+    ERC20_REQUIRES_EVM_ADDRESS: 'erc20_requires_evm_address',
+    NO_EVM_TOKEN_PAIR: 'no_evm_token_pair',
+    BLACKLISTED: 'blacklisted',
+    NOT_WHITELISTED: 'not_whitelisted',
+    BELOW_MINIMUM_BALANCE: 'below_minimum_balance',
+    ABOVE_MAXIMUM_BALANCE: 'above_maximum_balance'
+});
+
+/**
+ * Real ERC20 contract, as opposed to native tokens and their 0x0/0xEeee placeholders
+ */
+export function isErc20Token(token) {
+    return Boolean(token.erc20_contract) && !NATIVE_PLACEHOLDERS.includes(token.erc20_contract);
+}
+
+class EligibilityEngine {
+    constructor(options = {}) {
+        // Maps every form of an address to one account identity, so list entries match either form
+        this.normalizeAddress = options.normalizeAddress || (address => address.toLowerCase());
+        // denom -> ERC20 address registered by the erc20 module, or null
+        this.getTokenPairContract = options.getTokenPairContract || (() => null);
+
+        // token -> { blacklist: Set, whitelist: Set|null }, normalized once per token config
+        this._lists = new WeakMap();
+    }
+
+    /**
+     * Whether token can go to recipient { address, addressType, deliverErc20 }.
+     * Balance rules are only applied when the recipient's balance { amount, decimals } is passed.
+     * Returns { eligible: true } or { eligible: false, reason, message }
+     */
+    check(token, recipient, balance = undefined) {
+        const rules = token.eligibility || {};
+        const { addressType } = recipient;
+
+        if (Array.isArray(rules.address_types) && !rules.address_types.includes(addressType)) {
+            return ineligible(EligibilityReason.ADDRESS_TYPE_NOT_ALLOWED, `Not available to ${addressType} addresses`);
+        }
+
+        // A bech32 recipient gets ERC20s only when they are delivered to its hex form
+        if (addressType === 'cosmos' && token.denom !== 'uatom' && isErc20Token(token) && !recipient.deliverErc20) {
+            return ineligible(EligibilityReason.ERC20_REQUIRES_EVM_ADDRESS, 'ERC20 tokens require EVM address');
+        }
+        if (addressType === 'evm' && !token.erc20_contract && !this.getTokenPairContract(token)) {
+            return ineligible(EligibilityReason.NO_EVM_TOKEN_PAIR, 'IBC token has no ERC20 token pair on EVM');
+        }
+
+        if (recipient.address) {
+            const lists = this._getLists(token);
+            const account = this._normalize(recipient.address);
+            if (lists.blacklist.has(account)) {
+                return ineligible(EligibilityReason.BLACKLISTED, 'Address is blacklisted for this token');
+            }
+            if (lists.whitelist && !lists.whitelist.has(account)) {
+                return ineligible(EligibilityReason.NOT_WHITELISTED, 'Address is not on the whitelist for this token');
+            }
+        }
+
+        if (balance !== undefined && balance !== null) {
+            const current = toTokenUnits(balance, token.decimals);
+            if (rules.minimum_balance !== null && rules.minimum_balance !== undefined && current < BigInt(rules.minimum_balance)) {
+                return ineligible(
+                    EligibilityReason.BELOW_MINIMUM_BALANCE,
+                    `Requires a balance of at least ${formatUnits(rules.minimum_balance, token.decimals)} ${token.symbol}`
+                );
+            }
+            if (rules.maximum_balance !== null && rules.maximum_balance !== undefined && current > BigInt(rules.maximum_balance)) {
+                return ineligible(
+                    EligibilityReason.ABOVE_MAXIMUM_BALANCE,
+                    `Only sent to balances up to ${formatUnits(rules.maximum_balance, token.decimals)} ${token.symbol}`
+                );
+            }
+        }
+
+        return { eligible: true };
+    }
+
+    /**
+     * Whether a token has balance bounds, i.e. needs the recipient's balance to be decided
+     */
+    hasBalanceRules(token) {
+        const rules = token.eligibility || {};
+        return (rules.minimum_balance ?? null) !== null || (rules.maximum_balance ?? null) !== null;
+    }
+
+    _getLists(token) {
+        if (!this._lists.has(token)) {
+            const rules = token.eligibility || {};
+            this._lists.set(token, {
+                blacklist: new Set((rules.blacklist || []).map(address => this._normalize(address))),
+                whitelist: Array.isArray(rules.whitelist)
+                    ? new Set(rules.whitelist.map(address => this._normalize(address)))
+                    : null
+            });
+        }
+        return this._lists.get(token);
+    }
+
+    _normalize(address) {
+        try {
+            return this.normalizeAddress(address);
+        } catch (error) {
+            // A malformed list entry can't match any valid recipient
+            return address;
+        }
+    }
+}
+
+function ineligible(reason, message) {
+    return { eligible: false, reason, message };
+}
+
+// Balance entries can carry a different precision than the token config (WATOM is 18 decimals)
+function toTokenUnits(balance, tokenDecimals) {
+    const amount = BigInt(String(balance.amount ?? '0').split('.')[0] || '0');
+    const decimals = balance.decimals ?? tokenDecimals;
+    if (decimals === tokenDecimals || decimals === undefined || tokenDecimals === undefined) {
+        return amount;
+    }
+    return decimals > tokenDecimals
+        ? amount / 10n ** BigInt(decimals - tokenDecimals)
+        : amount * 10n ** BigInt(tokenDecimals - decimals);
+}
+
+// "1500000", 6 -> "1.5"
+function formatUnits(amount, decimals = 0) {
+    const value = BigInt(amount);
+    const divisor = 10n ** BigInt(decimals);
+    const fraction = (value % divisor).toString().padStart(decimals, '0').replace(/0+$/, '');
+    return fraction ? `${value / divisor}.${fraction}` : `${value / divisor}`;
+}
+
+export default EligibilityEngine;
@@ -0,0 +1,114 @@
+/**
+ * Erc20TokenPairResolver - Cached lookup of the erc20 module's token pairs
+ * Maps native and IBC denoms to the ERC20 address that represents them on the EVM side,
+ * so those coins can be sent to 0x recipients like any other ERC20
+ */
+
+import fetch from 'node-fetch';
+
+class Erc20TokenPairResolver {
+    constructor(options = {}) {
+        this.restEndpoint = options.restEndpoint;
+        this.path = options.path || '/cosmos/evm/erc20/v1/token_pairs';
+        this.ttlMs = options.ttlMs || 10 * 60 * 1000;
+        this.label = options.label || 'TOKEN PAIRS';
+
+        // denom -> ERC20 address, enabled pairs only
+        this.pairs = new Map();
+        this.fetchedAt = 0;
+        this._nextRefreshAt = 0;
+        this._inflight = null;
+        this._stats = { refreshes: 0, failures: 0, lastError: null };
+    }
+
+    /**
+     * Cached ERC20 address for a denom, or null when the chain has no enabled pair for it
+     */
+    get(denom) {
+        return this.pairs.get(denom) || null;
+    }
+
+    /**
+     * Refresh the cache once it is older than ttlMs. Failures keep the previous pairs.
+     */
+    async ensureFresh() {
+        if (Date.now() < this._nextRefreshAt) {
+            return;
+        }
+
+        try {
+            await this.refresh();
+        } catch (error) {
+            console.warn(`[${this.label}] Keeping ${this.pairs.size} cached pair(s), refresh failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Fetch every token pair from the chain; concurrent callers share one request
+     */
+    refresh() {
+        if (!this._inflight) {
+            this._inflight = this._fetchAll()
+                .then(pairs => {
+                    this.pairs = pairs;
+                    this.fetchedAt = Date.now();
+                    this._nextRefreshAt = this.fetchedAt + this.ttlMs;
+                    this._stats.refreshes++;
+                    this._stats.lastError = null;
+                    console.log(`[${this.label}] Loaded ${pairs.size} enabled token pair(s)`);
+                    return pairs;
+                })
+                .catch(error => {
+                    // Back off for a full ttl rather than hammering an unreachable endpoint per request
+                    this._nextRefreshAt = Date.now() + this.ttlMs;
+                    this._stats.failures++;
+                    this._stats.lastError = error.message;
+                    throw error;
+                })
+                .finally(() => {
+                    this._inflight = null;
+                });
+        }
+        return this._inflight;
+    }
+
+    /**
+     * Current cache state for health reporting
+     */
+    getStats() {
+        return {
+            pairs: Object.fromEntries(this.pairs),
+            fetchedAt: this.fetchedAt ? new Date(this.fetchedAt).toISOString() : null,
+            ...this._stats
+        };
+    }
+
+    async _fetchAll() {
+        const pairs = new Map();
+        let nextKey = null;
+
+        do {
+            const url = new URL(`${this.restEndpoint}${this.path}`);
+            if (nextKey) {
+                url.searchParams.set('pagination.key', nextKey);
+            }
+
+            const response = await fetch(url.toString());
+            if (!response.ok) {
+                throw new Error(`Token pair query failed: ${response.status} ${response.statusText}`);
+            }
+
+            const data = await response.json();
+            for (const pair of data.token_pairs || []) {
+                if (pair.enabled && pair.denom && pair.erc20_address) {
+                    pairs.set(pair.denom, pair.erc20_address);
+                }
+            }
+            nextKey = data.pagination?.next_key || null;
+        } while (nextKey);
+
+        return pairs;
+    }
+}
+
+export default Erc20TokenPairResolver;
@@ -0,0 +1,58 @@
+/**
+ * EvmBatchSettler - Settles a RequestBatcher group of EVM recipients with one batchAtomicMultiSend
+ * Every recipient reserves the gas of a single atomicMultiSend, so a batch is capped at what fits
+ * in a block; one bad recipient reverts the whole batch, which is then retried as individual sends
+ */
+
+class EvmBatchSettler {
+    constructor(options = {}) {
+        this.gasPerRecipient = options.gasPerRecipient;
+        // async (items) => receipt of the batchAtomicMultiSend paying every item
+        this.sendBatch = options.sendBatch;
+        // async (item) => receipt of a send to that item alone
+        this.sendSingle = options.sendSingle;
+        // Errors the individual sends would hit as well, rethrown instead of falling back
+        this.isFatal = options.isFatal || (() => false);
+    }
+
+    /**
+     * Gas limit of a batch to the given number of recipients
+     */
+    gasLimit(recipientCount) {
+        return this.gasPerRecipient * recipientCount;
+    }
+
+    /**
+     * Most recipients whose batch stays under a block gas limit, at least one
+     */
+    maxBatchSize(blockGasLimit) {
+        return Math.max(1, Number(BigInt(blockGasLimit) / BigInt(this.gasPerRecipient)));
+    }
+
+    /**
+     * RequestBatcher onFlush: one { receipt, batchSize } or Error per item, in order
+     */
+    async settle(items) {
+        if (items.length === 1) {
+            const receipt = await this.sendSingle(items[0]);
+            return [{ receipt, batchSize: 1 }];
+        }
+
+        try {
+            const receipt = await this.sendBatch(items);
+            return items.map(() => ({ receipt, batchSize: items.length }));
+        } catch (error) {
+            if (this.isFatal(error)) {
+                throw error;
+            }
+
+            console.error(`Batch of ${items.length} failed, falling back to individual sends:`, error.message);
+            const settled = await Promise.allSettled(items.map(item => this.sendSingle(item)));
+            return settled.map(outcome => outcome.status === 'fulfilled'
+                ? { receipt: outcome.value, batchSize: 1 }
+                : outcome.reason);
+        }
+    }
+}
+
+export default EvmBatchSettler;
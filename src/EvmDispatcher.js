@@ -0,0 +1,222 @@
+/**
+ * EvmDispatcher - Serialized EVM transaction sender for the faucet wallet
+ * Queues every send through one wallet, assigns nonces locally and resyncs
+ * from the node's pending transaction count whenever something goes wrong.
+ * Each send resolves with the transaction and a wait() for its receipt; once the
+ * transaction's nonce is handed out again that wait() rejects with a
+ * TRANSACTION_DROPPED error, so callers fail the request instead of waiting forever
+ */
+
+import { Wallet, JsonRpcProvider } from 'ethers';
+
+// Errors that mean our local nonce no longer matches the chain
+const NONCE_ERROR_CODES = new Set(['NONCE_EXPIRED', 'REPLACEMENT_UNDERPRICED', 'TRANSACTION_REPLACED']);
+const NONCE_ERROR_PATTERN = /nonce too (low|high)|invalid nonce|nonce has already been used|already known|invalid sequence/i;
+
+class EvmDispatcher {
+    constructor(options = {}) {
+        this.rpcUrl = options.rpcUrl;
+        this.getPrivateKey = options.getPrivateKey;
+        this.label = options.label || 'EVM';
+        this.maxNonceRetries = options.maxNonceRetries ?? 2;
+        this.gapCheckInterval = options.gapCheckInterval || 30 * 1000;
+
+        this.provider = new JsonRpcProvider(this.rpcUrl);
+        this.wallet = null;
+
+        // Next nonce to hand out; null means "resync before the next send"
+        this.nextNonce = null;
+        // nonce -> { hash, drop } for transactions broadcast but not yet mined; drop(error) rejects their wait()
+        this.inflight = new Map();
+
+        this._tail = Promise.resolve();
+        this._pending = 0;
+        this._gapTimer = null;
+        this._stats = { sent: 0, failed: 0, resyncs: 0, gapsDetected: 0 };
+    }
+
+    /**
+     * Address of the dispatching wallet
+     */
+    get address() {
+        return this._ensureWallet().address;
+    }
+
+    /**
+     * Start periodic gap detection
+     */
+    start() {
+        if (this._gapTimer) return;
+        this._gapTimer = setInterval(() => {
+            this.checkForGaps().catch(error => {
+                console.warn(`[${this.label}] Nonce gap check failed:`, error.message);
+            });
+        }, this.gapCheckInterval);
+        this._gapTimer.unref?.();
+    }
+
+    /**
+     * Stop periodic gap detection
+     */
+    stop() {
+        if (this._gapTimer) {
+            clearInterval(this._gapTimer);
+            this._gapTimer = null;
+        }
+    }
+
+    /**
+     * Queue a transaction request and resolve with { tx, wait }: the broadcast TransactionResponse
+     * and wait(confirms?, timeout?) for its receipt. Callers await wait() themselves so
+     * confirmations don't block the queue.
+     */
+    send(txRequest) {
+        return this._enqueue(() => this._dispatch(txRequest));
+    }
+
+    /**
+     * Force the next send to resync its nonce from the node
+     */
+    invalidateNonce() {
+        this.nextNonce = null;
+    }
+
+    /**
+     * Compare the local nonce with the node and recover from dropped or foreign transactions
+     */
+    checkForGaps() {
+        return this._enqueue(async () => {
+            if (this.nextNonce === null) return;
+
+            const [latest, pending] = await Promise.all([
+                this.provider.getTransactionCount(this.address, 'latest'),
+                this.provider.getTransactionCount(this.address, 'pending')
+            ]);
+
+            // Everything below the mined count is final
+            for (const nonce of Array.from(this.inflight.keys())) {
+                if (nonce < latest) this.inflight.delete(nonce);
+            }
+
+            if (pending > this.nextNonce) {
+                // Something else signed with this key; skip past it
+                console.warn(`[${this.label}] Node reports pending nonce ${pending} ahead of local ${this.nextNonce}, adopting it`);
+                this.nextNonce = pending;
+                this._stats.resyncs++;
+            } else if (pending < this.nextNonce) {
+                // A lagging node may simply not have seen our latest tx yet
+                const first = this.inflight.get(pending);
+                if (first && await this.provider.getTransaction(first.hash)) return;
+
+                // Our transactions between pending and nextNonce were dropped and
+                // everything after them is stuck; hand those nonces out again
+                const missing = [];
+                for (let nonce = pending; nonce < this.nextNonce; nonce++) missing.push(nonce);
+                console.warn(`[${this.label}] Nonce gap detected, node pending=${pending} local=${this.nextNonce}, reissuing nonces ${missing.join(', ')}`);
+                for (const nonce of missing) {
+                    const dropped = this.inflight.get(nonce);
+                    if (!dropped) continue;
+                    const error = new Error(`Transaction ${dropped.hash} was dropped by the node (nonce ${nonce} reissued)`);
+                    error.code = 'TRANSACTION_DROPPED';
+                    dropped.drop(error);
+                    this.inflight.delete(nonce);
+                }
+                this.nextNonce = pending;
+                this._stats.gapsDetected++;
+            }
+        });
+    }
+
+    /**
+     * Current dispatcher state for health reporting
+     */
+    getStats() {
+        return {
+            address: this.wallet?.address || null,
+            nextNonce: this.nextNonce,
+            queued: this._pending,
+            inflight: this.inflight.size,
+            ...this._stats
+        };
+    }
+
+    _enqueue(task) {
+        this._pending++;
+        const run = this._tail.then(task).finally(() => {
+            this._pending--;
+        });
+        // Keep the chain alive regardless of this task's outcome
+        this._tail = run.catch(() => {});
+        return run;
+    }
+
+    async _dispatch(txRequest) {
+        const wallet = this._ensureWallet();
+
+        for (let attempt = 0; ; attempt++) {
+            if (this.nextNonce === null) {
+                await this._resync();
+            }
+
+            const nonce = this.nextNonce;
+            try {
+                const tx = await wallet.sendTransaction({ ...txRequest, nonce });
+                this.nextNonce = nonce + 1;
+                this._stats.sent++;
+                console.log(`[${this.label}] Dispatched ${tx.hash} with nonce ${nonce}`);
+                return { tx, wait: this._trackInflight(nonce, tx) };
+            } catch (error) {
+                // We can't tell whether the node accepted it, so always resync next time
+                this.nextNonce = null;
+
+                if (this._isNonceError(error) && attempt < this.maxNonceRetries) {
+                    console.warn(`[${this.label}] Nonce ${nonce} rejected (${error.shortMessage || error.message}), resyncing and retrying`);
+                    continue;
+                }
+
+                this._stats.failed++;
+                throw error;
+            }
+        }
+    }
+
+    // wait() for tx that rejects once checkForGaps gives its nonce to another transaction
+    _trackInflight(nonce, tx) {
+        let drop;
+        const dropped = new Promise((resolve, reject) => {
+            drop = reject;
+        });
+        // Nobody may be waiting when it is dropped
+        dropped.catch(() => {});
+
+        this.inflight.set(nonce, { hash: tx.hash, drop });
+        return (...args) => Promise.race([tx.wait(...args), dropped]);
+    }
+
+    async _resync() {
+        const pending = await this.provider.getTransactionCount(this._ensureWallet().address, 'pending');
+        console.log(`[${this.label}] Nonce synced from node: ${pending}`);
+        this.nextNonce = pending;
+        this._stats.resyncs++;
+    }
+
+    _isNonceError(error) {
+        let current = error;
+        while (current) {
+            if (NONCE_ERROR_CODES.has(current.code)) return true;
+            const message = current.shortMessage || current.message || current.info?.error?.message || '';
+            if (NONCE_ERROR_PATTERN.test(message)) return true;
+            current = current.error || current.cause;
+        }
+        return false;
+    }
+
+    _ensureWallet() {
+        if (!this.wallet) {
+            this.wallet = new Wallet(this.getPrivateKey(), this.provider);
+        }
+        return this.wallet;
+    }
+}
+
+export default EvmDispatcher;
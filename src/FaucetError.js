@@ -0,0 +1,105 @@
+/**
+ * FaucetError - Typed errors for the faucet request pipeline
+ * Carries a stable error code plus the HTTP status the versioned API answers with
+ */
+
+export const FaucetErrorCode = Object.freeze({
+    INVALID_REQUEST: 'INVALID_REQUEST',
+    INVALID_ADDRESS: 'INVALID_ADDRESS',
+    NOT_FOUND: 'NOT_FOUND',
+    UNAUTHORIZED: 'UNAUTHORIZED',
+    FORBIDDEN: 'FORBIDDEN',
+    UNKNOWN_TOKEN: 'UNKNOWN_TOKEN',
+    PROOF_OF_WORK_FAILED: 'PROOF_OF_WORK_FAILED',
+    CAPTCHA_FAILED: 'CAPTCHA_FAILED',
+    DENYLISTED: 'DENYLISTED',
+    RATE_LIMITED: 'RATE_LIMITED',
+    ALLOWANCE_EXCEEDED: 'ALLOWANCE_EXCEEDED',
+    BUDGET_EXHAUSTED: 'BUDGET_EXHAUSTED',
+    BROADCAST_FAILED: 'BROADCAST_FAILED',
+    UPSTREAM_UNAVAILABLE: 'UPSTREAM_UNAVAILABLE',
+    INTERNAL_ERROR: 'INTERNAL_ERROR'
+});
+
+const HTTP_STATUS = {
+    [FaucetErrorCode.INVALID_REQUEST]: 400,
+    [FaucetErrorCode.INVALID_ADDRESS]: 400,
+    [FaucetErrorCode.NOT_FOUND]: 404,
+    [FaucetErrorCode.UNAUTHORIZED]: 401,
+    [FaucetErrorCode.FORBIDDEN]: 403,
+    [FaucetErrorCode.UNKNOWN_TOKEN]: 400,
+    [FaucetErrorCode.PROOF_OF_WORK_FAILED]: 403,
+    [FaucetErrorCode.CAPTCHA_FAILED]: 403,
+    [FaucetErrorCode.DENYLISTED]: 403,
+    [FaucetErrorCode.RATE_LIMITED]: 429,
+    [FaucetErrorCode.ALLOWANCE_EXCEEDED]: 429,
+    [FaucetErrorCode.BUDGET_EXHAUSTED]: 503,
+    [FaucetErrorCode.BROADCAST_FAILED]: 502,
+    [FaucetErrorCode.UPSTREAM_UNAVAILABLE]: 503,
+    [FaucetErrorCode.INTERNAL_ERROR]: 500
+};
+
+// Error codes raised by node-fetch and ethers when the node itself can't be reached
+const UPSTREAM_ERROR_CODES = new Set([
+    'ECONNREFUSED',
+    'ECONNRESET',
+    'ENOTFOUND',
+    'ETIMEDOUT',
+    'EAI_AGAIN',
+    'NETWORK_ERROR',
+    'SERVER_ERROR',
+    'TIMEOUT'
+]);
+
+export class FaucetError extends Error {
+    constructor(code, message, details = {}) {
+        super(message);
+        this.name = 'FaucetError';
+        this.code = code;
+        this.status = HTTP_STATUS[code] || 500;
+        this.details = details;
+    }
+
+    /**
+     * Wrap an arbitrary error thrown while sending, separating "node unreachable" from "tx rejected"
+     */
+    static fromSendError(error, details = {}) {
+        if (error instanceof FaucetError) {
+            return error;
+        }
+
+        const code = FaucetError.isUpstreamUnavailable(error)
+            ? FaucetErrorCode.UPSTREAM_UNAVAILABLE
+            : FaucetErrorCode.BROADCAST_FAILED;
+
+        return new FaucetError(code, error.message || 'Transaction failed', {
+            error: error.toString(),
+            ...details
+        });
+    }
+
+    /**
+     * Check whether an error (or its cause) is a network-level failure
+     */
+    static isUpstreamUnavailable(error) {
+        let current = error;
+        while (current) {
+            if (UPSTREAM_ERROR_CODES.has(current.code) || current.name === 'AbortError' || current.type === 'system') {
+                return true;
+            }
+            current = current.cause;
+        }
+        return false;
+    }
+
+    /**
+     * Error envelope shared by every /api/v1 endpoint
+     */
+    toJSON() {
+        return {
+            code: this.code,
+            message: this.message,
+            details: this.details
+        };
+    }
+}
@@ -0,0 +1,163 @@
+/**
+ * Keystore - Encrypted files holding the faucet key
+ * Reads and writes Ethereum V3 JSON keystores (a private key, plus the mnemonic when written by
+ * ethers) and encrypted mnemonic files (scrypt + AES-256-GCM). Passphrases come from an
+ * environment variable or a secret file named by <VAR>_FILE.
+ */
+
+import fs from 'fs';
+import { scrypt, randomBytes, createCipheriv, createDecipheriv } from 'crypto';
+import { promisify } from 'util';
+import { validateMnemonic } from 'bip39';
+import { encryptKeystoreJson, decryptKeystoreJson, isKeystoreJson, Mnemonic, Wallet } from 'ethers';
+
+const scryptAsync = promisify(scrypt);
+
+export const KeystoreFormat = Object.freeze({
+    MNEMONIC: 'mnemonic',
+    V3: 'v3'
+});
+
+// Same cost as ethers' V3 keystores
+const SCRYPT_PARAMS = { n: 131072, r: 8, p: 1, dklen: 32 };
+
+/**
+ * Passphrase from process.env[name], or from the file named by process.env[`${name}_FILE`]
+ * without its trailing newline. Null when neither is set
+ */
+export function readPassphrase(name = 'KEYSTORE_PASSPHRASE') {
+    if (process.env[name]) {
+        return process.env[name];
+    }
+    const file = process.env[`${name}_FILE`];
+    if (file) {
+        return fs.readFileSync(file, 'utf8').replace(/\r?\n$/, '');
+    }
+    return null;
+}
+
+/**
+ * Format of a parsed keystore file, or null if it is neither kind
+ */
+export function detectFormat(keystore) {
+    if (keystore?.type === KeystoreFormat.MNEMONIC && keystore.crypto) {
+        return KeystoreFormat.MNEMONIC;
+    }
+    if (isKeystoreJson(JSON.stringify(keystore))) {
+        return KeystoreFormat.V3;
+    }
+    return null;
+}
+
+/**
+ * Encrypt a mnemonic phrase into an encrypted mnemonic file's JSON
+ */
+export async function encryptMnemonic(mnemonic, passphrase) {
+    if (!validateMnemonic(mnemonic)) {
+        throw new Error('Invalid mnemonic phrase provided');
+    }
+
+    const salt = randomBytes(32);
+    const iv = randomBytes(12);
+    const key = await deriveKey(passphrase, { ...SCRYPT_PARAMS, salt: salt.toString('hex') });
+    const cipher = createCipheriv('aes-256-gcm', key, iv);
+    const ciphertext = Buffer.concat([cipher.update(mnemonic, 'utf8'), cipher.final()]);
+
+    return {
+        version: 1,
+        type: KeystoreFormat.MNEMONIC,
+        crypto: {
+            cipher: 'aes-256-gcm',
+            ciphertext: ciphertext.toString('hex'),
+            cipherparams: { iv: iv.toString('hex'), tag: cipher.getAuthTag().toString('hex') },
+            kdf: 'scrypt',
+            kdfparams: { ...SCRYPT_PARAMS, salt: salt.toString('hex') }
+        }
+    };
+}
+
+/**
+ * Decrypt an encrypted mnemonic file's JSON back to the phrase
+ */
+export async function decryptMnemonic(keystore, passphrase) {
+    const { cipher, ciphertext, cipherparams, kdf, kdfparams } = keystore.crypto;
+    if (cipher !== 'aes-256-gcm' || kdf !== 'scrypt') {
+        throw new Error(`Unsupported mnemonic keystore (${cipher}, ${kdf})`);
+    }
+
+    const key = await deriveKey(passphrase, kdfparams);
+    const decipher = createDecipheriv('aes-256-gcm', key, Buffer.from(cipherparams.iv, 'hex'));
+    decipher.setAuthTag(Buffer.from(cipherparams.tag, 'hex'));
+    try {
+        return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'hex')), decipher.final()]).toString('utf8');
+    } catch {
+        throw new Error('Could not decrypt the mnemonic keystore: wrong passphrase or corrupted file');
+    }
+}
+
+/**
+ * Encrypt a hex private key into a V3 JSON keystore
+ */
+export async function encryptPrivateKey(privateKey, passphrase) {
+    const wallet = new Wallet(privateKey);
+    return JSON.parse(await encryptKeystoreJson({ address: wallet.address, privateKey: wallet.privateKey }, passphrase));
+}
+
+/**
+ * Decrypt a parsed keystore of either format: { format, mnemonic } when it holds a mnemonic,
+ * { format, privateKey } (hex) for a V3 keystore without one
+ */
+export async function decryptKeystore(keystore, passphrase) {
+    if (passphrase === null || passphrase === undefined) {
+        throw new Error('Keystore passphrase not set. Use KEYSTORE_PASSPHRASE or KEYSTORE_PASSPHRASE_FILE.');
+    }
+
+    const format = detectFormat(keystore);
+    if (format === KeystoreFormat.MNEMONIC) {
+        return { format, mnemonic: await decryptMnemonic(keystore, passphrase) };
+    }
+    if (format === KeystoreFormat.V3) {
+        let account;
+        try {
+            account = await decryptKeystoreJson(JSON.stringify(keystore), passphrase);
+        } catch (error) {
+            throw new Error(`Could not decrypt the V3 keystore: ${error.shortMessage || error.message}`);
+        }
+        return account.mnemonic
+            ? { format, mnemonic: Mnemonic.fromEntropy(account.mnemonic.entropy).phrase, account }
+            : { format, privateKey: account.privateKey, account };
+    }
+    throw new Error('Unrecognized keystore: expected a V3 JSON keystore or an encrypted mnemonic file');
+}
+
+/**
+ * Read and decrypt a keystore file
+ */
+export async function loadKeystore(path, passphrase) {
+    let keystore;
+    try {
+        keystore = JSON.parse(fs.readFileSync(path, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read keystore ${path}: ${error.message}`);
+    }
+    return decryptKeystore(keystore, passphrase);
+}
+
+/**
+ * Encrypt a decrypted keystore again under another passphrase, in the same format
+ */
+export async function reencryptKeystore(decrypted, passphrase) {
+    if (decrypted.format === KeystoreFormat.MNEMONIC) {
+        return encryptMnemonic(decrypted.mnemonic, passphrase);
+    }
+    return JSON.parse(await encryptKeystoreJson(decrypted.account, passphrase));
+}
+
+async function deriveKey(passphrase, { n, r, p, dklen, salt }) {
+    return scryptAsync(passphrase.normalize('NFKC'), Buffer.from(salt, 'hex'), dklen, {
+        N: n,
+        r,
+        p,
+        maxmem: 256 * n * r
+    });
+}
@@ -0,0 +1,166 @@
+/**
+ * ProofOfWork - Hashcash-style challenges that anonymous faucet requests must solve
+ * A challenge token is a signed, expiring nonce plus a difficulty in leading zero bits; the client
+ * searches for a solution where sha256("<token>:<solution>") starts with that many zero bits.
+ * Difficulty rises with the number of recent requests, so bursts get more expensive.
+ */
+
+import { createHash, createHmac, randomBytes, timingSafeEqual } from 'crypto';
+
+// Machine-readable causes of a rejected solution
+export const ProofOfWorkFailure = Object.freeze({
+    MISSING: 'missing',
+    MALFORMED: 'malformed',
+    BAD_SIGNATURE: 'bad_signature',
+    EXPIRED: 'expired',
+    REUSED: 'reused',
+    INSUFFICIENT_WORK: 'insufficient_work'
+});
+
+const MAX_SOLUTION_LENGTH = 64;
+
+class ProofOfWork {
+    constructor(config = {}) {
+        this.enabled = config.enabled ?? false;
+        // Without a configured secret, challenges issued before a restart stop verifying
+        this.secret = config.secret ? Buffer.from(config.secret) : randomBytes(32);
+        this.baseDifficulty = config.baseDifficulty ?? 16;
+        this.maxDifficulty = config.maxDifficulty ?? 24;
+        this.ttlMs = config.ttlMs ?? 5 * 60 * 1000;
+        // Each doubling of the requests in windowMs beyond targetRequests adds one bit
+        this.windowMs = config.windowMs ?? 10 * 60 * 1000;
+        this.targetRequests = config.targetRequests ?? 20;
+
+        // Timestamps of requests that passed, for the adaptive difficulty
+        this.requests = [];
+        // nonce -> expiry, so each solved challenge is good for one request
+        this.used = new Map();
+
+        setInterval(() => this.cleanup(), 60 * 1000); // Every minute
+    }
+
+    /**
+     * Difficulty for a challenge issued now, from the recent request volume
+     */
+    getDifficulty() {
+        this._pruneRequests();
+        const load = this.requests.length / this.targetRequests;
+        if (load <= 1) {
+            return this.baseDifficulty;
+        }
+        return Math.min(this.maxDifficulty, this.baseDifficulty + Math.ceil(Math.log2(load)));
+    }
+
+    /**
+     * New challenge: { token, difficulty, algorithm, expires_at }
+     */
+    issue() {
+        const difficulty = this.getDifficulty();
+        const expiresAt = Date.now() + this.ttlMs;
+        const payload = `${randomBytes(16).toString('hex')}.${difficulty}.${expiresAt}`;
+
+        return {
+            token: `${payload}.${this._sign(payload)}`,
+            difficulty,
+            algorithm: 'sha256',
+            expires_at: new Date(expiresAt).toISOString()
+        };
+    }
+
+    /**
+     * Check a solved challenge and use it up.
+     * Returns { valid: true, difficulty } or { valid: false, reason, message }
+     */
+    verify(token, solution) {
+        if (typeof token !== 'string' || !token || solution === undefined || solution === null) {
+            return rejected(ProofOfWorkFailure.MISSING, 'A solved proof-of-work challenge is required, get one from /api/v1/challenge');
+        }
+
+        const solutionText = String(solution);
+        const parts = token.split('.');
+        if (parts.length !== 4 || solutionText.length === 0 || solutionText.length > MAX_SOLUTION_LENGTH) {
+            return rejected(ProofOfWorkFailure.MALFORMED, 'Malformed proof-of-work challenge or solution');
+        }
+
+        const [nonce, difficultyText, expiresAtText, signature] = parts;
+        const expected = Buffer.from(this._sign(`${nonce}.${difficultyText}.${expiresAtText}`));
+        const given = Buffer.from(signature);
+        if (expected.length !== given.length || !timingSafeEqual(expected, given)) {
+            return rejected(ProofOfWorkFailure.BAD_SIGNATURE, 'Proof-of-work challenge was not issued by this faucet');
+        }
+
+        const expiresAt = Number(expiresAtText);
+        if (Date.now() > expiresAt) {
+            return rejected(ProofOfWorkFailure.EXPIRED, 'Proof-of-work challenge expired, request a new one');
+        }
+        if (this.used.has(nonce)) {
+            return rejected(ProofOfWorkFailure.REUSED, 'Proof-of-work challenge was already used, request a new one');
+        }
+
+        const difficulty = Number(difficultyText);
+        const hash = createHash('sha256').update(`${token}:${solutionText}`).digest();
+        if (leadingZeroBits(hash) < difficulty) {
+            return rejected(ProofOfWorkFailure.INSUFFICIENT_WORK, `Proof-of-work solution does not reach difficulty ${difficulty}`);
+        }
+
+        this.used.set(nonce, expiresAt);
+        this.requests.push(Date.now());
+        return { valid: true, difficulty };
+    }
+
+    /**
+     * Forget expired nonces and requests outside the window
+     */
+    cleanup() {
+        const now = Date.now();
+        for (const [nonce, expiresAt] of this.used.entries()) {
+            if (expiresAt < now) {
+                this.used.delete(nonce);
+            }
+        }
+        this._pruneRequests();
+    }
+
+    /**
+     * Challenge settings and load for health reporting
+     */
+    getStatus() {
+        return {
+            enabled: this.enabled,
+            difficulty: this.getDifficulty(),
+            baseDifficulty: this.baseDifficulty,
+            maxDifficulty: this.maxDifficulty,
+            recentRequests: this.requests.length,
+            windowMs: this.windowMs
+        };
+    }
+
+    _sign(payload) {
+        return createHmac('sha256', this.secret).update(payload).digest('base64url');
+    }
+
+    _pruneRequests() {
+        const cutoff = Date.now() - this.windowMs;
+        while (this.requests.length > 0 && this.requests[0] <= cutoff) {
+            this.requests.shift();
+        }
+    }
+}
+
+function rejected(reason, message) {
+    return { valid: false, reason, message };
+}
+
+function leadingZeroBits(bytes) {
+    let bits = 0;
+    for (const byte of bytes) {
+        if (byte === 0) {
+            bits += 8;
+            continue;
+        }
+        return bits + Math.clz32(byte) - 24;
+    }
+    return bits;
+}
+
+export default ProofOfWork;
@@ -0,0 +1,101 @@
+/**
+ * RequestBatcher - Time-window batching of faucet sends
+ * Collects submissions for a window (or until maxSize is reached), groups them by key
+ * and settles each group with a single flush call, resolving every waiting submitter
+ */
+
+class RequestBatcher {
+    constructor(options = {}) {
+        this.label = options.label || 'BATCH';
+        this.windowMs = options.windowMs || 3000;
+        this.maxSize = options.maxSize || 20;
+        // async (items, key) => results[], one result per item in the same order;
+        // an Error in the results rejects just that item
+        this.onFlush = options.onFlush;
+
+        this.pending = [];
+        this._timer = null;
+        this._stats = { submitted: 0, flushes: 0, groups: 0, largestGroup: 0 };
+    }
+
+    /**
+     * Queue an item under a group key and resolve with its share of the flushed result
+     */
+    submit(key, item) {
+        return new Promise((resolve, reject) => {
+            this.pending.push({ key, item, resolve, reject });
+            this._stats.submitted++;
+
+            if (this.pending.length >= this.maxSize) {
+                this.flush();
+            } else if (!this._timer) {
+                this._timer = setTimeout(() => this.flush(), this.windowMs);
+            }
+        });
+    }
+
+    /**
+     * Settle everything queued so far
+     */
+    async flush() {
+        if (this._timer) {
+            clearTimeout(this._timer);
+            this._timer = null;
+        }
+
+        const entries = this.pending;
+        this.pending = [];
+        if (entries.length === 0) return;
+
+        const groups = new Map();
+        for (const entry of entries) {
+            if (!groups.has(entry.key)) groups.set(entry.key, []);
+            groups.get(entry.key).push(entry);
+        }
+
+        this._stats.flushes++;
+        console.log(`[${this.label}] Flushing ${entries.length} request(s) in ${groups.size} group(s)`);
+
+        await Promise.all(Array.from(groups.entries()).map(([key, group]) => this._settle(key, group)));
+    }
+
+    /**
+     * Settle whatever is still queued, used on shutdown
+     */
+    async stop() {
+        await this.flush();
+    }
+
+    /**
+     * Current batching state for health reporting
+     */
+    getStats() {
+        return {
+            windowMs: this.windowMs,
+            maxSize: this.maxSize,
+            queued: this.pending.length,
+            ...this._stats
+        };
+    }
+
+    async _settle(key, group) {
+        this._stats.groups++;
+        this._stats.largestGroup = Math.max(this._stats.largestGroup, group.length);
+
+        try {
+            const results = await this.onFlush(group.map(entry => entry.item), key);
+            group.forEach((entry, index) => {
+                if (results[index] instanceof Error) {
+                    entry.reject(results[index]);
+                } else {
+                    entry.resolve(results[index]);
+                }
+            });
+        } catch (error) {
+            console.error(`[${this.label}] Batch of ${group.length} failed:`, error.message);
+            group.forEach(entry => entry.reject(error));
+        }
+    }
+}
+
+export default RequestBatcher;
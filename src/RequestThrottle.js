@@ -0,0 +1,57 @@
+/**
+ * RequestThrottle - In-memory sliding window limit for cheap, anonymous endpoints
+ * Unlike the faucet limits nothing is persisted: it only keeps one client from hammering an
+ * endpoint that does chain queries on every call, and a restart may as well forget it
+ */
+
+class RequestThrottle {
+    constructor(options = {}) {
+        this.windowMs = options.windowMs ?? 60 * 1000;
+        this.maxRequests = options.maxRequests ?? 30;
+
+        // key -> timestamps of calls in the window, oldest first
+        this.hits = new Map();
+
+        const timer = setInterval(() => this.cleanup(), this.windowMs);
+        timer.unref?.();
+    }
+
+    /**
+     * Count a call for key. Returns { allowed: true } or { allowed: false, retryAfterMs }
+     */
+    take(key) {
+        const now = Date.now();
+        const hits = this._prune(key, now);
+
+        if (hits.length >= this.maxRequests) {
+            return { allowed: false, retryAfterMs: hits[0] + this.windowMs - now };
+        }
+
+        hits.push(now);
+        this.hits.set(key, hits);
+        return { allowed: true };
+    }
+
+    /**
+     * Forget keys without calls in the window
+     */
+    cleanup() {
+        const now = Date.now();
+        for (const key of this.hits.keys()) {
+            if (this._prune(key, now).length === 0) {
+                this.hits.delete(key);
+            }
+        }
+    }
+
+    _prune(key, now) {
+        const hits = this.hits.get(key) || [];
+        const cutoff = now - this.windowMs;
+        while (hits.length > 0 && hits[0] <= cutoff) {
+            hits.shift();
+        }
+        return hits;
+    }
+}
+
+export default RequestThrottle;
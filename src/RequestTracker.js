@@ -0,0 +1,160 @@
+/**
+ * RequestTracker - Lifecycle records for asynchronous faucet requests
+ * Every request gets an id up front and moves through queued -> broadcasting [-> confirming] ->
+ * included | skipped | failed. confirming covers a Cosmos send that passed CheckTx but isn't in a
+ * block yet, skipped a request that had nothing to send. Listeners are notified on each
+ * transition so the API can stream progress
+ */
+
+import { randomUUID } from 'crypto';
+import { EventEmitter } from 'events';
+
+export const RequestState = Object.freeze({
+    QUEUED: 'queued',
+    BROADCASTING: 'broadcasting',
+    CONFIRMING: 'confirming',
+    INCLUDED: 'included',
+    SKIPPED: 'skipped',
+    FAILED: 'failed'
+});
+
+const TERMINAL_STATES = new Set([RequestState.INCLUDED, RequestState.SKIPPED, RequestState.FAILED]);
+
+class RequestTracker {
+    constructor(options = {}) {
+        this.maxRecords = options.maxRecords || 1000;
+        this.ttlMs = options.ttlMs || 24 * 60 * 60 * 1000;
+
+        // id -> record, insertion ordered so the oldest are evicted first
+        this.records = new Map();
+        this._events = new EventEmitter();
+        this._events.setMaxListeners(0);
+    }
+
+    /**
+     * Create a queued record for a new request
+     */
+    create({ address, addressType, tokens = null, clientReference = null }) {
+        this._prune();
+
+        const now = new Date().toISOString();
+        const record = {
+            id: randomUUID(),
+            state: RequestState.QUEUED,
+            address,
+            address_type: addressType,
+            tokens,
+            client_reference: clientReference,
+            transaction_hash: null,
+            explorer_url: null,
+            result: null,
+            error: null,
+            created_at: now,
+            updated_at: now,
+            stages: [{ state: RequestState.QUEUED, at: now }]
+        };
+
+        this.records.set(record.id, record);
+        return record;
+    }
+
+    /**
+     * Move a record to a new state, merging any extra fields, and notify subscribers
+     */
+    transition(id, state, fields = {}) {
+        const record = this.records.get(id);
+        if (!record || this.isTerminal(record)) {
+            return record || null;
+        }
+
+        const now = new Date().toISOString();
+        Object.assign(record, fields, { state, updated_at: now });
+        record.stages.push({ state, at: now });
+
+        this._events.emit(id, record);
+        return record;
+    }
+
+    /**
+     * Look up a record by id
+     */
+    get(id) {
+        return this.records.get(id) || null;
+    }
+
+    /**
+     * Whether a record has reached included, skipped or failed
+     */
+    isTerminal(record) {
+        return TERMINAL_STATES.has(record.state);
+    }
+
+    /**
+     * Call listener(record) on every transition of a request; returns an unsubscribe function
+     */
+    subscribe(id, listener) {
+        this._events.on(id, listener);
+        return () => this._events.off(id, listener);
+    }
+
+    /**
+     * Counts per state for health reporting
+     */
+    getStats() {
+        const states = {};
+        for (const record of this.records.values()) {
+            states[record.state] = (states[record.state] || 0) + 1;
+        }
+        return { total: this.records.size, states };
+    }
+
+    _prune() {
+        const cutoff = Date.now() - this.ttlMs;
+        for (const [id, record] of this.records) {
+            const expired = Date.parse(record.updated_at) < cutoff && this.isTerminal(record);
+            const overflow = this.records.size >= this.maxRecords && this.isTerminal(record);
+            if (!expired && !overflow) continue;
+
+            this.records.delete(id);
+            this._events.removeAllListeners(id);
+        }
+    }
+}
+
+/**
+ * Stream a record over server-sent events: the current record now and again on every transition,
+ * ending the response once it reaches a final state or when the client goes away
+ */
+export function streamRequestEvents(tracker, record, req, res, { heartbeatMs = 15000 } = {}) {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    // Comment lines keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), heartbeatMs);
+    let unsubscribe = () => {};
+    const close = () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    };
+
+    const push = (current) => {
+        res.write(`id: ${current.stages.length}\ndata: ${JSON.stringify(current)}\n\n`);
+        if (tracker.isTerminal(current)) {
+            close();
+            res.end();
+        }
+    };
+
+    req.on('close', close);
+    push(record);
+    if (!tracker.isTerminal(record)) {
+        unsubscribe = tracker.subscribe(record.id, push);
+    }
+}
+
+export default RequestTracker;
@@ -4,43 +4,60 @@ import { mnemonicToSeedSync, validateMnemonic } from 'bip39';
 import { BIP32Factory } from 'bip32';
 import * as ecc from 'tiny-secp256k1';
 import { bech32 } from 'bech32';
+import { loadKeystore, readPassphrase } from './Keystore.js';
 
 const bip32 = BIP32Factory(ecc);
 
+const DEFAULT_HD_PATH = "m/44'/60'/0'/0/0";
+
 class SecureKeyManager {
   constructor() {
     this._keys = new Map();
     this._addressCache = null;
+    // Hot wallet pool: index 0 is the primary account the getters above refer to
+    this._accounts = [];
+    this._hdPath = DEFAULT_HD_PATH;
+    this._accountIndex = 0;
+    this._prefix = 'cosmos';
     this._initialized = false;
   }
 
-  async initialize() {
+  // hdPath is the primary account's path; accountIndex shifts its last (address index) component,
+  // and pool accounts take the indexes after it. prefix is the bech32 prefix of Cosmos addresses
+  async initialize({ hdPath = DEFAULT_HD_PATH, accountIndex = 0, prefix = 'cosmos', poolSize = 1 } = {}) {
     if (this._initialized) return;
 
-    const mnemonic = process.env.MNEMONIC;
-    if (!mnemonic) {
-      throw new Error('MNEMONIC environment variable not set. Required for wallet operations.');
-    }
+    this._hdPath = hdPath;
+    this._accountIndex = accountIndex;
+    this._prefix = prefix;
 
-    if (!validateMnemonic(mnemonic)) {
-      throw new Error('Invalid mnemonic phrase provided');
-    }
+    const { mnemonic, privateKey, source } = await this._loadSecret();
+    this._accounts = [];
 
-    const derivationPath = "m/44'/60'/0'/0/0";
-    const seed = mnemonicToSeedSync(mnemonic);
-    const root = bip32.fromSeed(seed);
-    const node = root.derivePath(derivationPath);
+    if (mnemonic) {
+      if (!validateMnemonic(mnemonic)) {
+        throw new Error('Invalid mnemonic phrase provided');
+      }
 
-    if (!node.privateKey) {
-      throw new Error('Failed to derive private key from mnemonic');
+      const seed = mnemonicToSeedSync(mnemonic);
+      const root = bip32.fromSeed(seed);
+      for (let index = 0; index < Math.max(1, poolSize); index++) {
+        this._accounts.push(this._deriveAccount(root, index));
+      }
+    } else {
+      // A bare private key has no HD tree to derive hot wallets from
+      if (poolSize > 1) {
+        throw new Error('The hot wallet pool needs a mnemonic; the keystore only holds a private key');
+      }
+      this._accounts.push(this._accountFromKey(0, null, Buffer.from(privateKey.replace('0x', ''), 'hex')));
     }
 
-    const privateKeyBytes = node.privateKey;
-    const publicKeyBytes = secp256k1.getPublicKey(privateKeyBytes, false);
-    const publicKeyBytesCompressed = secp256k1.getPublicKey(privateKeyBytes, true);
-
-    const evmAddress = this._deriveEvmAddress(publicKeyBytes);
-    const cosmosAddress = this._deriveCosmosAddress(evmAddress);
+    const {
+      privateKey: privateKeyBytes,
+      publicKey: publicKeyBytesCompressed,
+      evmAddress,
+      cosmosAddress
+    } = this._accounts[0];
 
     this._addressCache = {
       evm: {
@@ -59,8 +76,71 @@ class SecureKeyManager {
     this._initialized = true;
     
     console.log(' SecureKeyManager initialized successfully');
+    console.log(' Key Source:', source);
+    console.log(' Derivation Path:', this._accounts[0].path || 'none (private key)');
     console.log(' EVM Address:', evmAddress);
     console.log(' Cosmos Address:', cosmosAddress);
+    if (this._accounts.length > 1) {
+      console.log(` Hot wallet pool: ${this._accounts.length} accounts`);
+    }
+  }
+
+  // Mnemonic or private key to derive from: the keystore at KEYSTORE_PATH, decrypted with
+  // KEYSTORE_PASSPHRASE(_FILE), or the plaintext MNEMONIC, which production refuses
+  // unless ALLOW_PLAINTEXT_MNEMONIC=true
+  async _loadSecret() {
+    const keystorePath = process.env.KEYSTORE_PATH;
+    if (keystorePath) {
+      const { format, mnemonic, privateKey } = await loadKeystore(keystorePath, readPassphrase());
+      return { mnemonic, privateKey, source: `${format} keystore ${keystorePath}` };
+    }
+
+    const mnemonic = process.env.MNEMONIC;
+    if (!mnemonic) {
+      throw new Error('No faucet key configured. Set KEYSTORE_PATH (with KEYSTORE_PASSPHRASE or KEYSTORE_PASSPHRASE_FILE) or MNEMONIC.');
+    }
+
+    if (process.env.NODE_ENV === 'production' && process.env.ALLOW_PLAINTEXT_MNEMONIC !== 'true') {
+      throw new Error('Refusing to start in production with a plaintext MNEMONIC. Use an encrypted keystore (KEYSTORE_PATH) or set ALLOW_PLAINTEXT_MNEMONIC=true.');
+    }
+
+    return { mnemonic, source: 'MNEMONIC environment variable' };
+  }
+
+  _deriveAccount(root, index) {
+    const derivationPath = this._accountPath(index);
+    const node = root.derivePath(derivationPath);
+
+    if (!node.privateKey) {
+      throw new Error(`Failed to derive private key for ${derivationPath} from mnemonic`);
+    }
+
+    return this._accountFromKey(index, derivationPath, node.privateKey);
+  }
+
+  _accountFromKey(index, derivationPath, privateKey) {
+    const evmAddress = this._deriveEvmAddress(secp256k1.getPublicKey(privateKey, false));
+
+    return {
+      index,
+      path: derivationPath,
+      privateKey,
+      publicKey: secp256k1.getPublicKey(privateKey, true),
+      evmAddress,
+      cosmosAddress: this._deriveCosmosAddress(evmAddress)
+    };
+  }
+
+  // Path of pool account index: the configured path with accountIndex + index added to its last component
+  _accountPath(index) {
+    const segments = this._hdPath.split('/');
+    const match = /^(\d+)('?)$/.exec(segments[segments.length - 1]);
+    if (segments[0] !== 'm' || !match) {
+      throw new Error(`Invalid HD path ${this._hdPath}: expected m/.../<address index>`);
+    }
+
+    segments[segments.length - 1] = `${Number(match[1]) + this._accountIndex + index}${match[2]}`;
+    return segments.join('/');
   }
 
   _deriveEvmAddress(publicKeyBytes) {
@@ -74,7 +154,7 @@ class SecureKeyManager {
     // Just encode the EVM address bytes in bech32 format
     const addressBytes = Buffer.from(evmAddressHex.replace('0x', ''), 'hex');
     const words = bech32.toWords(addressBytes);
-    return bech32.encode('cosmos', words);
+    return bech32.encode(this._prefix, words);
   }
 
   getPrivateKeyHex() {
@@ -113,6 +193,38 @@ class SecureKeyManager {
     return this._addressCache.evm.publicKey;
   }
 
+  // Public view of the pool accounts, primary first
+  getAccounts() {
+    this._ensureInitialized();
+    return this._accounts.map(({ index, path, evmAddress, cosmosAddress }) => ({
+      index,
+      path,
+      evmAddress,
+      cosmosAddress
+    }));
+  }
+
+  getAccountPrivateKeyHex(index) {
+    return '0x' + Buffer.from(this._getAccount(index).privateKey).toString('hex');
+  }
+
+  getAccountPrivateKeyBytes(index) {
+    return this._getAccount(index).privateKey;
+  }
+
+  getAccountPublicKeyBytes(index) {
+    return this._getAccount(index).publicKey;
+  }
+
+  _getAccount(index) {
+    this._ensureInitialized();
+    const account = this._accounts[index];
+    if (!account) {
+      throw new Error(`No hot wallet account at index ${index}`);
+    }
+    return account;
+  }
+
   validateAddresses(expectedAddresses) {
     this._ensureInitialized();
     
@@ -123,7 +235,7 @@ class SecureKeyManager {
     const expectedEvm = expectedAddresses.evm?.address || expectedAddresses.evm;
     const expectedCosmos = expectedAddresses.cosmos?.address || expectedAddresses.cosmos;
 
-    if (expectedEvm && expectedEvm !== current.evm.address) {
+    if (expectedEvm && expectedEvm.toLowerCase() !== current.evm.address) {
       errors.push(`EVM address mismatch: expected ${expectedEvm}, got ${current.evm.address}`);
     }
 
@@ -144,8 +256,12 @@ class SecureKeyManager {
       const privateKey = this._keys.get('privateKey');
       privateKey.fill(0);
     }
+    for (const account of this._accounts) {
+      account.privateKey.fill(0);
+    }
     
     this._keys.clear();
+    this._accounts = [];
     this._initialized = false;
     
     console.log(' Sensitive key data cleared from memory');
@@ -8,6 +8,55 @@
 import fs from 'fs';
 import path from 'path';
 
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// Parse cooldown strings such as "30m", "24h" or "1h30m" into milliseconds
+export function parseDuration(value) {
+    if (value === null || value === undefined || value === '') {
+        return 0;
+    }
+    if (typeof value === 'number') {
+        return value;
+    }
+
+    const text = String(value).trim().toLowerCase();
+    if (!/^(\d+(\.\d+)?[smhd])+$/.test(text)) {
+        throw new Error(`Invalid duration "${value}", expected e.g. "30m", "24h" or "1h30m"`);
+    }
+
+    let total = 0;
+    for (const [, amount, unit] of text.matchAll(/(\d+(?:\.\d+)?)([smhd])/g)) {
+        total += Number(amount) * DURATION_UNITS[unit];
+    }
+    return total;
+}
+
+// Per-token request limits from faucet.configuration
+function getRequestLimits(token) {
+    const configuration = token.faucet.configuration;
+    try {
+        return {
+            max_requests_per_day: configuration.maxRequestsPerDay ?? null,
+            cooldown_period: configuration.cooldownPeriod ?? null,
+            cooldown_ms: parseDuration(configuration.cooldownPeriod)
+        };
+    } catch (error) {
+        throw new Error(`${token.symbol}: ${error.message}`);
+    }
+}
+
+// Who may receive a token, from faucet.configuration.eligibility. null means "no restriction".
+function getEligibilityRules(token) {
+    const eligibility = token.faucet.configuration.eligibility || {};
+    return {
+        address_types: eligibility.addressTypes ?? null,
+        blacklist: eligibility.blacklist ?? [],
+        whitelist: eligibility.whitelist ?? null,
+        minimum_balance: eligibility.minimumBalance ?? null,
+        maximum_balance: eligibility.maximumBalance ?? null
+    };
+}
+
 class TokenConfigLoader {
     constructor(networkConfig = null) {
         this.tokensConfig = null;
@@ -62,6 +111,8 @@ class TokenConfigLoader {
             erc20_contract: token.contract.address,
             amount: token.faucet.configuration.amountPerRequest,
             target_balance: token.faucet.configuration.targetBalance,
+            ...getRequestLimits(token),
+            eligibility: getEligibilityRules(token),
             // Additional metadata
             logoUri: token.logoUri,
             category: token.category,
@@ -78,6 +129,8 @@ class TokenConfigLoader {
             decimals: token.decimals,
             amount: token.faucet.configuration.amountPerRequest,
             target_balance: token.faucet.configuration.targetBalance,
+            ...getRequestLimits(token),
+            eligibility: getEligibilityRules(token),
             // EVM wrapper info if available
             evmWrapper: token.integration?.evmWrapped
         }));
@@ -100,7 +153,11 @@ class TokenConfigLoader {
                 amount: token.amount,
                 erc20_contract: token.erc20_contract,
                 decimals: token.decimals,
-                target_balance: token.target_balance
+                target_balance: token.target_balance,
+                max_requests_per_day: token.max_requests_per_day,
+                cooldown_period: token.cooldown_period,
+                cooldown_ms: token.cooldown_ms,
+                eligibility: token.eligibility
             });
         });
         
@@ -113,7 +170,11 @@ class TokenConfigLoader {
                 amount: token.amount,
                 erc20_contract: token.evmWrapper?.enabled ? token.evmWrapper.wrapperContract : "0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE",
                 decimals: token.decimals,
-                target_balance: token.target_balance
+                target_balance: token.target_balance,
+                max_requests_per_day: token.max_requests_per_day,
+                cooldown_period: token.cooldown_period,
+                cooldown_ms: token.cooldown_ms,
+                eligibility: token.eligibility
             });
         });
         
@@ -0,0 +1,288 @@
+/**
+ * WalletPool - Hot wallet accounts derived from the faucet mnemonic
+ * Spreads sends over the pool, each account with its own EVM nonce queue, picking the least
+ * busy account that can cover a request and rotating through ties. A rebalancer refills pool
+ * accounts from the primary (index 0) whenever they run low, and lets the caller authorize
+ * them on AtomicMultiSend.
+ */
+
+import EvmDispatcher from './EvmDispatcher.js';
+
+class WalletPool {
+    constructor(options = {}) {
+        this.rpcUrl = options.rpcUrl;
+        this.getPrivateKey = options.getPrivateKey; // index -> hex private key
+        this.targetRequests = BigInt(options.targetRequests ?? 50);
+        this.minRequests = BigInt(options.minRequests ?? 10);
+        this.rebalanceIntervalMs = options.rebalanceIntervalMs || 5 * 60 * 1000;
+
+        // () => token configs to keep accounts stocked with
+        this.getTokens = options.getTokens || (() => []);
+        // (account, denoms) => Map(denom -> amount string)
+        this.fetchBalances = options.fetchBalances;
+        // (primary, account, [{ token, amount }]) => sends the amounts from primary to account
+        this.topUp = options.topUp;
+        // (account) => whether the account may send through AtomicMultiSend
+        this.prepareAccount = options.prepareAccount || (async () => false);
+
+        this.accounts = [];
+        this.lastRebalance = null;
+        this._cursor = 0;
+        this._timer = null;
+        this._rebalancing = null;
+    }
+
+    /**
+     * Create the pool accounts from [{ index, path, evmAddress, cosmosAddress }], primary first
+     */
+    load(accounts) {
+        this.accounts = accounts.map(account => ({
+            ...account,
+            dispatcher: new EvmDispatcher({
+                rpcUrl: this.rpcUrl,
+                getPrivateKey: () => this.getPrivateKey(account.index),
+                label: account.index === 0 ? 'EVM' : `EVM#${account.index}`
+            }),
+            busy: 0,
+            sent: 0,
+            // denom -> BigInt, lowered locally after each send until the next refresh
+            balances: new Map(),
+            balancesAt: null,
+            lastUsedAt: null,
+            // The primary owns AtomicMultiSend; the others need to be made operators first
+            canMultiSend: account.index === 0
+        }));
+        this._cursor = 0;
+    }
+
+    /**
+     * The primary account, which funds the rest of the pool
+     */
+    get primary() {
+        if (this.accounts.length === 0) {
+            throw new Error('Wallet pool not loaded');
+        }
+        return this.accounts[0];
+    }
+
+    /**
+     * Reserve the least busy account that holds amounts ([{ denom, amount }]), rotating through
+     * accounts that are equally busy. multiSend only considers accounts authorized on
+     * AtomicMultiSend. Falls back to the primary, multiSend included: that is only right while
+     * the primary is the AtomicMultiSend owner, as it is when it deployed the contract.
+     * Pair every acquire with release
+     */
+    acquire(amounts = [], { multiSend = false } = {}) {
+        const primary = this.primary;
+        let chosen = null;
+
+        for (let offset = 0; offset < this.accounts.length; offset++) {
+            const account = this.accounts[(this._cursor + offset) % this.accounts.length];
+            if (this._canServe(account, amounts, multiSend) && (!chosen || account.busy < chosen.busy)) {
+                chosen = account;
+            }
+        }
+
+        const account = chosen || primary;
+        this._cursor = (account.index + 1) % this.accounts.length;
+        account.busy++;
+        return account;
+    }
+
+    /**
+     * Return an account taken with acquire; a successful send lowers its cached balances
+     */
+    release(account, amounts = [], succeeded = true) {
+        account.busy = Math.max(0, account.busy - 1);
+        if (!succeeded) {
+            return;
+        }
+
+        account.sent++;
+        account.lastUsedAt = new Date().toISOString();
+        for (const { denom, amount } of amounts) {
+            const balance = account.balances.get(denom);
+            if (balance !== undefined) {
+                const remaining = balance - BigInt(amount);
+                account.balances.set(denom, remaining > 0n ? remaining : 0n);
+            }
+        }
+    }
+
+    /**
+     * Run task(account) on an acquired account and release it afterwards
+     */
+    async withAccount(amounts, task, options = {}) {
+        const account = this.acquire(amounts, options);
+        let succeeded = false;
+        try {
+            const result = await task(account);
+            succeeded = true;
+            return result;
+        } finally {
+            this.release(account, amounts, succeeded);
+        }
+    }
+
+    /**
+     * Re-read every account's balances; an account that can't be read keeps its last ones
+     */
+    async refreshBalances() {
+        const denoms = this.getTokens().map(token => token.denom);
+        await Promise.all(this.accounts.map(async account => {
+            try {
+                const balances = await this.fetchBalances(account, denoms);
+                account.balances = new Map(Array.from(balances, ([denom, amount]) => [denom, BigInt(amount)]));
+                account.balancesAt = new Date().toISOString();
+            } catch (error) {
+                console.warn(`  Could not read balances of hot wallet ${account.evmAddress}:`, error.message);
+            }
+        }));
+    }
+
+    /**
+     * Amounts that bring account back to targetRequests worth of every token it has less than
+     * minRequests worth of. A request sends at most the token's target balance
+     */
+    planTopUp(account) {
+        const topUps = [];
+        for (const token of this.getTokens()) {
+            const perRequest = BigInt(token.target_balance || token.amount || 0);
+            const balance = account.balances.get(token.denom) ?? 0n;
+            if (perRequest > 0n && balance < perRequest * this.minRequests) {
+                topUps.push({ token, amount: perRequest * this.targetRequests - balance });
+            }
+        }
+        return topUps;
+    }
+
+    /**
+     * One pass: refresh balances, top up low accounts from the primary (never taking the
+     * primary below its own minimum) and prepare them for AtomicMultiSend.
+     * A call while a pass is running gets that pass, since a second one would plan its top-ups
+     * from the same stale balances and fund the same accounts twice
+     */
+    rebalance() {
+        if (!this._rebalancing) {
+            this._rebalancing = this._rebalance().finally(() => {
+                this._rebalancing = null;
+            });
+        }
+        return this._rebalancing;
+    }
+
+    async _rebalance() {
+        await this.refreshBalances();
+        const primary = this.primary;
+        const toppedUp = [];
+        const errors = [];
+
+        for (const account of this.accounts.slice(1)) {
+            const topUps = this.planTopUp(account).filter(({ token, amount }) => {
+                const perRequest = BigInt(token.target_balance || token.amount || 0);
+                const available = (primary.balances.get(token.denom) ?? 0n) - perRequest * this.minRequests;
+                return available >= amount;
+            });
+
+            try {
+                if (topUps.length > 0) {
+                    await this.topUp(primary, account, topUps);
+                    for (const { token, amount } of topUps) {
+                        primary.balances.set(token.denom, (primary.balances.get(token.denom) ?? 0n) - amount);
+                    }
+                    toppedUp.push({
+                        account: account.evmAddress,
+                        amounts: topUps.map(({ token, amount }) => ({ denom: token.denom, amount: amount.toString() }))
+                    });
+                }
+                account.canMultiSend = await this.prepareAccount(account);
+            } catch (error) {
+                console.error(`  Could not rebalance hot wallet ${account.evmAddress}:`, error.message);
+                errors.push({ account: account.evmAddress, error: error.message });
+            }
+        }
+
+        if (toppedUp.length > 0) {
+            await this.refreshBalances();
+        }
+
+        this.lastRebalance = {
+            at: new Date().toISOString(),
+            topped_up: toppedUp,
+            errors
+        };
+        return this.lastRebalance;
+    }
+
+    /**
+     * Start the nonce gap checks and rebalance now and every rebalanceIntervalMs
+     */
+    start() {
+        for (const account of this.accounts) {
+            account.dispatcher.start();
+        }
+        if (this._timer) {
+            return;
+        }
+
+        const run = () => this.rebalance().catch(error => console.error('Wallet pool rebalance failed:', error));
+        run();
+        this._timer = setInterval(run, this.rebalanceIntervalMs);
+        this._timer.unref?.();
+        console.log(` Wallet pool of ${this.accounts.length} account(s), rebalancing every ${Math.round(this.rebalanceIntervalMs / 1000)}s`);
+    }
+
+    stop() {
+        for (const account of this.accounts) {
+            account.dispatcher.stop();
+        }
+        clearInterval(this._timer);
+        this._timer = null;
+    }
+
+    // The primary can always be tried; other accounts need known balances that cover amounts
+    _canServe(account, amounts, multiSend) {
+        if (account.index === 0) {
+            return true;
+        }
+        if (!account.balancesAt || (multiSend && !account.canMultiSend)) {
+            return false;
+        }
+        return amounts.every(({ denom, amount }) => (account.balances.get(denom) ?? 0n) >= BigInt(amount));
+    }
+
+    /**
+     * Addresses and last known balances, for the web app
+     */
+    getAccountsInfo() {
+        return this.accounts.map(account => ({
+            index: account.index,
+            primary: account.index === 0,
+            evm: account.evmAddress,
+            cosmos: account.cosmosAddress,
+            balances: Object.fromEntries(Array.from(account.balances, ([denom, amount]) => [denom, amount.toString()])),
+            balances_at: account.balancesAt
+        }));
+    }
+
+    /**
+     * Pool state for health reporting
+     */
+    getStatus() {
+        return {
+            size: this.accounts.length,
+            accounts: this.accounts.map(account => ({
+                index: account.index,
+                evm: account.evmAddress,
+                busy: account.busy,
+                sent: account.sent,
+                can_multi_send: account.canMultiSend,
+                last_used_at: account.lastUsedAt,
+                balances_at: account.balancesAt
+            })),
+            last_rebalance: this.lastRebalance
+        };
+    }
+}
+
+export default WalletPool;
@@ -0,0 +1,18 @@
+/**
+ * HCaptchaVerifier - hCaptcha (https://docs.hcaptcha.com/#verify-the-user-response-server-side)
+ */
+
+import SiteverifyVerifier from './SiteverifyVerifier.js';
+
+class HCaptchaVerifier extends SiteverifyVerifier {
+    constructor(options = {}) {
+        super({ url: 'https://api.hcaptcha.com/siteverify', ...options, provider: 'hcaptcha' });
+    }
+
+    // hCaptcha also checks that the token was issued for our site key
+    _extendForm(form) {
+        form.set('sitekey', this.siteKey);
+    }
+}
+
+export default HCaptchaVerifier;
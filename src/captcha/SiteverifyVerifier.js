@@ -0,0 +1,58 @@
+/**
+ * SiteverifyVerifier - Shared client for CAPTCHA providers with a siteverify endpoint
+ * hCaptcha and Turnstile take the same form-encoded secret/response/remoteip
+ * and answer { success, "error-codes" }
+ */
+
+import fetch from 'node-fetch';
+
+class SiteverifyVerifier {
+    constructor(options = {}) {
+        if (!options.siteKey || !options.secretKey) {
+            throw new Error(`${options.provider} CAPTCHA needs both CAPTCHA_SITE_KEY and CAPTCHA_SECRET_KEY`);
+        }
+        this.provider = options.provider;
+        this.url = options.url;
+        this.siteKey = options.siteKey;
+        this.secretKey = options.secretKey;
+        this.timeoutMs = options.timeoutMs ?? 10 * 1000;
+    }
+
+    /**
+     * Ask the provider whether a widget token is valid.
+     * Returns { success: true } or { success: false, errors }; throws when the provider can't be reached
+     */
+    async verify(token, remoteIp = null) {
+        const form = new URLSearchParams({ secret: this.secretKey, response: token });
+        if (remoteIp) {
+            form.set('remoteip', remoteIp);
+        }
+        this._extendForm(form);
+
+        const response = await fetch(this.url, {
+            method: 'POST',
+            body: form,
+            signal: AbortSignal.timeout(this.timeoutMs)
+        });
+        if (!response.ok) {
+            throw new Error(`${this.provider} siteverify answered HTTP ${response.status}`);
+        }
+
+        const result = await response.json();
+        return result.success
+            ? { success: true }
+            : { success: false, errors: result['error-codes'] || [] };
+    }
+
+    /**
+     * What the web UI needs to render the widget
+     */
+    getPublicConfig() {
+        return { provider: this.provider, site_key: this.siteKey };
+    }
+
+    // Provider-specific form fields
+    _extendForm(form) {}
+}
+
+export default SiteverifyVerifier;
@@ -0,0 +1,33 @@
+/**
+ * StubCaptchaVerifier - Offline CAPTCHA for development and tests
+ * Accepts exactly one configured token and rejects everything else, without any network access.
+ * The token is handed to every browser, so it is refused under NODE_ENV=production
+ */
+
+class StubCaptchaVerifier {
+    constructor(options = {}) {
+        if (process.env.NODE_ENV === 'production') {
+            throw new Error('The stub CAPTCHA publishes its pass token and is not allowed with NODE_ENV=production. Use hcaptcha or turnstile');
+        }
+        this.provider = 'stub';
+        this.passToken = options.stubToken || 'stub-pass';
+    }
+
+    /**
+     * Same contract as the real providers: { success: true } or { success: false, errors }
+     */
+    async verify(token) {
+        return token === this.passToken
+            ? { success: true }
+            : { success: false, errors: ['invalid-input-response'] };
+    }
+
+    /**
+     * The stub widget is a checkbox that submits the pass token
+     */
+    getPublicConfig() {
+        return { provider: this.provider, site_key: null, stub_token: this.passToken };
+    }
+}
+
+export default StubCaptchaVerifier;
@@ -0,0 +1,13 @@
+/**
+ * TurnstileVerifier - Cloudflare Turnstile (https://developers.cloudflare.com/turnstile/get-started/server-side-validation/)
+ */
+
+import SiteverifyVerifier from './SiteverifyVerifier.js';
+
+class TurnstileVerifier extends SiteverifyVerifier {
+    constructor(options = {}) {
+        super({ url: 'https://challenges.cloudflare.com/turnstile/v0/siteverify', ...options, provider: 'turnstile' });
+    }
+}
+
+export default TurnstileVerifier;
@@ -0,0 +1,32 @@
+/**
+ * Captcha - Verifier selection for the optional CAPTCHA in front of faucet requests
+ * Every verifier exposes verify(token, remoteIp) and getPublicConfig() for the web UI widget
+ */
+
+import HCaptchaVerifier from './HCaptchaVerifier.js';
+import TurnstileVerifier from './TurnstileVerifier.js';
+import StubCaptchaVerifier from './StubCaptchaVerifier.js';
+
+export { HCaptchaVerifier, TurnstileVerifier, StubCaptchaVerifier };
+
+const PROVIDERS = {
+    hcaptcha: HCaptchaVerifier,
+    turnstile: TurnstileVerifier,
+    stub: StubCaptchaVerifier
+};
+
+/**
+ * Verifier for config.captcha.provider, or null when the CAPTCHA is off ("none")
+ */
+export function createCaptchaVerifier(captchaConfig = {}) {
+    const provider = captchaConfig.provider || 'none';
+    if (provider === 'none') {
+        return null;
+    }
+
+    const Verifier = PROVIDERS[provider];
+    if (!Verifier) {
+        throw new Error(`Unknown CAPTCHA provider "${provider}", expected one of: none, ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    return new Verifier(captchaConfig);
+}
@@ -0,0 +1,36 @@
+export function useProofOfWork() {
+  // Fetch a challenge from the faucet and solve it off the main thread.
+  // Resolves { token, solution } for the request body, or null when no challenge is required.
+  const solveChallenge = async () => {
+    const response = await fetch('/api/v1/challenge')
+    const data = await response.json()
+    if (!response.ok) {
+      throw new Error(data.error?.message || `Challenge request failed (${response.status})`)
+    }
+    if (!data.challenge.required) {
+      return null
+    }
+
+    const { token, difficulty } = data.challenge
+    const worker = new Worker(new URL('../workers/proofOfWork.worker.js', import.meta.url), { type: 'module' })
+
+    try {
+      const solution = await new Promise((resolve, reject) => {
+        worker.onmessage = ({ data: message }) => {
+          if (message.solution !== undefined) {
+            resolve(message.solution)
+          }
+        }
+        worker.onerror = (event) => reject(new Error(event.message || 'Proof-of-work worker failed'))
+        worker.postMessage({ token, difficulty })
+      })
+      return { token, solution }
+    } finally {
+      worker.terminate()
+    }
+  }
+
+  return {
+    solveChallenge
+  }
+}
@@ -2,6 +2,10 @@ import { ref } from 'vue'
 
 const STORAGE_KEY = 'faucet-recent-transactions'
 const MAX_TRANSACTIONS = 50
+const POLL_INTERVAL = 2000
+const TERMINAL_STATES = ['included', 'skipped', 'failed']
+// Final states that carry a result rather than an error
+const SETTLED_STATES = ['included', 'skipped']
 
 const recentTransactions = ref([])
 
@@ -28,7 +32,7 @@ const saveRecentTransactions = () => {
 
 // Add a transaction to history
 const addTransactionToHistory = (tx) => {
-  tx.id = Date.now() + Math.random()
+  tx.id = tx.requestId || Date.now() + Math.random()
   recentTransactions.value.unshift(tx)
   
   if (recentTransactions.value.length > MAX_TRANSACTIONS) {
@@ -38,6 +42,97 @@ const addTransactionToHistory = (tx) => {
   saveRecentTransactions()
 }
 
+// Shape a final lifecycle record like the { result } payload history entries have always stored
+const toTransactionData = (record) => {
+  if (SETTLED_STATES.includes(record.state)) {
+    return { result: record.result }
+  }
+  return {
+    error: record.error,
+    result: {
+      code: -1,
+      message: record.error?.message || 'Request failed',
+      ...record.error?.details
+    }
+  }
+}
+
+// Copy a server lifecycle record onto the matching history entry
+const applyRequestRecord = (requestId, record) => {
+  const tx = recentTransactions.value.find(t => t.requestId === requestId)
+  if (!tx) return
+
+  tx.state = record.state
+  tx.stages = record.stages || tx.stages
+  tx.hash = record.transaction_hash || tx.hash
+
+  if (TERMINAL_STATES.includes(record.state)) {
+    tx.success = SETTLED_STATES.includes(record.state)
+    tx.data = toTransactionData(record)
+  }
+
+  saveRecentTransactions()
+}
+
+// Follow a faucet request until it reaches a final state, over SSE with polling as fallback
+const watchRequest = (requestId, onUpdate = () => {}) => new Promise((resolve, reject) => {
+  const handle = (record) => {
+    applyRequestRecord(requestId, record)
+    onUpdate(record)
+    if (TERMINAL_STATES.includes(record.state)) {
+      resolve(record)
+      return true
+    }
+    return false
+  }
+
+  const poll = async () => {
+    try {
+      const response = await fetch(`/api/v1/requests/${requestId}`)
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error?.message || `Request lookup failed (${response.status})`)
+      }
+      if (!handle(data.request)) {
+        setTimeout(poll, POLL_INTERVAL)
+      }
+    } catch (e) {
+      reject(e)
+    }
+  }
+
+  if (typeof EventSource === 'undefined') {
+    poll()
+    return
+  }
+
+  const source = new EventSource(`/api/v1/requests/${requestId}/events`)
+  source.onmessage = (event) => {
+    if (handle(JSON.parse(event.data))) {
+      source.close()
+    }
+  }
+  source.onerror = () => {
+    // Stream dropped before a final state, keep going by polling
+    source.close()
+    poll()
+  }
+})
+
+// Pick up requests that were still in flight when the page was last closed
+const resumePendingTransactions = () => {
+  recentTransactions.value
+    .filter(tx => tx.requestId && tx.state && !TERMINAL_STATES.includes(tx.state))
+    .forEach(tx => {
+      watchRequest(tx.requestId).catch(err => {
+        applyRequestRecord(tx.requestId, {
+          state: 'failed',
+          error: { message: err.message }
+        })
+      })
+    })
+}
+
 // Remove a specific transaction
 const removeTransaction = (index) => {
   recentTransactions.value.splice(index, 1)
@@ -52,11 +147,15 @@ const clearAllTransactions = () => {
 
 // Initialize by loading saved transactions
 loadRecentTransactions()
+resumePendingTransactions()
 
 export function useTransactions() {
   return {
     recentTransactions,
     addTransactionToHistory,
+    watchRequest,
+    applyRequestRecord,
+    toTransactionData,
     removeTransaction,
     clearAllTransactions
   }
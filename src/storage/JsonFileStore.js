@@ -0,0 +1,145 @@
+/**
+ * JsonFileStore - Legacy JSON file storage for limiter state
+ * Keeps one file per namespace (.faucet/history.db, .faucet/allowances.db) and rewrites it
+ * through a temp file and rename on every change, so a crash never leaves a torn file
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+class JsonFileStore {
+    constructor(options = {}) {
+        this.backend = 'json';
+        // namespace -> file path
+        this.files = options.files || {};
+
+        // namespace -> Map(key -> value), loaded lazily
+        this._data = new Map();
+        this._dirty = new Set();
+        this._depth = 0;
+    }
+
+    /**
+     * All [key, value] pairs stored under a namespace
+     */
+    entries(namespace) {
+        return Array.from(this._load(namespace).entries());
+    }
+
+    /**
+     * Value for a key, or null
+     */
+    get(namespace, key) {
+        return this._load(namespace).get(key) ?? null;
+    }
+
+    /**
+     * Insert or replace a value
+     */
+    set(namespace, key, value) {
+        this._load(namespace).set(key, value);
+        this._changed(namespace);
+    }
+
+    /**
+     * Remove a key
+     */
+    delete(namespace, key) {
+        if (this._load(namespace).delete(key)) {
+            this._changed(namespace);
+        }
+    }
+
+    /**
+     * Run fn so that all of its writes land in one file write per namespace; a throw discards them
+     */
+    transaction(fn) {
+        this._depth++;
+        try {
+            const result = fn();
+            this._depth--;
+            if (this._depth === 0) this._flush();
+            return result;
+        } catch (error) {
+            this._depth--;
+            if (this._depth === 0) {
+                // Drop the uncommitted state so the next read comes from disk again
+                for (const namespace of this._dirty) this._data.delete(namespace);
+                this._dirty.clear();
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Backend details for health reporting
+     */
+    getInfo() {
+        return { backend: this.backend, files: this.files };
+    }
+
+    close() {
+        this._flush();
+    }
+
+    _load(namespace) {
+        if (this._data.has(namespace)) {
+            return this._data.get(namespace);
+        }
+
+        const entries = new Map();
+        const file = this._file(namespace);
+        if (fs.existsSync(file)) {
+            const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+            // history.db used to store [key, value] pairs, allowances.db a plain object
+            const stored = parsed[namespace] || [];
+            for (const [key, value] of Array.isArray(stored) ? stored : Object.entries(stored)) {
+                entries.set(key, value);
+            }
+        }
+
+        this._data.set(namespace, entries);
+        return entries;
+    }
+
+    _changed(namespace) {
+        this._dirty.add(namespace);
+        if (this._depth === 0) this._flush();
+    }
+
+    _flush() {
+        for (const namespace of this._dirty) {
+            this._write(namespace);
+        }
+        this._dirty.clear();
+    }
+
+    _write(namespace) {
+        const file = this._file(namespace);
+        const data = {
+            [namespace]: Object.fromEntries(this._load(namespace)),
+            lastSaved: new Date().toISOString()
+        };
+
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        const tmpFile = `${file}.${process.pid}.tmp`;
+        const fd = fs.openSync(tmpFile, 'w');
+        try {
+            fs.writeSync(fd, JSON.stringify(data, null, 2));
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tmpFile, file);
+    }
+
+    _file(namespace) {
+        const file = this.files[namespace];
+        if (!file) {
+            throw new Error(`No file configured for storage namespace "${namespace}"`);
+        }
+        return file;
+    }
+}
+
+export default JsonFileStore;
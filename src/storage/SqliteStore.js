@@ -0,0 +1,114 @@
+/**
+ * SqliteStore - Transactional limiter state in an embedded SQLite database
+ * Every write is its own transaction (or part of an explicit one) and is on disk
+ * before the call returns, so restarts and crashes keep the full request history
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+
+// better-sqlite3 is a native module; only load it when this backend is actually used
+const require = createRequire(import.meta.url);
+
+class SqliteStore {
+    constructor(options = {}) {
+        const Database = require('better-sqlite3');
+
+        this.backend = 'sqlite';
+        this.path = options.path || '.faucet/faucet.sqlite';
+        fs.mkdirSync(path.dirname(this.path), { recursive: true });
+
+        this.db = new Database(this.path);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('synchronous = FULL');
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS entries (
+                namespace TEXT NOT NULL,
+                key TEXT NOT NULL,
+                value TEXT NOT NULL,
+                updated_at INTEGER NOT NULL,
+                PRIMARY KEY (namespace, key)
+            );
+            CREATE TABLE IF NOT EXISTS meta (
+                key TEXT PRIMARY KEY,
+                value TEXT NOT NULL
+            );
+        `);
+
+        this._statements = {
+            entries: this.db.prepare('SELECT key, value FROM entries WHERE namespace = ?'),
+            get: this.db.prepare('SELECT value FROM entries WHERE namespace = ? AND key = ?'),
+            set: this.db.prepare(`
+                INSERT INTO entries (namespace, key, value, updated_at) VALUES (?, ?, ?, ?)
+                ON CONFLICT (namespace, key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+            `),
+            delete: this.db.prepare('DELETE FROM entries WHERE namespace = ? AND key = ?'),
+            getMeta: this.db.prepare('SELECT value FROM meta WHERE key = ?'),
+            setMeta: this.db.prepare(`
+                INSERT INTO meta (key, value) VALUES (?, ?)
+                ON CONFLICT (key) DO UPDATE SET value = excluded.value
+            `)
+        };
+    }
+
+    /**
+     * All [key, value] pairs stored under a namespace
+     */
+    entries(namespace) {
+        return this._statements.entries.all(namespace).map(row => [row.key, JSON.parse(row.value)]);
+    }
+
+    /**
+     * Value for a key, or null
+     */
+    get(namespace, key) {
+        const row = this._statements.get.get(namespace, key);
+        return row ? JSON.parse(row.value) : null;
+    }
+
+    /**
+     * Insert or replace a value
+     */
+    set(namespace, key, value) {
+        this._statements.set.run(namespace, key, JSON.stringify(value), Date.now());
+    }
+
+    /**
+     * Remove a key
+     */
+    delete(namespace, key) {
+        this._statements.delete.run(namespace, key);
+    }
+
+    /**
+     * Run fn inside one SQLite transaction; nested calls become savepoints
+     */
+    transaction(fn) {
+        return this.db.transaction(fn)();
+    }
+
+    /**
+     * Store-level bookkeeping such as completed migrations
+     */
+    getMeta(key) {
+        return this._statements.getMeta.get(key)?.value ?? null;
+    }
+
+    setMeta(key, value) {
+        this._statements.setMeta.run(key, String(value));
+    }
+
+    /**
+     * Backend details for health reporting
+     */
+    getInfo() {
+        return { backend: this.backend, path: this.path };
+    }
+
+    close() {
+        this.db.close();
+    }
+}
+
+export default SqliteStore;
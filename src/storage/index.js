@@ -0,0 +1,84 @@
+/**
+ * Storage - Backend selection for the faucet's durable limiter state
+ * Both backends expose entries/get/set/delete/transaction over namespaced keys
+ * ("requests" for FrequencyChecker, "allowances" for TokenAllowanceTracker,
+ * "budgets" for DistributionBudget, "api_keys" for ApiKeyManager, "audit" for AuditLog,
+ * "denylist" for Denylist, "sweep_recipients" for SweepDetector, "rate_limit_blocks" for
+ * FrequencyChecker's admin blocks)
+ */
+
+import fs from 'fs';
+import JsonFileStore from './JsonFileStore.js';
+import SqliteStore from './SqliteStore.js';
+
+export { JsonFileStore, SqliteStore };
+
+/**
+ * Legacy JSON file per namespace, as written before SQLite became the default
+ */
+export function getLegacyFiles(config) {
+    return {
+        requests: config.db?.path || '.faucet/history.db',
+        allowances: config.db?.allowancePath || '.faucet/allowances.db'
+    };
+}
+
+/**
+ * Open the configured backend; SQLite imports the legacy JSON files on first start
+ */
+export function createStore(config) {
+    const backend = config.db?.backend || 'sqlite';
+    const legacyFiles = getLegacyFiles(config);
+
+    if (backend === 'json') {
+        return new JsonFileStore({
+            files: {
+                ...legacyFiles,
+                budgets: config.db?.budgetPath || '.faucet/budgets.db',
+                api_keys: config.db?.apiKeyPath || '.faucet/api-keys.db',
+                audit: config.db?.auditPath || '.faucet/audit.db',
+                denylist: config.db?.denylistPath || '.faucet/denylist.db',
+                sweep_recipients: config.db?.sweepRecipientsPath || '.faucet/sweep-recipients.db',
+                rate_limit_blocks: config.db?.rateLimitBlocksPath || '.faucet/rate-limit-blocks.db'
+            }
+        });
+    }
+    if (backend !== 'sqlite') {
+        throw new Error(`Unknown storage backend "${backend}", expected "sqlite" or "json"`);
+    }
+
+    const store = new SqliteStore({ path: config.db?.sqlitePath });
+    migrateLegacyFiles(store, legacyFiles);
+    return store;
+}
+
+/**
+ * Copy each legacy JSON file into the store once; the files are left in place untouched
+ */
+export function migrateLegacyFiles(store, legacyFiles) {
+    for (const [namespace, file] of Object.entries(legacyFiles)) {
+        const marker = `migrated:${namespace}`;
+        if (store.getMeta(marker)) continue;
+
+        let entries = [];
+        if (fs.existsSync(file)) {
+            try {
+                entries = new JsonFileStore({ files: { [namespace]: file } }).entries(namespace);
+            } catch (error) {
+                // A torn legacy file shouldn't keep the faucet down; it had nothing usable to migrate
+                console.warn(`  Could not read ${file} for migration:`, error.message);
+            }
+        }
+
+        store.transaction(() => {
+            for (const [key, value] of entries) {
+                store.set(namespace, key, value);
+            }
+            store.setMeta(marker, new Date().toISOString());
+        });
+
+        if (entries.length > 0) {
+            console.log(` Migrated ${entries.length} ${namespace} entries from ${file} to SQLite`);
+        }
+    }
+}
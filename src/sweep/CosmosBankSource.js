@@ -0,0 +1,95 @@
+/**
+ * CosmosBankSource - Outgoing bank transfers of faucet recipients from Cosmos tx events
+ * Searches txs by transfer.sender over the REST endpoint. EVM native sends on cosmos-evm
+ * move bank balances too, so they are found here as well.
+ */
+
+import fetch from 'node-fetch';
+
+class CosmosBankSource {
+    constructor(options = {}) {
+        this.name = 'cosmos';
+        this.restEndpoint = options.restEndpoint;
+        this.timeoutMs = options.timeoutMs ?? 10 * 1000;
+        // newest txs per recipient and pass
+        this.pageLimit = options.pageLimit ?? 50;
+    }
+
+    /**
+     * Transfers sent by recipients ([{ cosmos_address, funded_at }]) since they were funded
+     */
+    async fetchTransfers(recipients) {
+        const transfers = [];
+        for (const recipient of recipients) {
+            if (!recipient.cosmos_address) continue;
+
+            const txs = await this._searchTxs(`transfer.sender='${recipient.cosmos_address}'`);
+            for (const tx of txs) {
+                const at = Date.parse(tx.timestamp);
+                if (at < Date.parse(recipient.funded_at)) continue;
+
+                for (const transfer of parseTransferEvents(tx.events || [])) {
+                    if (transfer.sender !== recipient.cosmos_address) continue;
+                    for (const coin of parseCoins(transfer.amount)) {
+                        transfers.push({
+                            source: this.name,
+                            from: transfer.sender,
+                            to: transfer.recipient,
+                            asset: coin.denom,
+                            amount: coin.amount,
+                            tx_hash: tx.txhash,
+                            at
+                        });
+                    }
+                }
+            }
+        }
+        return transfers;
+    }
+
+    async _searchTxs(query) {
+        const params = new URLSearchParams({
+            query,
+            order_by: 'ORDER_BY_DESC',
+            limit: String(this.pageLimit)
+        });
+        const response = await fetch(`${this.restEndpoint}/cosmos/tx/v1beta1/txs?${params}`, {
+            signal: AbortSignal.timeout(this.timeoutMs)
+        });
+        if (!response.ok) {
+            throw new Error(`Tx search answered HTTP ${response.status}`);
+        }
+
+        const data = await response.json();
+        return data.tx_responses || [];
+    }
+}
+
+// { sender, recipient, amount } for every transfer event; older SDKs pack several into one event
+function parseTransferEvents(events) {
+    const transfers = [];
+    for (const event of events) {
+        if (event.type !== 'transfer') continue;
+
+        let current = {};
+        for (const { key, value } of event.attributes || []) {
+            if (!['sender', 'recipient', 'amount'].includes(key)) continue;
+            current[key] = value;
+            if (current.sender && current.recipient && current.amount) {
+                transfers.push(current);
+                current = {};
+            }
+        }
+    }
+    return transfers;
+}
+
+// "100uatom,5ibc/ABC..." -> [{ amount, denom }]
+function parseCoins(amount) {
+    return amount.split(',')
+        .map(coin => /^(\d+)(.+)$/.exec(coin.trim()))
+        .filter(Boolean)
+        .map(([, value, denom]) => ({ amount: value, denom }));
+}
+
+export default CosmosBankSource;
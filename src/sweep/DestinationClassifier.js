@@ -0,0 +1,67 @@
+/**
+ * DestinationClassifier - Tells shared destinations apart from collectors
+ * Contracts (a DEX router, a bridge) and module accounts receive from many unrelated accounts,
+ * so recipients sending to one of them are not sweeping to a common collector.
+ */
+
+import fetch from 'node-fetch';
+
+export const DestinationKind = Object.freeze({
+    CONTRACT: 'contract',
+    MODULE_ACCOUNT: 'module_account'
+});
+
+class DestinationClassifier {
+    constructor(options = {}) {
+        this.provider = options.provider;
+        this.restEndpoint = options.restEndpoint;
+        // hex address -> bech32, for the auth module lookup
+        this.toCosmosAddress = options.toCosmosAddress || (() => null);
+        this.timeoutMs = options.timeoutMs ?? 10 * 1000;
+
+        // hex address -> kind or null; neither changes once an address is in use
+        this.kinds = new Map();
+    }
+
+    /**
+     * DestinationKind of a hex address, or null for a plain account
+     */
+    async classify(address) {
+        if (this.kinds.has(address)) {
+            return this.kinds.get(address);
+        }
+
+        let kind = null;
+        if (this.provider && await this.provider.getCode(address) !== '0x') {
+            kind = DestinationKind.CONTRACT;
+        } else if (this.restEndpoint && await this._isModuleAccount(address)) {
+            kind = DestinationKind.MODULE_ACCOUNT;
+        }
+
+        this.kinds.set(address, kind);
+        return kind;
+    }
+
+    async _isModuleAccount(address) {
+        const cosmosAddress = this.toCosmosAddress(address);
+        if (!cosmosAddress) {
+            return false;
+        }
+
+        const response = await fetch(`${this.restEndpoint}/cosmos/auth/v1beta1/accounts/${cosmosAddress}`, {
+            signal: AbortSignal.timeout(this.timeoutMs)
+        });
+        // Accounts that never sent a tx aren't stored by the auth module
+        if (response.status === 404) {
+            return false;
+        }
+        if (!response.ok) {
+            throw new Error(`Account lookup answered HTTP ${response.status}`);
+        }
+
+        const { account } = await response.json();
+        return String(account?.['@type'] || '').endsWith('.ModuleAccount');
+    }
+}
+
+export default DestinationClassifier;
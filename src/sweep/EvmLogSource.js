@@ -0,0 +1,75 @@
+/**
+ * EvmLogSource - Outgoing ERC20 transfers of faucet recipients from EVM JSON-RPC logs
+ * Reads Transfer(from, to, value) logs with a recipient as from, picking up where the
+ * previous pass stopped. Native sends don't emit logs; they show up as bank events instead.
+ */
+
+import { id, zeroPadValue, dataSlice, getAddress, toBigInt } from 'ethers';
+
+const TRANSFER_TOPIC = id('Transfer(address,address,uint256)');
+// Addresses per eth_getLogs topic filter
+const ADDRESS_CHUNK = 100;
+
+class EvmLogSource {
+    constructor(options = {}) {
+        this.name = 'evm';
+        this.provider = options.provider;
+        this.maxBlockRange = options.maxBlockRange ?? 2000;
+        // how far back the first pass looks
+        this.lookbackBlocks = options.lookbackBlocks ?? 2000;
+        this.nextBlock = null;
+    }
+
+    /**
+     * Transfers sent by recipients ([{ address }]) since the last pass
+     */
+    async fetchTransfers(recipients) {
+        const latest = await this.provider.getBlockNumber();
+        const fromBlock = this.nextBlock ?? Math.max(0, latest - this.lookbackBlocks);
+        if (recipients.length === 0 || fromBlock > latest) {
+            this.nextBlock = latest + 1;
+            return [];
+        }
+
+        const senders = recipients.map(recipient => zeroPadValue(getAddress(recipient.address), 32));
+        const logs = [];
+        for (let start = fromBlock; start <= latest; start += this.maxBlockRange) {
+            const end = Math.min(latest, start + this.maxBlockRange - 1);
+            for (let i = 0; i < senders.length; i += ADDRESS_CHUNK) {
+                logs.push(...await this.provider.getLogs({
+                    fromBlock: start,
+                    toBlock: end,
+                    topics: [TRANSFER_TOPIC, senders.slice(i, i + ADDRESS_CHUNK)]
+                }));
+            }
+        }
+        this.nextBlock = latest + 1;
+
+        // ERC721 Transfer has the same signature with the id indexed as a fourth topic
+        const transfers = logs.filter(log => log.topics.length === 3);
+        const blockTimes = await this._getBlockTimes(transfers.map(log => log.blockNumber));
+        return transfers.map(log => ({
+            source: this.name,
+            from: getAddress(dataSlice(log.topics[1], 12)),
+            to: getAddress(dataSlice(log.topics[2], 12)),
+            asset: getAddress(log.address),
+            amount: toBigInt(log.data).toString(),
+            tx_hash: log.transactionHash,
+            at: blockTimes.get(log.blockNumber) ?? null
+        }));
+    }
+
+    // block number -> timestamp in ms
+    async _getBlockTimes(blockNumbers) {
+        const times = new Map();
+        for (const blockNumber of new Set(blockNumbers)) {
+            const block = await this.provider.getBlock(blockNumber);
+            if (block) {
+                times.set(blockNumber, block.timestamp * 1000);
+            }
+        }
+        return times;
+    }
+}
+
+export default EvmLogSource;
@@ -0,0 +1,28 @@
+/**
+ * FixtureSource - Recorded transfers replayed from a JSON file
+ * For testing the detector without a chain. The file holds
+ * { transfers: [{ source, from, to, asset, amount, tx_hash, at }] } with at as an ISO date or ms.
+ */
+
+import fs from 'fs';
+
+class FixtureSource {
+    constructor(options = {}) {
+        this.name = 'fixture';
+        this.path = options.path;
+    }
+
+    /**
+     * Every recorded transfer, re-read on each pass; the detector keeps those sent by recipients
+     */
+    async fetchTransfers() {
+        const { transfers = [] } = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+        return transfers.map(transfer => ({
+            ...transfer,
+            source: transfer.source || this.name,
+            at: typeof transfer.at === 'string' ? Date.parse(transfer.at) : transfer.at ?? null
+        }));
+    }
+}
+
+export default FixtureSource;
@@ -0,0 +1,310 @@
+/**
+ * SweepDetector - Finds faucet recipients that forward their funds to a common collector
+ * Remembers recent recipients and the IPs they came from, reads their outgoing transfers
+ * from the transfer sources on an interval, and denylists every recipient of a cluster that
+ * swept to the same destination, along with the destination itself. Destinations that are
+ * contracts or module accounts are shared by unrelated users and never denylisted. The IPs of
+ * a cluster are only reported, since many users can share one.
+ */
+
+import { createHash } from 'crypto';
+import { bech32 } from 'bech32';
+import { DenylistType } from '../Denylist.js';
+
+const NAMESPACE = 'sweep_recipients';
+// Module account every Cosmos tx pays its fee to, so it is never a collector
+const FEE_COLLECTOR = '0x' + createHash('sha256').update('fee_collector').digest('hex').slice(0, 40);
+
+/**
+ * One identity per account: bech32 (any prefix) and hex addresses map to lowercase hex
+ */
+export function accountKey(address) {
+    if (/^0x[0-9a-fA-F]{40}$/.test(address)) {
+        return address.toLowerCase();
+    }
+    try {
+        const { words } = bech32.decode(address);
+        return '0x' + Buffer.from(bech32.fromWords(words)).toString('hex');
+    } catch {
+        return address;
+    }
+}
+
+/**
+ * Group transfers by destination and keep destinations that minSources distinct recipients
+ * sent to within sweepWindowMs of being funded.
+ * recipients: [{ address, ips, funded_at, last_funded_at }]
+ * transfers: [{ source, from, to, asset, amount, tx_hash, at }], at in ms or null when unknown
+ * Returns [{ destination, recipients, transfers }]
+ */
+export function findSweepClusters(recipients, transfers, options = {}) {
+    const {
+        minSources = 3,
+        sweepWindowMs = Infinity,
+        ignoredAddresses = [],
+        normalizeAddress = accountKey
+    } = options;
+    const ignored = new Set([FEE_COLLECTOR, ...ignoredAddresses].map(normalizeAddress));
+    const byAddress = new Map(recipients.map(recipient => [normalizeAddress(recipient.address), recipient]));
+
+    const destinations = new Map();
+    for (const transfer of transfers) {
+        const from = normalizeAddress(transfer.from);
+        const to = normalizeAddress(transfer.to);
+        const recipient = byAddress.get(from);
+        if (!recipient || to === from || ignored.has(to)) continue;
+
+        if (transfer.at !== null && transfer.at !== undefined) {
+            const fundedAt = Date.parse(recipient.funded_at);
+            const lastFundedAt = Date.parse(recipient.last_funded_at || recipient.funded_at);
+            if (transfer.at < fundedAt || transfer.at > lastFundedAt + sweepWindowMs) continue;
+        }
+
+        if (!destinations.has(to)) {
+            destinations.set(to, { destination: to, recipients: new Map(), transfers: [] });
+        }
+        const cluster = destinations.get(to);
+        cluster.recipients.set(from, recipient);
+        cluster.transfers.push(transfer);
+    }
+
+    return Array.from(destinations.values())
+        .filter(cluster => cluster.recipients.size >= minSources)
+        .map(cluster => ({ ...cluster, recipients: Array.from(cluster.recipients.values()) }));
+}
+
+class SweepDetector {
+    constructor(config, store, options = {}) {
+        const sweepConfig = config.sweepDetection || {};
+        this.store = store;
+        this.enabled = sweepConfig.enabled ?? false;
+        this.intervalMs = sweepConfig.intervalMs ?? 5 * 60 * 1000;
+        this.recipientWindowMs = sweepConfig.recipientWindowMs ?? 24 * 60 * 60 * 1000;
+        this.sweepWindowMs = sweepConfig.sweepWindowMs ?? 6 * 60 * 60 * 1000;
+        this.minSources = sweepConfig.minSources ?? 3;
+        this.ignoredAddresses = sweepConfig.ignoredAddresses || [];
+
+        // [{ name, fetchTransfers(recipients) }], see createTransferSources
+        this.sources = options.sources || [];
+        this.denylist = options.denylist;
+        // { classify(address) } naming shared destinations (see DestinationClassifier); null checks none
+        this.classifier = options.classifier || null;
+        this.normalizeAddress = options.normalizeAddress || accountKey;
+        // canonical address -> bech32, for sources that query by Cosmos address
+        this.toCosmosAddress = options.toCosmosAddress || (() => null);
+
+        // canonical address -> { address, cosmos_address, ips, funded_at, last_funded_at, flagged_at }
+        this.recipients = new Map();
+        // transfers seen in earlier passes; sources like the EVM logs only return new ones
+        this.transfers = new Map();
+        this.lastRun = null;
+        this._timer = null;
+        this._running = null;
+
+        this.loadData();
+    }
+
+    /**
+     * Load remembered recipients
+     */
+    loadData() {
+        this.recipients = new Map(this.store.entries(NAMESPACE));
+        console.log(` Loaded ${this.recipients.size} sweep detection recipients (${this.store.backend})`);
+    }
+
+    /**
+     * Run analyze() every intervalMs. ignoredAddresses are extra destinations that never form
+     * a cluster, such as the faucet's own addresses once they are known
+     */
+    start({ ignoredAddresses = [] } = {}) {
+        this.ignoredAddresses = [...this.ignoredAddresses, ...ignoredAddresses];
+        if (!this.enabled || this._timer) {
+            return;
+        }
+
+        this._timer = setInterval(() => {
+            this.analyze().catch(error => console.error('Sweep detection failed:', error));
+        }, this.intervalMs);
+        console.log(` Sweep detection running every ${Math.round(this.intervalMs / 1000)}s (${this.sources.map(source => source.name).join(', ')})`);
+    }
+
+    stop() {
+        clearInterval(this._timer);
+        this._timer = null;
+    }
+
+    /**
+     * Remember a funded recipient and the IP it asked from
+     */
+    recordRecipient(address, ip) {
+        if (!this.enabled) {
+            return;
+        }
+
+        const canonical = this.normalizeAddress(address);
+        const now = new Date().toISOString();
+        const existing = this.recipients.get(canonical);
+        const recipient = {
+            address: canonical,
+            cosmos_address: existing?.cosmos_address || this.toCosmosAddress(canonical),
+            ips: Array.from(new Set([...(existing?.ips || []), ip])),
+            funded_at: existing?.funded_at || now,
+            last_funded_at: now,
+            flagged_at: existing?.flagged_at || null
+        };
+
+        this.recipients.set(canonical, recipient);
+        this.store.set(NAMESPACE, canonical, recipient);
+    }
+
+    /**
+     * One pass: collect transfers, find clusters and denylist their new members.
+     * Passes never overlap; a call during a running pass waits for it
+     */
+    analyze() {
+        if (!this._running) {
+            this._running = this._analyze().finally(() => {
+                this._running = null;
+            });
+        }
+        return this._running;
+    }
+
+    async _analyze() {
+        this.cleanup();
+        const recipients = Array.from(this.recipients.values());
+        const errors = [];
+
+        for (const source of this.sources) {
+            try {
+                for (const transfer of await source.fetchTransfers(recipients)) {
+                    this._observe(transfer);
+                }
+            } catch (error) {
+                console.warn(`  Sweep detection could not read ${source.name} transfers:`, error.message);
+                errors.push({ source: source.name, error: error.message });
+            }
+        }
+
+        const clusters = findSweepClusters(recipients, Array.from(this.transfers.values()), {
+            minSources: this.minSources,
+            sweepWindowMs: this.sweepWindowMs,
+            ignoredAddresses: this.ignoredAddresses,
+            normalizeAddress: this.normalizeAddress
+        });
+
+        let denylisted = 0;
+        const summaries = [];
+        for (const cluster of clusters) {
+            const shared = await this._sharedDestination(cluster.destination, errors);
+            if (!shared) {
+                denylisted += this._flagCluster(cluster);
+            }
+            summaries.push({
+                destination: cluster.destination,
+                recipients: cluster.recipients.map(recipient => recipient.address),
+                ips: Array.from(new Set(cluster.recipients.flatMap(recipient => recipient.ips))),
+                transfers: cluster.transfers.length,
+                skipped: shared
+            });
+        }
+
+        this.lastRun = {
+            at: new Date().toISOString(),
+            recipients: recipients.length,
+            transfers: this.transfers.size,
+            clusters: summaries,
+            denylisted,
+            errors
+        };
+        return this.lastRun;
+    }
+
+    // Kind of a destination that is shared rather than a collector, or null. One that can't be
+    // checked is skipped as "unverified" until a later pass can.
+    async _sharedDestination(destination, errors) {
+        if (!this.classifier) {
+            return null;
+        }
+        try {
+            return await this.classifier.classify(destination);
+        } catch (error) {
+            console.warn(`  Sweep detection could not check destination ${destination}:`, error.message);
+            errors.push({ destination, error: error.message });
+            return 'unverified';
+        }
+    }
+
+    // Denylist the cluster members not flagged before, and the destination.
+    // Members flagged in an earlier pass are left alone, so an admin's removal sticks until
+    // new recipients join the cluster. Returns how many entries were added.
+    _flagCluster(cluster) {
+        const fresh = cluster.recipients.filter(recipient => !recipient.flagged_at);
+        if (fresh.length === 0) {
+            return 0;
+        }
+
+        console.log(`[SWEEP] ${cluster.recipients.length} faucet recipients swept to ${cluster.destination}`);
+        const info = { reason: 'sweep_cluster', source: 'sweep_detector', cluster: cluster.destination };
+        const flaggedAt = new Date().toISOString();
+        let added = 0;
+
+        this.store.transaction(() => {
+            this.denylist.add(DenylistType.ADDRESS, cluster.destination, info);
+            added++;
+            for (const recipient of fresh) {
+                this.denylist.add(DenylistType.ADDRESS, recipient.address, info);
+                added++;
+
+                recipient.flagged_at = flaggedAt;
+                this.store.set(NAMESPACE, recipient.address, recipient);
+            }
+        });
+        return added;
+    }
+
+    _observe(transfer) {
+        const key = [transfer.source, transfer.tx_hash, transfer.from, transfer.to, transfer.asset, transfer.amount].join(':');
+        if (!this.transfers.has(key)) {
+            this.transfers.set(key, { ...transfer, observed_at: Date.now() });
+        }
+    }
+
+    /**
+     * Forget recipients and transfers older than the recipient window
+     */
+    cleanup() {
+        const cutoff = Date.now() - this.recipientWindowMs;
+        const expired = Array.from(this.recipients.values())
+            .filter(recipient => Date.parse(recipient.last_funded_at) < cutoff);
+
+        if (expired.length > 0) {
+            this.store.transaction(() => {
+                for (const recipient of expired) {
+                    this.recipients.delete(recipient.address);
+                    this.store.delete(NAMESPACE, recipient.address);
+                }
+            });
+        }
+        for (const [key, transfer] of this.transfers.entries()) {
+            if ((transfer.at ?? transfer.observed_at) < cutoff) {
+                this.transfers.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Detector state for health reporting
+     */
+    getStatus() {
+        return {
+            enabled: this.enabled,
+            sources: this.sources.map(source => source.name),
+            recipients: this.recipients.size,
+            transfers: this.transfers.size,
+            last_run: this.lastRun
+        };
+    }
+}
+
+export default SweepDetector;
@@ -0,0 +1,48 @@
+/**
+ * Sweep - Transfer sources for the sweep detector
+ * Every source exposes a name and fetchTransfers(recipients), resolving to
+ * [{ source, from, to, asset, amount, tx_hash, at }]
+ */
+
+import EvmLogSource from './EvmLogSource.js';
+import CosmosBankSource from './CosmosBankSource.js';
+import FixtureSource from './FixtureSource.js';
+import DestinationClassifier, { DestinationKind } from './DestinationClassifier.js';
+import SweepDetector, { findSweepClusters, accountKey } from './SweepDetector.js';
+
+export {
+    EvmLogSource,
+    CosmosBankSource,
+    FixtureSource,
+    DestinationClassifier,
+    DestinationKind,
+    SweepDetector,
+    findSweepClusters,
+    accountKey
+};
+
+/**
+ * Sources for config.sweepDetection: the recorded fixture when fixturePath is set,
+ * otherwise EVM logs from provider and bank events from restEndpoint
+ */
+export function createTransferSources(sweepConfig = {}, { provider, restEndpoint } = {}) {
+    if (sweepConfig.fixturePath) {
+        return [new FixtureSource({ path: sweepConfig.fixturePath })];
+    }
+
+    return [
+        new EvmLogSource({ provider, ...sweepConfig.evm }),
+        new CosmosBankSource({ restEndpoint, ...sweepConfig.cosmos })
+    ];
+}
+
+/**
+ * Classifier checking cluster destinations against the chain, or null when replaying a
+ * fixture, whose addresses don't exist on any chain
+ */
+export function createDestinationClassifier(sweepConfig = {}, { provider, restEndpoint, toCosmosAddress } = {}) {
+    if (sweepConfig.fixturePath) {
+        return null;
+    }
+    return new DestinationClassifier({ provider, restEndpoint, toCosmosAddress });
+}
@@ -0,0 +1,29 @@
+import { sha256 } from '@noble/hashes/sha2'
+
+// Searches for a solution where sha256("<token>:<solution>") starts with `difficulty` zero bits
+const encoder = new TextEncoder()
+
+const leadingZeroBits = (bytes) => {
+  let bits = 0
+  for (const byte of bytes) {
+    if (byte === 0) {
+      bits += 8
+      continue
+    }
+    return bits + Math.clz32(byte) - 24
+  }
+  return bits
+}
+
+self.onmessage = ({ data }) => {
+  const { token, difficulty } = data
+  const prefix = sha256.create().update(encoder.encode(`${token}:`))
+
+  for (let attempt = 0; ; attempt++) {
+    const hash = prefix.clone().update(encoder.encode(attempt.toString(16))).digest()
+    if (leadingZeroBits(hash) >= difficulty) {
+      self.postMessage({ solution: attempt.toString(16), attempts: attempt + 1 })
+      return
+    }
+  }
+}
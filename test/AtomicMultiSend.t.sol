@@ -0,0 +1,160 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "forge-std/Test.sol";
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "../src/AtomicMultiSend.sol";
+
+contract MockToken is ERC20 {
+    constructor() ERC20("Mock Token", "MOCK") {}
+
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+}
+
+contract AtomicMultiSendTest is Test {
+    AtomicMultiSend internal multiSend;
+    MockToken internal token;
+
+    address internal operator = makeAddr("operator");
+    address internal stranger = makeAddr("stranger");
+    address payable internal alice = payable(makeAddr("alice"));
+    address payable internal bob = payable(makeAddr("bob"));
+
+    uint256 internal constant TOKEN_AMOUNT = 1000e18;
+    uint256 internal constant NATIVE_AMOUNT = 1 ether;
+
+    function setUp() public {
+        multiSend = new AtomicMultiSend();
+        token = new MockToken();
+
+        token.mint(address(this), 1_000_000e18);
+        token.approve(address(multiSend), type(uint256).max);
+        vm.deal(address(this), 100 ether);
+    }
+
+    // Refunds of excess msg.value come back to the owner
+    receive() external payable {}
+
+    function _transfers(uint256 tokenAmount, uint256 nativeAmount) internal view returns (AtomicMultiSend.TokenTransfer[] memory transfers) {
+        transfers = new AtomicMultiSend.TokenTransfer[](2);
+        transfers[0] = AtomicMultiSend.TokenTransfer({ token: address(token), amount: tokenAmount });
+        transfers[1] = AtomicMultiSend.TokenTransfer({ token: address(0), amount: nativeAmount });
+    }
+
+    function _recipients() internal view returns (address payable[] memory recipients) {
+        recipients = new address payable[](2);
+        recipients[0] = alice;
+        recipients[1] = bob;
+    }
+
+    function _allowanceError() internal view returns (bytes memory) {
+        return bytes(string.concat(
+            "AtomicMultiSend: insufficient allowance for token ",
+            vm.toLowercase(vm.toString(address(token)))
+        ));
+    }
+
+    function testAtomicMultiSendNativeAndErc20() public {
+        multiSend.atomicMultiSend{ value: NATIVE_AMOUNT }(alice, _transfers(TOKEN_AMOUNT, NATIVE_AMOUNT));
+
+        assertEq(token.balanceOf(alice), TOKEN_AMOUNT);
+        assertEq(alice.balance, NATIVE_AMOUNT);
+        assertEq(address(multiSend).balance, 0);
+    }
+
+    function testBatchSendsNativeAndErc20ToEveryRecipient() public {
+        multiSend.batchAtomicMultiSend{ value: 2 * NATIVE_AMOUNT }(_recipients(), _transfers(TOKEN_AMOUNT, NATIVE_AMOUNT));
+
+        assertEq(token.balanceOf(alice), TOKEN_AMOUNT);
+        assertEq(token.balanceOf(bob), TOKEN_AMOUNT);
+        assertEq(alice.balance, NATIVE_AMOUNT);
+        assertEq(bob.balance, NATIVE_AMOUNT);
+        assertEq(address(multiSend).balance, 0);
+    }
+
+    function testBatchRevertsWhenValueDoesNotCoverEveryRecipient() public {
+        vm.expectRevert("AtomicMultiSend: insufficient native tokens sent");
+        multiSend.batchAtomicMultiSend{ value: NATIVE_AMOUNT }(_recipients(), _transfers(TOKEN_AMOUNT, NATIVE_AMOUNT));
+    }
+
+    function testRefundsExcessValue() public {
+        uint256 before = address(this).balance;
+
+        multiSend.atomicMultiSend{ value: 3 * NATIVE_AMOUNT }(alice, _transfers(TOKEN_AMOUNT, NATIVE_AMOUNT));
+
+        assertEq(address(this).balance, before - NATIVE_AMOUNT);
+        assertEq(address(multiSend).balance, 0);
+    }
+
+    function testBatchRefundsExcessValue() public {
+        uint256 before = address(this).balance;
+
+        multiSend.batchAtomicMultiSend{ value: 5 * NATIVE_AMOUNT }(_recipients(), _transfers(TOKEN_AMOUNT, NATIVE_AMOUNT));
+
+        assertEq(address(this).balance, before - 2 * NATIVE_AMOUNT);
+        assertEq(address(multiSend).balance, 0);
+    }
+
+    function testOperatorSendsFromItsOwnBalance() public {
+        multiSend.setOperator(operator, true);
+        token.mint(operator, TOKEN_AMOUNT);
+        vm.deal(operator, NATIVE_AMOUNT);
+
+        vm.startPrank(operator);
+        token.approve(address(multiSend), TOKEN_AMOUNT);
+        multiSend.atomicMultiSend{ value: NATIVE_AMOUNT }(alice, _transfers(TOKEN_AMOUNT, NATIVE_AMOUNT));
+        vm.stopPrank();
+
+        assertEq(token.balanceOf(alice), TOKEN_AMOUNT);
+        assertEq(token.balanceOf(operator), 0);
+        assertEq(alice.balance, NATIVE_AMOUNT);
+    }
+
+    function testNonOperatorCannotSend() public {
+        vm.deal(stranger, NATIVE_AMOUNT);
+        vm.prank(stranger);
+        vm.expectRevert("AtomicMultiSend: caller is not an operator");
+        multiSend.atomicMultiSend{ value: NATIVE_AMOUNT }(alice, _transfers(TOKEN_AMOUNT, NATIVE_AMOUNT));
+
+        vm.deal(stranger, 2 * NATIVE_AMOUNT);
+        vm.prank(stranger);
+        vm.expectRevert("AtomicMultiSend: caller is not an operator");
+        multiSend.batchAtomicMultiSend{ value: 2 * NATIVE_AMOUNT }(_recipients(), _transfers(TOKEN_AMOUNT, NATIVE_AMOUNT));
+    }
+
+    function testRemovedOperatorCannotSend() public {
+        multiSend.setOperator(operator, true);
+        multiSend.setOperator(operator, false);
+        vm.deal(operator, NATIVE_AMOUNT);
+
+        vm.prank(operator);
+        vm.expectRevert("AtomicMultiSend: caller is not an operator");
+        multiSend.atomicMultiSend{ value: NATIVE_AMOUNT }(alice, _transfers(TOKEN_AMOUNT, NATIVE_AMOUNT));
+    }
+
+    function testOnlyOwnerSetsOperators() public {
+        vm.prank(stranger);
+        vm.expectRevert("Ownable: caller is not the owner");
+        multiSend.setOperator(stranger, true);
+    }
+
+    function testRevertsWithoutAllowance() public {
+        token.approve(address(multiSend), 0);
+
+        vm.expectRevert(_allowanceError());
+        multiSend.atomicMultiSend{ value: NATIVE_AMOUNT }(alice, _transfers(TOKEN_AMOUNT, NATIVE_AMOUNT));
+    }
+
+    function testBatchIsAllOrNothingWhenAllowanceRunsOut() public {
+        // Enough for alice only; bob's transfer fails and takes alice's with it
+        token.approve(address(multiSend), TOKEN_AMOUNT);
+
+        vm.expectRevert(_allowanceError());
+        multiSend.batchAtomicMultiSend{ value: 2 * NATIVE_AMOUNT }(_recipients(), _transfers(TOKEN_AMOUNT, NATIVE_AMOUNT));
+
+        assertEq(token.balanceOf(alice), 0);
+        assertEq(alice.balance, 0);
+    }
+}
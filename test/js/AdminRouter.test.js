@@ -0,0 +1,238 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { createAdminRouter } from '../../src/AdminRouter.js';
+import { FrequencyChecker } from '../../checker.js';
+import { TokenAllowanceTracker } from '../../tokenAllowance.js';
+import ApiKeyManager from '../../src/ApiKeyManager.js';
+import AuditLog from '../../src/AuditLog.js';
+import Denylist from '../../src/Denylist.js';
+import ClientIpResolver from '../../src/ClientIpResolver.js';
+import RequestTracker from '../../src/RequestTracker.js';
+import { SqliteStore } from '../../src/storage/index.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const TOKEN = 'admin-secret';
+const ADDRESS = '0x00000000000000000000000000000000000000a1';
+
+const CONFIG = {
+    blockchain: {
+        limit: { address: 1, ip: 10 },
+        tx: { amounts: [{ denom: 'uatom', symbol: 'ATOM', amount: '1000', max_requests_per_day: 3 }] }
+    }
+};
+
+describe('AdminRouter', () => {
+    let store;
+    let checker;
+    let allowanceTracker;
+    let auditLog;
+    let server;
+    let baseUrl;
+
+    // The router's own options, with test doubles for what needs a chain
+    const routerOptions = (overrides = {}) => ({
+        token: TOKEN,
+        limits: CONFIG.blockchain.limit,
+        checker,
+        allowanceTracker,
+        distributionBudget: { getStatus: () => ({ state: 'ok' }) },
+        apiKeyManager: new ApiKeyManager(CONFIG, store),
+        requestTracker: new RequestTracker(),
+        auditLog,
+        denylist: new Denylist(CONFIG, store),
+        sweepDetector: { getStatus: () => ({ enabled: false }), analyze: async () => ({ clusters: [], denylisted: [] }) },
+        clientIpResolver: new ClientIpResolver(),
+        resolveAddress: value => /^0x[0-9a-fA-F]{40}$/.test(value) ? value.toLowerCase() : null,
+        resolveTokens: tokens => tokens.map(token => {
+            if (token !== 'ATOM' && token !== 'uatom') throw new Error(`Unknown token ${token}`);
+            return 'uatom';
+        }),
+        sendError: (res, error) => res.status(error.status || 500).json({ error: { code: error.code, message: error.message } }),
+        ...overrides
+    });
+
+    const listen = async (options) => {
+        const app = express();
+        app.use(express.json());
+        app.use('/api/v1/admin', createAdminRouter(options));
+        server = app.listen(0, '127.0.0.1');
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}/api/v1/admin`;
+    };
+
+    const call = async (method, path, body, token = TOKEN) => {
+        const response = await fetch(`${baseUrl}${path}`, {
+            method,
+            headers: {
+                ...(token ? { authorization: `Bearer ${token}` } : {}),
+                ...(body ? { 'content-type': 'application/json' } : {})
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    beforeEach(async () => {
+        mock.timers.enable({ apis: ['setInterval', 'Date'], now: Date.parse('2025-06-18T10:00:00Z') });
+        mock.method(console, 'log', () => {});
+        store = new SqliteStore({ path: ':memory:' });
+        checker = new FrequencyChecker(CONFIG, store);
+        allowanceTracker = new TokenAllowanceTracker(CONFIG, store);
+        auditLog = new AuditLog(CONFIG, store);
+        await listen(routerOptions());
+    });
+
+    afterEach(async () => {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+        mock.timers.reset();
+        mock.restoreAll();
+    });
+
+    describe('authentication', () => {
+        it('refuses calls without the admin token', async () => {
+            assert.equal((await call('GET', '/stats', null, null)).status, 401);
+            assert.equal((await call('GET', '/stats', null, 'wrong')).body.error.code, 'UNAUTHORIZED');
+            assert.equal((await call('GET', '/stats')).status, 200);
+        });
+
+        it('is disabled without a configured token', async () => {
+            server.closeAllConnections();
+            await new Promise(resolve => server.close(resolve));
+            await listen(routerOptions({ token: undefined }));
+
+            const { status, body } = await call('GET', '/stats');
+            assert.equal(status, 403);
+            assert.equal(body.error.code, 'FORBIDDEN');
+        });
+    });
+
+    describe('api keys', () => {
+        it('mints a key, lists it without the hash and audits the change', async () => {
+            const created = await call('POST', '/api-keys', { name: 'ci', limits: { address: 5 }, tokens: ['ATOM'] });
+            assert.equal(created.status, 201);
+            assert.match(created.body.key, /^fk_/);
+            assert.deepEqual(created.body.api_key.limits, { address: 5, ip: 100 });
+            assert.deepEqual(created.body.api_key.tokens, ['uatom']);
+
+            const listed = await call('GET', '/api-keys');
+            assert.equal(listed.body.api_keys.length, 1);
+            assert.equal(listed.body.api_keys[0].hash, undefined);
+
+            const [entry] = auditLog.list({ limit: 10 });
+            assert.equal(entry.action, 'api_key.create');
+            assert.equal(entry.actor, '127.0.0.1');
+            assert.equal(entry.target, created.body.api_key.prefix);
+        });
+
+        it('validates the body and reports unknown keys', async () => {
+            assert.equal((await call('POST', '/api-keys', { name: 'ci', limits: { address: 0 } })).status, 400);
+            assert.equal((await call('POST', '/api-keys', { limits: {} })).status, 400);
+            assert.equal((await call('POST', '/api-keys/0000000000000000/revoke')).status, 404);
+            assert.equal(auditLog.list({ limit: 10 }).length, 0);
+        });
+    });
+
+    describe('limits', () => {
+        it('shows and clears the limits of an address', async () => {
+            checker.reserve(ADDRESS, 'dual203.0.113.1', 'dual');
+
+            const before = await call('GET', `/limits/${ADDRESS.toUpperCase().replace('0X', '0x')}`);
+            assert.equal(before.body.type, 'address');
+            assert.equal(before.body.rate_limits[0].limited, true);
+
+            const cleared = await call('POST', `/limits/${ADDRESS}/clear`);
+            assert.equal(cleared.status, 200);
+            assert.deepEqual(cleared.body.rate_limits, []);
+            assert.deepEqual(auditLog.list({ limit: 1 })[0].details, { rate_limit_requests: 1, allowance_tokens: [] });
+        });
+
+        it('narrows the listing by type', async () => {
+            checker.reserve(ADDRESS, 'dual203.0.113.1', 'dual');
+
+            const { body } = await call('GET', '/limits?type=ip');
+            assert.deepEqual(body.rate_limits.map(entry => entry.subject), ['203.0.113.1']);
+            assert.equal((await call('GET', '/limits?type=other')).status, 400);
+        });
+
+        it('extends every key of the subject and records when each block ends', async () => {
+            checker.reserve(ADDRESS, 'dual203.0.113.1', 'dual');
+
+            const { status, body } = await call('POST', '/limits/203.0.113.1/extend', { duration: '6h' });
+            assert.equal(status, 200);
+            assert.equal(body.rate_limits[0].blocked_until, new Date(Date.now() + DAY + 6 * HOUR).toISOString());
+            assert.deepEqual(auditLog.list({ limit: 1 })[0].details, {
+                duration_ms: 6 * HOUR,
+                rate_limit_blocks: [{ key: 'ip_dual203.0.113.1_dual', blocked_until: '2025-06-19T16:00:00.000Z' }],
+                allowance_tokens: []
+            });
+        });
+
+        it('rejects durations of zero or less', async () => {
+            for (const duration of [0, -HOUR, '0s', undefined, '-5m', 'soon']) {
+                const { status, body } = await call('POST', `/limits/${ADDRESS}/extend`, { duration });
+                assert.equal(status, 400, String(duration));
+                assert.equal(body.error.code, 'INVALID_REQUEST');
+            }
+            assert.equal(checker.blocks.size, 0);
+        });
+
+        it('refuses subjects that are neither an address nor an IP', async () => {
+            assert.equal((await call('GET', '/limits/nobody')).status, 400);
+        });
+    });
+
+    describe('denylist', () => {
+        it('adds an entry with a ttl and removes it again', async () => {
+            const added = await call('POST', '/denylist', { type: 'ip', value: '203.0.113.7', reason: 'abuse', ttl: '30d' });
+            assert.equal(added.status, 201);
+            assert.equal(added.body.entry.expires_at, new Date(Date.now() + 30 * DAY).toISOString());
+
+            const listed = await call('GET', '/denylist');
+            assert.equal(listed.body.entries.length, 1);
+            assert.deepEqual(listed.body.sweep_detection, { enabled: false });
+
+            assert.equal((await call('POST', '/denylist/ip/203.0.113.7/remove')).status, 200);
+            assert.equal((await call('POST', '/denylist/ip/203.0.113.7/remove')).status, 404);
+        });
+
+        it('rejects a ttl of zero or less', async () => {
+            for (const ttl of [0, -DAY, '0d']) {
+                const { status } = await call('POST', '/denylist', { type: 'ip', value: '203.0.113.7', ttl });
+                assert.equal(status, 400, String(ttl));
+            }
+            assert.equal((await call('GET', '/denylist')).body.entries.length, 0);
+        });
+
+        it('keeps an entry without a ttl forever', async () => {
+            const { body } = await call('POST', '/denylist', { type: 'address', value: ADDRESS });
+
+            assert.equal(body.entry.expires_at, null);
+            assert.equal(body.entry.reason, 'denied by admin');
+        });
+
+        it('answers without a sweep detector when detection is disabled', async () => {
+            server.closeAllConnections();
+            await new Promise(resolve => server.close(resolve));
+            await listen(routerOptions({ sweepDetector: null }));
+
+            assert.deepEqual((await call('GET', '/denylist')).body.sweep_detection, { enabled: false });
+            assert.equal((await call('POST', '/sweeps/analyze')).body.error.code, 'FORBIDDEN');
+        });
+
+        it('checks the subject matches its type', async () => {
+            assert.equal((await call('POST', '/denylist', { type: 'address', value: '203.0.113.7' })).status, 400);
+            assert.equal((await call('POST', '/denylist', { type: 'host', value: '203.0.113.7' })).status, 400);
+        });
+    });
+
+    describe('audit', () => {
+        it('bounds the page size', async () => {
+            assert.equal((await call('GET', '/audit?limit=0')).status, 400);
+            assert.equal((await call('GET', '/audit?limit=1001')).status, 400);
+            assert.deepEqual((await call('GET', '/audit')).body, { entries: [] });
+        });
+    });
+});
@@ -0,0 +1,132 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'crypto';
+import ApiKeyManager from '../../src/ApiKeyManager.js';
+import { FrequencyChecker } from '../../checker.js';
+import { SqliteStore } from '../../src/storage/index.js';
+
+const CONFIG = {
+    blockchain: { limit: { address: 1, ip: 2 } },
+    apiKeys: { defaultLimits: { address: 10, ip: 100 } }
+};
+
+describe('ApiKeyManager', () => {
+    let store;
+    let manager;
+
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['setInterval', 'Date'], now: Date.parse('2025-06-18T10:00:00Z') });
+        mock.method(console, 'log', () => {});
+        store = new SqliteStore({ path: ':memory:' });
+        manager = new ApiKeyManager(CONFIG, store);
+    });
+
+    afterEach(() => {
+        mock.timers.reset();
+        mock.restoreAll();
+    });
+
+    describe('create', () => {
+        it('returns the plaintext key once and stores only its hash', () => {
+            const { key, record } = manager.create({ name: 'ci', tokens: ['uatom'] });
+
+            assert.match(key, /^fk_[0-9a-f]{16}_[A-Za-z0-9_-]{43}$/);
+            assert.equal(record.prefix, `fk_${record.id}`);
+            assert.equal(key.startsWith(`${record.prefix}_`), true);
+            assert.equal(record.hash, undefined);
+            assert.equal(record.active, true);
+            assert.deepEqual(record.tokens, ['uatom']);
+
+            const stored = store.get('api_keys', record.id);
+            assert.equal(stored.hash, createHash('sha256').update(key).digest('hex'));
+            assert.equal(JSON.stringify(stored).includes(key), false);
+        });
+
+        it('fills in the default limits around the ones given', () => {
+            const { record } = manager.create({ name: 'ci', limits: { address: 50 } });
+
+            assert.deepEqual(record.limits, { address: 50, ip: 100 });
+        });
+
+        it('keeps keys across restarts', () => {
+            const { key, record } = manager.create({ name: 'ci' });
+            const restarted = new ApiKeyManager(CONFIG, store);
+
+            assert.equal(restarted.authenticate(key).id, record.id);
+        });
+    });
+
+    describe('authenticate', () => {
+        it('accepts the exact key only', () => {
+            const { key, record } = manager.create({ name: 'ci' });
+
+            assert.equal(manager.authenticate(key).id, record.id);
+
+            const last = key.at(-1) === 'A' ? 'B' : 'A';
+            assert.equal(manager.authenticate(key.slice(0, -1) + last), null);
+            assert.equal(manager.authenticate(`fk_0000000000000000_${key.split('_').slice(2).join('_')}`), null);
+            assert.equal(manager.authenticate('not-a-key'), null);
+            assert.equal(manager.authenticate(undefined), null);
+        });
+
+        it('stops accepting a key once it expires', () => {
+            const { key } = manager.create({ name: 'ci', expires_at: '2025-06-18T11:00:00Z' });
+
+            assert.ok(manager.authenticate(key));
+            mock.timers.tick(60 * 60 * 1000);
+            assert.equal(manager.authenticate(key), null);
+            assert.equal(manager.list()[0].active, false);
+        });
+    });
+
+    describe('revoke', () => {
+        it('stops the key immediately and persists the revocation', () => {
+            const { key, record } = manager.create({ name: 'ci' });
+
+            const revoked = manager.revoke(record.id);
+            assert.equal(revoked.active, false);
+            assert.equal(revoked.revoked_at, '2025-06-18T10:00:00.000Z');
+            assert.equal(manager.authenticate(key), null);
+            assert.equal(new ApiKeyManager(CONFIG, store).authenticate(key), null);
+            assert.deepEqual(manager.getStats(), { total: 1, active: 0, revoked: 1 });
+        });
+
+        it('keeps the first revocation time and ignores unknown ids', () => {
+            const { record } = manager.create({ name: 'ci' });
+            manager.revoke(record.id);
+            mock.timers.tick(1000);
+
+            assert.equal(manager.revoke(record.id).revoked_at, '2025-06-18T10:00:00.000Z');
+            assert.equal(manager.revoke('0000000000000000'), null);
+        });
+    });
+
+    describe('per-key limits', () => {
+        it('lets a key request past the anonymous limits up to its own', () => {
+            const checker = new FrequencyChecker(CONFIG, store);
+            const { record } = manager.create({ name: 'ci', limits: { address: 3, ip: 3 } });
+
+            assert.equal(checker.reserve('addr1', 'dual203.0.113.1', 'dual').allowed, true);
+            assert.equal(checker.reserve('addr1', 'dual203.0.113.1', 'dual').allowed, false);
+
+            const results = [];
+            for (let i = 0; i < 4; i++) {
+                results.push(checker.reserve(`addr${i + 2}`, `key${record.id}_203.0.113.1`, 'dual', record.limits).allowed);
+            }
+            assert.deepEqual(results, [true, true, true, false]);
+        });
+
+        it('counts usage per key', () => {
+            const { record } = manager.create({ name: 'ci' });
+            manager.recordUsage(record.id, [{ denom: 'uatom', amount: '1000' }, { denom: 'usdt', amount: '5' }]);
+            mock.timers.tick(1000);
+            manager.recordUsage(record.id, [{ denom: 'uatom', amount: '1000' }]);
+
+            assert.deepEqual(manager.get(record.id).usage, {
+                requests: 2,
+                tokens_sent: { uatom: '2000', usdt: '5' },
+                last_used_at: '2025-06-18T10:00:01.000Z'
+            });
+        });
+    });
+});
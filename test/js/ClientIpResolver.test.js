@@ -0,0 +1,70 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import ClientIpResolver from '../../src/ClientIpResolver.js';
+
+function request(remoteAddress, headers = {}) {
+    return { socket: { remoteAddress }, headers };
+}
+
+describe('ClientIpResolver', () => {
+    describe('group', () => {
+        it('collapses IPv6 addresses to their /64 by default', () => {
+            const resolver = new ClientIpResolver();
+
+            assert.equal(resolver.group('2001:db8:1:2:aaaa:bbbb:cccc:dddd'), '2001:db8:1:2::/64');
+            assert.equal(resolver.group('2001:db8:1:2::1'), resolver.group('2001:db8:1:2:ffff::9'));
+            assert.notEqual(resolver.group('2001:db8:1:2::1'), resolver.group('2001:db8:1:3::1'));
+        });
+
+        it('masks within a group for prefixes that are not a multiple of 16', () => {
+            const resolver = new ClientIpResolver({ ipv6PrefixLength: 56 });
+
+            assert.equal(resolver.group('2001:db8:1:2ff::1'), '2001:db8:1:200::/56');
+            assert.equal(new ClientIpResolver({ ipv6PrefixLength: 48 }).group('2001:db8:1:2::1'), '2001:db8:1::/48');
+        });
+
+        it('expands an embedded IPv4 tail', () => {
+            const resolver = new ClientIpResolver({ ipv6PrefixLength: 112 });
+
+            assert.equal(resolver.group('64:ff9b::192.0.2.1'), '64:ff9b::c000:0/112');
+        });
+
+        it('leaves IPv4 addresses and full-length prefixes alone', () => {
+            assert.equal(new ClientIpResolver().group('203.0.113.7'), '203.0.113.7');
+            assert.equal(new ClientIpResolver({ ipv6PrefixLength: 128 }).group('2001:db8::1'), '2001:db8::1');
+        });
+    });
+
+    describe('resolveAddress', () => {
+        it('ignores forwarding headers from an untrusted peer', () => {
+            const resolver = new ClientIpResolver({ trustedProxy: 'fly' });
+            const req = request('203.0.113.7', { 'fly-client-ip': '198.51.100.1', 'x-forwarded-for': '198.51.100.2' });
+
+            assert.equal(resolver.resolveAddress(req), '203.0.113.7');
+        });
+
+        it("uses the preset's client header behind a trusted proxy", () => {
+            const resolver = new ClientIpResolver({ trustedProxy: 'fly' });
+
+            assert.equal(resolver.resolveAddress(request('::ffff:10.0.0.5', { 'fly-client-ip': '198.51.100.1' })), '198.51.100.1');
+        });
+
+        it('takes the rightmost untrusted X-Forwarded-For hop', () => {
+            const resolver = new ClientIpResolver({ trustedProxies: ['10.0.0.0/8'] });
+            const req = request('10.0.0.2', { 'x-forwarded-for': '1.1.1.1, 198.51.100.1, 10.0.0.3' });
+
+            assert.equal(resolver.resolveAddress(req), '198.51.100.1');
+        });
+
+        it('groups the resolved IPv6 client', () => {
+            const resolver = new ClientIpResolver({ trustedProxies: ['10.0.0.0/8'] });
+            const req = request('10.0.0.2', { 'x-forwarded-for': '2001:DB8:1:2::abcd' });
+
+            assert.equal(resolver.resolve(req), '2001:db8:1:2::/64');
+        });
+
+        it('refuses an unknown preset', () => {
+            assert.throws(() => new ClientIpResolver({ trustedProxy: 'nginx' }), /Unknown trusted proxy/);
+        });
+    });
+});
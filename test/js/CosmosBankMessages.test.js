@@ -0,0 +1,55 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MsgSend, MsgMultiSend } from 'cosmjs-types/cosmos/bank/v1beta1/tx.js';
+import { sumCoins, createBankMessage, scaleFee } from '../../src/CosmosBankMessages.js';
+
+const FAUCET = 'cosmos1faucet';
+
+describe('CosmosBankMessages', () => {
+    it('sums the coins of every output per denom, sorted by denom', () => {
+        const outputs = [
+            { address: 'cosmos1a', coins: [{ denom: 'uatom', amount: '1000' }, { denom: 'ibc/27394FB0', amount: '5' }] },
+            { address: 'cosmos1b', coins: [{ denom: 'uatom', amount: '1000' }] },
+            { address: 'cosmos1c', coins: [{ denom: 'ibc/27394FB0', amount: '5' }, { denom: 'uatom', amount: '18446744073709551616' }] }
+        ];
+
+        assert.deepEqual(sumCoins(outputs), [
+            { denom: 'ibc/27394FB0', amount: '10' },
+            { denom: 'uatom', amount: '18446744073709553616' }
+        ]);
+    });
+
+    it('pays a single output with a MsgSend', () => {
+        const coins = [{ denom: 'uatom', amount: '1000' }];
+        const message = createBankMessage(FAUCET, [{ address: 'cosmos1a', coins }]);
+
+        assert.equal(message.typeUrl, '/cosmos.bank.v1beta1.MsgSend');
+        assert.deepEqual(MsgSend.decode(message.value), {
+            fromAddress: FAUCET,
+            toAddress: 'cosmos1a',
+            amount: coins
+        });
+    });
+
+    it('funds several outputs from one MsgMultiSend input holding their total', () => {
+        const outputs = [
+            { address: 'cosmos1a', coins: [{ denom: 'uatom', amount: '1000' }] },
+            { address: 'cosmos1b', coins: [{ denom: 'uatom', amount: '1000' }] }
+        ];
+        const message = createBankMessage(FAUCET, outputs);
+
+        assert.equal(message.typeUrl, '/cosmos.bank.v1beta1.MsgMultiSend');
+        assert.deepEqual(MsgMultiSend.decode(message.value), {
+            inputs: [{ address: FAUCET, coins: [{ denom: 'uatom', amount: '2000' }] }],
+            outputs
+        });
+    });
+
+    it('scales gas and fee with every extra output', () => {
+        const fee = { gas: '200000', amount: [{ denom: 'uatom', amount: '5000' }] };
+
+        assert.deepEqual(scaleFee(fee, 1, 50000), { gas: 200000n, amount: [{ denom: 'uatom', amount: '5000' }] });
+        assert.deepEqual(scaleFee(fee, 3, 50000), { gas: 300000n, amount: [{ denom: 'uatom', amount: '7500' }] });
+        assert.deepEqual(scaleFee(fee, 3), { gas: 200000n, amount: [{ denom: 'uatom', amount: '5000' }] });
+    });
+});
@@ -0,0 +1,171 @@
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import CosmosSequenceManager from '../../src/CosmosSequenceManager.js';
+
+const ADDRESS = 'cosmos1faucet';
+const MISMATCH_LOG = 'account sequence mismatch, expected 12, got 11: incorrect account sequence';
+
+function mismatchError(rawLog = MISMATCH_LOG) {
+    const error = new Error('Broadcasting transaction failed with code 32');
+    error.broadcastResult = { tx_response: { code: 32, raw_log: rawLog } };
+    return error;
+}
+
+describe('CosmosSequenceManager', () => {
+    let manager;
+
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+        manager = new CosmosSequenceManager({ restEndpoint: 'http://localhost:1317' });
+        // Seeded so no test goes to the chain
+        manager.accounts.set(ADDRESS, { accountNumber: 7, sequence: 11 });
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    describe('parseExpectedSequence', () => {
+        it('reads the expected sequence from every place a mismatch can be reported', () => {
+            assert.equal(manager.parseExpectedSequence({ raw_log: MISMATCH_LOG }), 12);
+            assert.equal(manager.parseExpectedSequence(mismatchError()), 12);
+            assert.equal(manager.parseExpectedSequence({ details: { raw_log: MISMATCH_LOG } }), 12);
+            assert.equal(manager.parseExpectedSequence(new Error(`rpc error: ${MISMATCH_LOG}`)), 12);
+        });
+
+        it('accepts the log without punctuation or in another case', () => {
+            assert.equal(manager.parseExpectedSequence({ raw_log: 'Account Sequence Mismatch expected 5 got 3' }), 5);
+        });
+
+        it('returns null for other errors', () => {
+            assert.equal(manager.parseExpectedSequence(new Error('insufficient funds')), null);
+            assert.equal(manager.parseExpectedSequence(undefined), null);
+            assert.equal(manager.parseExpectedSequence({ raw_log: 42 }), null);
+        });
+    });
+
+    describe('withSequence', () => {
+        it('hands out consecutive sequences', async () => {
+            const used = [];
+            const sign = async ({ sequence }) => used.push(sequence);
+
+            await Promise.all([manager.withSequence(ADDRESS, sign), manager.withSequence(ADDRESS, sign)]);
+            assert.deepEqual(used, [11, 12]);
+        });
+
+        it('re-signs with the sequence the chain expects after a mismatch', async () => {
+            manager.accounts.get(ADDRESS).sequence = 11;
+            const used = [];
+
+            const result = await manager.withSequence(ADDRESS, async ({ sequence }) => {
+                used.push(sequence);
+                if (sequence !== 12) {
+                    throw mismatchError();
+                }
+                return 'ok';
+            });
+
+            assert.equal(result, 'ok');
+            assert.deepEqual(used, [11, 12]);
+            assert.equal(manager.accounts.get(ADDRESS).sequence, 13);
+            assert.equal(manager.getStats().mismatches, 1);
+        });
+
+        it('refetches on a wrong sequence code without an expected value', async () => {
+            const fetchAccount = mock.method(manager, 'fetchAccount', async () => ({ accountNumber: 7, sequence: 20 }));
+            const used = [];
+
+            await manager.withSequence(ADDRESS, async ({ sequence }) => {
+                used.push(sequence);
+                if (used.length === 1) {
+                    throw mismatchError('incorrect account sequence');
+                }
+            });
+
+            assert.deepEqual(used, [11, 20]);
+            assert.equal(fetchAccount.mock.callCount(), 1);
+        });
+
+        it('gives up after maxRetries and forgets the account', async () => {
+            manager.maxRetries = 2;
+            let attempts = 0;
+
+            await assert.rejects(manager.withSequence(ADDRESS, async () => {
+                attempts++;
+                throw mismatchError();
+            }), /code 32/);
+
+            assert.equal(attempts, 3);
+            assert.equal(manager.accounts.has(ADDRESS), false);
+        });
+
+        it('rethrows other errors without retrying, and keeps serving the address', async () => {
+            await assert.rejects(manager.withSequence(ADDRESS, async () => {
+                throw new Error('insufficient funds');
+            }), /insufficient funds/);
+            assert.equal(manager.accounts.has(ADDRESS), false);
+
+            manager.accounts.set(ADDRESS, { accountNumber: 7, sequence: 11 });
+            assert.equal(await manager.withSequence(ADDRESS, async ({ sequence }) => sequence), 11);
+        });
+    });
+
+    describe('fetchAccount', () => {
+        // REST account responses by address, as the auth module returns them
+        const ACCOUNTS = {
+            cosmos1base: {
+                '@type': '/cosmos.auth.v1beta1.BaseAccount',
+                address: 'cosmos1base',
+                account_number: '7',
+                sequence: '0'
+            },
+            cosmos1eth: {
+                '@type': '/cosmos.evm.types.v1.EthAccount',
+                base_account: { address: 'cosmos1eth', account_number: '12', sequence: '40' },
+                code_hash: '0x'
+            },
+            cosmos1vesting: {
+                '@type': '/cosmos.vesting.v1beta1.ContinuousVestingAccount',
+                base_vesting_account: {
+                    base_account: { address: 'cosmos1vesting', account_number: '3', sequence: '9' },
+                    original_vesting: []
+                },
+                start_time: '0'
+            },
+            cosmos1nosequence: {
+                '@type': '/cosmos.auth.v1beta1.BaseAccount',
+                address: 'cosmos1nosequence',
+                account_number: '8'
+            }
+        };
+
+        let server;
+        let rest;
+
+        before(async () => {
+            server = http.createServer((req, res) => {
+                const account = ACCOUNTS[req.url.split('/').pop()];
+                res.writeHead(account ? 200 : 404, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(account ? { account } : { code: 5, message: 'account not found' }));
+            });
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+            rest = new CosmosSequenceManager({ restEndpoint: `http://127.0.0.1:${server.address().port}` });
+        });
+
+        after(() => new Promise(resolve => server.close(resolve)));
+
+        it('reads a base account, including a zero sequence', async () => {
+            assert.deepEqual(await rest.fetchAccount('cosmos1base'), { accountNumber: 7, sequence: 0 });
+        });
+
+        it('reads accounts that nest their base account', async () => {
+            assert.deepEqual(await rest.fetchAccount('cosmos1eth'), { accountNumber: 12, sequence: 40 });
+            assert.deepEqual(await rest.fetchAccount('cosmos1vesting'), { accountNumber: 3, sequence: 9 });
+        });
+
+        it('refuses to guess a missing field or an unknown account', async () => {
+            await assert.rejects(rest.fetchAccount('cosmos1nosequence'), /Could not determine sequence/);
+            await assert.rejects(rest.fetchAccount('cosmos1unfunded'), /not found on chain/);
+        });
+    });
+});
@@ -0,0 +1,157 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import DistributionBudget, { BudgetState, BudgetReason } from '../../src/DistributionBudget.js';
+import { SqliteStore } from '../../src/storage/index.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const TOKENS = [
+    { denom: 'uatom', symbol: 'ATOM', amount: '100' },
+    { denom: 'usdt', symbol: 'USDT', amount: '100' }
+];
+
+function createBudget(budgets) {
+    return new DistributionBudget({ blockchain: { budgets, tx: { amounts: TOKENS } } }, new SqliteStore({ path: ':memory:' }));
+}
+
+function spend(budget, denom, amount) {
+    const { reservation } = budget.reserve([{ denom, amount: String(amount) }]);
+    budget.commit(reservation, [denom]);
+}
+
+function setBalance(budget, denom, amount) {
+    budget.balances.set(denom, BigInt(amount));
+    budget.balancesFetchedAt = Date.now();
+}
+
+describe('DistributionBudget', () => {
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['setInterval', 'Date'], now: Date.parse('2025-06-18T10:00:00Z') });
+        mock.method(console, 'log', () => {});
+    });
+
+    afterEach(() => {
+        mock.timers.reset();
+        mock.restoreAll();
+    });
+
+    it('refuses an unknown mode', () => {
+        assert.throws(() => createBudget({ mode: 'throttle' }), /Unknown budget mode/);
+    });
+
+    it('leaves denoms without a budget or reserve alone', () => {
+        const budget = createBudget({ daily: { uatom: '1000' } });
+
+        assert.deepEqual(budget._decide('usdt', 100n), { state: BudgetState.OK, reason: null, message: null, amount: 100n });
+    });
+
+    describe('daily budget', () => {
+        it('sends full amounts below the degrade threshold', () => {
+            const budget = createBudget({ daily: { uatom: '1000' } });
+            spend(budget, 'uatom', 700);
+
+            assert.equal(budget._decide('uatom', 100n).state, BudgetState.OK);
+        });
+
+        it('degrades to degradedFactor of the amount past the threshold', () => {
+            const budget = createBudget({ daily: { uatom: '1000' } });
+            spend(budget, 'uatom', 800);
+
+            const decision = budget._decide('uatom', 100n);
+            assert.equal(decision.state, BudgetState.DEGRADED);
+            assert.equal(decision.reason, BudgetReason.DAILY_BUDGET_LOW);
+            assert.equal(decision.amount, 25n);
+        });
+
+        it('never degrades past what is left', () => {
+            const budget = createBudget({ daily: { uatom: '1000' }, degradedFactor: 0.5 });
+            spend(budget, 'uatom', 980);
+
+            assert.equal(budget._decide('uatom', 100n).amount, 20n);
+        });
+
+        it('pauses once used up, until the spending leaves the window', () => {
+            const budget = createBudget({ daily: { uatom: '1000' } });
+            spend(budget, 'uatom', 1000);
+
+            const decision = budget._decide('uatom', 100n);
+            assert.equal(decision.state, BudgetState.PAUSED);
+            assert.equal(decision.reason, BudgetReason.DAILY_BUDGET_EXHAUSTED);
+            assert.equal(decision.amount, 0n);
+
+            mock.timers.tick(DAY + 1);
+            assert.equal(budget._decide('uatom', 100n).state, BudgetState.OK);
+        });
+
+        it('in pause mode sends full amounts while they fit and pauses once they do not', () => {
+            const budget = createBudget({ daily: { uatom: '1000' }, mode: 'pause' });
+            spend(budget, 'uatom', 850);
+
+            const fits = budget._decide('uatom', 100n);
+            assert.equal(fits.state, BudgetState.DEGRADED);
+            assert.equal(fits.amount, 100n);
+
+            spend(budget, 'uatom', 100);
+            assert.equal(budget._decide('uatom', 100n).state, BudgetState.PAUSED);
+        });
+
+        it('counts held amounts so parallel requests cannot overrun it', () => {
+            const budget = createBudget({ daily: { uatom: '1000' } });
+            const holds = Array.from({ length: 8 }, () => budget.reserve([{ denom: 'uatom', amount: '100' }]));
+
+            assert.deepEqual(holds.map(hold => hold.amounts[0].amount), ['100', '100', '100', '100', '100', '100', '100', '100']);
+            assert.equal(budget._decide('uatom', 100n).state, BudgetState.DEGRADED);
+
+            for (const hold of holds) {
+                budget.release(hold.reservation);
+            }
+            assert.equal(budget._decide('uatom', 100n).state, BudgetState.OK);
+        });
+    });
+
+    describe('treasury reserve', () => {
+        it('is not applied before the first balance reading', () => {
+            const budget = createBudget({ reserves: { usdt: '10000' } });
+
+            assert.equal(budget._decide('usdt', 100n).state, BudgetState.OK);
+        });
+
+        it('degrades close to the reserve and pauses at it', () => {
+            const budget = createBudget({ reserves: { usdt: '10000' } });
+
+            setBalance(budget, 'usdt', 20000);
+            assert.equal(budget._decide('usdt', 100n).state, BudgetState.OK);
+
+            setBalance(budget, 'usdt', 12000);
+            const low = budget._decide('usdt', 100n);
+            assert.equal(low.state, BudgetState.DEGRADED);
+            assert.equal(low.reason, BudgetReason.TREASURY_RESERVE_LOW);
+            assert.equal(low.amount, 25n);
+
+            setBalance(budget, 'usdt', 10000);
+            const reached = budget._decide('usdt', 100n);
+            assert.equal(reached.state, BudgetState.PAUSED);
+            assert.equal(reached.reason, BudgetReason.TREASURY_RESERVE_REACHED);
+        });
+
+        it('takes what was sent since the reading off the balance', () => {
+            const budget = createBudget({ reserves: { usdt: '10000' } });
+            setBalance(budget, 'usdt', 10030);
+
+            spend(budget, 'usdt', 100);
+            assert.equal(budget._decide('usdt', 100n).amount, 5n);
+        });
+
+        it('reports the worse of the budget and the reserve', () => {
+            const budget = createBudget({ daily: { usdt: '1000' }, reserves: { usdt: '10000' } });
+            spend(budget, 'usdt', 900);
+            mock.timers.tick(HOUR);
+            setBalance(budget, 'usdt', 10010);
+
+            const decision = budget._decide('usdt', 100n);
+            assert.equal(decision.reason, BudgetReason.TREASURY_RESERVE_LOW);
+            assert.equal(decision.amount, 10n);
+        });
+    });
+});
@@ -0,0 +1,106 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import EligibilityEngine, { EligibilityReason, isErc20Token } from '../../src/EligibilityEngine.js';
+
+const ATOM = { denom: 'uatom', symbol: 'ATOM', decimals: 6, erc20_contract: '0x0000000000000000000000000000000000000000' };
+const USDT = { denom: 'usdt', symbol: 'USDT', decimals: 6, erc20_contract: '0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0' };
+const IBC = { denom: 'ibc/27394FB092D2ECCD56123C74F36E4C1F926001CEADA9CA97EA622B25F41E5EB2', symbol: 'OSMO', decimals: 6 };
+
+const COSMOS = { address: 'cosmos1recipient', addressType: 'cosmos' };
+const EVM = { address: '0xAbC0000000000000000000000000000000000001', addressType: 'evm' };
+
+function withRules(token, eligibility) {
+    return { ...token, eligibility };
+}
+
+describe('EligibilityEngine', () => {
+    const engine = new EligibilityEngine();
+
+    it('tells ERC20 contracts from native placeholders', () => {
+        assert.equal(isErc20Token(USDT), true);
+        assert.equal(isErc20Token(ATOM), false);
+        assert.equal(isErc20Token({ ...ATOM, erc20_contract: '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE' }), false);
+        assert.equal(isErc20Token(IBC), false);
+    });
+
+    it('sends everything without rules to an address that can receive it', () => {
+        assert.deepEqual(engine.check(ATOM, COSMOS), { eligible: true });
+        assert.deepEqual(engine.check(USDT, EVM), { eligible: true });
+        assert.deepEqual(engine.check(IBC, COSMOS), { eligible: true });
+    });
+
+    it('applies address_types', () => {
+        const token = withRules(ATOM, { address_types: ['evm'] });
+
+        assert.equal(engine.check(token, COSMOS).reason, EligibilityReason.ADDRESS_TYPE_NOT_ALLOWED);
+        assert.equal(engine.check(token, EVM).eligible, true);
+    });
+
+    it('sends ERC20s to a cosmos address only when they are delivered to its hex form', () => {
+        assert.equal(engine.check(USDT, COSMOS).reason, EligibilityReason.ERC20_REQUIRES_EVM_ADDRESS);
+        assert.equal(engine.check(USDT, { ...COSMOS, deliverErc20: true }).eligible, true);
+    });
+
+    it('needs a token pair to send an IBC denom to an EVM address', () => {
+        assert.equal(engine.check(IBC, EVM).reason, EligibilityReason.NO_EVM_TOKEN_PAIR);
+
+        const paired = new EligibilityEngine({ getTokenPairContract: () => '0x80b5a32E4F032B2a058b4F29EC95EEfEEB87aDcd' });
+        assert.equal(paired.check(IBC, EVM).eligible, true);
+    });
+
+    it('matches blacklist and whitelist entries in either address form', () => {
+        // Both forms of the recipient normalize to the same account
+        const normalizeAddress = address => (address === COSMOS.address ? EVM.address : address).toLowerCase();
+        const listed = new EligibilityEngine({ normalizeAddress });
+
+        const blacklisted = withRules(ATOM, { blacklist: [EVM.address] });
+        assert.equal(listed.check(blacklisted, COSMOS).reason, EligibilityReason.BLACKLISTED);
+        assert.equal(listed.check(blacklisted, { address: '0x0000000000000000000000000000000000000002', addressType: 'evm' }).eligible, true);
+
+        const whitelisted = withRules(ATOM, { whitelist: [COSMOS.address] });
+        assert.equal(listed.check(whitelisted, EVM).eligible, true);
+        assert.equal(listed.check(whitelisted, { address: '0x0000000000000000000000000000000000000002', addressType: 'evm' }).reason,
+            EligibilityReason.NOT_WHITELISTED);
+    });
+
+    it('treats a malformed list entry as matching nothing', () => {
+        const strict = new EligibilityEngine({
+            normalizeAddress: address => {
+                if (!address.startsWith('0x')) throw new Error('bad address');
+                return address.toLowerCase();
+            }
+        });
+
+        assert.equal(strict.check(withRules(USDT, { blacklist: ['not-an-address'] }), EVM).eligible, true);
+    });
+
+    describe('balance rules', () => {
+        const bounded = withRules(ATOM, { minimum_balance: '1000000', maximum_balance: '5000000' });
+
+        it('only apply once the balance is known', () => {
+            assert.equal(engine.hasBalanceRules(bounded), true);
+            assert.equal(engine.hasBalanceRules(ATOM), false);
+            assert.equal(engine.check(bounded, COSMOS).eligible, true);
+        });
+
+        it('bound the balance on both sides, inclusively', () => {
+            const below = engine.check(bounded, COSMOS, { amount: '999999' });
+            assert.equal(below.reason, EligibilityReason.BELOW_MINIMUM_BALANCE);
+            assert.equal(below.message, 'Requires a balance of at least 1 ATOM');
+
+            assert.equal(engine.check(bounded, COSMOS, { amount: '1000000' }).eligible, true);
+            assert.equal(engine.check(bounded, COSMOS, { amount: '5000000' }).eligible, true);
+
+            const above = engine.check(bounded, COSMOS, { amount: '5500000' });
+            assert.equal(above.reason, EligibilityReason.ABOVE_MAXIMUM_BALANCE);
+            assert.equal(above.message, 'Only sent to balances up to 5 ATOM');
+        });
+
+        it('convert a balance reported with other decimals to token units', () => {
+            // 1.5 ATOM held as 18-decimal WATOM
+            assert.equal(engine.check(bounded, EVM, { amount: '1500000000000000000', decimals: 18 }).eligible, true);
+            assert.equal(engine.check(bounded, EVM, { amount: '999999999999999999', decimals: 18 }).reason,
+                EligibilityReason.BELOW_MINIMUM_BALANCE);
+        });
+    });
+});
@@ -0,0 +1,133 @@
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import Erc20TokenPairResolver from '../../src/Erc20TokenPairResolver.js';
+
+const ATOM_PAIR = '0x80b5a32E4F032B2a058b4F29EC95EEfEEB87aDcd';
+const OSMO_PAIR = '0x0eB3a705fc54725037CC9e008bDede697f62F335';
+
+describe('Erc20TokenPairResolver', () => {
+    let server;
+    let restEndpoint;
+    let pages;
+    let failing;
+    let requests;
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            requests.push(req.url);
+            if (failing) {
+                res.writeHead(503, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ code: 14, message: 'node is syncing' }));
+                return;
+            }
+            const key = new URL(req.url, 'http://localhost').searchParams.get('pagination.key') || 'first';
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(pages[key]));
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        restEndpoint = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['Date'], now: Date.parse('2025-06-18T10:00:00Z') });
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+        failing = false;
+        requests = [];
+        pages = {
+            first: {
+                token_pairs: [
+                    { denom: 'ibc/27394FB0', erc20_address: ATOM_PAIR, enabled: true },
+                    { denom: 'ibc/DISABLED', erc20_address: '0x1111111111111111111111111111111111111111', enabled: false }
+                ],
+                pagination: { next_key: 'page2' }
+            },
+            page2: {
+                token_pairs: [{ denom: 'ibc/ED07A3391A', erc20_address: OSMO_PAIR, enabled: true }],
+                pagination: { next_key: null }
+            }
+        };
+    });
+
+    afterEach(() => {
+        mock.timers.reset();
+        mock.restoreAll();
+    });
+
+    it('resolves enabled pairs across every page', async () => {
+        const resolver = new Erc20TokenPairResolver({ restEndpoint });
+        await resolver.ensureFresh();
+
+        assert.equal(resolver.get('ibc/27394FB0'), ATOM_PAIR);
+        assert.equal(resolver.get('ibc/ED07A3391A'), OSMO_PAIR);
+        assert.equal(resolver.get('ibc/DISABLED'), null);
+        assert.equal(resolver.get('uatom'), null);
+        assert.deepEqual(requests, [
+            '/cosmos/evm/erc20/v1/token_pairs',
+            '/cosmos/evm/erc20/v1/token_pairs?pagination.key=page2'
+        ]);
+    });
+
+    it('only refreshes once the cache is older than the ttl', async () => {
+        const resolver = new Erc20TokenPairResolver({ restEndpoint, ttlMs: 60 * 1000 });
+        await resolver.ensureFresh();
+
+        pages.page2.token_pairs = [];
+        mock.timers.tick(59 * 1000);
+        await resolver.ensureFresh();
+        assert.equal(requests.length, 2);
+        assert.equal(resolver.get('ibc/ED07A3391A'), OSMO_PAIR);
+
+        mock.timers.tick(1000);
+        await resolver.ensureFresh();
+        assert.equal(requests.length, 4);
+        assert.equal(resolver.get('ibc/ED07A3391A'), null);
+        assert.equal(resolver.getStats().refreshes, 2);
+    });
+
+    it('shares one query between concurrent refreshes', async () => {
+        const resolver = new Erc20TokenPairResolver({ restEndpoint });
+
+        const [first, second] = await Promise.all([resolver.refresh(), resolver.refresh()]);
+
+        assert.equal(first, second);
+        assert.equal(requests.length, 2);
+    });
+
+    it('keeps the cached pairs and backs off for a ttl when the query fails', async () => {
+        const resolver = new Erc20TokenPairResolver({ restEndpoint, ttlMs: 60 * 1000 });
+        await resolver.ensureFresh();
+
+        failing = true;
+        mock.timers.tick(60 * 1000);
+        await resolver.ensureFresh();
+
+        assert.equal(resolver.get('ibc/27394FB0'), ATOM_PAIR);
+        assert.equal(resolver.getStats().failures, 1);
+        assert.equal(resolver.getStats().lastError, 'Token pair query failed: 503 Service Unavailable');
+
+        // No retry until the backoff has passed
+        await resolver.ensureFresh();
+        assert.equal(requests.length, 3);
+
+        failing = false;
+        mock.timers.tick(60 * 1000);
+        await resolver.ensureFresh();
+        assert.equal(resolver.getStats().lastError, null);
+        assert.equal(requests.length, 5);
+    });
+
+    it('starts empty when the first query fails', async () => {
+        failing = true;
+        const resolver = new Erc20TokenPairResolver({ restEndpoint });
+
+        await resolver.ensureFresh();
+
+        assert.equal(resolver.get('ibc/27394FB0'), null);
+        assert.deepEqual(resolver.getStats().pairs, {});
+        assert.equal(resolver.getStats().fetchedAt, null);
+    });
+});
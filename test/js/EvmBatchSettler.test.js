@@ -0,0 +1,94 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import EvmBatchSettler from '../../src/EvmBatchSettler.js';
+
+describe('EvmBatchSettler', () => {
+    let batches;
+    let singles;
+
+    beforeEach(() => {
+        mock.method(console, 'error', () => {});
+        batches = [];
+        singles = [];
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('pays a group with one batch send and shares its receipt', async () => {
+        const settler = new EvmBatchSettler({
+            gasPerRecipient: 500000,
+            sendBatch: async items => {
+                batches.push(items);
+                return { hash: '0xbatch' };
+            },
+            sendSingle: async item => singles.push(item)
+        });
+
+        const results = await settler.settle(['0xa', '0xb', '0xc']);
+
+        assert.deepEqual(batches, [['0xa', '0xb', '0xc']]);
+        assert.equal(singles.length, 0);
+        assert.deepEqual(results, [
+            { receipt: { hash: '0xbatch' }, batchSize: 3 },
+            { receipt: { hash: '0xbatch' }, batchSize: 3 },
+            { receipt: { hash: '0xbatch' }, batchSize: 3 }
+        ]);
+    });
+
+    it('sends a group of one on its own', async () => {
+        const settler = new EvmBatchSettler({
+            gasPerRecipient: 500000,
+            sendBatch: async items => batches.push(items),
+            sendSingle: async item => ({ hash: `0x${item}` })
+        });
+
+        assert.deepEqual(await settler.settle(['a']), [{ receipt: { hash: '0xa' }, batchSize: 1 }]);
+        assert.equal(batches.length, 0);
+    });
+
+    it('falls back to individual sends when the batch fails', async () => {
+        const settler = new EvmBatchSettler({
+            gasPerRecipient: 500000,
+            sendBatch: async () => {
+                throw new Error('execution reverted');
+            },
+            sendSingle: async item => {
+                singles.push(item);
+                if (item === 'b') throw new Error('transfer to b reverted');
+                return { hash: `0x${item}` };
+            }
+        });
+
+        const results = await settler.settle(['a', 'b', 'c']);
+
+        assert.deepEqual(singles, ['a', 'b', 'c']);
+        assert.deepEqual(results[0], { receipt: { hash: '0xa' }, batchSize: 1 });
+        assert.ok(results[1] instanceof Error);
+        assert.equal(results[1].message, 'transfer to b reverted');
+        assert.deepEqual(results[2], { receipt: { hash: '0xc' }, batchSize: 1 });
+    });
+
+    it('rethrows fatal errors instead of falling back', async () => {
+        const unreachable = Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+        const settler = new EvmBatchSettler({
+            gasPerRecipient: 500000,
+            sendBatch: async () => {
+                throw unreachable;
+            },
+            sendSingle: async item => singles.push(item),
+            isFatal: error => error.code === 'ECONNREFUSED'
+        });
+
+        await assert.rejects(settler.settle(['a', 'b']), unreachable);
+        assert.equal(singles.length, 0);
+    });
+
+    it('caps a batch at what fits in the block gas limit', () => {
+        const settler = new EvmBatchSettler({ gasPerRecipient: 500000 });
+
+        assert.equal(settler.maxBatchSize(30000000n), 60);
+        assert.equal(settler.maxBatchSize(1250000n), 2);
+        assert.equal(settler.maxBatchSize(300000n), 1);
+        assert.equal(settler.gasLimit(3), 1500000);
+    });
+});
@@ -0,0 +1,191 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import EvmDispatcher from '../../src/EvmDispatcher.js';
+
+const ADDRESS = '0x00000000000000000000000000000000000000aa';
+
+// Node stand-in: counts per block tag, and the transactions it still knows about
+function stubProvider(counts) {
+    return {
+        counts,
+        known: new Set(),
+        getTransactionCount: async (address, tag) => counts[tag],
+        getTransaction: async function (hash) {
+            return this.known.has(hash) ? { hash } : null;
+        }
+    };
+}
+
+// Wallet stand-in that fails the sends listed in failures (by attempt) and otherwise answers
+// with a transaction whose wait() resolves only when the test mines it
+function stubWallet(provider, failures = []) {
+    const wallet = { address: ADDRESS, sent: [], receipts: new Map() };
+    wallet.sendTransaction = async (request) => {
+        const failure = failures[wallet.sent.length];
+        wallet.sent.push(request.nonce);
+        if (failure) {
+            throw failure;
+        }
+
+        const hash = `0xhash${request.nonce}`;
+        provider.known.add(hash);
+        let mine;
+        const mined = new Promise(resolve => {
+            mine = resolve;
+        });
+        wallet.receipts.set(request.nonce, mine);
+        return { hash, nonce: request.nonce, wait: () => mined };
+    };
+    return wallet;
+}
+
+function nonceError(message = 'nonce too low') {
+    const error = new Error(message);
+    error.code = 'NONCE_EXPIRED';
+    return error;
+}
+
+describe('EvmDispatcher', () => {
+    let dispatcher;
+    let provider;
+
+    function useWallet(failures) {
+        dispatcher.wallet = stubWallet(provider, failures);
+        return dispatcher.wallet;
+    }
+
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+        dispatcher = new EvmDispatcher({ rpcUrl: 'http://127.0.0.1:8545', getPrivateKey: () => null, maxNonceRetries: 2 });
+        provider = stubProvider({ latest: 5, pending: 5 });
+        dispatcher.provider = provider;
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('syncs the nonce from the node once and then counts locally', async () => {
+        const wallet = useWallet();
+
+        await Promise.all([dispatcher.send({ to: ADDRESS }), dispatcher.send({ to: ADDRESS }), dispatcher.send({ to: ADDRESS })]);
+
+        assert.deepEqual(wallet.sent, [5, 6, 7]);
+        assert.equal(dispatcher.nextNonce, 8);
+        assert.equal(dispatcher.getStats().resyncs, 1);
+    });
+
+    it('resolves wait() with the receipt, leaving the ethers response untouched', async () => {
+        const wallet = useWallet();
+
+        const { tx, wait } = await dispatcher.send({ to: ADDRESS });
+        const original = tx.wait;
+        wallet.receipts.get(5)({ status: 1 });
+
+        assert.deepEqual(await wait(), { status: 1 });
+        assert.equal(tx.wait, original);
+    });
+
+    it('resyncs and retries after a nonce error', async () => {
+        const wallet = useWallet([nonceError()]);
+        // The node moved on, e.g. another process used nonce 5
+        dispatcher.nextNonce = 5;
+        provider.counts.pending = 6;
+
+        const { tx } = await dispatcher.send({ to: ADDRESS });
+
+        assert.deepEqual(wallet.sent, [5, 6]);
+        assert.equal(tx.nonce, 6);
+        assert.equal(dispatcher.nextNonce, 7);
+    });
+
+    it('recognizes nonce errors nested in the RPC error or only given as a message', async () => {
+        const nested = new Error('could not coalesce error');
+        nested.error = { message: 'invalid nonce; got 4, expected 5' };
+        const wallet = useWallet([nested, new Error('replacement transaction: already known')]);
+
+        await dispatcher.send({ to: ADDRESS });
+        assert.equal(wallet.sent.length, 3);
+    });
+
+    it('gives up after maxNonceRetries retries', async () => {
+        const wallet = useWallet([nonceError(), nonceError(), nonceError(), nonceError()]);
+
+        await assert.rejects(dispatcher.send({ to: ADDRESS }), /nonce too low/);
+
+        assert.equal(wallet.sent.length, 3);
+        assert.equal(dispatcher.nextNonce, null);
+        assert.equal(dispatcher.getStats().failed, 1);
+    });
+
+    it('does not retry other errors, but resyncs before the next send', async () => {
+        const wallet = useWallet([new Error('insufficient funds for gas')]);
+
+        await assert.rejects(dispatcher.send({ to: ADDRESS }), /insufficient funds/);
+        provider.counts.pending = 5;
+        await dispatcher.send({ to: ADDRESS });
+
+        assert.deepEqual(wallet.sent, [5, 5]);
+        assert.equal(dispatcher.getStats().resyncs, 2);
+    });
+
+    it('keeps the queue running after a failed send', async () => {
+        useWallet([new Error('insufficient funds for gas')]);
+
+        const results = await Promise.allSettled([dispatcher.send({ to: ADDRESS }), dispatcher.send({ to: ADDRESS })]);
+        assert.deepEqual(results.map(result => result.status), ['rejected', 'fulfilled']);
+    });
+
+    describe('checkForGaps', () => {
+        it('reissues dropped nonces and rejects their wait() with TRANSACTION_DROPPED', async () => {
+            const wallet = useWallet();
+            const first = await dispatcher.send({ to: ADDRESS });
+            const second = await dispatcher.send({ to: ADDRESS });
+            const waiting = second.wait();
+
+            // The node lost both transactions
+            provider.known.clear();
+            await dispatcher.checkForGaps();
+
+            await assert.rejects(first.wait(), error => error.code === 'TRANSACTION_DROPPED' && /nonce 5 reissued/.test(error.message));
+            await assert.rejects(waiting, { code: 'TRANSACTION_DROPPED' });
+            assert.equal(dispatcher.nextNonce, 5);
+            assert.equal(dispatcher.inflight.size, 0);
+            assert.equal(dispatcher.getStats().gapsDetected, 1);
+
+            const { tx } = await dispatcher.send({ to: ADDRESS });
+            assert.equal(tx.nonce, 5);
+            assert.deepEqual(wallet.sent, [5, 6, 5]);
+        });
+
+        it('waits for a lagging node that still knows the first pending transaction', async () => {
+            useWallet();
+            await dispatcher.send({ to: ADDRESS });
+
+            await dispatcher.checkForGaps();
+
+            assert.equal(dispatcher.nextNonce, 6);
+            assert.equal(dispatcher.inflight.size, 1);
+        });
+
+        it('forgets mined transactions and adopts a node that is ahead', async () => {
+            const wallet = useWallet();
+            await dispatcher.send({ to: ADDRESS });
+
+            provider.counts.latest = 6;
+            provider.counts.pending = 9;
+            await dispatcher.checkForGaps();
+
+            assert.equal(dispatcher.inflight.size, 0);
+            const { tx } = await dispatcher.send({ to: ADDRESS });
+            assert.equal(tx.nonce, 9);
+            assert.deepEqual(wallet.sent, [5, 9]);
+        });
+
+        it('does nothing before the first send', async () => {
+            const getTransactionCount = mock.method(provider, 'getTransactionCount');
+
+            await dispatcher.checkForGaps();
+            assert.equal(getTransactionCount.mock.callCount(), 0);
+        });
+    });
+});
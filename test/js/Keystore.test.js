@@ -0,0 +1,102 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+    KeystoreFormat,
+    readPassphrase,
+    detectFormat,
+    encryptMnemonic,
+    decryptMnemonic,
+    encryptPrivateKey,
+    decryptKeystore,
+    loadKeystore,
+    reencryptKeystore
+} from '../../src/Keystore.js';
+
+// Well-known test vectors, never funded
+const MNEMONIC = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about';
+const PRIVATE_KEY = '0x4c0883a69102937d6231471b5dbb6204fe5129617082792ae468d01a3f362318';
+
+// Each encryption runs scrypt at full cost, so the keystores are built once
+describe('Keystore', () => {
+    let mnemonicKeystore;
+    let v3Keystore;
+    let dir;
+
+    before(async () => {
+        mnemonicKeystore = await encryptMnemonic(MNEMONIC, 'correct horse');
+        v3Keystore = await encryptPrivateKey(PRIVATE_KEY, 'correct horse');
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'faucet-keystore-'));
+    });
+
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('round-trips a mnemonic', async () => {
+        assert.equal(detectFormat(mnemonicKeystore), KeystoreFormat.MNEMONIC);
+        assert.equal(mnemonicKeystore.crypto.ciphertext.includes('abandon'), false);
+        assert.equal(await decryptMnemonic(mnemonicKeystore, 'correct horse'), MNEMONIC);
+    });
+
+    it('refuses a wrong passphrase or a tampered file', async () => {
+        await assert.rejects(decryptMnemonic(mnemonicKeystore, 'wrong'), /wrong passphrase or corrupted file/);
+
+        const tampered = structuredClone(mnemonicKeystore);
+        tampered.crypto.cipherparams.tag = '00'.repeat(16);
+        await assert.rejects(decryptMnemonic(tampered, 'correct horse'), /wrong passphrase or corrupted file/);
+    });
+
+    it('refuses to encrypt an invalid mnemonic', async () => {
+        await assert.rejects(encryptMnemonic('not a mnemonic', 'correct horse'), /Invalid mnemonic/);
+    });
+
+    it('round-trips a private key through a V3 keystore', async () => {
+        assert.equal(detectFormat(v3Keystore), KeystoreFormat.V3);
+
+        const decrypted = await decryptKeystore(v3Keystore, 'correct horse');
+        assert.equal(decrypted.format, KeystoreFormat.V3);
+        assert.equal(decrypted.privateKey, PRIVATE_KEY);
+        assert.equal(decrypted.mnemonic, undefined);
+
+        await assert.rejects(decryptKeystore(v3Keystore, 'wrong'), /Could not decrypt the V3 keystore/);
+    });
+
+    it('loads a keystore file and re-encrypts it under a new passphrase', async () => {
+        const file = path.join(dir, 'faucet.json');
+        fs.writeFileSync(file, JSON.stringify(mnemonicKeystore));
+
+        const decrypted = await loadKeystore(file, 'correct horse');
+        assert.deepEqual(decrypted, { format: KeystoreFormat.MNEMONIC, mnemonic: MNEMONIC });
+
+        const reencrypted = await reencryptKeystore(decrypted, 'battery staple');
+        assert.equal(await decryptMnemonic(reencrypted, 'battery staple'), MNEMONIC);
+        await assert.rejects(decryptMnemonic(reencrypted, 'correct horse'));
+    });
+
+    it('refuses unknown files and a missing passphrase', async () => {
+        assert.equal(detectFormat({ hello: 'world' }), null);
+        await assert.rejects(decryptKeystore({ hello: 'world' }, 'x'), /Unrecognized keystore/);
+        await assert.rejects(decryptKeystore(mnemonicKeystore, null), /passphrase not set/);
+        await assert.rejects(loadKeystore(path.join(dir, 'missing.json'), 'x'), /Could not read keystore/);
+    });
+
+    it('reads the passphrase from the variable or its _FILE secret', () => {
+        const file = path.join(dir, 'passphrase');
+        fs.writeFileSync(file, 'from file\n');
+        const saved = { ...process.env };
+        try {
+            delete process.env.TEST_PASSPHRASE;
+            delete process.env.TEST_PASSPHRASE_FILE;
+            assert.equal(readPassphrase('TEST_PASSPHRASE'), null);
+
+            process.env.TEST_PASSPHRASE_FILE = file;
+            assert.equal(readPassphrase('TEST_PASSPHRASE'), 'from file');
+
+            process.env.TEST_PASSPHRASE = 'from env';
+            assert.equal(readPassphrase('TEST_PASSPHRASE'), 'from env');
+        } finally {
+            process.env = saved;
+        }
+    });
+});
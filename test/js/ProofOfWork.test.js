@@ -0,0 +1,102 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'crypto';
+import ProofOfWork, { ProofOfWorkFailure } from '../../src/ProofOfWork.js';
+
+function zeroBits(token, solution) {
+    const hash = createHash('sha256').update(`${token}:${solution}`).digest();
+    let bits = 0;
+    for (const byte of hash) {
+        if (byte !== 0) return bits + Math.clz32(byte) - 24;
+        bits += 8;
+    }
+    return bits;
+}
+
+// First counter whose hash does (or, with reach false, does not) have enough leading zero bits
+function solve({ token, difficulty }, reach = true) {
+    for (let counter = 0; ; counter++) {
+        if ((zeroBits(token, counter) >= difficulty) === reach) {
+            return String(counter);
+        }
+    }
+}
+
+describe('ProofOfWork', () => {
+    let pow;
+
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['setInterval', 'Date'], now: Date.parse('2025-06-18T10:00:00Z') });
+        mock.method(console, 'log', () => {});
+        pow = new ProofOfWork({ enabled: true, secret: 'test-secret', baseDifficulty: 8, maxDifficulty: 10, targetRequests: 2 });
+    });
+
+    afterEach(() => {
+        mock.timers.reset();
+        mock.restoreAll();
+    });
+
+    it('accepts a solved challenge once', () => {
+        const challenge = pow.issue();
+        const solution = solve(challenge);
+
+        assert.deepEqual(pow.verify(challenge.token, solution), { valid: true, difficulty: 8 });
+        assert.equal(pow.verify(challenge.token, solution).reason, ProofOfWorkFailure.REUSED);
+    });
+
+    it('rejects a solution short of the difficulty', () => {
+        const challenge = pow.issue();
+
+        assert.equal(pow.verify(challenge.token, solve(challenge, false)).reason, ProofOfWorkFailure.INSUFFICIENT_WORK);
+        // A failed attempt doesn't use the challenge up
+        assert.equal(pow.verify(challenge.token, solve(challenge)).valid, true);
+    });
+
+    it('rejects missing and malformed input', () => {
+        const { token } = pow.issue();
+
+        assert.equal(pow.verify(undefined, '1').reason, ProofOfWorkFailure.MISSING);
+        assert.equal(pow.verify(token, null).reason, ProofOfWorkFailure.MISSING);
+        assert.equal(pow.verify(token, '').reason, ProofOfWorkFailure.MALFORMED);
+        assert.equal(pow.verify(token, 'x'.repeat(65)).reason, ProofOfWorkFailure.MALFORMED);
+        assert.equal(pow.verify('a.b.c', '1').reason, ProofOfWorkFailure.MALFORMED);
+    });
+
+    it('rejects a token with a lowered difficulty or from another secret', () => {
+        const challenge = pow.issue();
+        const [nonce, , expiresAt, signature] = challenge.token.split('.');
+        const easier = `${nonce}.0.${expiresAt}.${signature}`;
+
+        assert.equal(pow.verify(easier, '0').reason, ProofOfWorkFailure.BAD_SIGNATURE);
+
+        const other = new ProofOfWork({ secret: 'other-secret', baseDifficulty: 8 });
+        assert.equal(other.verify(challenge.token, solve(challenge)).reason, ProofOfWorkFailure.BAD_SIGNATURE);
+    });
+
+    it('verifies challenges issued before a restart when the secret is configured', () => {
+        const challenge = pow.issue();
+        const restarted = new ProofOfWork({ secret: 'test-secret' });
+
+        assert.equal(restarted.verify(challenge.token, solve(challenge)).valid, true);
+    });
+
+    it('rejects an expired challenge', () => {
+        const challenge = pow.issue();
+        const solution = solve(challenge);
+
+        mock.timers.tick(pow.ttlMs + 1);
+        assert.equal(pow.verify(challenge.token, solution).reason, ProofOfWorkFailure.EXPIRED);
+    });
+
+    it('raises the difficulty with the request volume, up to the maximum', () => {
+        for (let i = 0; i < 5; i++) {
+            const challenge = pow.issue();
+            pow.verify(challenge.token, solve(challenge));
+        }
+        // 5 requests against a target of 2 adds ceil(log2(2.5)) bits
+        assert.equal(pow.getDifficulty(), 10);
+
+        mock.timers.tick(pow.windowMs);
+        assert.equal(pow.getDifficulty(), 8);
+    });
+});
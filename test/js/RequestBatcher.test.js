@@ -0,0 +1,118 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import RequestBatcher from '../../src/RequestBatcher.js';
+
+describe('RequestBatcher', () => {
+    let flushes;
+
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['setTimeout'] });
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'error', () => {});
+        flushes = [];
+    });
+
+    afterEach(() => {
+        mock.timers.reset();
+        mock.restoreAll();
+    });
+
+    it('flushes when the window ends, one call per group key', async () => {
+        const batcher = new RequestBatcher({
+            windowMs: 3000,
+            maxSize: 10,
+            onFlush: async (items, key) => {
+                flushes.push({ key, items });
+                return items.map(item => `${key}:${item}`);
+            }
+        });
+
+        const results = Promise.all([
+            batcher.submit('a', 1),
+            batcher.submit('b', 2),
+            batcher.submit('a', 3)
+        ]);
+
+        mock.timers.tick(2999);
+        assert.equal(flushes.length, 0);
+
+        mock.timers.tick(1);
+        assert.deepEqual(await results, ['a:1', 'b:2', 'a:3']);
+        assert.deepEqual(flushes, [{ key: 'a', items: [1, 3] }, { key: 'b', items: [2] }]);
+        assert.equal(batcher.pending.length, 0);
+    });
+
+    it('flushes at maxSize without waiting for the window', async () => {
+        const batcher = new RequestBatcher({
+            windowMs: 3000,
+            maxSize: 2,
+            onFlush: async items => {
+                flushes.push(items);
+                return items;
+            }
+        });
+
+        const results = Promise.all([batcher.submit('a', 1), batcher.submit('a', 2)]);
+
+        assert.deepEqual(await results, [1, 2]);
+        assert.deepEqual(flushes, [[1, 2]]);
+
+        // The cleared window timer must not flush again
+        mock.timers.tick(3000);
+        assert.equal(flushes.length, 1);
+        assert.deepEqual(batcher.getStats(), {
+            windowMs: 3000,
+            maxSize: 2,
+            queued: 0,
+            submitted: 2,
+            flushes: 1,
+            groups: 1,
+            largestGroup: 2
+        });
+    });
+
+    it('rejects only the items whose result is an Error', async () => {
+        const batcher = new RequestBatcher({
+            maxSize: 3,
+            onFlush: async items => items.map(item => item === 2 ? new Error('bad recipient') : item)
+        });
+
+        const outcomes = await Promise.allSettled([
+            batcher.submit('a', 1),
+            batcher.submit('a', 2),
+            batcher.submit('a', 3)
+        ]);
+
+        assert.deepEqual(outcomes.map(outcome => outcome.status), ['fulfilled', 'rejected', 'fulfilled']);
+        assert.equal(outcomes[1].reason.message, 'bad recipient');
+    });
+
+    it('rejects the whole group when the flush throws, leaving other groups alone', async () => {
+        const batcher = new RequestBatcher({
+            maxSize: 3,
+            onFlush: async (items, key) => {
+                if (key === 'a') throw new Error('node unreachable');
+                return items;
+            }
+        });
+
+        const outcomes = await Promise.allSettled([
+            batcher.submit('a', 1),
+            batcher.submit('b', 2),
+            batcher.submit('a', 3)
+        ]);
+
+        assert.deepEqual(outcomes.map(outcome => outcome.status), ['rejected', 'fulfilled', 'rejected']);
+        assert.equal(outcomes[0].reason.message, 'node unreachable');
+        assert.equal(outcomes[2].reason, outcomes[0].reason);
+    });
+
+    it('settles queued items on stop', async () => {
+        const batcher = new RequestBatcher({ windowMs: 3000, onFlush: async items => items });
+
+        const result = batcher.submit('a', 1);
+        await batcher.stop();
+
+        assert.equal(await result, 1);
+    });
+});
@@ -0,0 +1,45 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import RequestThrottle from '../../src/RequestThrottle.js';
+
+describe('RequestThrottle', () => {
+    let throttle;
+
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['setInterval', 'Date'], now: Date.parse('2025-06-18T10:00:00Z') });
+        throttle = new RequestThrottle({ windowMs: 60 * 1000, maxRequests: 2 });
+    });
+
+    afterEach(() => mock.timers.reset());
+
+    it('refuses calls past the limit until the oldest leaves the window', () => {
+        assert.equal(throttle.take('203.0.113.1').allowed, true);
+        mock.timers.tick(10 * 1000);
+        assert.equal(throttle.take('203.0.113.1').allowed, true);
+
+        assert.deepEqual(throttle.take('203.0.113.1'), { allowed: false, retryAfterMs: 50 * 1000 });
+        assert.equal(throttle.take('203.0.113.2').allowed, true);
+
+        mock.timers.tick(50 * 1000);
+        assert.equal(throttle.take('203.0.113.1').allowed, true);
+        assert.equal(throttle.take('203.0.113.1').allowed, false);
+    });
+
+    it('does not count refused calls', () => {
+        throttle.take('203.0.113.1');
+        throttle.take('203.0.113.1');
+        for (let i = 0; i < 5; i++) {
+            throttle.take('203.0.113.1');
+        }
+
+        mock.timers.tick(60 * 1000);
+        assert.equal(throttle.take('203.0.113.1').allowed, true);
+    });
+
+    it('forgets idle keys on cleanup', () => {
+        throttle.take('203.0.113.1');
+        mock.timers.tick(60 * 1000);
+
+        assert.equal(throttle.hits.size, 0);
+    });
+});
@@ -0,0 +1,145 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import RequestTracker, { RequestState, streamRequestEvents } from '../../src/RequestTracker.js';
+
+describe('RequestTracker', () => {
+    let tracker;
+
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['setInterval', 'Date'], now: Date.parse('2025-06-18T10:00:00Z') });
+        tracker = new RequestTracker({ maxRecords: 3, ttlMs: 60 * 60 * 1000 });
+    });
+
+    afterEach(() => mock.timers.reset());
+
+    describe('transitions', () => {
+        it('records every stage and merges the given fields', () => {
+            const record = tracker.create({ address: 'cosmos1a', addressType: 'cosmos' });
+            assert.equal(record.state, RequestState.QUEUED);
+
+            mock.timers.tick(1000);
+            tracker.transition(record.id, RequestState.BROADCASTING);
+            tracker.transition(record.id, RequestState.CONFIRMING, { transaction_hash: 'ABC' });
+            mock.timers.tick(1000);
+            tracker.transition(record.id, RequestState.INCLUDED, { result: { height: '42' } });
+
+            assert.deepEqual(tracker.get(record.id).stages, [
+                { state: RequestState.QUEUED, at: '2025-06-18T10:00:00.000Z' },
+                { state: RequestState.BROADCASTING, at: '2025-06-18T10:00:01.000Z' },
+                { state: RequestState.CONFIRMING, at: '2025-06-18T10:00:01.000Z' },
+                { state: RequestState.INCLUDED, at: '2025-06-18T10:00:02.000Z' }
+            ]);
+            assert.equal(record.transaction_hash, 'ABC');
+            assert.deepEqual(record.result, { height: '42' });
+            assert.equal(record.updated_at, '2025-06-18T10:00:02.000Z');
+        });
+
+        it('ignores transitions once a record is final', () => {
+            const record = tracker.create({ address: '0xabc', addressType: 'evm' });
+            tracker.transition(record.id, RequestState.FAILED, { error: 'reverted' });
+            tracker.transition(record.id, RequestState.INCLUDED);
+
+            assert.equal(record.state, RequestState.FAILED);
+            assert.equal(record.stages.length, 2);
+            assert.equal(tracker.transition('missing', RequestState.INCLUDED), null);
+        });
+
+        it('notifies subscribers until they unsubscribe', () => {
+            const record = tracker.create({ address: 'cosmos1a', addressType: 'cosmos' });
+            const seen = [];
+            const unsubscribe = tracker.subscribe(record.id, current => seen.push(current.state));
+
+            tracker.transition(record.id, RequestState.BROADCASTING);
+            unsubscribe();
+            tracker.transition(record.id, RequestState.INCLUDED);
+
+            assert.deepEqual(seen, [RequestState.BROADCASTING]);
+        });
+
+        it('evicts expired and overflowing final records, never pending ones', () => {
+            const done = tracker.create({ address: 'a', addressType: 'cosmos' });
+            tracker.transition(done.id, RequestState.SKIPPED);
+            const pending = tracker.create({ address: 'b', addressType: 'cosmos' });
+
+            mock.timers.tick(60 * 60 * 1000 + 1);
+            tracker.create({ address: 'c', addressType: 'cosmos' });
+
+            assert.equal(tracker.get(done.id), null);
+            assert.ok(tracker.get(pending.id));
+            assert.deepEqual(tracker.getStats(), { total: 2, states: { queued: 2 } });
+        });
+    });
+
+    describe('streamRequestEvents', () => {
+        let req;
+        let res;
+
+        beforeEach(() => {
+            req = new EventEmitter();
+            res = {
+                headers: null,
+                chunks: [],
+                ended: false,
+                set(headers) { this.headers = headers; },
+                flushHeaders() {},
+                write(chunk) { this.chunks.push(chunk); },
+                end() { this.ended = true; }
+            };
+        });
+
+        const events = () => res.chunks
+            .filter(chunk => chunk.startsWith('id: '))
+            .map(chunk => JSON.parse(chunk.split('\ndata: ')[1]).state);
+
+        it('sends the current record, then each transition, and ends on a final state', () => {
+            const record = tracker.create({ address: 'cosmos1a', addressType: 'cosmos' });
+            streamRequestEvents(tracker, record, req, res);
+
+            assert.equal(res.headers['Content-Type'], 'text/event-stream');
+            assert.deepEqual(events(), [RequestState.QUEUED]);
+
+            tracker.transition(record.id, RequestState.BROADCASTING);
+            tracker.transition(record.id, RequestState.CONFIRMING);
+            assert.equal(res.ended, false);
+
+            tracker.transition(record.id, RequestState.INCLUDED);
+            assert.deepEqual(events(), [
+                RequestState.QUEUED,
+                RequestState.BROADCASTING,
+                RequestState.CONFIRMING,
+                RequestState.INCLUDED
+            ]);
+            assert.equal(res.ended, true);
+            assert.equal(res.chunks[3].split('\n')[0], 'id: 4');
+            assert.equal(tracker._events.listenerCount(record.id), 0);
+        });
+
+        it('ends right away for a record that is already final', () => {
+            const record = tracker.create({ address: 'cosmos1a', addressType: 'cosmos' });
+            tracker.transition(record.id, RequestState.FAILED, { error: 'out of funds' });
+
+            streamRequestEvents(tracker, record, req, res);
+
+            assert.deepEqual(events(), [RequestState.FAILED]);
+            assert.equal(res.ended, true);
+            assert.equal(tracker._events.listenerCount(record.id), 0);
+        });
+
+        it('sends heartbeats and stops listening when the client disconnects', () => {
+            const record = tracker.create({ address: 'cosmos1a', addressType: 'cosmos' });
+            streamRequestEvents(tracker, record, req, res, { heartbeatMs: 15000 });
+
+            mock.timers.tick(15000);
+            assert.equal(res.chunks.at(-1), ': keep-alive\n\n');
+
+            req.emit('close');
+            tracker.transition(record.id, RequestState.BROADCASTING);
+            mock.timers.tick(15000);
+
+            assert.deepEqual(events(), [RequestState.QUEUED]);
+            assert.equal(res.chunks.length, 2);
+            assert.equal(tracker._events.listenerCount(record.id), 0);
+        });
+    });
+});
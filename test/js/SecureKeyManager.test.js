@@ -0,0 +1,84 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import secureKeyManager from '../../src/SecureKeyManager.js';
+
+const SecureKeyManager = secureKeyManager.constructor;
+
+// Well-known development mnemonic; its m/44'/60'/0'/0/n accounts are published everywhere
+const MNEMONIC = 'test test test test test test test test test test test junk';
+const EVM_ADDRESSES = [
+    '0xf39fd6e51aad88f6f4ce6ab8827279cfffb92266',
+    '0x70997970c51812dc3a010c7d01b50e0d17dc79c8',
+    '0x3c44cdddb6a900fa2b585dd299e03d12fa4293bc',
+    '0x90f79bf6eb2c4f870365e785982e1f101e93b906'
+];
+
+describe('SecureKeyManager', () => {
+    let savedEnv;
+
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        savedEnv = { ...process.env };
+        delete process.env.KEYSTORE_PATH;
+        delete process.env.NODE_ENV;
+        process.env.MNEMONIC = MNEMONIC;
+    });
+
+    afterEach(() => {
+        process.env = savedEnv;
+        mock.restoreAll();
+    });
+
+    it('derives the pool from the HD path, one address index per account', async () => {
+        const keys = new SecureKeyManager();
+        await keys.initialize({ poolSize: 3 });
+
+        assert.deepEqual(keys.getAccounts(), [
+            {
+                index: 0,
+                path: "m/44'/60'/0'/0/0",
+                evmAddress: EVM_ADDRESSES[0],
+                cosmosAddress: 'cosmos17w0adeg64ky0daxwd2ugyuneellmjgnxramjtq'
+            },
+            {
+                index: 1,
+                path: "m/44'/60'/0'/0/1",
+                evmAddress: EVM_ADDRESSES[1],
+                cosmosAddress: 'cosmos1wzvhjux9rqfdcwspp37srdgwp5tac7wgtkldlx'
+            },
+            {
+                index: 2,
+                path: "m/44'/60'/0'/0/2",
+                evmAddress: EVM_ADDRESSES[2],
+                cosmosAddress: 'cosmos183zvmhdk4yq0526cthffncpaztay9yaumk4e6c'
+            }
+        ]);
+        assert.equal(keys.getEvmAddress(), EVM_ADDRESSES[0]);
+    });
+
+    it('shifts the primary and the pool by accountIndex and encodes with the prefix', async () => {
+        const keys = new SecureKeyManager();
+        await keys.initialize({ accountIndex: 2, prefix: 'evmos', poolSize: 2 });
+
+        const accounts = keys.getAccounts();
+        assert.deepEqual(accounts.map(account => account.path), ["m/44'/60'/0'/0/2", "m/44'/60'/0'/0/3"]);
+        assert.deepEqual(accounts.map(account => account.evmAddress), EVM_ADDRESSES.slice(2, 4));
+        assert.deepEqual(accounts.map(account => account.cosmosAddress), [
+            'evmos183zvmhdk4yq0526cthffncpaztay9yauehyhqs',
+            'evmos1jrmehaht938cwqm9u7zestslzq0f8wgxjw9jvl'
+        ]);
+        assert.equal(keys.getCosmosAddress(), 'evmos183zvmhdk4yq0526cthffncpaztay9yauehyhqs');
+    });
+
+    it('adds accountIndex to the address index of a custom path', async () => {
+        const keys = new SecureKeyManager();
+        await keys.initialize({ hdPath: "m/44'/60'/0'/0/1", accountIndex: 1, poolSize: 2 });
+
+        assert.deepEqual(keys.getAccounts().map(account => account.evmAddress), EVM_ADDRESSES.slice(2, 4));
+    });
+
+    it('rejects a path without an address index', async () => {
+        const keys = new SecureKeyManager();
+        await assert.rejects(keys.initialize({ hdPath: "44'/60'/0'/0/0" }), /Invalid HD path/);
+    });
+});
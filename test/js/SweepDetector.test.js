@@ -0,0 +1,118 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { SweepDetector, FixtureSource, findSweepClusters } from '../../src/sweep/index.js';
+import Denylist from '../../src/Denylist.js';
+import { SqliteStore } from '../../src/storage/index.js';
+
+// Recorded devnet traffic: 0x1111, 0x2222 and (from its bech32 form) 0x3333 sweep to 0x9999
+// within minutes of being funded, while 0x4444 makes an unrelated transfer to 0x5555
+const FIXTURE = fileURLToPath(new URL('../../scripts/fixtures/sweep-cluster.json', import.meta.url));
+const { recipients: RECIPIENTS } = JSON.parse(fs.readFileSync(FIXTURE, 'utf8'));
+const COLLECTOR = '0x9999999999999999999999999999999999999999';
+const SWEPT = [
+    '0x1111111111111111111111111111111111111111',
+    '0x2222222222222222222222222222222222222222',
+    '0x3333333333333333333333333333333333333333'
+];
+
+describe('SweepDetector', () => {
+    let store;
+    let denylist;
+
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['setInterval', 'Date'], now: Date.parse('2025-06-18T09:00:00Z') });
+        mock.method(console, 'log', () => {});
+        store = new SqliteStore({ path: ':memory:' });
+        denylist = new Denylist({}, store);
+    });
+
+    afterEach(() => {
+        mock.timers.reset();
+        mock.restoreAll();
+    });
+
+    // A detector over the fixture whose recipients were funded at their recorded times
+    const replay = (sweepDetection = {}, options = {}) => {
+        const detector = new SweepDetector({ sweepDetection: { enabled: true, ...sweepDetection } }, store, {
+            sources: [new FixtureSource({ path: FIXTURE })],
+            denylist,
+            ...options
+        });
+        for (const recipient of RECIPIENTS) {
+            mock.timers.setTime(Date.parse(recipient.funded_at));
+            detector.recordRecipient(recipient.address, recipient.ips[0]);
+        }
+        mock.timers.setTime(Date.parse('2025-06-18T10:30:00Z'));
+        return detector;
+    };
+
+    const denylisted = () => denylist.list().map(entry => entry.value).sort();
+
+    it('flags the recipients that swept to one collector, and the collector', async () => {
+        const run = await replay().analyze();
+
+        assert.equal(run.clusters.length, 1);
+        assert.equal(run.clusters[0].destination, COLLECTOR);
+        assert.deepEqual([...run.clusters[0].recipients].sort(), SWEPT);
+        assert.deepEqual([...run.clusters[0].ips].sort(), ['203.0.113.10', '203.0.113.11', '203.0.113.12']);
+        assert.equal(run.denylisted, 4);
+        assert.deepEqual(denylisted(), [...SWEPT, COLLECTOR].sort());
+    });
+
+    it('leaves the unrelated transfer and its sender alone', async () => {
+        await replay().analyze();
+
+        assert.equal(denylist.check({ address: '0x4444444444444444444444444444444444444444' }), null);
+        assert.equal(denylist.check({ address: '0x5555555555555555555555555555555555555555' }), null);
+        assert.equal(denylist.check({ ip: '203.0.113.10' }), null);
+    });
+
+    it('finds no cluster when it takes more recipients than swept', async () => {
+        const run = await replay({ minSources: 4 }).analyze();
+
+        assert.deepEqual(run.clusters, []);
+        assert.deepEqual(denylisted(), []);
+    });
+
+    it('ignores transfers later than the sweep window after funding', async () => {
+        const run = await replay({ sweepWindowMs: 60 * 1000 }).analyze();
+
+        assert.deepEqual(run.clusters, []);
+    });
+
+    it('reports a shared destination without denylisting anyone', async () => {
+        const classifier = { classify: async address => address === COLLECTOR ? 'contract' : null };
+        const run = await replay({}, { classifier }).analyze();
+
+        assert.equal(run.clusters[0].skipped, 'contract');
+        assert.equal(run.denylisted, 0);
+        assert.deepEqual(denylisted(), []);
+    });
+
+    it('keeps an admin removal on the next pass', async () => {
+        const detector = replay();
+        await detector.analyze();
+        denylist.remove('address', SWEPT[0]);
+
+        const run = await detector.analyze();
+
+        assert.equal(run.denylisted, 0);
+        assert.equal(denylist.check({ address: SWEPT[0] }), null);
+    });
+
+    it('records nothing while disabled', () => {
+        const detector = new SweepDetector({ sweepDetection: { enabled: false } }, store, { denylist });
+        detector.recordRecipient(SWEPT[0], '203.0.113.10');
+
+        assert.equal(detector.getStatus().recipients, 0);
+    });
+
+    it('finds the same cluster from the fixture without a detector', async () => {
+        const transfers = await new FixtureSource({ path: FIXTURE }).fetchTransfers();
+        const clusters = findSweepClusters(RECIPIENTS, transfers, { sweepWindowMs: 6 * 60 * 60 * 1000 });
+
+        assert.deepEqual(clusters.map(cluster => cluster.destination), [COLLECTOR]);
+    });
+});
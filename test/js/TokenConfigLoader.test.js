@@ -0,0 +1,31 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDuration } from '../../src/TokenConfigLoader.js';
+
+describe('parseDuration', () => {
+    it('converts single and combined units to milliseconds', () => {
+        assert.equal(parseDuration('30s'), 30 * 1000);
+        assert.equal(parseDuration('30m'), 30 * 60 * 1000);
+        assert.equal(parseDuration('24h'), 24 * 60 * 60 * 1000);
+        assert.equal(parseDuration('1h30m'), 90 * 60 * 1000);
+        assert.equal(parseDuration('1d12h'), 36 * 60 * 60 * 1000);
+        assert.equal(parseDuration('0.5h'), 30 * 60 * 1000);
+    });
+
+    it('ignores case and surrounding whitespace', () => {
+        assert.equal(parseDuration(' 2H '), 2 * 60 * 60 * 1000);
+    });
+
+    it('passes milliseconds through and treats an unset value as no cooldown', () => {
+        assert.equal(parseDuration(1500), 1500);
+        assert.equal(parseDuration(null), 0);
+        assert.equal(parseDuration(undefined), 0);
+        assert.equal(parseDuration(''), 0);
+    });
+
+    it('rejects anything else', () => {
+        for (const value of ['30', 'h', '1w', '1h 30m', '-5m', '1h30']) {
+            assert.throws(() => parseDuration(value), /Invalid duration/, value);
+        }
+    });
+});
@@ -0,0 +1,173 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import WalletPool from '../../src/WalletPool.js';
+
+const TOKENS = [
+    { denom: 'uatom', amount: '100' },
+    { denom: 'usdt', amount: '10', target_balance: '20' }
+];
+const ATOM = [{ denom: 'uatom', amount: '100' }];
+
+describe('WalletPool', () => {
+    let balances;
+    let topUps;
+    let pool;
+
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+        mock.method(console, 'error', () => {});
+
+        // evmAddress -> { denom: amount } as fetchBalances reads them
+        balances = {
+            '0xprimary': { uatom: '1000000', usdt: '1000000' },
+            '0xone': { uatom: '5000', usdt: '1000' },
+            '0xtwo': { uatom: '5000', usdt: '1000' }
+        };
+        topUps = [];
+        pool = new WalletPool({
+            rpcUrl: 'http://127.0.0.1:1',
+            getPrivateKey: () => null,
+            getTokens: () => TOKENS,
+            fetchBalances: async account => new Map(Object.entries(balances[account.evmAddress])),
+            topUp: async (primary, account, amounts) => {
+                topUps.push({ account: account.evmAddress, amounts: amounts.map(({ token, amount }) => [token.denom, amount]) });
+            },
+            prepareAccount: async account => account.index === 1
+        });
+        pool.load(['0xprimary', '0xone', '0xtwo'].map((evmAddress, index) => ({ index, evmAddress })));
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    describe('acquire', () => {
+        it('only uses accounts with known balances that cover the amounts, else the primary', async () => {
+            assert.equal(pool.acquire(ATOM).index, 0);
+
+            await pool.refreshBalances();
+            pool.accounts[0].busy = 5;
+            assert.equal(pool.acquire([{ denom: 'uatom', amount: '6000' }]).index, 0);
+            assert.notEqual(pool.acquire(ATOM).index, 0);
+        });
+
+        it('picks the least busy account and rotates through equally busy ones', async () => {
+            await pool.refreshBalances();
+
+            const picked = [];
+            for (let i = 0; i < 6; i++) {
+                const account = pool.acquire(ATOM);
+                picked.push(account.index);
+                pool.release(account, ATOM);
+            }
+            assert.deepEqual(picked, [0, 1, 2, 0, 1, 2]);
+
+            pool.acquire(ATOM);
+            pool.acquire(ATOM);
+            assert.equal(pool.acquire(ATOM).busy, 1);
+        });
+
+        it('only gives multiSend to authorized accounts, falling back to the primary', async () => {
+            await pool.refreshBalances();
+            pool.accounts[0].busy = 5;
+
+            assert.equal(pool.acquire(ATOM, { multiSend: true }).index, 0);
+
+            pool.accounts[1].canMultiSend = true;
+            assert.equal(pool.acquire(ATOM, { multiSend: true }).index, 1);
+        });
+
+        it('lowers the cached balances after a successful send only', async () => {
+            await pool.refreshBalances();
+            const account = pool.accounts[1];
+
+            pool.release(account, ATOM, false);
+            assert.equal(account.balances.get('uatom'), 5000n);
+            assert.equal(account.sent, 0);
+
+            pool.release(account, ATOM);
+            assert.equal(account.balances.get('uatom'), 4900n);
+            assert.equal(account.sent, 1);
+
+            pool.release(account, [{ denom: 'uatom', amount: '10000' }]);
+            assert.equal(account.balances.get('uatom'), 0n);
+        });
+
+        it('releases the account when the task throws', async () => {
+            await pool.refreshBalances();
+
+            await assert.rejects(pool.withAccount(ATOM, async account => {
+                assert.equal(account.busy, 1);
+                throw new Error('reverted');
+            }));
+            assert.deepEqual(pool.accounts.map(account => account.busy), [0, 0, 0]);
+            assert.deepEqual(pool.accounts.map(account => account.sent), [0, 0, 0]);
+        });
+    });
+
+    describe('planTopUp', () => {
+        it('refills tokens under minRequests worth up to targetRequests worth', async () => {
+            await pool.refreshBalances();
+
+            // uatom: 5000 < 10 * 100, so nothing; usdt: 1000 >= 10 * 20, so nothing
+            assert.deepEqual(pool.planTopUp(pool.accounts[1]), []);
+
+            pool.accounts[1].balances.set('uatom', 900n);
+            pool.accounts[1].balances.delete('usdt');
+            assert.deepEqual(pool.planTopUp(pool.accounts[1]).map(({ token, amount }) => [token.denom, amount]), [
+                ['uatom', 50n * 100n - 900n],
+                ['usdt', 50n * 20n]
+            ]);
+        });
+    });
+
+    describe('rebalance', () => {
+        it('tops up low accounts from the primary and prepares them for AtomicMultiSend', async () => {
+            balances['0xone'] = { uatom: '0', usdt: '1000' };
+
+            const run = await pool.rebalance();
+
+            assert.deepEqual(topUps, [{ account: '0xone', amounts: [['uatom', 5000n]] }]);
+            assert.deepEqual(run.topped_up, [{ account: '0xone', amounts: [{ denom: 'uatom', amount: '5000' }] }]);
+            assert.deepEqual(run.errors, []);
+            assert.deepEqual(pool.accounts.map(account => account.canMultiSend), [true, true, false]);
+        });
+
+        it('never takes the primary below its own minimum', async () => {
+            balances['0xprimary'] = { uatom: '6000', usdt: '1000000' };
+            balances['0xone'] = { uatom: '0', usdt: '1000' };
+            balances['0xtwo'] = { uatom: '0', usdt: '1000' };
+
+            await pool.rebalance();
+
+            // 6000 - 10 * 100 covers one top-up of 5000, not two
+            assert.deepEqual(topUps, [{ account: '0xone', amounts: [['uatom', 5000n]] }]);
+        });
+
+        it('shares a running pass instead of funding the same accounts twice', async () => {
+            balances['0xone'] = { uatom: '0', usdt: '1000' };
+
+            const [first, second] = await Promise.all([pool.rebalance(), pool.rebalance()]);
+
+            assert.equal(first, second);
+            assert.equal(topUps.length, 1);
+
+            await pool.rebalance();
+            assert.equal(topUps.length, 2);
+        });
+
+        it('records a failed top-up and carries on with the other accounts', async () => {
+            balances['0xone'] = { uatom: '0', usdt: '1000' };
+            balances['0xtwo'] = { uatom: '0', usdt: '1000' };
+            const topUp = pool.topUp;
+            pool.topUp = async (primary, account, amounts) => {
+                if (account.index === 1) throw new Error('insufficient funds');
+                return topUp(primary, account, amounts);
+            };
+
+            const run = await pool.rebalance();
+
+            assert.deepEqual(run.errors, [{ account: '0xone', error: 'insufficient funds' }]);
+            assert.deepEqual(topUps.map(topUpCall => topUpCall.account), ['0xtwo']);
+        });
+    });
+});
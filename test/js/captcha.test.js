@@ -0,0 +1,38 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCaptchaVerifier } from '../../src/captcha/index.js';
+
+describe('createCaptchaVerifier', () => {
+    const nodeEnv = process.env.NODE_ENV;
+
+    afterEach(() => {
+        if (nodeEnv === undefined) {
+            delete process.env.NODE_ENV;
+        } else {
+            process.env.NODE_ENV = nodeEnv;
+        }
+    });
+
+    it('is off without a provider', () => {
+        assert.equal(createCaptchaVerifier({ provider: 'none' }), null);
+    });
+
+    it('accepts only the stub token outside production', async () => {
+        process.env.NODE_ENV = 'development';
+        const verifier = createCaptchaVerifier({ provider: 'stub', stubToken: 'let-me-in' });
+
+        assert.deepEqual(await verifier.verify('let-me-in'), { success: true });
+        assert.equal((await verifier.verify('stub-pass')).success, false);
+    });
+
+    it('refuses the stub provider in production', () => {
+        process.env.NODE_ENV = 'production';
+
+        assert.throws(() => createCaptchaVerifier({ provider: 'stub' }), /not allowed with NODE_ENV=production/);
+    });
+
+    it('needs both keys for a real provider', () => {
+        assert.throws(() => createCaptchaVerifier({ provider: 'turnstile', siteKey: 'site' }), /CAPTCHA_SITE_KEY and CAPTCHA_SECRET_KEY/);
+        assert.throws(() => createCaptchaVerifier({ provider: 'recaptcha' }), /Unknown CAPTCHA provider/);
+    });
+});
@@ -0,0 +1,139 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { FrequencyChecker } from '../../checker.js';
+import { SqliteStore } from '../../src/storage/index.js';
+
+const CONFIG = { blockchain: { limit: { address: 1, ip: 2 } } };
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+describe('FrequencyChecker', () => {
+    let store;
+    let checker;
+
+    beforeEach(() => {
+        // Fixed clock, and no hourly cleanup interval keeping the process alive
+        mock.timers.enable({ apis: ['setInterval', 'Date'], now: Date.parse('2025-06-18T10:00:00Z') });
+        mock.method(console, 'log', () => {});
+        store = new SqliteStore({ path: ':memory:' });
+        checker = new FrequencyChecker(CONFIG, store);
+    });
+
+    afterEach(() => {
+        mock.timers.reset();
+        mock.restoreAll();
+    });
+
+    describe('reserve / commit / release', () => {
+        it('holds a slot for the address and the IP until it is released', () => {
+            const first = checker.reserve('addr1', '203.0.113.1', 'dual');
+            assert.equal(first.allowed, true);
+
+            const second = checker.reserve('addr1', '203.0.113.2', 'dual');
+            assert.equal(second.allowed, false);
+            assert.equal(second.addressAllowed, false);
+            assert.equal(second.reservation, null);
+
+            checker.release(first.reservation);
+            assert.equal(checker.reserve('addr1', '203.0.113.2', 'dual').allowed, true);
+        });
+
+        it('refuses the parallel request that would go over the IP limit', () => {
+            const results = ['addr1', 'addr2', 'addr3'].map(address => checker.reserve(address, '203.0.113.1', 'dual'));
+
+            assert.deepEqual(results.map(result => result.allowed), [true, true, false]);
+            assert.equal(results[2].ipAllowed, false);
+        });
+
+        it('persists a reservation before it is committed', () => {
+            checker.reserve('addr1', '203.0.113.1', 'dual');
+
+            const restarted = new FrequencyChecker(CONFIG, store);
+            assert.equal(restarted.reserve('addr1', '203.0.113.9', 'dual').allowed, false);
+        });
+
+        it('keeps a committed slot, and ignores a release after the commit', () => {
+            const { reservation } = checker.reserve('addr1', '203.0.113.1', 'dual');
+            checker.commit(reservation);
+            checker.release(reservation);
+
+            assert.equal(checker.reserve('addr1', '203.0.113.1', 'dual').allowed, false);
+        });
+
+        it('gives back only its own slot when two reservations share a timestamp', () => {
+            const first = checker.reserve('addr1', '203.0.113.1', 'dual');
+            const second = checker.reserve('addr2', '203.0.113.1', 'dual');
+
+            checker.release(first.reservation);
+            checker.release(first.reservation);
+
+            const ipKey = checker.ipKey('203.0.113.1', 'dual');
+            assert.equal(checker.requests.get(ipKey).length, 1);
+            checker.commit(second.reservation);
+            assert.equal(checker.reserve('addr3', '203.0.113.1', 'dual').allowed, true);
+        });
+
+        it('lets an address through again once its request leaves the window', () => {
+            checker.reserve('addr1', '203.0.113.1', 'dual');
+
+            mock.timers.tick(DAY + 1);
+            assert.equal(checker.reserve('addr1', '203.0.113.1', 'dual').allowed, true);
+        });
+    });
+
+    describe('remaining time', () => {
+        it('waits until enough requests leave the window to get back under the limit', async () => {
+            checker.reserve('addr1', '203.0.113.1', 'dual');
+            mock.timers.tick(HOUR);
+            checker.reserve('addr2', '203.0.113.1', 'dual');
+
+            assert.equal(await checker.getRemainingTime('addr1', 'dual'), DAY - HOUR);
+            assert.equal(await checker.getIpRemainingTime('203.0.113.1', 'dual'), DAY - HOUR);
+            assert.equal(await checker.getIpRemainingTime('203.0.113.1', 'dual', 1), DAY);
+            assert.equal(await checker.getIpRemainingTime('203.0.113.1', 'dual', 3), 0);
+        });
+
+        it('includes a block on a key without requests', async () => {
+            checker.extend(checker.ipKey('203.0.113.1', 'dual'), HOUR);
+
+            assert.equal(await checker.getIpRemainingTime('203.0.113.1', 'dual'), HOUR);
+        });
+    });
+
+    describe('extend', () => {
+        it('blocks a key for the duration past its current reset', () => {
+            const { reservation } = checker.reserve('addr1', '203.0.113.1', 'dual');
+            const key = checker.addressKey('addr1', 'dual');
+
+            const blockedUntil = checker.extend(key, 6 * HOUR);
+            assert.equal(blockedUntil, Date.now() + DAY + 6 * HOUR);
+
+            mock.timers.tick(DAY + 1);
+            assert.equal(checker.checkLimit(key, 1, 'addr1'), false);
+            mock.timers.tick(6 * HOUR);
+            assert.equal(checker.checkLimit(key, 1, 'addr1'), true);
+
+            checker.commit(reservation);
+        });
+
+        it('leaves the counted requests alone, so a release still returns the slot', () => {
+            const { reservation } = checker.reserve('addr1', '203.0.113.1', 'dual');
+            const ipKey = checker.ipKey('203.0.113.1', 'dual');
+            checker.extend(checker.addressKey('addr1', 'dual'), HOUR);
+
+            checker.release(reservation);
+            assert.deepEqual(checker.requests.get(ipKey), []);
+        });
+
+        it('blocks a key without requests from now, until it is cleared', () => {
+            const key = checker.addressKey('addr1', 'dual');
+            checker.extend(key, HOUR);
+
+            assert.equal(checker.reserve('addr1', '203.0.113.1', 'dual').allowed, false);
+            assert.equal(checker.getEntries('addr_')[0].blockedUntil, Date.now() + HOUR);
+
+            checker.clear(key);
+            assert.equal(checker.reserve('addr1', '203.0.113.1', 'dual').allowed, true);
+        });
+    });
+});
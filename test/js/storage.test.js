@@ -0,0 +1,170 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { bech32 } from 'bech32';
+import { createStore, JsonFileStore } from '../../src/storage/index.js';
+import { FrequencyChecker } from '../../checker.js';
+import { TokenAllowanceTracker } from '../../tokenAllowance.js';
+
+const T1 = Date.parse('2025-06-18T08:00:00Z');
+const T2 = Date.parse('2025-06-18T09:00:00Z');
+const T3 = Date.parse('2025-06-18T09:30:00Z');
+
+// One account in its three stored forms
+const HEX = '0x' + 'a1b2c3d4e5f6'.repeat(3) + 'a1b2';
+const MIXED_CASE = '0x' + 'A1b2C3d4E5f6'.repeat(3) + 'A1b2';
+const BECH32 = bech32.encode('cosmos', bech32.toWords(Buffer.from(HEX.slice(2), 'hex')));
+
+// The faucet's canonicalAccountAddress: bech32 and any hex casing map to lowercase hex
+const normalizeAddress = address => address.startsWith('cosmos1')
+    ? '0x' + Buffer.from(bech32.fromWords(bech32.decode(address).words)).toString('hex')
+    : address.toLowerCase();
+
+describe('storage', () => {
+    let dir;
+    let config;
+    let stores;
+
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'faucet-storage-'));
+        config = {
+            db: {
+                path: path.join(dir, 'history.db'),
+                allowancePath: path.join(dir, 'allowances.db'),
+                sqlitePath: path.join(dir, 'faucet.sqlite')
+            }
+        };
+        stores = [];
+
+        // Legacy files as the JSON-only faucet wrote them
+        fs.writeFileSync(config.db.path, JSON.stringify({
+            requests: [['addr_0xabc_evm', [T1, T2]], ['ip_203.0.113.1_dual', [T2]]],
+            lastSaved: '2025-06-18T09:00:00.000Z'
+        }));
+        fs.writeFileSync(config.db.allowancePath, JSON.stringify({
+            allowances: { '0xabc': { uatom: { amount: '1000000', timestamps: [T1] } } },
+            lastSaved: '2025-06-18T09:00:00.000Z'
+        }));
+    });
+
+    afterEach(() => {
+        for (const store of stores) store.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+        mock.restoreAll();
+    });
+
+    const open = (overrides = {}) => {
+        const store = createStore({ db: { ...config.db, ...overrides } });
+        stores.push(store);
+        return store;
+    };
+
+    describe('legacy JSON migration', () => {
+        it('imports the legacy files into SQLite and leaves them in place', () => {
+            const before = fs.readFileSync(config.db.path, 'utf8');
+            const store = open();
+
+            assert.equal(store.backend, 'sqlite');
+            assert.deepEqual(store.get('requests', 'addr_0xabc_evm'), [T1, T2]);
+            assert.deepEqual(store.get('requests', 'ip_203.0.113.1_dual'), [T2]);
+            assert.deepEqual(store.get('allowances', '0xabc'), { uatom: { amount: '1000000', timestamps: [T1] } });
+            assert.ok(store.getMeta('migrated:requests'));
+            assert.equal(fs.readFileSync(config.db.path, 'utf8'), before);
+        });
+
+        it('imports only once', () => {
+            open().close();
+            stores.length = 0;
+
+            fs.writeFileSync(config.db.path, JSON.stringify({ requests: [['addr_0xdef_evm', [T2]]] }));
+            const store = open();
+
+            assert.equal(store.get('requests', 'addr_0xdef_evm'), null);
+            assert.deepEqual(store.get('requests', 'addr_0xabc_evm'), [T1, T2]);
+        });
+
+        it('starts empty from a torn legacy file', () => {
+            fs.writeFileSync(config.db.path, '{"requests": [["addr_0xabc_evm", [');
+            const store = open();
+
+            assert.deepEqual(store.entries('requests'), []);
+            assert.deepEqual(store.get('allowances', '0xabc'), { uatom: { amount: '1000000', timestamps: [T1] } });
+            assert.ok(store.getMeta('migrated:requests'));
+        });
+
+        it('reads the legacy files in place with the json backend', () => {
+            const store = open({ backend: 'json' });
+
+            assert.ok(store instanceof JsonFileStore);
+            assert.deepEqual(store.get('requests', 'addr_0xabc_evm'), [T1, T2]);
+
+            store.set('requests', 'addr_0xabc_evm', [T2]);
+            const written = JSON.parse(fs.readFileSync(config.db.path, 'utf8'));
+            assert.deepEqual(written.requests['addr_0xabc_evm'], [T2]);
+        });
+
+        it('rejects an unknown backend', () => {
+            assert.throws(() => createStore({ db: { backend: 'redis' } }), /Unknown storage backend "redis"/);
+        });
+    });
+
+    describe('migrateAddressKeys', () => {
+        beforeEach(() => {
+            mock.timers.enable({ apis: ['setInterval', 'Date'], now: Date.parse('2025-06-18T10:00:00Z') });
+            fs.writeFileSync(config.db.path, JSON.stringify({
+                requests: [
+                    [`addr_${BECH32}_dual`, [T2]],
+                    [`addr_${MIXED_CASE}_dual`, [T3]],
+                    [`addr_${HEX}_dual`, [T1]],
+                    ['ip_203.0.113.1_dual', [T1]]
+                ]
+            }));
+            fs.writeFileSync(config.db.allowancePath, JSON.stringify({
+                allowances: {
+                    [BECH32]: { uatom: { amount: '1000000', timestamps: [T2] } },
+                    [MIXED_CASE]: { uatom: { amount: '1000000', timestamps: [T1] }, usdt: { amount: '5', timestamps: [T3] } }
+                }
+            }));
+        });
+
+        afterEach(() => mock.timers.reset());
+
+        it('merges rate limit history of every address form under the lowercase hex key', () => {
+            const store = open();
+            const checker = new FrequencyChecker({ blockchain: { limit: { address: 3, ip: 10 } } }, store, { normalizeAddress });
+
+            assert.deepEqual(store.get('requests', `addr_${HEX}_dual`), [T1, T2, T3]);
+            assert.equal(store.get('requests', `addr_${BECH32}_dual`), null);
+            assert.equal(store.get('requests', `addr_${MIXED_CASE}_dual`), null);
+            assert.deepEqual(store.get('requests', 'ip_203.0.113.1_dual'), [T1]);
+
+            // Three requests across the forms use up the limit for each of them
+            assert.equal(checker.reserve(BECH32, '203.0.113.2', 'dual').addressAllowed, false);
+        });
+
+        it('merges token allowances of every address form, adding amounts and timestamps', () => {
+            const store = open();
+            new TokenAllowanceTracker({ blockchain: { tx: { amounts: [] } } }, store, { normalizeAddress });
+
+            assert.deepEqual(store.get('allowances', HEX), {
+                uatom: { amount: '2000000', timestamps: [T1, T2] },
+                usdt: { amount: '5', timestamps: [T3] }
+            });
+            assert.equal(store.get('allowances', BECH32), null);
+            assert.equal(store.get('allowances', MIXED_CASE), null);
+        });
+
+        it('leaves canonical keys alone on the next start', () => {
+            const store = open();
+            new FrequencyChecker({}, store, { normalizeAddress });
+            new FrequencyChecker({}, store, { normalizeAddress });
+
+            assert.deepEqual(store.get('requests', `addr_${HEX}_dual`), [T1, T2, T3]);
+            assert.equal(console.log.mock.calls.filter(call => /Migrated 2 rate limit/.test(call.arguments[0])).length, 1);
+        });
+    });
+});
@@ -0,0 +1,137 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { TokenAllowanceTracker } from '../../tokenAllowance.js';
+import { SqliteStore } from '../../src/storage/index.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const CONFIG = {
+    blockchain: {
+        tx: {
+            amounts: [
+                { denom: 'uatom', amount: '1000', max_requests_per_day: 3, cooldown_ms: 0 },
+                { denom: 'usdt', amount: '50', max_requests_per_day: 10, cooldown_ms: 4 * HOUR }
+            ]
+        }
+    }
+};
+
+const BOTH = new Map([['uatom', 1000n], ['usdt', 50n]]);
+
+describe('TokenAllowanceTracker', () => {
+    let store;
+    let tracker;
+
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['setInterval', 'Date'], now: Date.parse('2025-06-18T10:00:00Z') });
+        mock.method(console, 'log', () => {});
+        store = new SqliteStore({ path: ':memory:' });
+        tracker = new TokenAllowanceTracker(CONFIG, store);
+    });
+
+    afterEach(() => {
+        mock.timers.reset();
+        mock.restoreAll();
+    });
+
+    describe('reserve / commit / release', () => {
+        it('holds every requestable token and persists the hold', () => {
+            const { allowed, reservation } = tracker.reserve('addr1', BOTH);
+
+            assert.equal(allowed, true);
+            assert.deepEqual(reservation.denoms, ['uatom', 'usdt']);
+            const restarted = new TokenAllowanceTracker(CONFIG, store);
+            assert.equal(restarted.getEntry('addr1').uatom.requests, 1);
+        });
+
+        it('only holds tokens that are not waiting, and refuses once all are', () => {
+            tracker.reserve('addr1', BOTH);
+
+            const second = tracker.reserve('addr1', BOTH);
+            assert.equal(second.allowed, true);
+            assert.deepEqual(second.reservation.denoms, ['uatom']);
+            assert.equal(second.remainingTime.get('usdt'), 4 * HOUR);
+
+            tracker.reserve('addr1', BOTH);
+            const fourth = tracker.reserve('addr1', BOTH);
+            assert.equal(fourth.allowed, false);
+            assert.equal(fourth.reservation, null);
+        });
+
+        it('commit keeps only the denoms that went out', () => {
+            const { reservation } = tracker.reserve('addr1', BOTH);
+            tracker.commit(reservation, ['uatom']);
+
+            const entry = tracker.getEntry('addr1');
+            assert.equal(entry.uatom.requests, 1);
+            assert.equal(entry.usdt, undefined);
+        });
+
+        it('release gives everything back, once', () => {
+            const first = tracker.reserve('addr1', BOTH);
+            const second = tracker.reserve('addr1', new Map([['uatom', 1000n]]));
+
+            tracker.release(first.reservation);
+            tracker.release(first.reservation);
+            tracker.commit(first.reservation, ['uatom', 'usdt']);
+
+            assert.equal(tracker.getEntry('addr1').uatom.requests, 1);
+            assert.equal(tracker.getEntry('addr1').usdt, undefined);
+            tracker.commit(second.reservation, ['uatom']);
+        });
+
+        it('counts parallel reservations of one address against the daily limit', () => {
+            const uatom = new Map([['uatom', 1000n]]);
+            const results = [1, 2, 3, 4].map(() => tracker.reserve('addr1', uatom));
+
+            assert.deepEqual(results.map(result => result.allowed), [true, true, true, false]);
+        });
+    });
+
+    describe('per-token waits', () => {
+        it('waits out the cooldown since the last request', () => {
+            tracker.reserve('addr1', new Map([['usdt', 50n]]));
+            mock.timers.tick(HOUR);
+
+            const { remainingTime } = tracker.evaluateAllowance('addr1', new Map([['usdt', 50n]]));
+            assert.equal(remainingTime.get('usdt'), 3 * HOUR);
+        });
+
+        it('waits for the oldest request to leave the window once the daily count is used up', () => {
+            const uatom = new Map([['uatom', 1000n]]);
+            for (let i = 0; i < 3; i++) {
+                tracker.reserve('addr1', uatom);
+                mock.timers.tick(HOUR);
+            }
+
+            const { allowed, remainingTime } = tracker.evaluateAllowance('addr1', uatom);
+            assert.equal(allowed, false);
+            assert.equal(remainingTime.get('uatom'), DAY - 3 * HOUR);
+
+            mock.timers.tick(DAY - 3 * HOUR + 1);
+            assert.equal(tracker.evaluateAllowance('addr1', uatom).allowed, true);
+        });
+    });
+
+    describe('extend', () => {
+        it('adds an extension on top of the current wait without touching the requests', () => {
+            const { reservation } = tracker.reserve('addr1', new Map([['usdt', 50n]]));
+            tracker.extend('addr1', HOUR, ['usdt']);
+
+            assert.equal(tracker.getEntry('addr1').usdt.wait_ms, 5 * HOUR);
+
+            tracker.release(reservation);
+            assert.equal(tracker.getEntry('addr1').usdt.requests, 0);
+            assert.equal(tracker.getEntry('addr1').usdt.wait_ms, 5 * HOUR);
+        });
+
+        it('extends every token the address has used when none are given', () => {
+            tracker.reserve('addr1', BOTH);
+
+            assert.deepEqual(tracker.extend('addr1', HOUR), ['uatom', 'usdt']);
+            assert.equal(tracker.getEntry('addr1').uatom.wait_ms, HOUR);
+            assert.deepEqual(tracker.extend('addr2', HOUR), []);
+        });
+    });
+});
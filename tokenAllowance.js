@@ -1,74 +1,82 @@
 /**
- * TokenAllowanceTracker - 24-hour token allowance rate limiting
- * Tracks cumulative token amounts distributed per address in a 24-hour window
+ * TokenAllowanceTracker - Per-token request limits
+ * Enforces each token's maxRequestsPerDay over a rolling 24-hour window and its cooldownPeriod
+ * between requests, as configured in tokens.json
  */
 
-import fs from 'fs';
-import path from 'path';
+import { randomUUID } from 'crypto';
+import { createStore } from './src/storage/index.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Used for tokens whose configuration doesn't set maxRequestsPerDay
+const DEFAULT_MAX_REQUESTS_PER_DAY = 10;
 
 export class TokenAllowanceTracker {
-    constructor(config) {
+    constructor(config, store = createStore(config), options = {}) {
         this.config = config;
-        this.dbPath = config.db?.allowancePath || '.faucet/allowances.db';
+        this.store = store;
+        // Maps every form of an address (bech32, hex, any casing) to one account identity
+        this.normalizeAddress = options.normalizeAddress || (address => address);
         
-        // Daily limits per token type (in smallest units)
-        this.dailyLimits = new Map();
+        // Per-token limits from tokens.json: denom -> { maxRequestsPerDay, cooldownMs }
+        this.tokenLimits = new Map();
         this.initializeLimits();
         
-        // In-memory storage: address -> { tokenDenom -> { amount, timestamps[] } }
+        // In-memory view of the store: address -> { tokenDenom -> { amount, timestamps[], blockedUntil } },
+        // blockedUntil (ms or null) being an admin block on top of the counted requests
         this.allowances = new Map();
-        
-        // Ensure db directory exists
-        const dbDir = path.dirname(this.dbPath);
-        if (!fs.existsSync(dbDir)) {
-            fs.mkdirSync(dbDir, { recursive: true });
-        }
+        // reservation id -> { id, address, denoms, timestamp } for requests still in flight
+        this.reservations = new Map();
         
         // Load existing data
         this.loadData();
+        this.migrateAddressKeys();
         
         // Cleanup old entries periodically
         setInterval(() => this.cleanup(), 60 * 60 * 1000); // Every hour
     }
     
     /**
-     * Initialize daily limits based on config
+     * Initialize per-token limits from each token's faucet configuration
      */
     initializeLimits() {
         const tokens = this.config.blockchain?.tx?.amounts || [];
         
         for (const token of tokens) {
-            // Set daily limit to 10x the single faucet amount
-            const singleAmount = BigInt(token.amount || "0");
-            const dailyLimit = singleAmount * 10n;
-            this.dailyLimits.set(token.denom, dailyLimit);
+            this.tokenLimits.set(token.denom, {
+                maxRequestsPerDay: token.max_requests_per_day || DEFAULT_MAX_REQUESTS_PER_DAY,
+                cooldownMs: token.cooldown_ms || 0
+            });
         }
     }
     
+    /**
+     * Limits for a denom; tokens missing from the config fall back to the defaults
+     */
+    getTokenLimits(denom) {
+        return this.tokenLimits.get(denom) || { maxRequestsPerDay: DEFAULT_MAX_REQUESTS_PER_DAY, cooldownMs: 0 };
+    }
+    
     /**
      * Load persisted allowance data
      */
     loadData() {
         try {
-            if (fs.existsSync(this.dbPath)) {
-                const data = fs.readFileSync(this.dbPath, 'utf8');
-                const parsed = JSON.parse(data);
-                
-                // Convert stored data back to Map structure
-                this.allowances = new Map();
-                for (const [address, tokens] of Object.entries(parsed.allowances || {})) {
-                    const tokenMap = new Map();
-                    for (const [denom, info] of Object.entries(tokens)) {
-                        tokenMap.set(denom, {
-                            amount: BigInt(info.amount),
-                            timestamps: info.timestamps
-                        });
-                    }
-                    this.allowances.set(address, tokenMap);
+            // Convert stored data back to Map structure
+            this.allowances = new Map();
+            for (const [address, tokens] of this.store.entries('allowances')) {
+                const tokenMap = new Map();
+                for (const [denom, info] of Object.entries(tokens)) {
+                    tokenMap.set(denom, {
+                        amount: BigInt(info.amount),
+                        timestamps: info.timestamps,
+                        blockedUntil: info.blocked_until || null
+                    });
                 }
-                
-                console.log(` Loaded token allowance data for ${this.allowances.size} addresses`);
+                this.allowances.set(address, tokenMap);
             }
+            
+            console.log(` Loaded token allowance data for ${this.allowances.size} addresses (${this.store.backend})`);
         } catch (error) {
             console.warn('  Could not load allowance data:', error.message);
             this.allowances = new Map();
@@ -76,67 +84,104 @@ export class TokenAllowanceTracker {
     }
     
     /**
-     * Save allowance data to disk
+     * Re-key allowances stored under a non-canonical address form, merging the usage of
+     * every form of the same account
      */
-    saveData() {
-        try {
-            // Convert Maps to plain objects for JSON serialization
-            const allowancesObj = {};
-            for (const [address, tokens] of this.allowances.entries()) {
-                allowancesObj[address] = {};
+    migrateAddressKeys() {
+        let migrated = 0;
+        
+        this.store.transaction(() => {
+            for (const [address, tokens] of Array.from(this.allowances.entries())) {
+                const canonical = this.normalizeAddress(address);
+                if (canonical === address) continue;
+                
+                const merged = this.allowances.get(canonical) || new Map();
                 for (const [denom, info] of tokens.entries()) {
-                    allowancesObj[address][denom] = {
-                        amount: info.amount.toString(),
-                        timestamps: info.timestamps
-                    };
+                    const existing = merged.get(denom) || { amount: 0n, timestamps: [], blockedUntil: null };
+                    merged.set(denom, {
+                        amount: existing.amount + info.amount,
+                        timestamps: [...existing.timestamps, ...info.timestamps].sort((a, b) => a - b),
+                        blockedUntil: Math.max(existing.blockedUntil || 0, info.blockedUntil || 0) || null
+                    });
                 }
+                
+                this.allowances.delete(address);
+                this.allowances.set(canonical, merged);
+                this.persist(address);
+                this.persist(canonical);
+                migrated++;
             }
-            
-            const data = {
-                allowances: allowancesObj,
-                lastSaved: new Date().toISOString()
+        });
+        
+        if (migrated > 0) {
+            console.log(` Migrated ${migrated} allowance entries to canonical addresses`);
+        }
+    }
+    
+    /**
+     * Write one address's allowance to the store, dropping it once empty
+     */
+    persist(address) {
+        const tokens = this.allowances.get(address);
+        if (!tokens || tokens.size === 0) {
+            this.store.delete('allowances', address);
+            return;
+        }
+        
+        // Convert Maps to plain objects for JSON serialization
+        const stored = {};
+        for (const [denom, info] of tokens.entries()) {
+            stored[denom] = {
+                amount: info.amount.toString(),
+                timestamps: info.timestamps
             };
-            
-            fs.writeFileSync(this.dbPath, JSON.stringify(data, null, 2));
-        } catch (error) {
-            console.warn('  Could not save allowance data:', error.message);
+            if (info.blockedUntil) {
+                stored[denom].blocked_until = info.blockedUntil;
+            }
         }
+        this.store.set('allowances', address, stored);
     }
     
     /**
-     * Clean up old entries outside the 24-hour window
+     * Clean up entries outside both the 24-hour window and the token's cooldown, and blocks that ended
      */
     cleanup() {
-        const cutoff = Date.now() - (24 * 60 * 60 * 1000);
+        const now = Date.now();
         let cleaned = 0;
         
-        for (const [address, tokens] of this.allowances.entries()) {
-            let hasValidTokens = false;
-            
-            for (const [denom, info] of tokens.entries()) {
-                const validTimestamps = info.timestamps.filter(ts => ts > cutoff);
+        this.store.transaction(() => {
+            for (const [address, tokens] of this.allowances.entries()) {
+                let hasValidTokens = false;
                 
-                if (validTimestamps.length === 0) {
-                    // No valid timestamps, remove this token
-                    tokens.delete(denom);
-                } else {
-                    // Recalculate amount based on valid timestamps
-                    const singleAmount = this.getSingleAmount(denom);
-                    info.amount = singleAmount * BigInt(validTimestamps.length);
-                    info.timestamps = validTimestamps;
-                    hasValidTokens = true;
+                for (const [denom, info] of tokens.entries()) {
+                    const cutoff = now - Math.max(DAY_MS, this.getTokenLimits(denom).cooldownMs);
+                    const validTimestamps = info.timestamps.filter(ts => ts > cutoff);
+                    if (info.blockedUntil && info.blockedUntil <= now) {
+                        info.blockedUntil = null;
+                    }
+                    
+                    if (validTimestamps.length === 0 && !info.blockedUntil) {
+                        // No valid timestamps, remove this token
+                        tokens.delete(denom);
+                    } else {
+                        // Recalculate amount based on valid timestamps
+                        const singleAmount = this.getSingleAmount(denom);
+                        info.amount = singleAmount * BigInt(validTimestamps.length);
+                        info.timestamps = validTimestamps;
+                        hasValidTokens = true;
+                    }
                 }
+                
+                if (!hasValidTokens) {
+                    this.allowances.delete(address);
+                    cleaned++;
+                }
+                this.persist(address);
             }
-            
-            if (!hasValidTokens) {
-                this.allowances.delete(address);
-                cleaned++;
-            }
-        }
+        });
         
         if (cleaned > 0) {
             console.log(` Cleaned ${cleaned} old allowance entries`);
-            this.saveData();
         }
     }
     
@@ -151,92 +196,264 @@ export class TokenAllowanceTracker {
     
     /**
      * Check if address can receive tokens
-     * Returns { allowed: boolean, available: Map<denom, amount> }
+     * Returns { allowed, available: Map<denom, amount>, remainingTime: Map<denom, ms> }
      */
     async checkAllowance(address, requestedTokens) {
+        return this.evaluateAllowance(address, requestedTokens);
+    }
+    
+    /**
+     * Synchronous core of checkAllowance, so reserve() can check and record without yielding.
+     * Each token is limited on its own: a token is blocked while its cooldown since the last
+     * request runs, or once maxRequestsPerDay requests fall inside the last 24 hours.
+     * allowed is true while at least one requested token can still be sent.
+     */
+    evaluateAllowance(address, requestedTokens) {
+        address = this.normalizeAddress(address);
         const now = Date.now();
-        const cutoff = now - (24 * 60 * 60 * 1000);
         
         // Get current allowance for this address
         const addressAllowance = this.allowances.get(address) || new Map();
         const available = new Map();
-        let allowed = true;
+        const remainingTime = new Map();
         
-        for (const [denom, requestedAmount] of requestedTokens.entries()) {
-            const dailyLimit = this.dailyLimits.get(denom) || 0n;
-            const tokenInfo = addressAllowance.get(denom) || { amount: 0n, timestamps: [] };
-            
-            // Filter valid timestamps
-            const validTimestamps = tokenInfo.timestamps.filter(ts => ts > cutoff);
-            const singleAmount = this.getSingleAmount(denom);
-            const currentUsage = singleAmount * BigInt(validTimestamps.length);
-            
-            const remaining = dailyLimit - currentUsage;
-            const canReceive = remaining >= BigInt(requestedAmount);
+        for (const denom of requestedTokens.keys()) {
+            const tokenInfo = addressAllowance.get(denom);
+            const wait = this.getTokenWait(tokenInfo, denom, now);
+            const limits = this.getTokenLimits(denom);
+            const used = tokenInfo ? tokenInfo.timestamps.filter(ts => ts > now - DAY_MS).length : 0;
+            const requestsLeft = Math.max(0, limits.maxRequestsPerDay - used);
             
-            if (!canReceive) {
-                allowed = false;
+            available.set(denom, wait > 0 ? 0n : this.getSingleAmount(denom) * BigInt(requestsLeft));
+            if (wait > 0) {
+                remainingTime.set(denom, wait);
             }
-            
-            available.set(denom, remaining > 0n ? remaining : 0n);
         }
         
-        return { allowed, available };
+        const allowed = requestedTokens.size === 0 || remainingTime.size < requestedTokens.size;
+        return { allowed, available, remainingTime };
     }
     
     /**
-     * Update allowance after successful distribution
+     * Milliseconds until a token can be requested again (0 if it can be requested now)
      */
-    updateAllowance(address, distributedTokens) {
-        const now = Date.now();
+    getTokenWait(tokenInfo, denom, now = Date.now()) {
+        if (!tokenInfo) {
+            return 0;
+        }
+        const blockWait = (tokenInfo.blockedUntil || 0) - now;
+        if (tokenInfo.timestamps.length === 0) {
+            return Math.max(0, blockWait);
+        }
+        
+        const { maxRequestsPerDay, cooldownMs } = this.getTokenLimits(denom);
+        const timestamps = tokenInfo.timestamps;
+        const cooldownWait = Math.max(...timestamps) + cooldownMs - now;
+        
+        // Once the daily count is used up, the next slot opens when the oldest one in the window expires
+        const recent = timestamps.filter(ts => ts > now - DAY_MS).sort((a, b) => a - b);
+        const dailyWait = recent.length >= maxRequestsPerDay
+            ? recent[recent.length - maxRequestsPerDay] + DAY_MS - now
+            : 0;
+        
+        return Math.max(0, cooldownWait, dailyWait, blockWait);
+    }
+    
+    /**
+     * Check and hold allowance for requestedTokens (denom -> amount) in one step.
+     * The hold counts (and is persisted) right away; commit() keeps what was actually
+     * distributed, release() gives everything back.
+     * Only tokens that are not on cooldown are held.
+     * Returns { allowed, available, remainingTime, reservation }
+     */
+    reserve(address, requestedTokens) {
+        address = this.normalizeAddress(address);
+        const check = this.evaluateAllowance(address, requestedTokens);
+        if (!check.allowed || requestedTokens.size === 0) {
+            return { ...check, reservation: null };
+        }
+        
+        const reservation = {
+            id: randomUUID(),
+            address,
+            denoms: Array.from(requestedTokens.keys()).filter(denom => !check.remainingTime.has(denom)),
+            timestamp: Date.now()
+        };
         
         if (!this.allowances.has(address)) {
             this.allowances.set(address, new Map());
         }
-        
         const addressAllowance = this.allowances.get(address);
-        
-        for (const [denom, amount] of distributedTokens.entries()) {
+        for (const denom of reservation.denoms) {
             if (!addressAllowance.has(denom)) {
-                addressAllowance.set(denom, { amount: 0n, timestamps: [] });
+                addressAllowance.set(denom, { amount: 0n, timestamps: [], blockedUntil: null });
             }
-            
-            const tokenInfo = addressAllowance.get(denom);
-            tokenInfo.timestamps.push(now);
-            // We'll recalculate the amount on cleanup
+            addressAllowance.get(denom).timestamps.push(reservation.timestamp);
         }
+        this.persist(address);
+        this.reservations.set(reservation.id, reservation);
         
-        // Save periodically
-        if (Math.random() < 0.1) {
-            this.saveData();
-        }
+        return { ...check, reservation };
     }
     
     /**
-     * Get remaining time until allowance resets
+     * Keep the hold for the denoms that were distributed and release the rest
      */
-    getRemainingResetTime(address) {
-        const addressAllowance = this.allowances.get(address);
-        if (!addressAllowance || addressAllowance.size === 0) {
-            return 0;
+    commit(reservation, distributedDenoms = []) {
+        if (!reservation || !this.reservations.delete(reservation.id)) {
+            return;
         }
         
-        let oldestTimestamp = Infinity;
-        for (const tokenInfo of addressAllowance.values()) {
-            if (tokenInfo.timestamps.length > 0) {
-                const minTs = Math.min(...tokenInfo.timestamps);
-                oldestTimestamp = Math.min(oldestTimestamp, minTs);
-            }
+        const distributed = new Set(distributedDenoms);
+        this.removeTimestamps(reservation, reservation.denoms.filter(denom => !distributed.has(denom)));
+    }
+    
+    /**
+     * Give a hold back after a failed send; no-op once committed or released
+     */
+    release(reservation) {
+        if (!reservation || !this.reservations.delete(reservation.id)) {
+            return;
         }
         
-        if (oldestTimestamp === Infinity) {
-            return 0;
+        this.removeTimestamps(reservation, reservation.denoms);
+    }
+    
+    /**
+     * Drop a reservation's timestamp from the given denoms
+     */
+    removeTimestamps(reservation, denoms) {
+        const addressAllowance = this.allowances.get(reservation.address);
+        if (!addressAllowance || denoms.length === 0) {
+            return;
         }
         
-        const resetTime = oldestTimestamp + (24 * 60 * 60 * 1000);
-        return Math.max(0, resetTime - Date.now());
+        for (const denom of denoms) {
+            const tokenInfo = addressAllowance.get(denom);
+            const index = tokenInfo ? tokenInfo.timestamps.indexOf(reservation.timestamp) : -1;
+            if (index === -1) continue;
+            
+            tokenInfo.timestamps.splice(index, 1);
+            if (tokenInfo.timestamps.length === 0 && !tokenInfo.blockedUntil) {
+                addressAllowance.delete(denom);
+            }
+        }
+        if (addressAllowance.size === 0) {
+            this.allowances.delete(reservation.address);
+        }
+        this.persist(reservation.address);
     }
     
+    /**
+     * One address's allowance as plain data: { denom: { requests, timestamps, blocked_until, wait_ms } }, or null
+     */
+    getEntry(address) {
+        address = this.normalizeAddress(address);
+        const addressAllowance = this.allowances.get(address);
+        if (!addressAllowance || addressAllowance.size === 0) {
+            return null;
+        }
+
+        const now = Date.now();
+        const tokens = {};
+        for (const [denom, tokenInfo] of addressAllowance.entries()) {
+            const timestamps = [...tokenInfo.timestamps].sort((a, b) => a - b);
+            tokens[denom] = {
+                requests: timestamps.filter(ts => ts > now - DAY_MS).length,
+                timestamps,
+                blocked_until: tokenInfo.blockedUntil > now ? new Date(tokenInfo.blockedUntil).toISOString() : null,
+                wait_ms: this.getTokenWait(tokenInfo, denom, now)
+            };
+        }
+        return tokens;
+    }
+
+    /**
+     * Every tracked address with its allowance: [{ address, tokens }]
+     */
+    getEntries() {
+        return Array.from(this.allowances.keys())
+            .map(address => ({ address, tokens: this.getEntry(address) }))
+            .filter(entry => entry.tokens);
+    }
+
+    /**
+     * Forget an address's requests and blocks for the given denoms (all when null). Returns the denoms cleared
+     */
+    clear(address, denoms = null) {
+        address = this.normalizeAddress(address);
+        const addressAllowance = this.allowances.get(address);
+        if (!addressAllowance) {
+            return [];
+        }
+
+        const cleared = Array.from(addressAllowance.keys()).filter(denom => !denoms || denoms.includes(denom));
+        for (const denom of cleared) {
+            addressAllowance.delete(denom);
+        }
+        if (addressAllowance.size === 0) {
+            this.allowances.delete(address);
+        }
+        this.persist(address);
+
+        console.log(` Cleared allowance of ${address} for ${cleared.join(', ') || 'no tokens'}`);
+        return cleared;
+    }
+
+    /**
+     * Block an address's tokens for ms past the point each would be requestable again (now when
+     * it is already). Covers the given denoms, or every tracked one when null. The counted
+     * requests are left alone, so reservations still release cleanly. Returns the denoms blocked
+     */
+    extend(address, ms, denoms = null) {
+        address = this.normalizeAddress(address);
+        const addressAllowance = this.allowances.get(address) || new Map();
+        const now = Date.now();
+        const extended = denoms || Array.from(addressAllowance.keys());
+        if (extended.length === 0) {
+            return [];
+        }
+
+        for (const denom of extended) {
+            if (!addressAllowance.has(denom)) {
+                addressAllowance.set(denom, { amount: 0n, timestamps: [], blockedUntil: null });
+            }
+            const tokenInfo = addressAllowance.get(denom);
+            tokenInfo.blockedUntil = now + this.getTokenWait(tokenInfo, denom, now) + ms;
+        }
+        this.allowances.set(address, addressAllowance);
+        this.persist(address);
+
+        console.log(` Extended allowance of ${address} for ${extended.join(', ') || 'no tokens'} by ${ms}ms`);
+        return extended;
+    }
+
+    /**
+     * Get current statistics
+     */
+    getStats() {
+        const now = Date.now();
+        const requestsByToken = {};
+        let waiting = 0;
+
+        for (const addressAllowance of this.allowances.values()) {
+            let blocked = false;
+            for (const [denom, tokenInfo] of addressAllowance.entries()) {
+                const recent = tokenInfo.timestamps.filter(ts => ts > now - DAY_MS).length;
+                requestsByToken[denom] = (requestsByToken[denom] || 0) + recent;
+                blocked = blocked || this.getTokenWait(tokenInfo, denom, now) > 0;
+            }
+            if (blocked) waiting++;
+        }
+
+        return {
+            trackedAddresses: this.allowances.size,
+            waitingAddresses: waiting,
+            requestsByToken,
+            pendingReservations: this.reservations.size
+        };
+    }
+
     /**
      * Format remaining time as human-readable string
      */
@@ -38,6 +38,7 @@ export default defineConfig({
     allowedHosts: ['faucet.basementnodes.ca', 'localhost'],
     proxy: {
       '/send': 'http://localhost:8088',
+      '/api': 'http://localhost:8088',
       '/config.json': 'http://localhost:8088',
       '/balance': 'http://localhost:8088',
       '/transaction': 'http://localhost:8088'